@@ -0,0 +1,74 @@
+// Autenticazione delle API Express (/api/*).
+// Ogni richiesta deve presentare una di queste credenziali:
+// - il token della sessione Supabase (Authorization: Bearer <access_token>),
+//   verificato con Supabase quando VITE_SUPABASE_URL è impostato
+// - la chiave API_KEY (header X-Api-Key), per le installazioni senza Supabase
+// Se nessuna delle due è configurata le API rifiutano ogni richiesta.
+
+import crypto from 'crypto'
+import { createClient } from '@supabase/supabase-js'
+
+let authClient = null
+
+// Client usato solo per verificare i token di sessione
+function getAuthClient() {
+  const supabaseUrl = process.env.VITE_SUPABASE_URL
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY
+  if (!authClient && supabaseUrl && key) {
+    authClient = createClient(supabaseUrl, key, { auth: { persistSession: false } })
+  }
+  return authClient
+}
+
+// Confronto a tempo costante (gli hash hanno sempre la stessa lunghezza)
+const sameSecret = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+)
+
+/**
+ * Verifica le credenziali di una richiesta
+ * @param {object} req - Richiesta Express
+ * @returns {Promise<{user: {id: string, email: string|null}|null, status: number, message: string|null}>}
+ */
+export async function authenticate(req) {
+  const apiKey = process.env.API_KEY
+  const client = getAuthClient()
+
+  if (!apiKey && !client) {
+    return { user: null, status: 503, message: 'API non protette: imposta API_KEY o configura Supabase' }
+  }
+
+  const providedKey = req.headers['x-api-key']
+  if (providedKey) {
+    return apiKey && sameSecret(providedKey, apiKey)
+      ? { user: { id: 'api-key', email: null }, status: 200, message: null }
+      : { user: null, status: 401, message: 'Chiave API non valida' }
+  }
+
+  const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]
+  if (token && client) {
+    const { data, error } = await client.auth.getUser(token)
+    if (error || !data?.user) {
+      return { user: null, status: 401, message: 'Sessione non valida o scaduta' }
+    }
+    return { user: { id: data.user.id, email: data.user.email ?? null }, status: 200, message: null }
+  }
+
+  return { user: null, status: 401, message: 'Autenticazione richiesta' }
+}
+
+/**
+ * Blocca le richieste non autenticate rispondendo con 401 (o 503 se le API non sono protette)
+ * @param {object} req - Richiesta Express
+ * @param {object} res - Risposta Express
+ * @returns {Promise<object|null>} Utente autenticato, null se la risposta è già stata inviata
+ */
+export async function requireAuth(req, res) {
+  const { user, status, message } = await authenticate(req)
+  if (!user) {
+    res.status(status).json({ data: null, error: { message } })
+    return null
+  }
+  return user
+}
@@ -0,0 +1,123 @@
+// Backup pianificati del server Express.
+// Gli archivi vengono salvati in BACKUP_DIR (default data/backups);
+// si conservano gli ultimi BACKUP_KEEP. Li avvia startBackupScheduler
+// all'avvio del server o un cron che chiama POST /api/backup { action: 'scheduled' }.
+
+import fs from 'fs/promises'
+import path from 'path'
+import { createBackup } from '../../src/lib/backup.js'
+import { getServerDataClient, getPhotoBaseUrl } from './serverDataClient.js'
+
+const DEFAULT_BACKUP_DIR = path.join(process.cwd(), 'data', 'backups')
+const DEFAULT_KEEP = 14
+const BACKUP_FILE_PATTERN = /^backup_[\w-]+\.zip$/
+
+export const getBackupDir = () => process.env.BACKUP_DIR || DEFAULT_BACKUP_DIR
+
+/**
+ * Archivi presenti nella cartella dei backup, dal più recente
+ * @returns {Promise<Array<{file: string, size: number, created_at: string}>>}
+ */
+export async function listServerBackups() {
+  let files
+  try {
+    files = await fs.readdir(getBackupDir())
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const backups = await Promise.all(files.filter(file => BACKUP_FILE_PATTERN.test(file)).map(async file => {
+    const stats = await fs.stat(path.join(getBackupDir(), file))
+    return { file, size: stats.size, created_at: stats.mtime.toISOString() }
+  }))
+  return backups.sort((a, b) => b.created_at.localeCompare(a.created_at))
+}
+
+/**
+ * Percorso di un archivio, solo se il nome è quello di un backup
+ * @param {string} file - Nome del file
+ * @returns {string|null}
+ */
+export function resolveBackupPath(file) {
+  return BACKUP_FILE_PATTERN.test(file || '') ? path.join(getBackupDir(), file) : null
+}
+
+/**
+ * Crea un backup e lo salva su disco
+ * @param {object} [options]
+ * @param {boolean} [options.includePhotos] - Include i file delle foto
+ * @returns {Promise<{file: string, manifest: object}>}
+ */
+export async function runServerBackup({ includePhotos = false } = {}) {
+  const { client, backend } = await getServerDataClient()
+  const photoBaseUrl = getPhotoBaseUrl()
+  const { archive, manifest } = await createBackup(client, {
+    includePhotos: includePhotos && Boolean(photoBaseUrl),
+    photoBaseUrl,
+    backend
+  })
+
+  const file = `backup_${manifest.created_at.replace(/[:.]/g, '-')}.zip`
+  await fs.mkdir(getBackupDir(), { recursive: true })
+  await fs.writeFile(path.join(getBackupDir(), file), archive)
+  console.log(`💾 Backup salvato in ${file}`)
+
+  return { file, manifest }
+}
+
+async function pruneBackups(keep) {
+  const backups = await listServerBackups()
+  for (const { file } of backups.slice(keep)) {
+    await fs.unlink(path.join(getBackupDir(), file))
+    console.log(`🗑️ Backup ${file} eliminato`)
+  }
+}
+
+/**
+ * Backup pianificato: crea un archivio e conserva solo gli ultimi
+ * @param {object} [options]
+ * @param {number} [options.keep] - Archivi da conservare (default BACKUP_KEEP o 14)
+ * @param {boolean} [options.includePhotos] - Include i file delle foto (default BACKUP_INCLUDE_PHOTOS)
+ * @returns {Promise<{file: string, manifest: object}>}
+ */
+export async function runScheduledBackup({
+  keep = Number(process.env.BACKUP_KEEP) || DEFAULT_KEEP,
+  includePhotos = process.env.BACKUP_INCLUDE_PHOTOS === 'true'
+} = {}) {
+  const result = await runServerBackup({ includePhotos })
+  await pruneBackups(keep)
+  return result
+}
+
+/**
+ * Avvia i backup pianificati (da chiamare all'avvio di server.js).
+ * Disattivati se BACKUP_INTERVAL_HOURS non è impostato o è 0.
+ * @param {object} [options]
+ * @param {number} [options.intervalHours] - Ore tra un backup e il successivo
+ * @param {number} [options.keep] - Archivi da conservare
+ * @param {boolean} [options.includePhotos] - Include i file delle foto
+ * @returns {function(): void|null} Ferma lo scheduler
+ */
+export function startBackupScheduler({
+  intervalHours = Number(process.env.BACKUP_INTERVAL_HOURS) || 0,
+  keep = Number(process.env.BACKUP_KEEP) || DEFAULT_KEEP,
+  includePhotos = process.env.BACKUP_INCLUDE_PHOTOS === 'true'
+} = {}) {
+  if (!intervalHours) {
+    console.log('ℹ️ Backup pianificati disattivati (BACKUP_INTERVAL_HOURS non impostato)')
+    return null
+  }
+
+  const run = async () => {
+    try {
+      await runScheduledBackup({ keep, includePhotos })
+    } catch (error) {
+      console.error('❌ Errore backup pianificato:', error)
+    }
+  }
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000)
+  console.log(`⏰ Backup pianificati ogni ${intervalHours} ore (conservati gli ultimi ${keep})`)
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,59 @@
+// Finta stampante di etichette per lo sviluppo: accetta lavori ZPL sulla porta 9100
+// e li salva in data/labels (o LABEL_OUTPUT_DIR), un file per connessione.
+// Avvio: npm run dev:printer, poi LABEL_PRINTER_HOST=localhost per il server Express.
+
+import fs from 'fs/promises'
+import net from 'net'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { DEFAULT_PRINTER_PORT } from './labelPrinter.js'
+
+const DEFAULT_OUTPUT_DIR = path.join(process.cwd(), 'data', 'labels')
+
+/**
+ * Avvia la finta stampante
+ * @param {object} [options]
+ * @param {number} [options.port] - Porta TCP (0 = scelta dal sistema)
+ * @param {string|null} [options.outputDir] - Cartella dei lavori ricevuti (null = non salvarli)
+ * @param {function(string): void} [options.onJob] - Chiamata con il testo di ogni lavoro ricevuto
+ * @returns {Promise<net.Server>}
+ */
+export function startFakeLabelPrinter({
+  port = Number(process.env.LABEL_PRINTER_PORT) || DEFAULT_PRINTER_PORT,
+  outputDir = process.env.LABEL_OUTPUT_DIR || DEFAULT_OUTPUT_DIR,
+  onJob
+} = {}) {
+  const server = net.createServer(socket => {
+    const chunks = []
+    socket.on('data', chunk => chunks.push(chunk))
+    socket.on('end', async () => {
+      const job = Buffer.concat(chunks).toString('utf8')
+      const labels = (job.match(/\^XA/g) || []).length
+      console.log(`🏷️ Lavoro ricevuto: ${labels} etichette, ${job.length} caratteri`)
+
+      if (outputDir) {
+        await fs.mkdir(outputDir, { recursive: true })
+        const file = path.join(outputDir, `label_${new Date().toISOString().replace(/[:.]/g, '-')}.zpl`)
+        await fs.writeFile(file, job)
+        console.log(`✅ Salvato in ${file}`)
+      }
+      onJob?.(job)
+    })
+    socket.on('error', error => console.error('❌ Errore connessione stampante:', error.message))
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, () => {
+      console.log(`🖨️ Finta stampante di etichette in ascolto sulla porta ${server.address().port}`)
+      resolve(server)
+    })
+  })
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startFakeLabelPrinter().catch(error => {
+    console.error('❌ Avvio finta stampante non riuscito:', error.message)
+    process.exit(1)
+  })
+}
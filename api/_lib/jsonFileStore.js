@@ -0,0 +1,68 @@
+// Archivio su file JSON per l'API Express.
+// Usa lo stesso motore di query del backend in memoria del frontend.
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { createQueryEngine } from '../../src/lib/backends/queryEngine.js'
+import { rpcFunctions } from '../../src/lib/backends/rpcFunctions.js'
+import { triggers } from '../../src/lib/backends/triggers.js'
+import {
+  computedColumns,
+  relations,
+  primaryKeys,
+  uniqueColumns,
+  createEmptyTables
+} from '../../src/lib/backends/schema.js'
+
+const DEFAULT_DATA_FILE = path.join(process.cwd(), 'data', 'warehouse.json')
+
+const engines = new Map()
+
+async function readTables(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8')
+    return { ...createEmptyTables(), ...JSON.parse(content) }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.log(`📁 Archivio ${filePath} non trovato, creazione archivio vuoto`)
+      return createEmptyTables()
+    }
+    throw error
+  }
+}
+
+// Scrittura atomica: file temporaneo (nome univoco) + rename.
+// Il motore esegue una transazione alla volta e aggiorna le tabelle in memoria
+// solo se la scrittura riesce.
+async function writeTables(filePath, tables) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}-${crypto.randomUUID()}.tmp`
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(tables, null, 2))
+    await fs.rename(tempPath, filePath)
+  } catch (error) {
+    await fs.rm(tempPath, { force: true })
+    throw error
+  }
+}
+
+/**
+ * Motore di query sul file JSON indicato (uno per file, caricato alla prima richiesta)
+ * @param {string} [filePath] - Percorso del file (default DATA_FILE o data/warehouse.json)
+ */
+export async function getJsonFileEngine(filePath = process.env.DATA_FILE || DEFAULT_DATA_FILE) {
+  if (!engines.has(filePath)) {
+    engines.set(filePath, readTables(filePath).then(tables => createQueryEngine({
+      load: () => tables,
+      save: (updated) => writeTables(filePath, updated),
+      rpcFunctions,
+      computedColumns,
+      relations,
+      primaryKeys,
+      uniqueColumns,
+      triggers
+    })))
+  }
+  return engines.get(filePath)
+}
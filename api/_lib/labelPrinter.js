@@ -0,0 +1,47 @@
+// Invio di etichette ZPL a una stampante termica in rete (socket TCP "raw", porta 9100).
+// Indirizzo in LABEL_PRINTER_HOST / LABEL_PRINTER_PORT.
+
+import net from 'net'
+
+export const DEFAULT_PRINTER_PORT = 9100
+const DEFAULT_TIMEOUT_MS = 5000
+
+/**
+ * Stampante configurata sul server
+ * @returns {{host: string, port: number}} host vuoto se non configurata
+ */
+export const getLabelPrinterConfig = () => ({
+  host: process.env.LABEL_PRINTER_HOST || '',
+  port: Number(process.env.LABEL_PRINTER_PORT) || DEFAULT_PRINTER_PORT
+})
+
+/**
+ * Invia dati grezzi alla stampante e chiude la connessione
+ * @param {string} data - Lavoro di stampa (ZPL)
+ * @param {object} printer
+ * @param {string} printer.host
+ * @param {number} [printer.port]
+ * @param {number} [printer.timeoutMs] - Attesa massima per connessione e invio
+ * @returns {Promise<{bytes: number}>}
+ */
+export function sendToLabelPrinter(data, { host, port = DEFAULT_PRINTER_PORT, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port })
+    socket.setTimeout(timeoutMs)
+
+    let sent = false
+
+    socket.on('connect', () => {
+      // La stampante non risponde: basta che i dati siano stati scritti
+      socket.end(data, 'utf8', () => {
+        sent = true
+        resolve({ bytes: Buffer.byteLength(data, 'utf8') })
+      })
+    })
+    socket.on('timeout', () => {
+      // Dopo l'invio si chiude senza attendere che la stampante chiuda la sua parte
+      socket.destroy(sent ? undefined : new Error(`La stampante ${host}:${port} non risponde`))
+    })
+    socket.on('error', reject)
+  })
+}
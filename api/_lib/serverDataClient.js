@@ -0,0 +1,47 @@
+// Client dati lato server, con l'interfaccia di supabase-js (from(), rpc()).
+// Con VITE_SUPABASE_URL e SUPABASE_SERVICE_ROLE_KEY usa Supabase con la service key,
+// altrimenti l'archivio JSON di /api/db.
+
+import { createClient } from '@supabase/supabase-js'
+import { QueryBuilder } from '../../src/lib/backends/queryBuilder.js'
+import { getJsonFileEngine } from './jsonFileStore.js'
+
+let serverClient = null
+
+/**
+ * Client dati del server (creato alla prima richiesta)
+ * @returns {Promise<{client: object, backend: string}>}
+ */
+export async function getServerDataClient() {
+  if (!serverClient) {
+    const supabaseUrl = process.env.VITE_SUPABASE_URL
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+    if (supabaseUrl && serviceKey) {
+      serverClient = {
+        backend: 'supabase',
+        client: createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } })
+      }
+    } else {
+      const engine = await getJsonFileEngine()
+      serverClient = {
+        backend: 'rest',
+        client: {
+          from: (table) => new QueryBuilder(table, (plan) => engine.run(plan)),
+          rpc: (name, args) => engine.rpc(name, args)
+        }
+      }
+    }
+  }
+  return serverClient
+}
+
+/**
+ * URL pubblico del bucket foto (null se Supabase non è configurato)
+ * @returns {string|null}
+ */
+export function getPhotoBaseUrl() {
+  return process.env.VITE_SUPABASE_URL
+    ? `${process.env.VITE_SUPABASE_URL}/storage/v1/object/public/product-photos`
+    : null
+}
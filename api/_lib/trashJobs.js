@@ -0,0 +1,65 @@
+// Svuotamento pianificato del cestino del server Express:
+// elimina definitivamente i prodotti scaduti anche se nessuno apre /trash.
+
+import { purgeExpiredProducts } from '../../src/lib/trash.js'
+import { getServerDataClient } from './serverDataClient.js'
+
+const PHOTO_BUCKET = 'product-photos'
+const DEFAULT_INTERVAL_HOURS = 24
+
+/**
+ * Elimina definitivamente i prodotti rimasti nel cestino oltre il periodo configurato
+ * @returns {Promise<{data: number, error: object|null}>} Numero di prodotti eliminati
+ */
+export async function runTrashPurge() {
+  const { client, backend } = await getServerDataClient()
+
+  return purgeExpiredProducts(client, {
+    removePhotos: async (photos) => {
+      // Con Supabase la service key rimuove direttamente i file dallo storage
+      const paths = photos.map(photo => photo.file_path).filter(Boolean)
+      if (backend === 'supabase' && paths.length > 0) {
+        const { error } = await client.storage.from(PHOTO_BUCKET).remove(paths)
+        if (error) throw new Error(error.message)
+      }
+
+      const { error } = await client
+        .from('product_photos')
+        .delete()
+        .in('id', photos.map(photo => photo.id))
+      if (error) throw new Error(error.message)
+    }
+  })
+}
+
+/**
+ * Avvia lo svuotamento pianificato del cestino (da chiamare all'avvio di server.js,
+ * insieme a startBackupScheduler). TRASH_PURGE_INTERVAL_HOURS=0 lo disattiva.
+ * @param {object} [options]
+ * @param {number} [options.intervalHours] - Ore tra un controllo e il successivo (default 24)
+ * @returns {function(): void|null} Ferma lo scheduler
+ */
+export function startTrashPurgeScheduler({
+  intervalHours = process.env.TRASH_PURGE_INTERVAL_HOURS === undefined
+    ? DEFAULT_INTERVAL_HOURS
+    : Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 0
+} = {}) {
+  if (!intervalHours) {
+    console.log('ℹ️ Svuotamento pianificato del cestino disattivato (TRASH_PURGE_INTERVAL_HOURS=0)')
+    return null
+  }
+
+  const run = async () => {
+    try {
+      const { error } = await runTrashPurge()
+      if (error) console.error('❌ Errore svuotamento cestino:', error)
+    } catch (error) {
+      console.error('❌ Errore svuotamento cestino:', error)
+    }
+  }
+
+  run()
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000)
+  console.log(`⏰ Svuotamento del cestino ogni ${intervalHours} ore`)
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,61 @@
+// API backup del server Express
+// GET  /api/backup             -> elenco dei backup salvati
+// GET  /api/backup?file=<nome> -> scarica un backup
+// POST /api/backup { action: 'run', includePhotos } -> crea subito un backup
+// POST /api/backup { action: 'scheduled' }          -> backup pianificato: crea un backup con le
+//   impostazioni BACKUP_INCLUDE_PHOTOS e conserva gli ultimi BACKUP_KEEP. Da chiamare con un cron
+//   (header X-Api-Key) quando il server non avvia startBackupScheduler.
+// Pensata per il server Express: su Vercel il filesystem è in sola lettura.
+// Richiede la sessione Supabase o la chiave API_KEY, come /api/db.
+
+import fs from 'fs/promises'
+import { requireAuth } from './_lib/auth.js'
+import { listServerBackups, resolveBackupPath, runScheduledBackup, runServerBackup } from './_lib/backupJobs.js'
+
+export default async function handler(req, res) {
+  const user = await requireAuth(req, res)
+  if (!user) return
+
+  try {
+    if (req.method === 'GET') {
+      const file = req.query?.file
+      if (!file) {
+        return res.status(200).json({ data: await listServerBackups(), error: null })
+      }
+
+      const filePath = resolveBackupPath(file)
+      if (!filePath) {
+        return res.status(400).json({ data: null, error: { message: 'Nome file non valido' } })
+      }
+
+      try {
+        const archive = await fs.readFile(filePath)
+        res.setHeader('Content-Type', 'application/zip')
+        res.setHeader('Content-Disposition', `attachment; filename="${file}"`)
+        return res.status(200).send(archive)
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return res.status(404).json({ data: null, error: { message: 'Backup non trovato' } })
+        }
+        throw error
+      }
+    }
+
+    if (req.method === 'POST') {
+      const { action, includePhotos } = req.body || {}
+      if (action === 'scheduled') {
+        return res.status(200).json({ data: await runScheduledBackup(), error: null })
+      }
+      if (action !== 'run') {
+        return res.status(400).json({ data: null, error: { message: `Azione non valida: ${action}` } })
+      }
+      const result = await runServerBackup({ includePhotos: Boolean(includePhotos) })
+      return res.status(200).json({ data: result, error: null })
+    }
+
+    return res.status(405).json({ data: null, error: { message: 'Metodo non consentito' } })
+  } catch (error) {
+    console.error('❌ Errore API backup:', error)
+    return res.status(500).json({ data: null, error: { message: 'Errore interno', details: error.message } })
+  }
+}
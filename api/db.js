@@ -0,0 +1,91 @@
+// API dati per il backend REST (VITE_DATA_BACKEND=rest)
+// Esegue le query registrate dal QueryBuilder del frontend su un archivio JSON.
+// Pensata per il server Express: su Vercel il filesystem è in sola lettura.
+
+import { getJsonFileEngine } from './_lib/jsonFileStore.js'
+import { requireAuth } from './_lib/auth.js'
+
+// Operazioni consentite per tabella. Giacenze, vendite, ordini, trasferimenti e
+// inventari cambiano solo tramite le funzioni RPC; gli inserimenti diretti nelle
+// tabelle di storico servono al ripristino dei backup (src/lib/backup.js).
+const APPEND = ['select', 'insert']
+const EDIT = ['select', 'insert', 'update']
+const FULL = ['select', 'insert', 'update', 'delete']
+
+const TABLE_ACTIONS = {
+  colors: FULL,
+  lines: FULL,
+  sizes: FULL,
+  compositions: FULL,
+  models: FULL,
+  products: FULL,
+  product_photos: FULL,
+  stock_movements: APPEND,
+  product_audit_log: APPEND,
+  // Scritta solo dal trigger dell'eliminazione definitiva
+  purged_products: ['select'],
+  sales: APPEND,
+  sale_lines: APPEND,
+  suppliers: FULL,
+  purchase_orders: EDIT,
+  purchase_order_lines: APPEND,
+  purchase_receipts: APPEND,
+  warehouses: FULL,
+  locations: FULL,
+  location_stock: APPEND,
+  stock_transfers: APPEND,
+  stock_transfer_lines: APPEND,
+  inventory_counts: EDIT,
+  inventory_count_lines: APPEND,
+  sku_counter: ['select', 'update'],
+  sku_reservations: APPEND,
+  app_settings: ['select', 'insert', 'upsert']
+}
+
+const isAllowed = (plan) => (TABLE_ACTIONS[plan.table] || []).includes(plan.action)
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ data: null, error: { message: 'Metodo non consentito' } })
+  }
+
+  const user = await requireAuth(req, res)
+  if (!user) return
+
+  const { action, plan, name, args } = req.body || {}
+  // Operatore della cronologia scritta dai trigger (src/lib/backends/triggers.js)
+  const settings = { operator: user.email }
+
+  try {
+    const engine = await getJsonFileEngine()
+    let result
+
+    switch (action) {
+      case 'query':
+        if (!plan?.table) {
+          return res.status(400).json({ data: null, error: { message: 'Query non valida' } })
+        }
+        if (!isAllowed(plan)) {
+          return res.status(403).json({ data: null, error: { message: `Operazione ${plan.action} non consentita su ${plan.table}` } })
+        }
+        result = await engine.run(plan, { settings })
+        break
+
+      case 'rpc':
+        if (!name) {
+          return res.status(400).json({ data: null, error: { message: 'Funzione non indicata' } })
+        }
+        result = await engine.rpc(name, args || {}, { settings })
+        break
+
+      default:
+        return res.status(400).json({ data: null, error: { message: `Azione non valida: ${action}` } })
+    }
+
+    // Gli errori del motore hanno la stessa forma di quelli di Supabase
+    return res.status(result.error ? 400 : 200).json(result)
+  } catch (error) {
+    console.error('❌ Errore API dati:', error)
+    return res.status(500).json({ data: null, error: { message: 'Errore interno', details: error.message } })
+  }
+}
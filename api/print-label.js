@@ -0,0 +1,43 @@
+// API stampa etichette su stampante termica del server Express
+// GET  /api/print-label        -> stampante configurata ({ configured, host, port })
+// POST /api/print-label { zpl } -> invia il lavoro ZPL alla stampante (LABEL_PRINTER_HOST)
+// Pensata per il server Express in negozio: la stampante deve essere raggiungibile dal server.
+// Richiede la sessione Supabase o la chiave API_KEY, come /api/db.
+
+import { requireAuth } from './_lib/auth.js'
+import { getLabelPrinterConfig, sendToLabelPrinter } from './_lib/labelPrinter.js'
+
+// Un lavoro più grande non è un insieme di etichette
+const MAX_JOB_LENGTH = 512 * 1024
+
+export default async function handler(req, res) {
+  const user = await requireAuth(req, res)
+  if (!user) return
+
+  const printer = getLabelPrinterConfig()
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ data: { configured: Boolean(printer.host), ...printer }, error: null })
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ data: null, error: { message: 'Metodo non consentito' } })
+  }
+
+  const { zpl } = req.body || {}
+  if (typeof zpl !== 'string' || !zpl.trim().startsWith('^XA') || zpl.length > MAX_JOB_LENGTH) {
+    return res.status(400).json({ data: null, error: { message: 'Etichetta ZPL non valida' } })
+  }
+  if (!printer.host) {
+    return res.status(503).json({ data: null, error: { message: 'Stampante etichette non configurata (LABEL_PRINTER_HOST)' } })
+  }
+
+  try {
+    const result = await sendToLabelPrinter(zpl, printer)
+    console.log(`🏷️ Inviate ${result.bytes} byte a ${printer.host}:${printer.port}`)
+    return res.status(200).json({ data: result, error: null })
+  } catch (error) {
+    console.error('❌ Errore invio alla stampante:', error)
+    return res.status(502).json({ data: null, error: { message: `Stampante non raggiungibile: ${error.message}` } })
+  }
+}
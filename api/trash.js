@@ -0,0 +1,29 @@
+// API cestino
+// POST /api/trash { action: 'purge-expired' } -> elimina i prodotti scaduti dal cestino
+// Sul server Express lo fa già startTrashPurgeScheduler; su Vercel, dove non ci
+// sono processi sempre attivi, la chiama un cron esterno con l'header X-Api-Key.
+
+import { requireAuth } from './_lib/auth.js'
+import { runTrashPurge } from './_lib/trashJobs.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ data: null, error: { message: 'Metodo non consentito' } })
+  }
+
+  const user = await requireAuth(req, res)
+  if (!user) return
+
+  try {
+    const { action } = req.body || {}
+    if (action !== 'purge-expired') {
+      return res.status(400).json({ data: null, error: { message: `Azione non valida: ${action}` } })
+    }
+
+    const result = await runTrashPurge()
+    return res.status(result.error ? 500 : 200).json(result)
+  } catch (error) {
+    console.error('❌ Errore API cestino:', error)
+    return res.status(500).json({ data: null, error: { message: 'Errore interno', details: error.message } })
+  }
+}
@@ -0,0 +1,90 @@
+-- ============================================================
+-- Storico movimenti di magazzino
+-- Ogni variazione di giacenza passa da apply_stock_movement(),
+-- che aggiorna il prodotto e registra il movimento in un'unica
+-- transazione.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id BIGSERIAL PRIMARY KEY,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  movement_type TEXT NOT NULL
+    CHECK (movement_type IN ('carico', 'vendita', 'reso', 'rettifica', 'trasferimento')),
+  -- Variazione con segno applicata a quantity_stock
+  quantity INTEGER NOT NULL CHECK (quantity <> 0),
+  quantity_before INTEGER NOT NULL,
+  quantity_after INTEGER NOT NULL,
+  reason TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product
+  ON stock_movements (product_id, created_at DESC);
+
+-- Applica un movimento in modo atomico.
+-- p_quantity è sempre positiva per carico, vendita e reso;
+-- per rettifica e trasferimento è la variazione con segno.
+CREATE OR REPLACE FUNCTION apply_stock_movement(
+  p_product_id UUID,
+  p_movement_type TEXT,
+  p_quantity INTEGER,
+  p_reason TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL
+) RETURNS stock_movements
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+  v_delta INTEGER;
+  v_sold_delta INTEGER := 0;
+  v_movement stock_movements;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity = 0 THEN
+    RAISE EXCEPTION 'La quantità del movimento non può essere zero';
+  END IF;
+
+  CASE p_movement_type
+    WHEN 'carico' THEN v_delta := ABS(p_quantity);
+    WHEN 'reso' THEN
+      v_delta := ABS(p_quantity);
+      v_sold_delta := -ABS(p_quantity);
+    WHEN 'vendita' THEN
+      v_delta := -ABS(p_quantity);
+      v_sold_delta := ABS(p_quantity);
+    WHEN 'rettifica', 'trasferimento' THEN v_delta := p_quantity;
+    ELSE RAISE EXCEPTION 'Tipo movimento non valido: %', p_movement_type;
+  END CASE;
+
+  -- Blocca la riga del prodotto fino alla fine della transazione
+  SELECT quantity_stock INTO v_stock
+  FROM products
+  WHERE id = p_product_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  v_stock := COALESCE(v_stock, 0);
+
+  IF v_stock + v_delta < 0 THEN
+    RAISE EXCEPTION 'Giacenza insufficiente: disponibili %, richiesti %', v_stock, ABS(v_delta);
+  END IF;
+
+  UPDATE products
+  SET quantity_stock = v_stock + v_delta,
+      quantity_sold = GREATEST(COALESCE(quantity_sold, 0) + v_sold_delta, 0),
+      updated_at = NOW()
+  WHERE id = p_product_id;
+
+  INSERT INTO stock_movements (
+    product_id, movement_type, quantity, quantity_before, quantity_after, reason, operator
+  ) VALUES (
+    p_product_id, p_movement_type, v_delta, v_stock, v_stock + v_delta, p_reason, p_operator
+  )
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$;
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Soglie di scorta minima configurabili
+-- Regola unica: soglia del prodotto -> soglia della linea ->
+-- default globale (app_settings.low_stock_threshold).
+-- Un prodotto è sotto scorta quando quantity_stock < soglia.
+-- ============================================================
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS min_stock INTEGER CHECK (min_stock >= 0);
+
+ALTER TABLE lines
+  ADD COLUMN IF NOT EXISTS min_stock INTEGER CHECK (min_stock >= 0);
+
+-- Impostazioni applicative chiave/valore gestite da /settings
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO app_settings (key, value)
+VALUES ('low_stock_threshold', '10')
+ON CONFLICT (key) DO NOTHING;
+
+-- Colonne calcolate esposte da PostgREST (selezionabili e filtrabili)
+CREATE OR REPLACE FUNCTION effective_min_stock(p products)
+RETURNS INTEGER
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(
+    p.min_stock,
+    (SELECT l.min_stock FROM lines l WHERE l.id = p.line_id),
+    (SELECT (s.value #>> '{}')::INTEGER FROM app_settings s WHERE s.key = 'low_stock_threshold'),
+    10
+  )
+$$;
+
+CREATE OR REPLACE FUNCTION is_low_stock(p products)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(p.quantity_stock, 0) < effective_min_stock(p)
+$$;
@@ -0,0 +1,61 @@
+-- ============================================================
+-- Generazione SKU atomica
+-- Il contatore in sku_counter avanza in un unico UPDATE, che
+-- blocca la riga: due operatori non ricevono mai lo stesso valore.
+-- Il formato dello SKU è configurato in app_settings.sku_pattern.
+-- ============================================================
+
+-- Riga unica del contatore (max SKU esistente: 241)
+INSERT INTO sku_counter (id, current_value)
+VALUES (1, 241)
+ON CONFLICT (id) DO NOTHING;
+
+-- Nessun SKU duplicato
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku_unique ON products (sku);
+
+-- Blocchi di valori riservati (anche per un singolo SKU)
+CREATE TABLE IF NOT EXISTS sku_reservations (
+  id BIGSERIAL PRIMARY KEY,
+  first_value INTEGER NOT NULL,
+  last_value INTEGER NOT NULL,
+  reserved_by TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (last_value >= first_value)
+);
+
+CREATE OR REPLACE FUNCTION reserve_sku_block(
+  p_count INTEGER DEFAULT 1,
+  p_reserved_by TEXT DEFAULT NULL,
+  p_note TEXT DEFAULT NULL
+) RETURNS sku_reservations
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_last INTEGER;
+  v_reservation sku_reservations;
+BEGIN
+  IF p_count IS NULL OR p_count < 1 OR p_count > 1000 THEN
+    RAISE EXCEPTION 'Numero di SKU da riservare non valido: %', p_count;
+  END IF;
+
+  UPDATE sku_counter
+  SET current_value = current_value + p_count
+  WHERE id = 1
+  RETURNING current_value INTO v_last;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Contatore SKU non inizializzato';
+  END IF;
+
+  INSERT INTO sku_reservations (first_value, last_value, reserved_by, note)
+  VALUES (v_last - p_count + 1, v_last, p_reserved_by, p_note)
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$;
+
+INSERT INTO app_settings (key, value)
+VALUES ('sku_pattern', '{"prefix": "", "padding": 4, "separator": "-", "segments": ["counter", "article"], "lineLength": 3}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,24 @@
+-- ============================================================
+-- Cronologia modifiche prodotti e foto
+-- Una riga per operazione, con i soli campi cambiati:
+-- changes = { "campo": { "old": ..., "new": ... } }
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS product_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  -- Nessuna FK: la cronologia resta anche dopo l'eliminazione del prodotto
+  product_id UUID NOT NULL,
+  entity TEXT NOT NULL DEFAULT 'product' CHECK (entity IN ('product', 'photo')),
+  entity_id TEXT,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'stock')),
+  changes JSONB NOT NULL DEFAULT '{}',
+  note TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_audit_log_product
+  ON product_audit_log (product_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_product_audit_log_operator
+  ON product_audit_log (operator);
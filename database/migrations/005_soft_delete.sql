@@ -0,0 +1,31 @@
+-- ============================================================
+-- Cestino: eliminazione logica di prodotti e foto
+-- Un prodotto eliminato resta in tabella con deleted_at valorizzato
+-- ed è escluso da elenchi, statistiche e valorizzazione.
+-- Le foto eliminate insieme al prodotto ricevono lo stesso deleted_at,
+-- così il ripristino riporta solo quelle.
+-- ============================================================
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+ALTER TABLE product_photos
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_products_deleted_at
+  ON products (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- Giorni di permanenza nel cestino prima dell'eliminazione definitiva
+INSERT INTO app_settings (key, value)
+VALUES ('trash_retention_days', '30')
+ON CONFLICT (key) DO NOTHING;
+
+-- Nuove azioni della cronologia: ripristino ed eliminazione definitiva
+ALTER TABLE product_audit_log
+  DROP CONSTRAINT IF EXISTS product_audit_log_action_check;
+
+ALTER TABLE product_audit_log
+  ADD CONSTRAINT product_audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'stock', 'restore', 'purge'));
@@ -0,0 +1,82 @@
+-- ============================================================
+-- Gestione tabelle di lookup da /settings
+-- Ordinamento manuale (sort_order) e unione dei duplicati:
+-- merge_lookup_value() sposta tutti i prodotti sul valore che
+-- resta ed elimina il duplicato in un'unica transazione.
+-- ============================================================
+
+ALTER TABLE colors ADD COLUMN IF NOT EXISTS sort_order INTEGER;
+ALTER TABLE lines ADD COLUMN IF NOT EXISTS sort_order INTEGER;
+ALTER TABLE sizes ADD COLUMN IF NOT EXISTS sort_order INTEGER;
+ALTER TABLE compositions ADD COLUMN IF NOT EXISTS sort_order INTEGER;
+ALTER TABLE models ADD COLUMN IF NOT EXISTS sort_order INTEGER;
+
+-- Ordine iniziale: alfabetico, come in precedenza
+UPDATE colors c SET sort_order = o.n
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY name) AS n FROM colors) o
+WHERE c.id = o.id AND c.sort_order IS NULL;
+
+UPDATE lines l SET sort_order = o.n
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY name) AS n FROM lines) o
+WHERE l.id = o.id AND l.sort_order IS NULL;
+
+UPDATE sizes s SET sort_order = o.n
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY name) AS n FROM sizes) o
+WHERE s.id = o.id AND s.sort_order IS NULL;
+
+UPDATE compositions c SET sort_order = o.n
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY name) AS n FROM compositions) o
+WHERE c.id = o.id AND c.sort_order IS NULL;
+
+UPDATE models m SET sort_order = o.n
+FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY name) AS n FROM models) o
+WHERE m.id = o.id AND m.sort_order IS NULL;
+
+CREATE OR REPLACE FUNCTION merge_lookup_value(
+  p_table TEXT,
+  p_source_id UUID,
+  p_target_id UUID
+) RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_column TEXT;
+  v_found INTEGER;
+  v_reassigned INTEGER;
+BEGIN
+  -- Solo le tabelle di lookup note (stesso elenco di src/lib/lookups.js)
+  v_column := CASE p_table
+    WHEN 'colors' THEN 'color_id'
+    WHEN 'lines' THEN 'line_id'
+    WHEN 'sizes' THEN 'size_id'
+    WHEN 'compositions' THEN 'composition_id'
+    WHEN 'models' THEN 'model_id'
+  END;
+
+  IF v_column IS NULL THEN
+    RAISE EXCEPTION 'Tabella di lookup non valida: %', p_table;
+  END IF;
+
+  IF p_source_id = p_target_id THEN
+    RAISE EXCEPTION 'Il valore di origine e quello di destinazione coincidono';
+  END IF;
+
+  -- Blocca entrambi i valori fino alla fine della transazione
+  EXECUTE format('SELECT COUNT(*) FROM (SELECT id FROM %I WHERE id IN ($1, $2) FOR UPDATE) v', p_table)
+  INTO v_found
+  USING p_source_id, p_target_id;
+
+  IF v_found < 2 THEN
+    RAISE EXCEPTION 'Valore di lookup non trovato';
+  END IF;
+
+  EXECUTE format('UPDATE products SET %I = $1, updated_at = NOW() WHERE %I = $2', v_column, v_column)
+  USING p_target_id, p_source_id;
+  GET DIAGNOSTICS v_reassigned = ROW_COUNT;
+
+  EXECUTE format('DELETE FROM %I WHERE id = $1', p_table)
+  USING p_source_id;
+
+  RETURN v_reassigned;
+END;
+$$;
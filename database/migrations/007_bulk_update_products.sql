@@ -0,0 +1,50 @@
+-- ============================================================
+-- Modifica massiva dei prodotti
+-- Tutti gli aggiornamenti in un'unica transazione: se un
+-- prodotto non esiste (o è nel cestino) non cambia nulla.
+-- p_updates = [{ "id": "...", "values": { "campo": valore } }]
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION bulk_update_products(p_updates JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item JSONB;
+  v_values JSONB;
+  v_field TEXT;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_updates)
+  LOOP
+    v_values := v_item->'values';
+
+    -- Stesso elenco di BULK_EDITABLE_FIELDS in src/lib/bulkEdit.js
+    FOR v_field IN SELECT jsonb_object_keys(v_values)
+    LOOP
+      IF v_field NOT IN ('line_id', 'composition_id', 'initial_price', 'wholesale_price', 'selling_price', 'notes') THEN
+        RAISE EXCEPTION 'Campo non modificabile in blocco: %', v_field;
+      END IF;
+    END LOOP;
+
+    UPDATE products SET
+      line_id = CASE WHEN v_values ? 'line_id' THEN (v_values->>'line_id')::UUID ELSE line_id END,
+      composition_id = CASE WHEN v_values ? 'composition_id' THEN (v_values->>'composition_id')::UUID ELSE composition_id END,
+      initial_price = CASE WHEN v_values ? 'initial_price' THEN (v_values->>'initial_price')::NUMERIC ELSE initial_price END,
+      wholesale_price = CASE WHEN v_values ? 'wholesale_price' THEN (v_values->>'wholesale_price')::NUMERIC ELSE wholesale_price END,
+      selling_price = CASE WHEN v_values ? 'selling_price' THEN (v_values->>'selling_price')::NUMERIC ELSE selling_price END,
+      notes = CASE WHEN v_values ? 'notes' THEN v_values->>'notes' ELSE notes END,
+      updated_at = NOW()
+    WHERE id = (v_item->>'id')::UUID
+      AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Prodotto % non trovato', v_item->>'id';
+    END IF;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
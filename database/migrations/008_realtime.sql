@@ -0,0 +1,29 @@
+-- ============================================================
+-- Aggiornamenti in tempo reale (Supabase Realtime)
+-- Prodotti e foto inviano insert, update e delete ai client
+-- collegati. REPLICA IDENTITY FULL serve perché le eliminazioni
+-- arrivino con la riga completa (e quindi rispettino i filtri
+-- come product_id=eq.<id>).
+-- La presenza nel form prodotto usa i canali Realtime e non
+-- richiede tabelle.
+-- ============================================================
+
+ALTER TABLE products REPLICA IDENTITY FULL;
+ALTER TABLE product_photos REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'products'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE products;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'product_photos'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE product_photos;
+  END IF;
+END $$;
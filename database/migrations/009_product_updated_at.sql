@@ -0,0 +1,23 @@
+-- ============================================================
+-- Controllo di concorrenza sui prodotti
+-- db.updateProduct aggiorna solo se updated_at è ancora quello
+-- letto dal form (UPDATE ... WHERE id = ? AND updated_at = ?):
+-- ogni modifica deve quindi cambiare updated_at, anche quelle
+-- che non lo impostano esplicitamente.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := clock_timestamp();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_set_updated_at ON products;
+CREATE TRIGGER products_set_updated_at
+  BEFORE UPDATE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,133 @@
+-- ============================================================
+-- Vendite al banco
+-- Una vendita (scontrino) con le sue righe. register_sale()
+-- registra documento, righe e movimenti di vendita in un'unica
+-- transazione: se un articolo non ha giacenza non cambia nulla.
+-- p_lines = [{ "product_id": "...", "quantity": 2, "unit_price": 29.9 }]
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS sales (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Progressivo assegnato da register_sale (MAX + 1): resta corretto anche dopo un ripristino
+  number INTEGER NOT NULL UNIQUE,
+  subtotal NUMERIC(10,2) NOT NULL,
+  discount_type TEXT CHECK (discount_type IN ('percent', 'amount')),
+  discount_value NUMERIC(10,2),
+  discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  total NUMERIC(10,2) NOT NULL,
+  -- Stesso elenco di PAYMENT_METHODS in src/lib/sales.js
+  payment_method TEXT NOT NULL
+    CHECK (payment_method IN ('contanti', 'carta', 'bancomat', 'bonifico')),
+  notes TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_created_at ON sales (created_at DESC);
+
+-- SKU e descrizione copiati: lo scontrino non cambia se il prodotto cambia
+CREATE TABLE IF NOT EXISTS sale_lines (
+  id BIGSERIAL PRIMARY KEY,
+  sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  sku TEXT NOT NULL,
+  description TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(10,2) NOT NULL CHECK (unit_price >= 0),
+  line_total NUMERIC(10,2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sale_lines_sale ON sale_lines (sale_id);
+CREATE INDEX IF NOT EXISTS idx_sale_lines_product ON sale_lines (product_id);
+
+CREATE OR REPLACE FUNCTION register_sale(
+  p_lines JSONB,
+  p_payment_method TEXT,
+  p_discount_type TEXT DEFAULT NULL,
+  p_discount_value NUMERIC DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL
+) RETURNS sales
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_line JSONB;
+  v_product products;
+  v_subtotal NUMERIC := 0;
+  v_discount NUMERIC := 0;
+  v_number INTEGER;
+  v_sale sales;
+BEGIN
+  IF p_lines IS NULL OR jsonb_array_length(p_lines) = 0 THEN
+    RAISE EXCEPTION 'La vendita non contiene articoli';
+  END IF;
+
+  SELECT COALESCE(SUM((l->>'quantity')::INTEGER * (l->>'unit_price')::NUMERIC), 0)
+  INTO v_subtotal
+  FROM jsonb_array_elements(p_lines) AS l;
+  v_subtotal := ROUND(v_subtotal, 2);
+
+  -- Stesso calcolo di computeSaleTotals in src/lib/sales.js
+  IF COALESCE(p_discount_value, 0) > 0 THEN
+    v_discount := CASE p_discount_type
+      WHEN 'percent' THEN ROUND(v_subtotal * LEAST(p_discount_value, 100) / 100, 2)
+      WHEN 'amount' THEN ROUND(p_discount_value, 2)
+      ELSE 0
+    END;
+  END IF;
+  v_discount := LEAST(v_discount, v_subtotal);
+
+  -- Numerazione senza buchi né duplicati tra vendite contemporanee
+  LOCK TABLE sales IN SHARE ROW EXCLUSIVE MODE;
+  SELECT COALESCE(MAX(number), 0) + 1 INTO v_number FROM sales;
+
+  INSERT INTO sales (
+    number, subtotal, discount_type, discount_value, discount_amount, total, payment_method, notes, operator
+  ) VALUES (
+    v_number,
+    v_subtotal,
+    CASE WHEN v_discount > 0 THEN p_discount_type END,
+    CASE WHEN v_discount > 0 THEN p_discount_value END,
+    v_discount,
+    v_subtotal - v_discount,
+    p_payment_method,
+    p_notes,
+    p_operator
+  )
+  RETURNING * INTO v_sale;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines)
+  LOOP
+    SELECT * INTO v_product
+    FROM products
+    WHERE id = (v_line->>'product_id')::UUID
+      AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Prodotto % non trovato', v_line->>'product_id';
+    END IF;
+
+    -- Scala la giacenza e aumenta il venduto (errore se la giacenza non basta)
+    PERFORM apply_stock_movement(
+      v_product.id,
+      'vendita',
+      (v_line->>'quantity')::INTEGER,
+      'Vendita n. ' || v_sale.number,
+      p_operator
+    );
+
+    INSERT INTO sale_lines (sale_id, product_id, sku, description, quantity, unit_price, line_total)
+    VALUES (
+      v_sale.id,
+      v_product.id,
+      v_product.sku,
+      COALESCE(v_product.description, v_product.article),
+      (v_line->>'quantity')::INTEGER,
+      (v_line->>'unit_price')::NUMERIC,
+      ROUND((v_line->>'quantity')::INTEGER * (v_line->>'unit_price')::NUMERIC, 2)
+    );
+  END LOOP;
+
+  RETURN v_sale;
+END;
+$$;
@@ -0,0 +1,194 @@
+-- ============================================================
+-- Fornitori e ordini di acquisto
+-- Un ordine ha una riga per prodotto (variante) con quantità
+-- e costo. Il ricevimento, anche parziale, carica la giacenza
+-- con movimenti di tipo 'carico' e aggiorna initial_price con
+-- il costo reale d'acquisto, tutto in un'unica transazione.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  vat_number TEXT,
+  email TEXT,
+  phone TEXT,
+  address TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_name ON suppliers (LOWER(TRIM(name)));
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Progressivo assegnato da create_purchase_order (MAX + 1)
+  number INTEGER NOT NULL UNIQUE,
+  supplier_id UUID NOT NULL REFERENCES suppliers(id),
+  -- Stesso elenco di ORDER_STATUSES in src/lib/purchaseOrders.js
+  status TEXT NOT NULL DEFAULT 'aperto'
+    CHECK (status IN ('aperto', 'parziale', 'ricevuto', 'annullato')),
+  order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  expected_date DATE,
+  notes TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders (status, expected_date);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id BIGSERIAL PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id),
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  unit_cost NUMERIC(10,2) CHECK (unit_cost >= 0),
+  UNIQUE (order_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_product ON purchase_order_lines (product_id);
+
+-- Una riga per articolo consegnato: storico dei ricevimenti parziali
+CREATE TABLE IF NOT EXISTS purchase_receipts (
+  id BIGSERIAL PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  line_id BIGINT NOT NULL REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_cost NUMERIC(10,2),
+  note TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_receipts_order ON purchase_receipts (order_id, created_at DESC);
+
+-- Crea ordine e righe
+-- p_lines = [{ "product_id": "...", "quantity_ordered": 10, "unit_cost": 12.5 }]
+CREATE OR REPLACE FUNCTION create_purchase_order(
+  p_supplier_id UUID,
+  p_lines JSONB,
+  p_expected_date DATE DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL
+) RETURNS purchase_orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order purchase_orders;
+  v_number INTEGER;
+BEGIN
+  IF p_lines IS NULL OR jsonb_array_length(p_lines) = 0 THEN
+    RAISE EXCEPTION 'L''ordine non contiene articoli';
+  END IF;
+
+  LOCK TABLE purchase_orders IN SHARE ROW EXCLUSIVE MODE;
+  SELECT COALESCE(MAX(number), 0) + 1 INTO v_number FROM purchase_orders;
+
+  INSERT INTO purchase_orders (number, supplier_id, expected_date, notes, operator)
+  VALUES (v_number, p_supplier_id, p_expected_date, p_notes, p_operator)
+  RETURNING * INTO v_order;
+
+  INSERT INTO purchase_order_lines (order_id, product_id, quantity_ordered, unit_cost)
+  SELECT v_order.id,
+         (l->>'product_id')::UUID,
+         (l->>'quantity_ordered')::INTEGER,
+         NULLIF(l->>'unit_cost', '')::NUMERIC
+  FROM jsonb_array_elements(p_lines) AS l;
+
+  RETURN v_order;
+END;
+$$;
+
+-- Ricevimento merce, anche parziale
+-- p_lines = [{ "line_id": 1, "quantity": 4, "unit_cost": 12.8 }]
+CREATE OR REPLACE FUNCTION receive_purchase_order(
+  p_order_id UUID,
+  p_lines JSONB,
+  p_note TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL
+) RETURNS purchase_orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order purchase_orders;
+  v_item JSONB;
+  v_line purchase_order_lines;
+  v_quantity INTEGER;
+  v_cost NUMERIC;
+BEGIN
+  SELECT * INTO v_order FROM purchase_orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ordine % non trovato', p_order_id;
+  END IF;
+
+  IF v_order.status NOT IN ('aperto', 'parziale') THEN
+    RAISE EXCEPTION 'L''ordine n. % non è in attesa di merce', v_order.number;
+  END IF;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_lines)
+  LOOP
+    v_quantity := (v_item->>'quantity')::INTEGER;
+    CONTINUE WHEN COALESCE(v_quantity, 0) = 0;
+
+    SELECT * INTO v_line
+    FROM purchase_order_lines
+    WHERE id = (v_item->>'line_id')::BIGINT AND order_id = p_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Riga % non presente nell''ordine', v_item->>'line_id';
+    END IF;
+
+    IF v_quantity < 0 OR v_line.quantity_received + v_quantity > v_line.quantity_ordered THEN
+      RAISE EXCEPTION 'Quantità non valida per la riga %: residuo %',
+        v_line.id, v_line.quantity_ordered - v_line.quantity_received;
+    END IF;
+
+    v_cost := COALESCE(NULLIF(v_item->>'unit_cost', '')::NUMERIC, v_line.unit_cost);
+
+    PERFORM apply_stock_movement(
+      v_line.product_id,
+      'carico',
+      v_quantity,
+      'Ordine fornitore n. ' || v_order.number,
+      p_operator
+    );
+
+    UPDATE purchase_order_lines
+    SET quantity_received = quantity_received + v_quantity,
+        unit_cost = v_cost
+    WHERE id = v_line.id;
+
+    -- Il costo reale d'acquisto diventa il prezzo di costo del prodotto
+    IF v_cost IS NOT NULL THEN
+      UPDATE products SET initial_price = v_cost WHERE id = v_line.product_id;
+    END IF;
+
+    INSERT INTO purchase_receipts (order_id, line_id, product_id, quantity, unit_cost, note, operator)
+    VALUES (p_order_id, v_line.id, v_line.product_id, v_quantity, v_cost, p_note, p_operator);
+  END LOOP;
+
+  -- Stesso calcolo di orderStatusAfterReceipt in src/lib/purchaseOrders.js
+  UPDATE purchase_orders
+  SET status = CASE
+        WHEN NOT EXISTS (
+          SELECT 1 FROM purchase_order_lines
+          WHERE order_id = p_order_id AND quantity_received < quantity_ordered
+        ) THEN 'ricevuto'
+        WHEN EXISTS (
+          SELECT 1 FROM purchase_order_lines
+          WHERE order_id = p_order_id AND quantity_received > 0
+        ) THEN 'parziale'
+        ELSE 'aperto'
+      END,
+      updated_at = NOW()
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  RETURN v_order;
+END;
+$$;
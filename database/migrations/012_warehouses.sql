@@ -0,0 +1,269 @@
+-- ============================================================
+-- Magazzini, ubicazioni e trasferimenti
+-- products.quantity_stock resta la giacenza totale; location_stock
+-- dice dove si trova. La parte non assegnata a un'ubicazione è
+-- "non ubicata" (quantity_stock - somma delle ubicazioni).
+-- I movimenti con p_location_id agiscono su quell'ubicazione;
+-- le uscite senza ubicazione scalano prima dai non ubicati e poi
+-- dalle ubicazioni in ordine di prelievo (warehouses.sort_order).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS warehouses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  address TEXT,
+  -- Ordine di prelievo: prima i magazzini con valore più basso (es. negozio)
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_warehouses_name ON warehouses (LOWER(TRIM(name)));
+
+-- Scaffale / ripiano / cella, es. "A-01-3"
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_code ON locations (warehouse_id, UPPER(TRIM(code)));
+
+-- Giacenza per ubicazione (righe a zero eliminate)
+CREATE TABLE IF NOT EXISTS location_stock (
+  id BIGSERIAL PRIMARY KEY,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  location_id UUID NOT NULL REFERENCES locations(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  UNIQUE (product_id, location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_stock_location ON location_stock (location_id);
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Progressivo assegnato da transfer_stock (MAX + 1)
+  number INTEGER NOT NULL UNIQUE,
+  -- NULL = merce non ubicata
+  from_location_id UUID REFERENCES locations(id),
+  to_location_id UUID REFERENCES locations(id),
+  notes TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (from_location_id IS DISTINCT FROM to_location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_created_at ON stock_transfers (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_lines (
+  id BIGSERIAL PRIMARY KEY,
+  transfer_id UUID NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_lines_transfer ON stock_transfer_lines (transfer_id);
+
+-- Variazione della giacenza di un prodotto in un'ubicazione
+CREATE OR REPLACE FUNCTION adjust_location_stock(
+  p_product_id UUID,
+  p_location_id UUID,
+  p_delta INTEGER
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_quantity INTEGER;
+  v_code TEXT;
+BEGIN
+  SELECT code INTO v_code FROM locations WHERE id = p_location_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ubicazione % non trovata', p_location_id;
+  END IF;
+
+  SELECT quantity INTO v_quantity
+  FROM location_stock
+  WHERE product_id = p_product_id AND location_id = p_location_id
+  FOR UPDATE;
+
+  v_quantity := COALESCE(v_quantity, 0);
+
+  IF v_quantity + p_delta < 0 THEN
+    RAISE EXCEPTION 'Giacenza insufficiente in %: disponibili %, richiesti %', v_code, v_quantity, ABS(p_delta);
+  END IF;
+
+  IF v_quantity + p_delta = 0 THEN
+    DELETE FROM location_stock WHERE product_id = p_product_id AND location_id = p_location_id;
+  ELSE
+    INSERT INTO location_stock (product_id, location_id, quantity)
+    VALUES (p_product_id, p_location_id, v_quantity + p_delta)
+    ON CONFLICT (product_id, location_id) DO UPDATE SET quantity = EXCLUDED.quantity;
+  END IF;
+END;
+$$;
+
+-- Nuovo parametro p_location_id: la vecchia firma va rimossa per evitare
+-- due funzioni con lo stesso nome e chiamate ambigue
+DROP FUNCTION IF EXISTS apply_stock_movement(UUID, TEXT, INTEGER, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION apply_stock_movement(
+  p_product_id UUID,
+  p_movement_type TEXT,
+  p_quantity INTEGER,
+  p_reason TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL,
+  p_location_id UUID DEFAULT NULL
+) RETURNS stock_movements
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+  v_delta INTEGER;
+  v_sold_delta INTEGER := 0;
+  v_allocated INTEGER;
+  v_excess INTEGER;
+  v_row RECORD;
+  v_movement stock_movements;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity = 0 THEN
+    RAISE EXCEPTION 'La quantità del movimento non può essere zero';
+  END IF;
+
+  CASE p_movement_type
+    WHEN 'carico' THEN v_delta := ABS(p_quantity);
+    WHEN 'reso' THEN
+      v_delta := ABS(p_quantity);
+      v_sold_delta := -ABS(p_quantity);
+    WHEN 'vendita' THEN
+      v_delta := -ABS(p_quantity);
+      v_sold_delta := ABS(p_quantity);
+    WHEN 'rettifica', 'trasferimento' THEN v_delta := p_quantity;
+    ELSE RAISE EXCEPTION 'Tipo movimento non valido: %', p_movement_type;
+  END CASE;
+
+  -- Blocca la riga del prodotto fino alla fine della transazione
+  SELECT quantity_stock INTO v_stock
+  FROM products
+  WHERE id = p_product_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  v_stock := COALESCE(v_stock, 0);
+
+  IF v_stock + v_delta < 0 THEN
+    RAISE EXCEPTION 'Giacenza insufficiente: disponibili %, richiesti %', v_stock, ABS(v_delta);
+  END IF;
+
+  IF p_location_id IS NOT NULL THEN
+    PERFORM adjust_location_stock(p_product_id, p_location_id, v_delta);
+  ELSIF v_delta < 0 THEN
+    -- Stesso calcolo di planLocationWithdrawal in src/lib/locations.js
+    SELECT COALESCE(SUM(quantity), 0) INTO v_allocated FROM location_stock WHERE product_id = p_product_id;
+    v_excess := v_allocated - (v_stock + v_delta);
+
+    FOR v_row IN
+      SELECT ls.location_id, ls.quantity
+      FROM location_stock ls
+      JOIN locations l ON l.id = ls.location_id
+      JOIN warehouses w ON w.id = l.warehouse_id
+      WHERE ls.product_id = p_product_id
+      ORDER BY w.sort_order, w.name, l.code
+    LOOP
+      EXIT WHEN v_excess <= 0;
+      PERFORM adjust_location_stock(p_product_id, v_row.location_id, -LEAST(v_row.quantity, v_excess));
+      v_excess := v_excess - LEAST(v_row.quantity, v_excess);
+    END LOOP;
+  END IF;
+
+  UPDATE products
+  SET quantity_stock = v_stock + v_delta,
+      quantity_sold = GREATEST(COALESCE(quantity_sold, 0) + v_sold_delta, 0),
+      updated_at = NOW()
+  WHERE id = p_product_id;
+
+  INSERT INTO stock_movements (
+    product_id, movement_type, quantity, quantity_before, quantity_after, reason, operator
+  ) VALUES (
+    p_product_id, p_movement_type, v_delta, v_stock, v_stock + v_delta, p_reason, p_operator
+  )
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$;
+
+-- Trasferimento tra ubicazioni (NULL = non ubicato): la giacenza totale non cambia
+-- p_lines = [{ "product_id": "...", "quantity": 3 }]
+CREATE OR REPLACE FUNCTION transfer_stock(
+  p_from_location_id UUID,
+  p_to_location_id UUID,
+  p_lines JSONB,
+  p_notes TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL
+) RETURNS stock_transfers
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_line JSONB;
+  v_product products;
+  v_quantity INTEGER;
+  v_unlocated INTEGER;
+  v_number INTEGER;
+  v_transfer stock_transfers;
+BEGIN
+  IF p_from_location_id IS NOT DISTINCT FROM p_to_location_id THEN
+    RAISE EXCEPTION 'Origine e destinazione coincidono';
+  END IF;
+
+  IF p_lines IS NULL OR jsonb_array_length(p_lines) = 0 THEN
+    RAISE EXCEPTION 'Il trasferimento non contiene articoli';
+  END IF;
+
+  LOCK TABLE stock_transfers IN SHARE ROW EXCLUSIVE MODE;
+  SELECT COALESCE(MAX(number), 0) + 1 INTO v_number FROM stock_transfers;
+
+  INSERT INTO stock_transfers (number, from_location_id, to_location_id, notes, operator)
+  VALUES (v_number, p_from_location_id, p_to_location_id, p_notes, p_operator)
+  RETURNING * INTO v_transfer;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines)
+  LOOP
+    v_quantity := (v_line->>'quantity')::INTEGER;
+
+    SELECT * INTO v_product FROM products WHERE id = (v_line->>'product_id')::UUID FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Prodotto % non trovato', v_line->>'product_id';
+    END IF;
+
+    IF COALESCE(v_quantity, 0) <= 0 THEN
+      RAISE EXCEPTION 'Quantità non valida per %', v_product.sku;
+    END IF;
+
+    IF p_from_location_id IS NULL THEN
+      SELECT COALESCE(v_product.quantity_stock, 0) - COALESCE(SUM(quantity), 0) INTO v_unlocated
+      FROM location_stock WHERE product_id = v_product.id;
+
+      IF v_unlocated < v_quantity THEN
+        RAISE EXCEPTION 'Giacenza non ubicata insufficiente per %: disponibili %, richiesti %',
+          v_product.sku, v_unlocated, v_quantity;
+      END IF;
+    ELSE
+      PERFORM adjust_location_stock(v_product.id, p_from_location_id, -v_quantity);
+    END IF;
+
+    IF p_to_location_id IS NOT NULL THEN
+      PERFORM adjust_location_stock(v_product.id, p_to_location_id, v_quantity);
+    END IF;
+
+    INSERT INTO stock_transfer_lines (transfer_id, product_id, quantity)
+    VALUES (v_transfer.id, v_product.id, v_quantity);
+  END LOOP;
+
+  RETURN v_transfer;
+END;
+$$;
@@ -0,0 +1,216 @@
+-- ============================================================
+-- Inventario fisico (sessioni di conta)
+-- Una conta riguarda un'ubicazione e/o una linea (entrambe NULL =
+-- tutto il magazzino). Più operatori contano in parallelo: ogni
+-- lettura somma i pezzi sulla riga del prodotto in modo atomico.
+-- L'approvazione confronta il contato con la giacenza attuale
+-- (dell'ubicazione, se indicata) e registra le differenze come
+-- movimenti di 'rettifica'.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS inventory_counts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Progressivo assegnato da open_inventory_count (MAX + 1)
+  number INTEGER NOT NULL UNIQUE,
+  location_id UUID REFERENCES locations(id),
+  line_id UUID REFERENCES lines(id),
+  -- Stesso elenco di COUNT_STATUSES in src/lib/inventoryCounts.js
+  status TEXT NOT NULL DEFAULT 'aperto'
+    CHECK (status IN ('aperto', 'approvato', 'annullato')),
+  notes TEXT,
+  operator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMPTZ,
+  closed_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_counts_status ON inventory_counts (status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS inventory_count_lines (
+  id BIGSERIAL PRIMARY KEY,
+  count_id UUID NOT NULL REFERENCES inventory_counts(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  counted_quantity INTEGER NOT NULL DEFAULT 0 CHECK (counted_quantity >= 0),
+  -- Giacenza attesa al momento dell'approvazione (NULL finché la conta è aperta)
+  expected_quantity INTEGER,
+  -- Ultimo operatore che ha contato la riga
+  counted_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (count_id, product_id)
+);
+
+-- Le righe contate dagli altri operatori arrivano in tempo reale
+ALTER TABLE inventory_count_lines REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'inventory_count_lines'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE inventory_count_lines;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION open_inventory_count(
+  p_location_id UUID DEFAULT NULL,
+  p_line_id UUID DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL
+) RETURNS inventory_counts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_number INTEGER;
+  v_count inventory_counts;
+BEGIN
+  LOCK TABLE inventory_counts IN SHARE ROW EXCLUSIVE MODE;
+  SELECT COALESCE(MAX(number), 0) + 1 INTO v_number FROM inventory_counts;
+
+  INSERT INTO inventory_counts (number, location_id, line_id, notes, operator)
+  VALUES (v_number, p_location_id, p_line_id, p_notes, p_operator)
+  RETURNING * INTO v_count;
+
+  RETURN v_count;
+END;
+$$;
+
+-- p_mode 'add' somma p_quantity (negativa per correggere), 'set' la sostituisce
+CREATE OR REPLACE FUNCTION record_inventory_count(
+  p_count_id UUID,
+  p_product_id UUID,
+  p_quantity INTEGER,
+  p_mode TEXT DEFAULT 'add',
+  p_operator TEXT DEFAULT NULL
+) RETURNS inventory_count_lines
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status TEXT;
+  v_counted INTEGER;
+  v_line inventory_count_lines;
+BEGIN
+  IF p_mode NOT IN ('add', 'set') THEN
+    RAISE EXCEPTION 'Modalità di conta non valida: %', p_mode;
+  END IF;
+
+  -- Lettura condivisa: le conte in parallelo non si bloccano a vicenda, l'approvazione sì
+  SELECT status INTO v_status FROM inventory_counts WHERE id = p_count_id FOR SHARE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Conta % non trovata', p_count_id;
+  END IF;
+  IF v_status <> 'aperto' THEN
+    RAISE EXCEPTION 'La conta non è più aperta';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM products WHERE id = p_product_id AND deleted_at IS NULL) THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  IF p_mode = 'set' AND p_quantity < 0 THEN
+    RAISE EXCEPTION 'La quantità contata non può essere negativa';
+  END IF;
+
+  -- Una correzione in meno non può portare il contato sotto zero
+  IF p_mode = 'add' AND p_quantity < 0 THEN
+    SELECT counted_quantity INTO v_counted
+    FROM inventory_count_lines
+    WHERE count_id = p_count_id AND product_id = p_product_id
+    FOR UPDATE;
+
+    IF COALESCE(v_counted, 0) + p_quantity < 0 THEN
+      RAISE EXCEPTION 'La quantità contata non può essere negativa: contati %, da togliere %', COALESCE(v_counted, 0), ABS(p_quantity);
+    END IF;
+  END IF;
+
+  INSERT INTO inventory_count_lines (count_id, product_id, counted_quantity, counted_by)
+  VALUES (p_count_id, p_product_id, p_quantity, p_operator)
+  ON CONFLICT (count_id, product_id) DO UPDATE SET
+    counted_quantity = CASE
+      WHEN p_mode = 'set' THEN p_quantity
+      ELSE inventory_count_lines.counted_quantity + p_quantity
+    END,
+    counted_by = EXCLUDED.counted_by,
+    updated_at = NOW()
+  RETURNING * INTO v_line;
+
+  RETURN v_line;
+END;
+$$;
+
+-- Registra le differenze come rettifiche e chiude la conta.
+-- p_zero_uncounted: i prodotti dell'ambito con giacenza ma non contati valgono 0
+CREATE OR REPLACE FUNCTION approve_inventory_count(
+  p_count_id UUID,
+  p_zero_uncounted BOOLEAN DEFAULT FALSE,
+  p_operator TEXT DEFAULT NULL
+) RETURNS inventory_counts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count inventory_counts;
+  v_line RECORD;
+  v_expected INTEGER;
+BEGIN
+  SELECT * INTO v_count FROM inventory_counts WHERE id = p_count_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Conta % non trovata', p_count_id;
+  END IF;
+  IF v_count.status <> 'aperto' THEN
+    RAISE EXCEPTION 'La conta n. % non è aperta', v_count.number;
+  END IF;
+
+  IF p_zero_uncounted THEN
+    INSERT INTO inventory_count_lines (count_id, product_id, counted_quantity, counted_by)
+    SELECT v_count.id, p.id, 0, p_operator
+    FROM products p
+    WHERE p.deleted_at IS NULL
+      AND (v_count.line_id IS NULL OR p.line_id = v_count.line_id)
+      AND CASE
+        WHEN v_count.location_id IS NULL THEN COALESCE(p.quantity_stock, 0) > 0
+        ELSE EXISTS (
+          SELECT 1 FROM location_stock ls
+          WHERE ls.product_id = p.id AND ls.location_id = v_count.location_id
+        )
+      END
+    ON CONFLICT (count_id, product_id) DO NOTHING;
+  END IF;
+
+  FOR v_line IN
+    SELECT l.id, l.product_id, l.counted_quantity, p.quantity_stock
+    FROM inventory_count_lines l
+    JOIN products p ON p.id = l.product_id
+    WHERE l.count_id = v_count.id
+    ORDER BY l.id
+  LOOP
+    -- Stesso calcolo di expectedQuantity in src/lib/inventoryCounts.js
+    IF v_count.location_id IS NULL THEN
+      v_expected := COALESCE(v_line.quantity_stock, 0);
+    ELSE
+      SELECT COALESCE(MAX(quantity), 0) INTO v_expected
+      FROM location_stock
+      WHERE product_id = v_line.product_id AND location_id = v_count.location_id;
+    END IF;
+
+    UPDATE inventory_count_lines SET expected_quantity = v_expected WHERE id = v_line.id;
+
+    IF v_line.counted_quantity <> v_expected THEN
+      PERFORM apply_stock_movement(
+        v_line.product_id,
+        'rettifica',
+        v_line.counted_quantity - v_expected,
+        'Inventario n. ' || v_count.number,
+        p_operator,
+        v_count.location_id
+      );
+    END IF;
+  END LOOP;
+
+  UPDATE inventory_counts
+  SET status = 'approvato', closed_at = NOW(), closed_by = p_operator
+  WHERE id = v_count.id
+  RETURNING * INTO v_count;
+
+  RETURN v_count;
+END;
+$$;
@@ -0,0 +1,67 @@
+-- ============================================================
+-- Creazione di un prodotto con la giacenza iniziale
+-- Inserimento e movimento di carico nella stessa transazione:
+-- se il carico fallisce il prodotto non viene creato.
+-- p_product = { "sku": "...", "article": "...", ... }
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION create_product(
+  p_product JSONB,
+  p_initial_stock INTEGER DEFAULT 0,
+  p_operator TEXT DEFAULT NULL
+) RETURNS products
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_field TEXT;
+  v_columns TEXT;
+  v_product products;
+BEGIN
+  IF p_initial_stock IS NULL OR p_initial_stock < 0 THEN
+    RAISE EXCEPTION 'Giacenza iniziale non valida: %', p_initial_stock;
+  END IF;
+
+  FOR v_field IN SELECT jsonb_object_keys(p_product)
+  LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_attribute
+      WHERE attrelid = 'products'::regclass
+        AND attname = v_field
+        AND attnum > 0
+        AND NOT attisdropped
+    ) THEN
+      RAISE EXCEPTION 'Colonna non valida: %', v_field;
+    END IF;
+  END LOOP;
+
+  -- Solo le colonne presenti: le altre prendono il valore di default.
+  -- Giacenza e venduto partono da zero e cambiano solo con i movimenti.
+  SELECT string_agg(quote_ident(attname), ', ')
+  INTO v_columns
+  FROM pg_attribute
+  WHERE attrelid = 'products'::regclass
+    AND attnum > 0
+    AND NOT attisdropped
+    AND attgenerated = ''
+    AND attname NOT IN ('quantity_stock', 'quantity_sold')
+    AND p_product ? attname;
+
+  IF v_columns IS NULL THEN
+    RAISE EXCEPTION 'Dati del prodotto mancanti';
+  END IF;
+
+  EXECUTE format(
+    'INSERT INTO products (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::products, $1) RETURNING *',
+    v_columns
+  )
+  INTO v_product
+  USING p_product;
+
+  IF p_initial_stock > 0 THEN
+    PERFORM apply_stock_movement(v_product.id, 'carico', p_initial_stock, 'Giacenza iniziale', p_operator);
+    SELECT * INTO v_product FROM products WHERE id = v_product.id;
+  END IF;
+
+  RETURN v_product;
+END;
+$$;
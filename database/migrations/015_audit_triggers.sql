@@ -0,0 +1,281 @@
+-- ============================================================
+-- Cronologia scritta dal database
+-- I trigger registrano in product_audit_log ogni modifica di
+-- prodotti, foto e giacenze nella stessa transazione, qualunque
+-- sia il client (app, API, funzioni RPC).
+-- - operatore: email della sessione Supabase (request.jwt.claims),
+--   altrimenti l'impostazione app.operator della transazione
+-- - nota: impostazione app.audit_note della transazione, usata
+--   dalle funzioni RPC (modifica massiva, unione di valori)
+-- Le righe con created_at precedente alla transazione sono dati
+-- storici ripristinati da un backup, che ha già la sua cronologia.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION audit_operator()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(
+    NULLIF(current_setting('request.jwt.claims', true), '')::JSONB ->> 'email',
+    NULLIF(current_setting('app.operator', true), '')
+  );
+$$;
+
+-- Campi cambiati tra due versioni di un record: { "campo": { "old": ..., "new": ... } }
+-- Stessi campi esclusi di diffFields in src/lib/audit.js
+CREATE OR REPLACE FUNCTION audit_changes(p_old JSONB, p_new JSONB, p_ignored TEXT[])
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(jsonb_object_agg(k.key, jsonb_build_object('old', p_old -> k.key, 'new', p_new -> k.key)), '{}')
+  FROM (
+    SELECT jsonb_object_keys(COALESCE(p_old, '{}') || COALESCE(p_new, '{}')) AS key
+  ) k
+  WHERE k.key <> ALL (p_ignored)
+    AND COALESCE(p_old -> k.key, 'null') IS DISTINCT FROM COALESCE(p_new -> k.key, 'null');
+$$;
+
+CREATE OR REPLACE FUNCTION audit_product_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  -- Giacenza e venduto cambiano solo con i movimenti, registrati da audit_stock_movement
+  v_ignored TEXT[] := ARRAY['id', 'created_at', 'updated_at', 'quantity_stock', 'quantity_sold'];
+  v_action TEXT;
+  v_note TEXT := NULLIF(current_setting('app.audit_note', true), '');
+  v_changes JSONB;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.created_at < NOW() THEN
+      RETURN NULL;
+    END IF;
+    v_action := 'create';
+    v_changes := audit_changes(NULL, to_jsonb(NEW), v_ignored);
+  ELSIF TG_OP = 'DELETE' THEN
+    v_action := 'purge';
+    v_note := COALESCE(v_note, 'Eliminato definitivamente');
+    v_changes := audit_changes(to_jsonb(OLD), NULL, v_ignored);
+  ELSE
+    v_changes := audit_changes(to_jsonb(OLD), to_jsonb(NEW), v_ignored);
+    IF v_changes = '{}' THEN
+      RETURN NULL;
+    END IF;
+
+    IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+      v_action := 'delete';
+      v_note := COALESCE(v_note, 'Spostato nel cestino');
+    ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+      v_action := 'restore';
+      v_note := COALESCE(v_note, 'Ripristinato dal cestino');
+    ELSE
+      v_action := 'update';
+    END IF;
+  END IF;
+
+  INSERT INTO product_audit_log (product_id, entity, entity_id, action, changes, note, operator)
+  VALUES (
+    COALESCE(NEW.id, OLD.id), 'product', COALESCE(NEW.id, OLD.id)::TEXT,
+    v_action, v_changes, v_note, audit_operator()
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_audit ON products;
+CREATE TRIGGER products_audit
+  AFTER INSERT OR UPDATE OR DELETE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_product_change();
+
+CREATE OR REPLACE FUNCTION audit_stock_movement()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.created_at < NOW() OR NEW.product_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO product_audit_log (product_id, entity, entity_id, action, changes, note, operator)
+  VALUES (
+    NEW.product_id, 'product', NEW.product_id::TEXT, 'stock',
+    jsonb_build_object('quantity_stock', jsonb_build_object('old', NEW.quantity_before, 'new', NEW.quantity_after)),
+    CASE WHEN NEW.reason IS NULL THEN NEW.movement_type ELSE NEW.movement_type || ': ' || NEW.reason END,
+    COALESCE(audit_operator(), NEW.operator)
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS stock_movements_audit ON stock_movements;
+CREATE TRIGGER stock_movements_audit
+  AFTER INSERT ON stock_movements
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_stock_movement();
+
+-- Foto: aggiunta (anche di una foto temporanea assegnata al prodotto),
+-- scelta della principale ed eliminazione
+CREATE OR REPLACE FUNCTION audit_photo_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_action TEXT;
+  v_changes JSONB;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.product_id IS NULL OR NEW.created_at < NOW() THEN
+      RETURN NULL;
+    END IF;
+    v_action := 'create';
+    v_changes := jsonb_build_object('file_name', jsonb_build_object('old', NULL, 'new', NEW.file_name));
+  ELSIF TG_OP = 'DELETE' THEN
+    IF OLD.product_id IS NULL THEN
+      RETURN NULL;
+    END IF;
+    v_action := 'delete';
+    v_changes := jsonb_build_object('file_name', jsonb_build_object('old', OLD.file_name, 'new', NULL));
+  ELSIF OLD.product_id IS NULL AND NEW.product_id IS NOT NULL THEN
+    v_action := 'create';
+    v_changes := jsonb_build_object('file_name', jsonb_build_object('old', NULL, 'new', NEW.file_name));
+  ELSIF NOT COALESCE(OLD.is_primary, false) AND COALESCE(NEW.is_primary, false) THEN
+    v_action := 'update';
+    v_changes := jsonb_build_object('is_primary', jsonb_build_object('old', false, 'new', true));
+  ELSE
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO product_audit_log (product_id, entity, entity_id, action, changes, operator)
+  VALUES (
+    COALESCE(NEW.product_id, OLD.product_id), 'photo', COALESCE(NEW.id, OLD.id)::TEXT,
+    v_action, v_changes, audit_operator()
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS product_photos_audit ON product_photos;
+CREATE TRIGGER product_photos_audit
+  AFTER INSERT OR UPDATE OR DELETE ON product_photos
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_photo_change();
+
+-- Modifica massiva: la descrizione dell'operazione diventa la nota della cronologia
+DROP FUNCTION IF EXISTS bulk_update_products(JSONB);
+
+CREATE OR REPLACE FUNCTION bulk_update_products(p_updates JSONB, p_note TEXT DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item JSONB;
+  v_values JSONB;
+  v_field TEXT;
+  v_count INTEGER := 0;
+BEGIN
+  PERFORM set_config('app.audit_note', COALESCE(p_note, ''), true);
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_updates)
+  LOOP
+    v_values := v_item->'values';
+
+    -- Stesso elenco di BULK_EDITABLE_FIELDS in src/lib/bulkEdit.js
+    FOR v_field IN SELECT jsonb_object_keys(v_values)
+    LOOP
+      IF v_field NOT IN ('line_id', 'composition_id', 'initial_price', 'wholesale_price', 'selling_price', 'notes') THEN
+        RAISE EXCEPTION 'Campo non modificabile in blocco: %', v_field;
+      END IF;
+    END LOOP;
+
+    UPDATE products SET
+      line_id = CASE WHEN v_values ? 'line_id' THEN (v_values->>'line_id')::UUID ELSE line_id END,
+      composition_id = CASE WHEN v_values ? 'composition_id' THEN (v_values->>'composition_id')::UUID ELSE composition_id END,
+      initial_price = CASE WHEN v_values ? 'initial_price' THEN (v_values->>'initial_price')::NUMERIC ELSE initial_price END,
+      wholesale_price = CASE WHEN v_values ? 'wholesale_price' THEN (v_values->>'wholesale_price')::NUMERIC ELSE wholesale_price END,
+      selling_price = CASE WHEN v_values ? 'selling_price' THEN (v_values->>'selling_price')::NUMERIC ELSE selling_price END,
+      notes = CASE WHEN v_values ? 'notes' THEN v_values->>'notes' ELSE notes END,
+      updated_at = NOW()
+    WHERE id = (v_item->>'id')::UUID
+      AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Prodotto % non trovato', v_item->>'id';
+    END IF;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  PERFORM set_config('app.audit_note', '', true);
+
+  RETURN v_count;
+END;
+$$;
+
+-- Unione di valori di lookup: la nota indica quale valore è stato unito in quale
+CREATE OR REPLACE FUNCTION merge_lookup_value(
+  p_table TEXT,
+  p_source_id UUID,
+  p_target_id UUID
+) RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_column TEXT;
+  v_label TEXT;
+  v_found INTEGER;
+  v_source_name TEXT;
+  v_target_name TEXT;
+  v_reassigned INTEGER;
+BEGIN
+  -- Solo le tabelle di lookup note (stesso elenco di src/lib/lookups.js)
+  SELECT column_name, label INTO v_column, v_label
+  FROM (VALUES
+    ('colors', 'color_id', 'Colore'),
+    ('lines', 'line_id', 'Linea'),
+    ('sizes', 'size_id', 'Taglia'),
+    ('compositions', 'composition_id', 'Composizione'),
+    ('models', 'model_id', 'Modello')
+  ) AS lookup (table_name, column_name, label)
+  WHERE table_name = p_table;
+
+  IF v_column IS NULL THEN
+    RAISE EXCEPTION 'Tabella di lookup non valida: %', p_table;
+  END IF;
+
+  IF p_source_id = p_target_id THEN
+    RAISE EXCEPTION 'Il valore di origine e quello di destinazione coincidono';
+  END IF;
+
+  -- Blocca entrambi i valori fino alla fine della transazione
+  EXECUTE format('SELECT COUNT(*) FROM (SELECT id FROM %I WHERE id IN ($1, $2) FOR UPDATE) v', p_table)
+  INTO v_found
+  USING p_source_id, p_target_id;
+
+  IF v_found < 2 THEN
+    RAISE EXCEPTION 'Valore di lookup non trovato';
+  END IF;
+
+  EXECUTE format('SELECT (SELECT name FROM %1$I WHERE id = $1), (SELECT name FROM %1$I WHERE id = $2)', p_table)
+  INTO v_source_name, v_target_name
+  USING p_source_id, p_target_id;
+
+  PERFORM set_config('app.audit_note', format('%s "%s" unito in "%s"', v_label, v_source_name, v_target_name), true);
+
+  EXECUTE format('UPDATE products SET %I = $1, updated_at = NOW() WHERE %I = $2', v_column, v_column)
+  USING p_target_id, p_source_id;
+  GET DIAGNOSTICS v_reassigned = ROW_COUNT;
+
+  PERFORM set_config('app.audit_note', '', true);
+
+  EXECUTE format('DELETE FROM %I WHERE id = $1', p_table)
+  USING p_source_id;
+
+  RETURN v_reassigned;
+END;
+$$;
@@ -0,0 +1,93 @@
+-- ============================================================
+-- Ordini fornitore e prodotti eliminati definitivamente
+-- Righe e consegne tengono SKU e descrizione del prodotto
+-- (come sale_lines): eliminato il prodotto restano nello
+-- storico con product_id NULL. Un prodotto in un ordine ancora
+-- in attesa di merce non si può eliminare definitivamente.
+-- ============================================================
+
+ALTER TABLE purchase_order_lines ADD COLUMN IF NOT EXISTS sku TEXT;
+ALTER TABLE purchase_order_lines ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE purchase_receipts ADD COLUMN IF NOT EXISTS sku TEXT;
+ALTER TABLE purchase_receipts ADD COLUMN IF NOT EXISTS description TEXT;
+
+UPDATE purchase_order_lines l
+SET sku = p.sku, description = COALESCE(p.description, p.article)
+FROM products p
+WHERE p.id = l.product_id AND l.sku IS NULL;
+
+UPDATE purchase_receipts r
+SET sku = p.sku, description = COALESCE(p.description, p.article)
+FROM products p
+WHERE p.id = r.product_id AND r.sku IS NULL;
+
+ALTER TABLE purchase_order_lines ALTER COLUMN product_id DROP NOT NULL;
+ALTER TABLE purchase_order_lines DROP CONSTRAINT IF EXISTS purchase_order_lines_product_id_fkey;
+ALTER TABLE purchase_order_lines
+  ADD CONSTRAINT purchase_order_lines_product_id_fkey
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL;
+
+ALTER TABLE purchase_receipts ALTER COLUMN product_id DROP NOT NULL;
+ALTER TABLE purchase_receipts DROP CONSTRAINT IF EXISTS purchase_receipts_product_id_fkey;
+ALTER TABLE purchase_receipts
+  ADD CONSTRAINT purchase_receipts_product_id_fkey
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL;
+
+-- SKU e descrizione copiati all'inserimento, senza cambiare le funzioni RPC
+CREATE OR REPLACE FUNCTION copy_product_reference()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.sku IS NULL AND NEW.product_id IS NOT NULL THEN
+    SELECT sku, COALESCE(description, article)
+    INTO NEW.sku, NEW.description
+    FROM products
+    WHERE id = NEW.product_id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS purchase_order_lines_copy_product ON purchase_order_lines;
+CREATE TRIGGER purchase_order_lines_copy_product
+  BEFORE INSERT ON purchase_order_lines
+  FOR EACH ROW
+  EXECUTE FUNCTION copy_product_reference();
+
+DROP TRIGGER IF EXISTS purchase_receipts_copy_product ON purchase_receipts;
+CREATE TRIGGER purchase_receipts_copy_product
+  BEFORE INSERT ON purchase_receipts
+  FOR EACH ROW
+  EXECUTE FUNCTION copy_product_reference();
+
+-- La merce ancora da ricevere deve poter essere caricata sul prodotto
+CREATE OR REPLACE FUNCTION check_product_open_orders()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_number INTEGER;
+BEGIN
+  SELECT o.number INTO v_number
+  FROM purchase_order_lines l
+  JOIN purchase_orders o ON o.id = l.order_id
+  WHERE l.product_id = OLD.id
+    AND o.status IN ('aperto', 'parziale')
+    AND l.quantity_received < l.quantity_ordered
+  ORDER BY o.number
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Il prodotto % è nell''ordine fornitore n. %, ancora in attesa di merce: ricevi o annulla l''ordine prima di eliminarlo', OLD.sku, v_number;
+  END IF;
+
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_check_open_orders ON products;
+CREATE TRIGGER products_check_open_orders
+  BEFORE DELETE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION check_product_open_orders();
@@ -0,0 +1,51 @@
+-- ============================================================
+-- Eliminazione definitiva senza perdere lo storico
+-- - purged_products conserva il record del prodotto eliminato:
+--   la valorizzazione a una data passata lo conta finché era
+--   in magazzino
+-- - stock_movements mantiene i movimenti del prodotto (product_id
+--   senza vincolo verso products, come product_audit_log)
+-- - le foto restano senza prodotto (come le foto temporanee)
+--   finché l'app non ha rimosso anche i file dallo storage
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS purged_products (
+  id UUID PRIMARY KEY,
+  sku TEXT NOT NULL,
+  product JSONB NOT NULL,
+  deleted_at TIMESTAMPTZ,
+  purged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purged_products_deleted_at
+  ON purged_products (deleted_at);
+
+CREATE OR REPLACE FUNCTION archive_purged_product()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO purged_products (id, sku, product, deleted_at)
+  VALUES (OLD.id, OLD.sku, to_jsonb(OLD), OLD.deleted_at)
+  ON CONFLICT (id) DO UPDATE SET
+    sku = EXCLUDED.sku,
+    product = EXCLUDED.product,
+    deleted_at = EXCLUDED.deleted_at,
+    purged_at = NOW();
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_archive_purged ON products;
+CREATE TRIGGER products_archive_purged
+  AFTER DELETE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION archive_purged_product();
+
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_product_id_fkey;
+
+ALTER TABLE product_photos DROP CONSTRAINT IF EXISTS product_photos_product_id_fkey;
+ALTER TABLE product_photos
+  ADD CONSTRAINT product_photos_product_id_fkey
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL;
@@ -0,0 +1,71 @@
+-- ============================================================
+-- Modifica massiva con controllo delle modifiche concorrenti
+-- Ogni elemento di p_updates può indicare l'updated_at letto
+-- dall'anteprima: se nel frattempo il prodotto è cambiato viene
+-- saltato (i nuovi valori erano calcolati sui dati vecchi) e
+-- restituito in "stale"; gli altri sono aggiornati insieme.
+-- p_updates = [{ "id": "...", "values": { ... }, "updated_at": "..." }]
+-- Risultato: { "updated": 3, "stale": ["<id>", ...] }
+-- ============================================================
+
+DROP FUNCTION IF EXISTS bulk_update_products(JSONB, TEXT);
+
+CREATE OR REPLACE FUNCTION bulk_update_products(p_updates JSONB, p_note TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item JSONB;
+  v_values JSONB;
+  v_field TEXT;
+  v_current TIMESTAMPTZ;
+  v_count INTEGER := 0;
+  v_stale JSONB := '[]';
+BEGIN
+  PERFORM set_config('app.audit_note', COALESCE(p_note, ''), true);
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_updates)
+  LOOP
+    v_values := v_item->'values';
+
+    -- Stesso elenco di BULK_EDITABLE_FIELDS in src/lib/bulkEdit.js
+    FOR v_field IN SELECT jsonb_object_keys(v_values)
+    LOOP
+      IF v_field NOT IN ('line_id', 'composition_id', 'initial_price', 'wholesale_price', 'selling_price', 'notes') THEN
+        RAISE EXCEPTION 'Campo non modificabile in blocco: %', v_field;
+      END IF;
+    END LOOP;
+
+    SELECT updated_at INTO v_current
+    FROM products
+    WHERE id = (v_item->>'id')::UUID
+      AND deleted_at IS NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Prodotto % non trovato', v_item->>'id';
+    END IF;
+
+    IF v_item ? 'updated_at' AND v_current IS DISTINCT FROM (v_item->>'updated_at')::TIMESTAMPTZ THEN
+      v_stale := v_stale || jsonb_build_array(v_item->>'id');
+      CONTINUE;
+    END IF;
+
+    UPDATE products SET
+      line_id = CASE WHEN v_values ? 'line_id' THEN (v_values->>'line_id')::UUID ELSE line_id END,
+      composition_id = CASE WHEN v_values ? 'composition_id' THEN (v_values->>'composition_id')::UUID ELSE composition_id END,
+      initial_price = CASE WHEN v_values ? 'initial_price' THEN (v_values->>'initial_price')::NUMERIC ELSE initial_price END,
+      wholesale_price = CASE WHEN v_values ? 'wholesale_price' THEN (v_values->>'wholesale_price')::NUMERIC ELSE wholesale_price END,
+      selling_price = CASE WHEN v_values ? 'selling_price' THEN (v_values->>'selling_price')::NUMERIC ELSE selling_price END,
+      notes = CASE WHEN v_values ? 'notes' THEN v_values->>'notes' ELSE notes END,
+      updated_at = NOW()
+    WHERE id = (v_item->>'id')::UUID;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  PERFORM set_config('app.audit_note', '', true);
+
+  RETURN jsonb_build_object('updated', v_count, 'stale', v_stale);
+END;
+$$;
@@ -0,0 +1,55 @@
+-- ============================================================
+-- Giacenza impostata a un valore assoluto
+-- La differenza con la giacenza attuale è calcolata con il
+-- prodotto bloccato (FOR UPDATE) e registrata come rettifica:
+-- una vendita arrivata nel frattempo non viene annullata da una
+-- differenza calcolata su una lettura vecchia.
+-- Con p_expected_updated_at il prodotto non deve essere cambiato
+-- dopo quella versione (stesso controllo del salvataggio della scheda).
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION set_product_stock(
+  p_product_id UUID,
+  p_quantity INTEGER,
+  p_reason TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL
+) RETURNS products
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_product products;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity < 0 THEN
+    RAISE EXCEPTION 'Giacenza non valida: %', p_quantity;
+  END IF;
+
+  SELECT * INTO v_product
+  FROM products
+  WHERE id = p_product_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  IF p_expected_updated_at IS NOT NULL AND v_product.updated_at IS DISTINCT FROM p_expected_updated_at THEN
+    RAISE EXCEPTION 'Il prodotto è stato modificato da un altro operatore'
+      USING ERRCODE = '40001';
+  END IF;
+
+  IF p_quantity <> COALESCE(v_product.quantity_stock, 0) THEN
+    PERFORM apply_stock_movement(
+      p_product_id,
+      'rettifica',
+      p_quantity - COALESCE(v_product.quantity_stock, 0),
+      p_reason,
+      p_operator
+    );
+
+    SELECT * INTO v_product FROM products WHERE id = p_product_id;
+  END IF;
+
+  RETURN v_product;
+END;
+$$;
@@ -0,0 +1,181 @@
+-- ============================================================
+-- Inventario: giacenza attesa fotografata alla prima lettura
+-- La conta di un articolo dice quanti pezzi c'erano quando è stato
+-- contato: le vendite e i carichi arrivati dopo non devono diventare
+-- differenze. record_inventory_count salva in expected_quantity la
+-- giacenza (dell'ubicazione, se indicata) alla prima lettura, con il
+-- prodotto bloccato; l'approvazione registra come rettifica contato
+-- meno giacenza fotografata, che si somma ai movimenti successivi.
+-- Le righe senza fotografia (conte aperte prima di questa migrazione,
+-- prodotti non contati messi a 0) usano la giacenza letta con il
+-- prodotto bloccato (FOR UPDATE) al momento dell'approvazione.
+-- ============================================================
+
+-- Giacenza attesa di un prodotto nell'ambito della conta
+-- (stesso calcolo di expectedQuantity in src/lib/inventoryCounts.js).
+-- Da chiamare con il prodotto già bloccato.
+CREATE OR REPLACE FUNCTION inventory_expected_quantity(
+  p_product_id UUID,
+  p_location_id UUID
+) RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_expected INTEGER;
+BEGIN
+  IF p_location_id IS NULL THEN
+    SELECT COALESCE(quantity_stock, 0) INTO v_expected FROM products WHERE id = p_product_id;
+  ELSE
+    SELECT COALESCE(MAX(quantity), 0) INTO v_expected
+    FROM location_stock
+    WHERE product_id = p_product_id AND location_id = p_location_id;
+  END IF;
+
+  RETURN COALESCE(v_expected, 0);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_inventory_count(
+  p_count_id UUID,
+  p_product_id UUID,
+  p_quantity INTEGER,
+  p_mode TEXT DEFAULT 'add',
+  p_operator TEXT DEFAULT NULL
+) RETURNS inventory_count_lines
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count inventory_counts;
+  v_counted INTEGER;
+  v_line inventory_count_lines;
+BEGIN
+  IF p_mode NOT IN ('add', 'set') THEN
+    RAISE EXCEPTION 'Modalità di conta non valida: %', p_mode;
+  END IF;
+
+  -- Lettura condivisa: le conte in parallelo non si bloccano a vicenda, l'approvazione sì
+  SELECT * INTO v_count FROM inventory_counts WHERE id = p_count_id FOR SHARE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Conta % non trovata', p_count_id;
+  END IF;
+  IF v_count.status <> 'aperto' THEN
+    RAISE EXCEPTION 'La conta non è più aperta';
+  END IF;
+
+  -- Il blocco condiviso attende i movimenti in corso: la giacenza fotografata è coerente
+  PERFORM 1 FROM products WHERE id = p_product_id AND deleted_at IS NULL FOR SHARE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  IF p_mode = 'set' AND p_quantity < 0 THEN
+    RAISE EXCEPTION 'La quantità contata non può essere negativa';
+  END IF;
+
+  -- Una correzione in meno non può portare il contato sotto zero
+  IF p_mode = 'add' AND p_quantity < 0 THEN
+    SELECT counted_quantity INTO v_counted
+    FROM inventory_count_lines
+    WHERE count_id = p_count_id AND product_id = p_product_id
+    FOR UPDATE;
+
+    IF COALESCE(v_counted, 0) + p_quantity < 0 THEN
+      RAISE EXCEPTION 'La quantità contata non può essere negativa: contati %, da togliere %', COALESCE(v_counted, 0), ABS(p_quantity);
+    END IF;
+  END IF;
+
+  -- expected_quantity resta quella della prima lettura
+  INSERT INTO inventory_count_lines (count_id, product_id, counted_quantity, expected_quantity, counted_by)
+  VALUES (
+    p_count_id,
+    p_product_id,
+    p_quantity,
+    inventory_expected_quantity(p_product_id, v_count.location_id),
+    p_operator
+  )
+  ON CONFLICT (count_id, product_id) DO UPDATE SET
+    counted_quantity = CASE
+      WHEN p_mode = 'set' THEN p_quantity
+      ELSE inventory_count_lines.counted_quantity + p_quantity
+    END,
+    counted_by = EXCLUDED.counted_by,
+    updated_at = NOW()
+  RETURNING * INTO v_line;
+
+  RETURN v_line;
+END;
+$$;
+
+-- Registra le differenze come rettifiche e chiude la conta.
+-- p_zero_uncounted: i prodotti dell'ambito con giacenza ma non contati valgono 0
+CREATE OR REPLACE FUNCTION approve_inventory_count(
+  p_count_id UUID,
+  p_zero_uncounted BOOLEAN DEFAULT FALSE,
+  p_operator TEXT DEFAULT NULL
+) RETURNS inventory_counts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count inventory_counts;
+  v_line inventory_count_lines;
+  v_expected INTEGER;
+BEGIN
+  SELECT * INTO v_count FROM inventory_counts WHERE id = p_count_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Conta % non trovata', p_count_id;
+  END IF;
+  IF v_count.status <> 'aperto' THEN
+    RAISE EXCEPTION 'La conta n. % non è aperta', v_count.number;
+  END IF;
+
+  IF p_zero_uncounted THEN
+    INSERT INTO inventory_count_lines (count_id, product_id, counted_quantity, counted_by)
+    SELECT v_count.id, p.id, 0, p_operator
+    FROM products p
+    WHERE p.deleted_at IS NULL
+      AND (v_count.line_id IS NULL OR p.line_id = v_count.line_id)
+      AND CASE
+        WHEN v_count.location_id IS NULL THEN COALESCE(p.quantity_stock, 0) > 0
+        ELSE EXISTS (
+          SELECT 1 FROM location_stock ls
+          WHERE ls.product_id = p.id AND ls.location_id = v_count.location_id
+        )
+      END
+    ON CONFLICT (count_id, product_id) DO NOTHING;
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM inventory_count_lines
+    WHERE count_id = v_count.id
+    ORDER BY id
+  LOOP
+    v_expected := v_line.expected_quantity;
+
+    IF v_expected IS NULL THEN
+      PERFORM 1 FROM products WHERE id = v_line.product_id FOR UPDATE;
+      v_expected := inventory_expected_quantity(v_line.product_id, v_count.location_id);
+      UPDATE inventory_count_lines SET expected_quantity = v_expected WHERE id = v_line.id;
+    END IF;
+
+    -- La differenza si somma alla giacenza attuale: apply_stock_movement blocca il
+    -- prodotto e la applica al valore bloccato, senza annullare i movimenti successivi
+    IF v_line.counted_quantity <> v_expected THEN
+      PERFORM apply_stock_movement(
+        v_line.product_id,
+        'rettifica',
+        v_line.counted_quantity - v_expected,
+        'Inventario n. ' || v_count.number,
+        p_operator,
+        v_count.location_id
+      );
+    END IF;
+  END LOOP;
+
+  UPDATE inventory_counts
+  SET status = 'approvato', closed_at = NOW(), closed_by = p_operator
+  WHERE id = v_count.id
+  RETURNING * INTO v_count;
+
+  RETURN v_count;
+END;
+$$;
@@ -0,0 +1,115 @@
+-- ============================================================
+-- Movimenti idempotenti
+-- Un movimento accodato offline (src/lib/offlineSync.js) riceve un
+-- client_id al momento dell'accodamento e lo ripete a ogni tentativo:
+-- se il movimento è già stato registrato ma la risposta è andata
+-- persa, apply_stock_movement restituisce quello esistente invece di
+-- applicarlo una seconda volta.
+-- ============================================================
+
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS client_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_movements_client_id
+  ON stock_movements (client_id)
+  WHERE client_id IS NOT NULL;
+
+-- Nuovo parametro: la versione a 6 argomenti resterebbe come overload
+DROP FUNCTION IF EXISTS apply_stock_movement(UUID, TEXT, INTEGER, TEXT, TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION apply_stock_movement(
+  p_product_id UUID,
+  p_movement_type TEXT,
+  p_quantity INTEGER,
+  p_reason TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL,
+  p_location_id UUID DEFAULT NULL,
+  p_client_id UUID DEFAULT NULL
+) RETURNS stock_movements
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+  v_delta INTEGER;
+  v_sold_delta INTEGER := 0;
+  v_allocated INTEGER;
+  v_excess INTEGER;
+  v_row RECORD;
+  v_movement stock_movements;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity = 0 THEN
+    RAISE EXCEPTION 'La quantità del movimento non può essere zero';
+  END IF;
+
+  CASE p_movement_type
+    WHEN 'carico' THEN v_delta := ABS(p_quantity);
+    WHEN 'reso' THEN
+      v_delta := ABS(p_quantity);
+      v_sold_delta := -ABS(p_quantity);
+    WHEN 'vendita' THEN
+      v_delta := -ABS(p_quantity);
+      v_sold_delta := ABS(p_quantity);
+    WHEN 'rettifica', 'trasferimento' THEN v_delta := p_quantity;
+    ELSE RAISE EXCEPTION 'Tipo movimento non valido: %', p_movement_type;
+  END CASE;
+
+  -- Blocca la riga del prodotto fino alla fine della transazione
+  SELECT quantity_stock INTO v_stock
+  FROM products
+  WHERE id = p_product_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  -- Già registrato da un tentativo precedente: nessun nuovo movimento
+  IF p_client_id IS NOT NULL THEN
+    SELECT * INTO v_movement FROM stock_movements WHERE client_id = p_client_id;
+    IF FOUND THEN
+      RETURN v_movement;
+    END IF;
+  END IF;
+
+  v_stock := COALESCE(v_stock, 0);
+
+  IF v_stock + v_delta < 0 THEN
+    RAISE EXCEPTION 'Giacenza insufficiente: disponibili %, richiesti %', v_stock, ABS(v_delta);
+  END IF;
+
+  IF p_location_id IS NOT NULL THEN
+    PERFORM adjust_location_stock(p_product_id, p_location_id, v_delta);
+  ELSIF v_delta < 0 THEN
+    -- Stesso calcolo di planLocationWithdrawal in src/lib/locations.js
+    SELECT COALESCE(SUM(quantity), 0) INTO v_allocated FROM location_stock WHERE product_id = p_product_id;
+    v_excess := v_allocated - (v_stock + v_delta);
+
+    FOR v_row IN
+      SELECT ls.location_id, ls.quantity
+      FROM location_stock ls
+      JOIN locations l ON l.id = ls.location_id
+      JOIN warehouses w ON w.id = l.warehouse_id
+      WHERE ls.product_id = p_product_id
+      ORDER BY w.sort_order, w.name, l.code
+    LOOP
+      EXIT WHEN v_excess <= 0;
+      PERFORM adjust_location_stock(p_product_id, v_row.location_id, -LEAST(v_row.quantity, v_excess));
+      v_excess := v_excess - LEAST(v_row.quantity, v_excess);
+    END LOOP;
+  END IF;
+
+  UPDATE products
+  SET quantity_stock = v_stock + v_delta,
+      quantity_sold = GREATEST(COALESCE(quantity_sold, 0) + v_sold_delta, 0),
+      updated_at = NOW()
+  WHERE id = p_product_id;
+
+  INSERT INTO stock_movements (
+    product_id, movement_type, quantity, quantity_before, quantity_after, reason, operator, client_id
+  ) VALUES (
+    p_product_id, p_movement_type, v_delta, v_stock, v_stock + v_delta, p_reason, p_operator, p_client_id
+  )
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$;
@@ -0,0 +1,79 @@
+-- ============================================================
+-- Salvataggio della scheda prodotto in un'unica transazione
+-- Campi e giacenza cambiano insieme: se la rettifica della
+-- giacenza fallisce anche i campi restano quelli di prima, e chi
+-- riprova non trova un conflitto con il proprio salvataggio.
+-- p_values: colonne da aggiornare (giacenza e venduto esclusi,
+-- cambiano solo con i movimenti)
+-- p_quantity: nuova giacenza assoluta, NULL per lasciarla invariata
+-- Con p_expected_updated_at il prodotto non deve essere cambiato
+-- dopo quella versione (ERRCODE 40001, come set_product_stock).
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION update_product(
+  p_product_id UUID,
+  p_values JSONB DEFAULT '{}',
+  p_quantity INTEGER DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL,
+  p_operator TEXT DEFAULT NULL,
+  p_expected_updated_at TIMESTAMPTZ DEFAULT NULL
+) RETURNS products
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_product products;
+  v_field TEXT;
+  v_set TEXT;
+BEGIN
+  IF p_quantity IS NOT NULL AND p_quantity < 0 THEN
+    RAISE EXCEPTION 'Giacenza non valida: %', p_quantity;
+  END IF;
+
+  FOR v_field IN SELECT jsonb_object_keys(COALESCE(p_values, '{}'))
+  LOOP
+    IF v_field IN ('id', 'quantity_stock', 'quantity_sold', 'created_at', 'updated_at') THEN
+      RAISE EXCEPTION 'Campo non modificabile: %', v_field;
+    END IF;
+  END LOOP;
+
+  SELECT * INTO v_product
+  FROM products
+  WHERE id = p_product_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prodotto % non trovato', p_product_id;
+  END IF;
+
+  IF p_expected_updated_at IS NOT NULL AND v_product.updated_at IS DISTINCT FROM p_expected_updated_at THEN
+    RAISE EXCEPTION 'Il prodotto è stato modificato da un altro operatore'
+      USING ERRCODE = '40001';
+  END IF;
+
+  -- Solo le colonne indicate, con i tipi della tabella
+  SELECT string_agg(format('%I = r.%I', key, key), ', ')
+  INTO v_set
+  FROM jsonb_object_keys(COALESCE(p_values, '{}')) AS key;
+
+  IF v_set IS NOT NULL THEN
+    EXECUTE format(
+      'UPDATE products p SET %s FROM jsonb_populate_record(NULL::products, $1) r WHERE p.id = $2',
+      v_set
+    ) USING p_values, p_product_id;
+  END IF;
+
+  -- La differenza con la giacenza bloccata diventa una rettifica
+  IF p_quantity IS NOT NULL AND p_quantity <> COALESCE(v_product.quantity_stock, 0) THEN
+    PERFORM apply_stock_movement(
+      p_product_id,
+      'rettifica',
+      p_quantity - COALESCE(v_product.quantity_stock, 0),
+      p_reason,
+      p_operator
+    );
+  END IF;
+
+  SELECT * INTO v_product FROM products WHERE id = p_product_id;
+  RETURN v_product;
+END;
+$$;
@@ -0,0 +1,28 @@
+-- ============================================================
+-- Trasferimenti e prodotti eliminati definitivamente
+-- Le righe dei trasferimenti tengono SKU e descrizione del
+-- prodotto (come le righe degli ordini fornitore, vedi 016):
+-- eliminato il prodotto restano nel documento con product_id NULL
+-- invece di sparire.
+-- ============================================================
+
+ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS sku TEXT;
+ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS description TEXT;
+
+UPDATE stock_transfer_lines l
+SET sku = p.sku, description = COALESCE(p.description, p.article)
+FROM products p
+WHERE p.id = l.product_id AND l.sku IS NULL;
+
+ALTER TABLE stock_transfer_lines ALTER COLUMN product_id DROP NOT NULL;
+ALTER TABLE stock_transfer_lines DROP CONSTRAINT IF EXISTS stock_transfer_lines_product_id_fkey;
+ALTER TABLE stock_transfer_lines
+  ADD CONSTRAINT stock_transfer_lines_product_id_fkey
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL;
+
+-- Stessa copia all'inserimento delle righe degli ordini (copy_product_reference, 016)
+DROP TRIGGER IF EXISTS stock_transfer_lines_copy_product ON stock_transfer_lines;
+CREATE TRIGGER stock_transfer_lines_copy_product
+  BEFORE INSERT ON stock_transfer_lines
+  FOR EACH ROW
+  EXECUTE FUNCTION copy_product_reference();
@@ -0,0 +1,105 @@
+-- ============================================================
+-- Inventari e prodotti eliminati definitivamente
+-- Le righe delle conte tengono SKU e descrizione del prodotto
+-- (come le righe degli ordini fornitore, vedi 016): eliminato il
+-- prodotto restano con product_id NULL, così un inventario
+-- approvato non perde righe e differenze a posteriori.
+-- ============================================================
+
+ALTER TABLE inventory_count_lines ADD COLUMN IF NOT EXISTS sku TEXT;
+ALTER TABLE inventory_count_lines ADD COLUMN IF NOT EXISTS description TEXT;
+
+UPDATE inventory_count_lines l
+SET sku = p.sku, description = COALESCE(p.description, p.article)
+FROM products p
+WHERE p.id = l.product_id AND l.sku IS NULL;
+
+ALTER TABLE inventory_count_lines ALTER COLUMN product_id DROP NOT NULL;
+ALTER TABLE inventory_count_lines DROP CONSTRAINT IF EXISTS inventory_count_lines_product_id_fkey;
+ALTER TABLE inventory_count_lines
+  ADD CONSTRAINT inventory_count_lines_product_id_fkey
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL;
+
+-- Stessa copia all'inserimento delle righe degli ordini (copy_product_reference, 016)
+DROP TRIGGER IF EXISTS inventory_count_lines_copy_product ON inventory_count_lines;
+CREATE TRIGGER inventory_count_lines_copy_product
+  BEFORE INSERT ON inventory_count_lines
+  FOR EACH ROW
+  EXECUTE FUNCTION copy_product_reference();
+
+-- Come in 020, senza le righe di prodotti eliminati durante una conta aperta
+-- Registra le differenze come rettifiche e chiude la conta.
+-- p_zero_uncounted: i prodotti dell'ambito con giacenza ma non contati valgono 0
+CREATE OR REPLACE FUNCTION approve_inventory_count(
+  p_count_id UUID,
+  p_zero_uncounted BOOLEAN DEFAULT FALSE,
+  p_operator TEXT DEFAULT NULL
+) RETURNS inventory_counts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count inventory_counts;
+  v_line inventory_count_lines;
+  v_expected INTEGER;
+BEGIN
+  SELECT * INTO v_count FROM inventory_counts WHERE id = p_count_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Conta % non trovata', p_count_id;
+  END IF;
+  IF v_count.status <> 'aperto' THEN
+    RAISE EXCEPTION 'La conta n. % non è aperta', v_count.number;
+  END IF;
+
+  IF p_zero_uncounted THEN
+    INSERT INTO inventory_count_lines (count_id, product_id, counted_quantity, counted_by)
+    SELECT v_count.id, p.id, 0, p_operator
+    FROM products p
+    WHERE p.deleted_at IS NULL
+      AND (v_count.line_id IS NULL OR p.line_id = v_count.line_id)
+      AND CASE
+        WHEN v_count.location_id IS NULL THEN COALESCE(p.quantity_stock, 0) > 0
+        ELSE EXISTS (
+          SELECT 1 FROM location_stock ls
+          WHERE ls.product_id = p.id AND ls.location_id = v_count.location_id
+        )
+      END
+    ON CONFLICT (count_id, product_id) DO NOTHING;
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM inventory_count_lines
+    WHERE count_id = v_count.id
+      -- Prodotto eliminato definitivamente: la riga resta solo come storico
+      AND product_id IS NOT NULL
+    ORDER BY id
+  LOOP
+    v_expected := v_line.expected_quantity;
+
+    IF v_expected IS NULL THEN
+      PERFORM 1 FROM products WHERE id = v_line.product_id FOR UPDATE;
+      v_expected := inventory_expected_quantity(v_line.product_id, v_count.location_id);
+      UPDATE inventory_count_lines SET expected_quantity = v_expected WHERE id = v_line.id;
+    END IF;
+
+    -- La differenza si somma alla giacenza attuale: apply_stock_movement blocca il
+    -- prodotto e la applica al valore bloccato, senza annullare i movimenti successivi
+    IF v_line.counted_quantity <> v_expected THEN
+      PERFORM apply_stock_movement(
+        v_line.product_id,
+        'rettifica',
+        v_line.counted_quantity - v_expected,
+        'Inventario n. ' || v_count.number,
+        p_operator,
+        v_count.location_id
+      );
+    END IF;
+  END LOOP;
+
+  UPDATE inventory_counts
+  SET status = 'approvato', closed_at = NOW(), closed_by = p_operator
+  WHERE id = v_count.id
+  RETURNING * INTO v_count;
+
+  RETURN v_count;
+END;
+$$;
@@ -0,0 +1,34 @@
+-- ============================================================
+-- Utilizzo dei valori di lookup
+-- Numero di prodotti per valore (compresi quelli nel cestino, che
+-- ne bloccano comunque l'eliminazione), contato dal database:
+-- /settings non deve scaricare tutto il catalogo per saperlo.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION lookup_usage_counts(p_table TEXT)
+RETURNS TABLE (id UUID, usage_count INTEGER)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_column TEXT;
+BEGIN
+  -- Solo le tabelle di lookup note (stesso elenco di src/lib/lookups.js)
+  v_column := CASE p_table
+    WHEN 'colors' THEN 'color_id'
+    WHEN 'lines' THEN 'line_id'
+    WHEN 'sizes' THEN 'size_id'
+    WHEN 'compositions' THEN 'composition_id'
+    WHEN 'models' THEN 'model_id'
+  END;
+
+  IF v_column IS NULL THEN
+    RAISE EXCEPTION 'Tabella di lookup non valida: %', p_table;
+  END IF;
+
+  RETURN QUERY EXECUTE format(
+    'SELECT %1$I, COUNT(*)::INTEGER FROM products WHERE %1$I IS NOT NULL GROUP BY %1$I',
+    v_column
+  );
+END;
+$$;
@@ -6,6 +6,21 @@ import Dashboard from './pages/Dashboard'
 import Products from './pages/Products'
 import ProductForm from './pages/ProductForm'
 import Settings from './pages/Settings'
+import RecycleBin from './pages/RecycleBin'
+import VariantMatrix from './pages/VariantMatrix'
+import ImportWizard from './pages/ImportWizard'
+import ExportProducts from './pages/ExportProducts'
+import Backup from './pages/Backup'
+import Sales from './pages/Sales'
+import PurchaseOrders from './pages/PurchaseOrders'
+import PurchaseOrderDetail from './pages/PurchaseOrderDetail'
+import Suppliers from './pages/Suppliers'
+import Warehouses from './pages/Warehouses'
+import StockTransfers from './pages/StockTransfers'
+import InventoryCounts from './pages/InventoryCounts'
+import InventoryCountDetail from './pages/InventoryCountDetail'
+import Labels from './pages/Labels'
+import Stats from './pages/Stats'
 
 import { supabase, isConfigured } from './lib/supabase'
 
@@ -76,7 +91,22 @@ function App() {
               <Route path="/products" element={<Products />} />
               <Route path="/products/new" element={<ProductForm />} />
               <Route path="/products/edit/:id" element={<ProductForm />} />
+              <Route path="/products/variants" element={<VariantMatrix />} />
+              <Route path="/sales" element={<Sales />} />
+              <Route path="/purchase-orders" element={<PurchaseOrders />} />
+              <Route path="/purchase-orders/:id" element={<PurchaseOrderDetail />} />
+              <Route path="/suppliers" element={<Suppliers />} />
+              <Route path="/warehouses" element={<Warehouses />} />
+              <Route path="/transfers" element={<StockTransfers />} />
+              <Route path="/inventory" element={<InventoryCounts />} />
+              <Route path="/inventory/:id" element={<InventoryCountDetail />} />
+              <Route path="/labels" element={<Labels />} />
+              <Route path="/stats" element={<Stats />} />
 
+              <Route path="/import" element={<ImportWizard />} />
+              <Route path="/export" element={<ExportProducts />} />
+              <Route path="/trash" element={<RecycleBin />} />
+              <Route path="/backup" element={<Backup />} />
               <Route path="/settings" element={<Settings />} />
             </Routes>
           </div>
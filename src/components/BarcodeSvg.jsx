@@ -0,0 +1,56 @@
+// Zona di rispetto in moduli: 10 per i codici lineari, 4 per il QR
+const LINEAR_QUIET_ZONE = 10
+const QR_QUIET_ZONE = 4
+
+// Barre consecutive unite in un solo rettangolo: [inizio, larghezza]
+const barRuns = (modules) => {
+  const runs = []
+  modules.forEach((dark, index) => {
+    if (!dark) return
+    const last = runs[runs.length - 1]
+    if (last && last[0] + last[1] === index) last[1]++
+    else runs.push([index, 1])
+  })
+  return runs
+}
+
+/**
+ * 🏷️ BarcodeSvg - Disegna un codice calcolato da encodeBarcode (lib/barcodes)
+ *
+ * I codici lineari si allungano in altezza per riempire il contenitore; il QR resta quadrato.
+ * @param {object} props
+ * @param {{format: string, modules: boolean[]|boolean[][]}} props.barcode - Risultato di encodeBarcode
+ * @param {string} [props.className]
+ */
+export default function BarcodeSvg({ barcode, className = '' }) {
+  if (barcode.format === 'qr') {
+    const size = barcode.modules.length + 2 * QR_QUIET_ZONE
+    const path = barcode.modules.flatMap((row, y) => row.map((dark, x) => (
+      dark ? `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z` : ''
+    ))).join('')
+
+    return (
+      <svg viewBox={`0 0 ${size} ${size}`} className={className} shapeRendering="crispEdges" role="img" aria-label="Codice QR">
+        <rect width={size} height={size} fill="#fff" />
+        <path d={path} fill="#000" />
+      </svg>
+    )
+  }
+
+  const width = barcode.modules.length + 2 * LINEAR_QUIET_ZONE
+  return (
+    <svg
+      viewBox={`0 0 ${width} 50`}
+      preserveAspectRatio="none"
+      className={className}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label="Codice a barre"
+    >
+      <rect width={width} height="50" fill="#fff" />
+      {barRuns(barcode.modules).map(([start, length]) => (
+        <rect key={start} x={start + LINEAR_QUIET_ZONE} width={length} height="50" fill="#000" />
+      ))}
+    </svg>
+  )
+}
@@ -0,0 +1,266 @@
+import { Fragment, useState, useEffect } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { ArrowPathIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { BULK_OPERATIONS, REPRICE_FIELDS, previewBulkEdit } from '../lib/bulkEdit'
+
+/**
+ * ✏️ BulkEditModal - Modifica massiva dei prodotti selezionati nella lista
+ *
+ * Funzionalità:
+ * - Sposta in linea, imposta composizione, ricarica prezzi in %, aggiunge una nota
+ * - Anteprima delle righe interessate con valore attuale e nuovo
+ * - Salvataggio in un'unica transazione con riepilogo di aggiornati e saltati
+ */
+export default function BulkEditModal({ open, onClose, products = [], onSaved }) {
+  const [operation, setOperation] = useState('line')
+  const [params, setParams] = useState({ priceField: 'selling_price', percent: '', note: '' })
+  const [lines, setLines] = useState([])
+  const [compositions, setCompositions] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [summary, setSummary] = useState(null)
+
+  useEffect(() => {
+    if (!open) return
+
+    setSummary(null)
+    Promise.all([db.getLines(), db.getCompositions()]).then(([linesResult, compositionsResult]) => {
+      setLines(linesResult.data || [])
+      setCompositions(compositionsResult.data || [])
+    })
+  }, [open])
+
+  const preview = previewBulkEdit(products, operation, params)
+  const toApply = preview.filter(row => row.updates)
+  const skipped = preview.filter(row => !row.updates)
+
+  // Nomi al posto degli ID nell'anteprima
+  const displayValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—'
+    if (field === 'line_id') return lines.find(line => line.id === value)?.name ?? value
+    if (field === 'composition_id') return compositions.find(composition => composition.id === value)?.name ?? value
+    return String(value)
+  }
+
+  const handleApply = async () => {
+    setSaving(true)
+    const { data, error } = await db.bulkUpdateProducts(
+      toApply.map(row => ({ id: row.product.id, updates: row.updates, updatedAt: row.product.updated_at })),
+      `Modifica massiva: ${BULK_OPERATIONS[operation].label}`
+    )
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nella modifica massiva')
+      setSummary({ updated: 0, skipped, error: error.message })
+      return
+    }
+
+    // Cambiati da un altro operatore dopo l'anteprima: i nuovi valori erano calcolati sui dati vecchi
+    const stale = toApply
+      .filter(row => data.stale.includes(row.product.id))
+      .map(row => ({ ...row, error: 'Modificato da un altro operatore, riapri la modifica per ricalcolarlo' }))
+
+    toast.success(`${data.updated} prodotti aggiornati`)
+    if (stale.length > 0) {
+      toast.error(`${stale.length} prodotti saltati perché modificati nel frattempo`)
+    }
+    setSummary({ updated: data.updated, skipped: [...stale, ...skipped], error: null })
+    onSaved?.()
+  }
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <div className="fixed inset-0 bg-gray-900/50" />
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Dialog.Panel className="w-full max-w-3xl rounded-lg bg-white shadow-xl">
+              <div className="flex items-center justify-between p-4 border-b">
+                <Dialog.Title className="text-lg font-semibold">
+                  Modifica {products.length} prodotti
+                </Dialog.Title>
+                <button type="button" onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+
+              {summary ? (
+                <div className="p-4 space-y-3 text-sm">
+                  {summary.error ? (
+                    <p className="text-red-600">
+                      Nessun prodotto modificato: {summary.error}
+                    </p>
+                  ) : (
+                    <p className="text-green-700">{summary.updated} prodotti aggiornati.</p>
+                  )}
+                  {summary.skipped.length > 0 && (
+                    <div>
+                      <p className="text-gray-700">{summary.skipped.length} prodotti saltati:</p>
+                      <ul className="mt-1 list-disc list-inside text-gray-500">
+                        {summary.skipped.map(row => (
+                          <li key={row.product.id}>{row.product.sku}: {row.error}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  <div className="flex justify-end">
+                    <button type="button" onClick={onClose} className="btn-primary text-sm">
+                      Chiudi
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="p-4 space-y-4">
+                  <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Operazione</label>
+                      <select
+                        value={operation}
+                        onChange={(e) => setOperation(e.target.value)}
+                        className="input-field w-auto"
+                      >
+                        {Object.entries(BULK_OPERATIONS).map(([key, { label }]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {operation === 'line' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Linea</label>
+                        <select
+                          value={params.lineId || ''}
+                          onChange={(e) => setParams({ ...params, lineId: e.target.value })}
+                          className="input-field w-auto"
+                        >
+                          <option value="">Seleziona...</option>
+                          {lines.map(line => (
+                            <option key={line.id} value={line.id}>{line.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    {operation === 'composition' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Composizione</label>
+                        <select
+                          value={params.compositionId || ''}
+                          onChange={(e) => setParams({ ...params, compositionId: e.target.value })}
+                          className="input-field w-auto"
+                        >
+                          <option value="">Seleziona...</option>
+                          {compositions.map(composition => (
+                            <option key={composition.id} value={composition.id}>{composition.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    {operation === 'reprice' && (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Prezzo</label>
+                          <select
+                            value={params.priceField}
+                            onChange={(e) => setParams({ ...params, priceField: e.target.value })}
+                            className="input-field w-auto"
+                          >
+                            {Object.entries(REPRICE_FIELDS).map(([field, label]) => (
+                              <option key={field} value={field}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Variazione %</label>
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={params.percent}
+                            onChange={(e) => setParams({ ...params, percent: e.target.value })}
+                            placeholder="es. 10 o -20"
+                            className="input-field w-32"
+                          />
+                        </div>
+                      </>
+                    )}
+
+                    {operation === 'note' && (
+                      <div className="flex-1">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Nota</label>
+                        <input
+                          type="text"
+                          value={params.note}
+                          onChange={(e) => setParams({ ...params, note: e.target.value })}
+                          className="input-field"
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="max-h-[50vh] overflow-y-auto border border-gray-200 rounded-lg">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50 sticky top-0">
+                        <tr className="text-left text-xs text-gray-500 uppercase">
+                          <th className="py-2 px-3">SKU</th>
+                          <th className="py-2 px-3">Articolo</th>
+                          <th className="py-2 px-3">Attuale</th>
+                          <th className="py-2 px-3">Nuovo</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {preview.map(row => {
+                          const [field, change] = Object.entries(row.changes)[0] || []
+                          return (
+                            <tr key={row.product.id} className={`border-t border-gray-100 ${row.updates ? '' : 'text-gray-400'}`}>
+                              <td className="py-1 px-3 font-mono">{row.product.sku}</td>
+                              <td className="py-1 px-3">{row.product.article}</td>
+                              {row.updates ? (
+                                <>
+                                  <td className="py-1 px-3 text-red-600 line-through whitespace-pre-line">{displayValue(field, change.old)}</td>
+                                  <td className="py-1 px-3 text-green-700 whitespace-pre-line">{displayValue(field, change.new)}</td>
+                                </>
+                              ) : (
+                                <td colSpan={2} className="py-1 px-3 italic">{row.error}</td>
+                              )}
+                            </tr>
+                          )
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-500">
+                      {toApply.length} da modificare · {skipped.length} saltati
+                    </span>
+                    <div className="space-x-2">
+                      <button type="button" onClick={onClose} className="btn-secondary text-sm">
+                        Annulla
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleApply}
+                        disabled={toApply.length === 0 || saving}
+                        className="btn-primary text-sm inline-flex items-center disabled:opacity-50"
+                      >
+                        {saving ? (
+                          <ArrowPathIcon className="h-4 w-4 mr-1 animate-spin" />
+                        ) : (
+                          <CheckIcon className="h-4 w-4 mr-1" />
+                        )}
+                        Applica a {toApply.length} prodotti
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </Dialog.Panel>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  )
+}
@@ -7,15 +7,31 @@ import {
 } from '@heroicons/react/24/outline'
 import toast from 'react-hot-toast'
 import ImageCropper from './ImageCropper'
+import { BARCODE_FORMATS } from '../lib/barcodes'
+import { startBarcodeScanner } from '../lib/barcodeScanner'
 
-const CameraCapture = ({ onCapture, onClose, isOpen }) => {
+/**
+ * 📸 CameraCapture - Fotocamera a schermo intero
+ *
+ * - mode 'photo': scatta, ritaglia e conferma una foto (onCapture riceve il blob)
+ * - mode 'scan': legge di continuo codici a barre e QR e li passa a onScan
+ */
+const CameraCapture = ({ onCapture, onClose, isOpen, mode = 'photo', onScan }) => {
   const [stream, setStream] = useState(null)
   const [capturedImage, setCapturedImage] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [facingMode, setFacingMode] = useState('environment') // 'user' per frontale, 'environment' per posteriore
   const [currentStep, setCurrentStep] = useState('camera') // 'camera', 'editing', 'preview'
+  const [lastScan, setLastScan] = useState(null)
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
+  // Stream corrente anche fuori dal render: startCamera non dipende da stream e non si riavvia a ogni nuovo stream
+  const streamRef = useRef(null)
+  // Callback più recente, senza riavviare la lettura a ogni render del padre
+  const onScanRef = useRef(onScan)
+  onScanRef.current = onScan
+
+  const isScanMode = mode === 'scan'
 
   // Avvia la fotocamera
   const startCamera = useCallback(async () => {
@@ -23,9 +39,7 @@ const CameraCapture = ({ onCapture, onClose, isOpen }) => {
       setIsLoading(true)
       
       // Ferma stream precedente se esiste
-      if (stream) {
-        stream.getTracks().forEach(track => track.stop())
-      }
+      streamRef.current?.getTracks().forEach(track => track.stop())
 
       const constraints = {
         video: {
@@ -37,6 +51,7 @@ const CameraCapture = ({ onCapture, onClose, isOpen }) => {
       }
 
       const mediaStream = await navigator.mediaDevices.getUserMedia(constraints)
+      streamRef.current = mediaStream
       setStream(mediaStream)
       
       if (videoRef.current) {
@@ -48,15 +63,16 @@ const CameraCapture = ({ onCapture, onClose, isOpen }) => {
     } finally {
       setIsLoading(false)
     }
-  }, [facingMode, stream])
+  }, [facingMode])
 
   // Ferma la fotocamera
   const stopCamera = useCallback(() => {
-    if (stream) {
-      stream.getTracks().forEach(track => track.stop())
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop())
+      streamRef.current = null
       setStream(null)
     }
-  }, [stream])
+  }, [])
 
   // Scatta la foto
   const capturePhoto = useCallback(() => {
@@ -135,6 +151,7 @@ const CameraCapture = ({ onCapture, onClose, isOpen }) => {
       setCapturedImage(null)
     }
     setCurrentStep('camera')
+    setLastScan(null)
     onClose()
   }, [stopCamera, capturedImage, onClose])
 
@@ -145,6 +162,25 @@ const CameraCapture = ({ onCapture, onClose, isOpen }) => {
     }
   }, [isOpen, currentStep, capturedImage, startCamera])
 
+  // Il video viene montato solo a caricamento finito: collega lo stream quando c'è
+  useEffect(() => {
+    if (videoRef.current && stream && videoRef.current.srcObject !== stream) {
+      videoRef.current.srcObject = stream
+    }
+  }, [stream, isLoading])
+
+  // Lettura continua dei codici
+  useEffect(() => {
+    if (!isScanMode || !stream || isLoading || !videoRef.current) return undefined
+
+    return startBarcodeScanner(videoRef.current, {
+      onScan: (result) => {
+        setLastScan(result)
+        onScanRef.current?.(result)
+      }
+    })
+  }, [isScanMode, stream, isLoading])
+
   // Cleanup quando il componente si smonta
   useEffect(() => {
     return () => {
@@ -236,21 +272,36 @@ const CameraCapture = ({ onCapture, onClose, isOpen }) => {
                     className="w-full h-full object-cover"
                   />
                   
-                  {/* Pulsante scatta foto */}
-                  <div className="absolute bottom-8 left-1/2 transform -translate-x-1/2">
-                    <button
-                      onClick={capturePhoto}
-                      className="bg-white hover:bg-gray-100 text-gray-900 w-16 h-16 rounded-full flex items-center justify-center transition-colors shadow-lg"
-                      title="Scatta foto"
-                    >
-                      <CameraIcon className="h-8 w-8" />
-                    </button>
-                  </div>
+                  {isScanMode ? (
+                    // Mirino e ultimo codice letto
+                    <>
+                      <div className="absolute inset-x-[15%] inset-y-[25%] border-2 border-white/80 rounded-lg pointer-events-none" />
+                      <div className="absolute bottom-8 left-0 right-0 text-center text-white px-4">
+                        <p className="text-lg font-medium">Scansiona codice</p>
+                        <p className="text-sm text-gray-300">
+                          {lastScan
+                            ? `${BARCODE_FORMATS[lastScan.format] || lastScan.format}: ${lastScan.text}`
+                            : 'Inquadra il codice a barre o QR dell\'etichetta'}
+                        </p>
+                      </div>
+                    </>
+                  ) : (
+                    // Pulsante scatta foto
+                    <div className="absolute bottom-8 left-1/2 transform -translate-x-1/2">
+                      <button
+                        onClick={capturePhoto}
+                        className="bg-white hover:bg-gray-100 text-gray-900 w-16 h-16 rounded-full flex items-center justify-center transition-colors shadow-lg"
+                        title="Scatta foto"
+                      >
+                        <CameraIcon className="h-8 w-8" />
+                      </button>
+                    </div>
+                  )}
                 </>
               )}
             </div>
-          ) : null
-        }
+          ) : null}
+        </div>
 
         {/* Canvas nascosto per cattura */}
         <canvas ref={canvasRef} className="hidden" />
@@ -2,10 +2,13 @@ import React, { useState, useRef, useEffect } from 'react';
 import {
   CameraIcon,
   XMarkIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  QrCodeIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import { uploadProductPhotoSecure } from '../lib/uploadClient';
+import { BARCODE_FORMATS } from '../lib/barcodes';
+import { startBarcodeScanner } from '../lib/barcodeScanner';
 import ImageCropper from './ImageCropper';
 
 /**
@@ -16,8 +19,10 @@ import ImageCropper from './ImageCropper';
  * - Inquadra e scatta foto
  * - Salva automaticamente con formato SKU+progressivo
  * - Si chiude dopo il salvataggio
+ * - Modalità 'scan': legge di continuo codici a barre e QR dal video e li passa a onScan
+ *   (il modale resta aperto, lo chiude il chiamante se serve)
  */
-const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved }) => {
+const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved, mode = 'photo', onScan }) => {
   // Stati
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -25,11 +30,17 @@ const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved }) =
   const [capturing, setCapturing] = useState(false);
   const [currentStep, setCurrentStep] = useState('camera'); // 'camera', 'editing'
   const [capturedBlob, setCapturedBlob] = useState(null);
+  const [lastScan, setLastScan] = useState(null);
   
   // Refs
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
+  // Callback più recente, senza riavviare la lettura a ogni render del padre
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+  
+  const isScanMode = mode === 'scan';
   
   // Avvia fotocamera quando il modale si apre
   useEffect(() => {
@@ -45,6 +56,19 @@ const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved }) =
     };
   }, [isOpen]);
   
+  // Lettura continua dei codici quando il video è attivo
+  useEffect(() => {
+    if (!isScanMode || !isActive || !videoRef.current) return undefined;
+    
+    return startBarcodeScanner(videoRef.current, {
+      onScan: (result) => {
+        console.log('🔍 Codice letto:', result);
+        setLastScan(result);
+        onScanRef.current?.(result);
+      }
+    });
+  }, [isScanMode, isActive]);
+  
   // Avvia fotocamera
   const startCamera = async () => {
     try {
@@ -224,6 +248,7 @@ const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved }) =
     stopCamera();
     setCapturedBlob(null);
     setCurrentStep('camera');
+    setLastScan(null);
     onClose();
   };
   
@@ -234,10 +259,17 @@ const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved }) =
       <div className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] overflow-hidden">
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b">
-          <h2 className="text-lg font-semibold flex items-center">
-            <CameraIcon className="h-5 w-5 mr-2" />
-            Scatta Foto - {productSku}
-          </h2>
+          {isScanMode ? (
+            <h2 className="text-lg font-semibold flex items-center">
+              <QrCodeIcon className="h-5 w-5 mr-2" />
+              Scansiona codice
+            </h2>
+          ) : (
+            <h2 className="text-lg font-semibold flex items-center">
+              <CameraIcon className="h-5 w-5 mr-2" />
+              Scatta Foto - {productSku}
+            </h2>
+          )}
           <button
             onClick={handleClose}
             className="p-1 hover:bg-gray-100 rounded"
@@ -298,42 +330,72 @@ const CameraModal = ({ isOpen, onClose, productId, productSku, onPhotoSaved }) =
                   </div>
                 )}
                 
+                {/* Mirino per la scansione */}
+                {isScanMode && isActive && (
+                  <div className="absolute inset-x-[15%] inset-y-[20%] border-2 border-white/80 rounded-lg pointer-events-none" />
+                )}
+                
                 {/* Canvas nascosto per cattura */}
                 <canvas ref={canvasRef} className="hidden" />
               </div>
               
+              {/* Controlli Scansione */}
+              {isScanMode && (
+                <div className="text-center space-y-3">
+                  <p className="text-sm text-gray-500">
+                    Inquadra il codice a barre o QR dell'etichetta, ben illuminato e di fronte
+                  </p>
+                  {lastScan && (
+                    <p className="text-sm">
+                      Ultimo codice: <span className="font-mono font-medium">{lastScan.text}</span>
+                      <span className="ml-2 text-gray-400">{BARCODE_FORMATS[lastScan.format] || lastScan.format}</span>
+                    </p>
+                  )}
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                  >
+                    Chiudi
+                  </button>
+                </div>
+              )}
+              
               {/* Controlli Camera */}
-              <div className="flex justify-center space-x-4">
-                <button
-                  onClick={handleClose}
-                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
-                >
-                  Annulla
-                </button>
+              {!isScanMode && (
+                <div className="flex justify-center space-x-4">
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                  >
+                    Annulla
+                  </button>
                 
-                <button
-                  onClick={capturePhoto}
-                  disabled={!isActive || capturing}
-                  className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
-                >
-                  {capturing ? (
-                    <>
-                      <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
-                      Catturando...
-                    </>
-                  ) : (
-                    <>
-                      <CameraIcon className="h-4 w-4 mr-2" />
-                      Scatta Foto
-                    </>
-                  )}
-                </button>
-              </div>
+                  <button
+                    onClick={capturePhoto}
+                    disabled={!isActive || capturing}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+                  >
+                    {capturing ? (
+                      <>
+                        <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+                        Catturando...
+                      </>
+                    ) : (
+                      <>
+                        <CameraIcon className="h-4 w-4 mr-2" />
+                        Scatta Foto
+                      </>
+                    )}
+                  </button>
+                </div>
+              )}
               
               {/* Info */}
-              <div className="mt-4 text-center text-sm text-gray-500">
-                La foto verrà salvata automaticamente con nome: {productSku}_[timestamp].jpg
-              </div>
+              {!isScanMode && (
+                <div className="mt-4 text-center text-sm text-gray-500">
+                  La foto verrà salvata automaticamente con nome: {productSku}_[timestamp].jpg
+                </div>
+              )}
             </>
           )}
           
@@ -0,0 +1,75 @@
+import { useRef, useState } from 'react'
+import { ArrowDownTrayIcon, PhotoIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { downloadChartPng, downloadCsv } from '../lib/chartExport'
+import { toCsv } from '../lib/stats'
+
+/**
+ * 📊 ChartCard - Riquadro di un grafico con esportazione PNG e CSV
+ * @param {object} props
+ * @param {string} props.title
+ * @param {string} props.fileName - Nome dei file esportati, senza estensione
+ * @param {object[]} props.rows - Dati del grafico, esportati anche nel CSV
+ * @param {Array<{key: string, label: string}>} props.columns - Colonne del CSV
+ * @param {React.ReactNode} [props.actions] - Controlli accanto al titolo (es. raggruppamento)
+ * @param {React.ReactNode} props.children - Grafico recharts (ResponsiveContainer)
+ */
+const ChartCard = ({ title, fileName, rows, columns, actions = null, children }) => {
+  const chartRef = useRef(null)
+  const [exporting, setExporting] = useState(false)
+
+  const handlePng = async () => {
+    setExporting(true)
+    try {
+      await downloadChartPng(chartRef.current, `${fileName}.png`, { title })
+    } catch (error) {
+      console.error('Errore esportazione grafico:', error)
+      toast.error(error.message || 'Errore nell\'esportazione del grafico')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleCsv = () => {
+    downloadCsv(toCsv(rows, columns), `${fileName}.csv`)
+  }
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {actions}
+          <button
+            type="button"
+            onClick={handlePng}
+            disabled={exporting || rows.length === 0}
+            className="btn-secondary inline-flex items-center disabled:opacity-50"
+            title="Scarica il grafico come immagine"
+          >
+            <PhotoIcon className="h-4 w-4 mr-1" />
+            PNG
+          </button>
+          <button
+            type="button"
+            onClick={handleCsv}
+            disabled={rows.length === 0}
+            className="btn-secondary inline-flex items-center disabled:opacity-50"
+            title="Scarica i dati del grafico"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            CSV
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">Nessun dato per i filtri scelti.</p>
+      ) : (
+        <div ref={chartRef}>{children}</div>
+      )}
+    </div>
+  )
+}
+
+export default ChartCard
@@ -0,0 +1,18 @@
+import { COUNT_STATUSES } from '../lib/inventoryCounts'
+
+const STATUS_STYLES = {
+  aperto: 'bg-blue-100 text-blue-800',
+  approvato: 'bg-green-100 text-green-800',
+  annullato: 'bg-gray-100 text-gray-600'
+}
+
+/**
+ * 🏷️ CountStatusBadge - Stato di una sessione di inventario
+ */
+const CountStatusBadge = ({ status }) => (
+  <span className={`inline-flex rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[status]}`}>
+    {COUNT_STATUSES[status]}
+  </span>
+)
+
+export default CountStatusBadge
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react'
+import { UsersIcon } from '@heroicons/react/24/outline'
+import { formatDistanceToNow } from 'date-fns'
+import { it } from 'date-fns/locale'
+import { joinProductEditing } from '../lib/realtime'
+
+/**
+ * 👥 EditingPresence - Avviso "anche X sta modificando questo prodotto"
+ *
+ * Da mostrare nel form prodotto: segnala la presenza di questo operatore
+ * finché il form è aperto e mostra gli altri operatori sullo stesso prodotto.
+ * Non mostra nulla se il prodotto è aperto solo qui o senza Supabase Realtime.
+ */
+export default function EditingPresence({ productId }) {
+  const [others, setOthers] = useState([])
+
+  useEffect(() => {
+    setOthers([])
+    return joinProductEditing(productId, setOthers)
+  }, [productId])
+
+  if (others.length === 0) {
+    return null
+  }
+
+  // Stesso operatore su più schede: un solo nome
+  const operators = [...new Map(others.map(other => [other.operator, other])).values()]
+
+  return (
+    <div className="flex items-start rounded-lg bg-yellow-50 border border-yellow-200 px-4 py-3 text-sm text-yellow-800">
+      <UsersIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+      <div>
+        <p className="font-medium">
+          {operators.length === 1 ? 'Prodotto aperto anche da un altro operatore' : `Prodotto aperto anche da ${operators.length} operatori`}
+        </p>
+        <ul className="mt-1">
+          {operators.map(({ operator, since }) => (
+            <li key={operator}>
+              {operator}, da {formatDistanceToNow(new Date(since), { locale: it })}
+            </li>
+          ))}
+        </ul>
+        <p className="mt-1 text-yellow-700">Salvando potresti sovrascrivere le modifiche degli altri.</p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ArrowPathIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { PRICE_BASES, VALUATION_GROUPS } from '../lib/valuation'
+
+const formatCurrency = (value) => new Intl.NumberFormat('it-IT', {
+  style: 'currency',
+  currency: 'EUR'
+}).format(value || 0)
+
+const GROUP_RESULTS = {
+  line: 'byLine',
+  model: 'byModel',
+  composition: 'byComposition'
+}
+
+/**
+ * 💶 InventoryValuation - Valore del magazzino per costo, ingrosso e dettaglio
+ *
+ * Con una data di riferimento le giacenze vengono ricostruite dallo
+ * storico movimenti (utile per la chiusura di fine anno).
+ */
+const InventoryValuation = () => {
+  const [asOf, setAsOf] = useState('')
+  const [group, setGroup] = useState('line')
+  const [valuation, setValuation] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const loadValuation = useCallback(async () => {
+    setLoading(true)
+    // Fine giornata della data scelta
+    const { data, error } = await db.getInventoryValuation({
+      asOf: asOf ? `${asOf}T23:59:59.999` : null
+    })
+    if (error) {
+      console.error('Errore valorizzazione magazzino:', error)
+      toast.error('Errore nel calcolo del valore di magazzino')
+    } else {
+      setValuation(data)
+    }
+    setLoading(false)
+  }, [asOf])
+
+  useEffect(() => {
+    loadValuation()
+  }, [loadValuation])
+
+  const rows = valuation ? valuation[GROUP_RESULTS[group]] : []
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <h3 className="text-lg font-medium text-gray-900">Valore di Magazzino</h3>
+        <div className="flex items-end gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Alla data</label>
+            <input
+              type="date"
+              value={asOf}
+              max={new Date().toISOString().slice(0, 10)}
+              onChange={(e) => setAsOf(e.target.value)}
+              className="input-field py-1"
+            />
+          </div>
+          <select
+            value={group}
+            onChange={(e) => setGroup(e.target.value)}
+            className="input-field py-1 w-auto"
+          >
+            {Object.entries(VALUATION_GROUPS).map(([value, { label }]) => (
+              <option key={value} value={value}>Per {label.toLowerCase()}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={loadValuation}
+            className="p-2 text-gray-500 hover:text-blu-primary"
+            title="Aggiorna"
+          >
+            <ArrowPathIcon className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {valuation && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {Object.entries(PRICE_BASES).map(([basis, { label }]) => (
+              <div key={basis} className="rounded-lg bg-blu-light p-4">
+                <div className="text-xs font-medium text-blu-dark uppercase tracking-wider">{label}</div>
+                <div className="text-2xl font-bold text-blu-primary">{formatCurrency(valuation.totals[basis])}</div>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            {valuation.totals.quantity} pezzi su {valuation.totals.products} prodotti
+            {asOf && ' · giacenze ricostruite dai movimenti, prezzi attuali'}
+          </p>
+
+          <div className="overflow-x-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="table-header">{VALUATION_GROUPS[group].label}</th>
+                  <th className="table-header text-right">Pezzi</th>
+                  {Object.entries(PRICE_BASES).map(([basis, { label }]) => (
+                    <th key={basis} className="table-header text-right">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map(row => (
+                  <tr key={row.id ?? 'none'}>
+                    <td className="table-cell">{row.name}</td>
+                    <td className="table-cell text-right">{row.quantity}</td>
+                    {Object.keys(PRICE_BASES).map(basis => (
+                      <td key={basis} className="table-cell text-right">{formatCurrency(row[basis])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default InventoryValuation
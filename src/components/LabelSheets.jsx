@@ -0,0 +1,83 @@
+import BarcodeSvg from './BarcodeSvg'
+import { SHEET_HEIGHT_MM, SHEET_WIDTH_MM, labelBarcode, labelSize, labelTexts } from '../lib/labels'
+
+// Etichetta di un prodotto: testi in alto, codice in basso (il QR va a sinistra dei testi)
+const ProductLabel = ({ product, layout }) => {
+  const texts = labelTexts(product, layout.fields)
+  let barcode = null
+  try {
+    barcode = labelBarcode(product, layout.format).barcode
+  } catch (error) {
+    console.warn(`⚠️ Codice non generato per ${product.sku}:`, error.message)
+  }
+
+  const details = (
+    <div className="min-w-0 leading-tight">
+      {texts.article && <div className="font-semibold truncate" style={{ fontSize: '9pt' }}>{texts.article}</div>}
+      {texts.variant && <div className="truncate" style={{ fontSize: '8pt' }}>{texts.variant}</div>}
+      {texts.sku && <div className="font-mono truncate" style={{ fontSize: '7pt' }}>{texts.sku}</div>}
+      {texts.price && <div className="font-bold" style={{ fontSize: '11pt' }}>{texts.price}</div>}
+    </div>
+  )
+
+  if (barcode?.format === 'qr') {
+    return (
+      <div className="flex h-full items-center gap-[2mm]">
+        <BarcodeSvg barcode={barcode} className="h-full flex-none" />
+        {details}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex h-full flex-col justify-between">
+      {details}
+      {barcode && (
+        <div className="min-h-0 flex-1 pt-[1mm] flex flex-col">
+          <BarcodeSvg barcode={barcode} className="w-full flex-1 min-h-0" />
+          <div className="text-center font-mono" style={{ fontSize: '6pt' }}>{barcode.text}</div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * 🏷️ LabelSheets - Fogli A4 di etichette, in scala reale, pronti per la stampa
+ *
+ * Con window.print() vengono stampati solo i fogli (classe print-area), uno per pagina.
+ * @param {object} props
+ * @param {Array<Array<object|null>>} props.sheets - Risultato di buildLabelSheets
+ * @param {object} props.layout - Layout risolto (resolveLabelLayout)
+ */
+export default function LabelSheets({ sheets, layout }) {
+  const { width, height } = labelSize(layout)
+
+  return (
+    <div className="print-area space-y-6">
+      {sheets.map((sheet, sheetIndex) => (
+        <div
+          key={sheetIndex}
+          className="label-sheet relative mx-auto bg-white shadow-sm border border-gray-200 text-black"
+          style={{ width: `${SHEET_WIDTH_MM}mm`, height: `${SHEET_HEIGHT_MM}mm` }}
+        >
+          {sheet.map((product, index) => (
+            <div
+              key={index}
+              className="absolute overflow-hidden"
+              style={{
+                left: `${layout.marginLeft + (index % layout.columns) * (width + layout.gapX)}mm`,
+                top: `${layout.marginTop + Math.floor(index / layout.columns) * (height + layout.gapY)}mm`,
+                width: `${width}mm`,
+                height: `${height}mm`,
+                padding: '2mm'
+              }}
+            >
+              {product && <ProductLabel product={product} layout={layout} />}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
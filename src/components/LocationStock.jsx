@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react'
+import { MapPinIcon } from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import { db } from '../lib/supabase'
+import { UNLOCATED_LABEL, locationLabel } from '../lib/locations'
+
+/**
+ * 📍 LocationStock - Giacenza del prodotto per ubicazione (scheda prodotto)
+ *
+ * Le ubicazioni sono in ordine di prelievo: la prima è quella da cui prendere la merce.
+ */
+const LocationStock = ({ productId }) => {
+  const [stock, setStock] = useState(null)
+
+  useEffect(() => {
+    if (!productId) return
+
+    const loadStock = async () => {
+      const { data, error } = await db.getLocationStock(productId)
+      if (error) {
+        console.error('Errore caricamento giacenze per ubicazione:', error)
+        return
+      }
+      setStock(data)
+    }
+    loadStock()
+  }, [productId])
+
+  if (!productId || !stock) return null
+
+  return (
+    <div className="card space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <MapPinIcon className="h-5 w-5 mr-2" />
+          Ubicazioni
+        </h3>
+        <Link to="/transfers" className="text-sm text-blu-primary hover:text-blu-dark font-medium">
+          Trasferisci
+        </Link>
+      </div>
+
+      {stock.locations.length === 0 && stock.unlocated === 0 ? (
+        <p className="text-sm text-gray-500">Nessun pezzo in giacenza.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 text-sm">
+          {stock.locations.map((row, index) => (
+            <li key={row.location_id} className="flex items-center justify-between py-2">
+              <span>
+                {locationLabel(row.locations)}
+                {row.locations?.description && <span className="ml-2 text-gray-400">{row.locations.description}</span>}
+                {index === 0 && <span className="ml-2 text-xs text-blu-primary font-medium">prelievo</span>}
+              </span>
+              <span className="font-medium">{row.quantity}</span>
+            </li>
+          ))}
+          {stock.unlocated !== 0 && (
+            <li className="flex items-center justify-between py-2 text-gray-500">
+              <span>{UNLOCATED_LABEL}</span>
+              <span className="font-medium">{stock.unlocated}</span>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LocationStock
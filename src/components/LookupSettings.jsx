@@ -0,0 +1,312 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  ArrowPathIcon,
+  ArrowsPointingInIcon,
+  CheckIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { LOOKUP_TABLES } from '../lib/lookups'
+
+/**
+ * 🏷️ LookupSettings - Colori, linee, taglie, composizioni e modelli (sezione di /settings)
+ *
+ * Funzionalità:
+ * - Aggiunta, rinomina, ordinamento ed eliminazione dei valori
+ * - Numero di prodotti che usano ogni valore (l'eliminazione è bloccata se usato)
+ * - "Unisci in": sposta i prodotti di un duplicato sul valore che resta
+ */
+const LookupSettings = () => {
+  const [table, setTable] = useState('colors')
+  const [values, setValues] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [newValue, setNewValue] = useState({ name: '', description: '' })
+  const [editing, setEditing] = useState(null)
+  const [merging, setMerging] = useState(null)
+
+  const config = LOOKUP_TABLES[table]
+
+  const loadValues = useCallback(async () => {
+    setLoading(true)
+    const { data, error } = await db.getLookupValues(table)
+    if (error) {
+      console.error('Errore caricamento valori:', error)
+      toast.error('Errore nel caricamento dei valori')
+    } else {
+      setValues(data)
+    }
+    setLoading(false)
+  }, [table])
+
+  useEffect(() => {
+    setEditing(null)
+    setMerging(null)
+    loadValues()
+  }, [loadValues])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const { error } = await db.createLookupValue(table, config.hasDescription
+      ? newValue
+      : { name: newValue.name })
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio')
+      return
+    }
+    toast.success(`${config.singular} aggiunto`)
+    setNewValue({ name: '', description: '' })
+    loadValues()
+  }
+
+  const handleRename = async () => {
+    const { id, ...updates } = editing
+    const { error } = await db.updateLookupValue(table, id, updates)
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio')
+      return
+    }
+    setEditing(null)
+    loadValues()
+  }
+
+  const handleMove = async (index, direction) => {
+    const reordered = [...values]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(index + direction, 0, moved)
+    setValues(reordered)
+
+    const { error } = await db.reorderLookupValues(table, reordered.map(value => value.id))
+    if (error) {
+      toast.error("Errore nel salvataggio dell'ordine")
+      loadValues()
+    }
+  }
+
+  const handleDelete = async (value) => {
+    if (!window.confirm(`Eliminare "${value.name}"?`)) return
+
+    const { error } = await db.deleteLookupValue(table, value.id)
+    if (error) {
+      toast.error(error.message || "Errore nell'eliminazione")
+      return
+    }
+    toast.success(`${config.singular} eliminato`)
+    loadValues()
+  }
+
+  const handleMerge = async () => {
+    const source = values.find(value => value.id === merging.sourceId)
+    const target = values.find(value => value.id === merging.targetId)
+    if (!window.confirm(`Spostare ${source.usage_count} prodotti da "${source.name}" a "${target.name}" ed eliminare "${source.name}"?`)) {
+      return
+    }
+
+    const { data: reassigned, error } = await db.mergeLookupValues(table, source.id, target.id)
+    if (error) {
+      toast.error(error.message || "Errore nell'unione")
+      return
+    }
+    toast.success(`"${source.name}" unito in "${target.name}" (${reassigned} prodotti)`)
+    setMerging(null)
+    loadValues()
+  }
+
+  return (
+    <div className="card space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Valori di Lookup</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          L'ordine impostato qui è quello dei menu a tendina. Un valore usato da prodotti non può essere eliminato: uniscilo in un altro.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(LOOKUP_TABLES).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setTable(key)}
+            className={key === table ? 'btn-primary text-sm' : 'btn-secondary text-sm'}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Nuovo valore
+          </label>
+          <input
+            type="text"
+            value={newValue.name}
+            onChange={(e) => setNewValue({ ...newValue, name: e.target.value })}
+            placeholder={config.singular}
+            className="input-field"
+          />
+        </div>
+        {config.hasDescription && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Descrizione
+            </label>
+            <input
+              type="text"
+              value={newValue.description}
+              onChange={(e) => setNewValue({ ...newValue, description: e.target.value })}
+              className="input-field"
+            />
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={!newValue.name.trim()}
+          className="btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Aggiungi
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-center py-6">
+          <ArrowPathIcon className="h-6 w-6 animate-spin mx-auto text-gray-400" />
+        </div>
+      ) : values.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">Nessun valore</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {values.map((value, index) => (
+            <li key={value.id} className="p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex flex-col">
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-400 hover:text-blu-primary disabled:opacity-25"
+                    title="Sposta su"
+                  >
+                    <ChevronUpIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === values.length - 1}
+                    className="text-gray-400 hover:text-blu-primary disabled:opacity-25"
+                    title="Sposta giù"
+                  >
+                    <ChevronDownIcon className="h-4 w-4" />
+                  </button>
+                </div>
+
+                {editing?.id === value.id ? (
+                  <div className="flex flex-1 flex-wrap items-center gap-2">
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      className="input-field py-1 w-auto"
+                      autoFocus
+                    />
+                    {config.hasDescription && (
+                      <input
+                        type="text"
+                        value={editing.description ?? ''}
+                        onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                        placeholder="Descrizione"
+                        className="input-field py-1 w-auto"
+                      />
+                    )}
+                    <button type="button" onClick={handleRename} className="p-1 text-green-600" title="Salva">
+                      <CheckIcon className="h-5 w-5" />
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} className="p-1 text-gray-500" title="Annulla">
+                      <XMarkIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex-1 text-sm">
+                    <span className="font-medium text-gray-900">{value.name}</span>
+                    {value.description && <span className="text-gray-500"> · {value.description}</span>}
+                  </div>
+                )}
+
+                <span className="text-xs text-gray-500 w-24 text-right">
+                  {value.usage_count} prodotti
+                </span>
+
+                <button
+                  type="button"
+                  onClick={() => setEditing({
+                    id: value.id,
+                    name: value.name,
+                    ...(config.hasDescription ? { description: value.description } : {})
+                  })}
+                  className="p-1 text-gray-500 hover:text-blu-primary"
+                  title="Rinomina"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setMerging({ sourceId: value.id, targetId: '' })}
+                  disabled={values.length < 2}
+                  className="p-1 text-gray-500 hover:text-blu-primary disabled:opacity-25"
+                  title="Unisci in..."
+                >
+                  <ArrowsPointingInIcon className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(value)}
+                  disabled={value.usage_count > 0}
+                  className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-25"
+                  title={value.usage_count > 0 ? 'In uso: usa "Unisci in"' : 'Elimina'}
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+
+              {merging?.sourceId === value.id && (
+                <div className="flex flex-wrap items-center gap-2 pl-6 text-sm">
+                  <span className="text-gray-700">Unisci "{value.name}" in</span>
+                  <select
+                    value={merging.targetId}
+                    onChange={(e) => setMerging({ ...merging, targetId: e.target.value })}
+                    className="input-field py-1 w-auto"
+                  >
+                    <option value="">Seleziona...</option>
+                    {values.filter(other => other.id !== value.id).map(other => (
+                      <option key={other.id} value={other.id}>{other.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={handleMerge}
+                    disabled={!merging.targetId}
+                    className="btn-primary text-sm disabled:opacity-50"
+                  >
+                    Unisci
+                  </button>
+                  <button type="button" onClick={() => setMerging(null)} className="btn-secondary text-sm">
+                    Annulla
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LookupSettings
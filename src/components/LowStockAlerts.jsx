@@ -0,0 +1,103 @@
+import { Fragment, useState, useEffect } from 'react'
+import { Menu, Transition } from '@headlessui/react'
+import { BellIcon } from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import { db, isConfigured } from '../lib/supabase'
+import { subscribeToTable } from '../lib/realtime'
+
+const ALERTS_LIMIT = 8
+
+/**
+ * 🔔 LowStockAlerts - Notifiche prodotti sotto scorta nella Navbar
+ */
+export default function LowStockAlerts() {
+  const [products, setProducts] = useState([])
+  const [count, setCount] = useState(0)
+
+  const loadAlerts = async () => {
+    if (!isConfigured) return
+
+    const { data, count: total, error } = await db.getProducts(
+      { low_stock: true },
+      { page: 1, pageSize: ALERTS_LIMIT, sortBy: 'quantity_stock', sortDir: 'asc' }
+    )
+
+    if (error) {
+      console.error('Errore caricamento alert scorte:', error)
+      return
+    }
+
+    setProducts(data || [])
+    setCount(total || 0)
+  }
+
+  useEffect(() => {
+    loadAlerts()
+  }, [])
+
+  // Giacenze e soglie cambiate da altri operatori
+  useEffect(() => subscribeToTable('products', () => loadAlerts()), [])
+
+  return (
+    <Menu as="div" className="relative">
+      <Menu.Button
+        onClick={loadAlerts}
+        className="relative rounded-full bg-white p-1 text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-blu-primary focus:ring-offset-2"
+      >
+        <span className="sr-only">Visualizza notifiche</span>
+        <BellIcon className="h-6 w-6" aria-hidden="true" />
+        {count > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-bold flex items-center justify-center">
+            {count > 99 ? '99+' : count}
+          </span>
+        )}
+      </Menu.Button>
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-200"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 z-10 mt-2 w-80 origin-top-right rounded-md bg-white py-1 shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
+          <div className="px-4 py-2 text-xs font-semibold text-gray-400 uppercase tracking-wider">
+            Scorte basse ({count})
+          </div>
+          {products.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-gray-500">Nessun prodotto sotto scorta</div>
+          ) : products.map(product => (
+            <Menu.Item key={product.id}>
+              {({ active }) => (
+                <Link
+                  to={`/products/edit/${product.id}`}
+                  className={`${active ? 'bg-gray-100' : ''} flex items-center justify-between px-4 py-2 text-sm`}
+                >
+                  <span className="truncate text-gray-700">
+                    <span className="font-medium">{product.sku}</span> {product.article}
+                  </span>
+                  <span className="ml-3 shrink-0 text-red-600 font-medium">
+                    {product.quantity_stock}/{product.effective_min_stock}
+                  </span>
+                </Link>
+              )}
+            </Menu.Item>
+          ))}
+          {count > products.length && (
+            <Menu.Item>
+              {({ active }) => (
+                <Link
+                  to="/products?low_stock=1"
+                  className={`${active ? 'bg-gray-100' : ''} block px-4 py-2 text-sm text-blu-primary font-medium border-t border-gray-100`}
+                >
+                  Vedi tutti
+                </Link>
+              )}
+            </Menu.Item>
+          )}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  )
+}
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react'
+import { ArrowPathIcon, CheckIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { DEFAULT_LOW_STOCK_THRESHOLD } from '../lib/stockLevels'
+
+/**
+ * ⚠️ LowStockSettings - Soglie di scorta minima (sezione di /settings)
+ *
+ * Il default globale vale per tutti i prodotti senza soglia propria
+ * e la cui linea non ne definisce una.
+ */
+const LowStockSettings = () => {
+  const [globalThreshold, setGlobalThreshold] = useState(DEFAULT_LOW_STOCK_THRESHOLD)
+  const [lines, setLines] = useState([])
+  const [lineThresholds, setLineThresholds] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true)
+      const [{ data: threshold }, { data: linesData, error: linesError }] = await Promise.all([
+        db.getLowStockThreshold(),
+        db.getLines()
+      ])
+
+      if (linesError) {
+        console.error('Errore caricamento linee:', linesError)
+        toast.error('Errore nel caricamento delle linee')
+      }
+
+      setGlobalThreshold(threshold ?? DEFAULT_LOW_STOCK_THRESHOLD)
+      setLines(linesData || [])
+      setLineThresholds(Object.fromEntries(
+        (linesData || []).map(line => [line.id, line.min_stock ?? ''])
+      ))
+      setLoading(false)
+    }
+
+    load()
+  }, [])
+
+  const handleSave = async () => {
+    setSaving(true)
+
+    const { error } = await db.updateLowStockThreshold(globalThreshold)
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio della soglia globale')
+      setSaving(false)
+      return
+    }
+
+    // Aggiorna solo le linee modificate
+    const changedLines = lines.filter(line => String(line.min_stock ?? '') !== String(lineThresholds[line.id]))
+    const results = await Promise.all(changedLines.map(line => {
+      const value = lineThresholds[line.id]
+      return db.updateLine(line.id, { min_stock: value === '' ? null : parseInt(value, 10) })
+    }))
+
+    const failed = results.filter(result => result.error)
+    if (failed.length > 0) {
+      toast.error(`${failed.length} linee non aggiornate`)
+    } else {
+      toast.success('Soglie scorta salvate')
+    }
+
+    setLines(lines.map(line => {
+      const updated = results.find(result => result.data?.id === line.id)
+      return updated ? updated.data : line
+    }))
+    setSaving(false)
+  }
+
+  if (loading) {
+    return (
+      <div className="card text-center py-6">
+        <ArrowPathIcon className="h-6 w-6 animate-spin mx-auto text-gray-400" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="card space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Scorte Minime</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Ordine di priorità: soglia del prodotto, soglia della linea, default globale.
+        </p>
+      </div>
+
+      <div className="max-w-xs">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Default globale
+        </label>
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={globalThreshold}
+          onChange={(e) => setGlobalThreshold(e.target.value)}
+          className="input-field"
+        />
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 mb-2">Soglia per linea</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          {lines.map(line => (
+            <div key={line.id} className="flex items-center justify-between gap-3">
+              <span className="text-sm text-gray-900 truncate">{line.name}</span>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={lineThresholds[line.id]}
+                onChange={(e) => setLineThresholds({ ...lineThresholds, [line.id]: e.target.value })}
+                placeholder={String(globalThreshold)}
+                className="input-field w-24"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          {saving ? (
+            <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <CheckIcon className="h-4 w-4 mr-2" />
+          )}
+          Salva soglie
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default LowStockSettings
@@ -1,13 +1,19 @@
 import { Fragment } from 'react'
 import { Disclosure, Menu, Transition } from '@headlessui/react'
-import { Bars3Icon, BellIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline'
 import { UserCircleIcon } from '@heroicons/react/24/solid'
+import { useNavigate } from 'react-router-dom'
+import LowStockAlerts from './LowStockAlerts'
+import ScanProductButton from './ScanProductButton'
+import SyncStatus from './SyncStatus'
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ')
 }
 
 export default function Navbar({ sidebarOpen, setSidebarOpen, user }) {
+  const navigate = useNavigate()
+
   return (
     <Disclosure as="nav" className="bg-white shadow-sm border-b border-gray-200 fixed w-full top-0 z-40">
       {({ open }) => (
@@ -41,14 +47,19 @@ export default function Navbar({ sidebarOpen, setSidebarOpen, user }) {
               </div>
               
               <div className="flex items-center">
+                {/* Scansione etichetta: apre la scheda del prodotto */}
+                <ScanProductButton
+                  onProduct={product => navigate(`/products/edit/${product.id}`)}
+                  closeOnScan
+                  label=""
+                  className="mr-3 rounded-full bg-white p-1 text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-blu-primary focus:ring-offset-2"
+                />
+
+                {/* Stato sincronizzazione offline */}
+                <SyncStatus />
+
                 {/* Notifications */}
-                <button
-                  type="button"
-                  className="rounded-full bg-white p-1 text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-blu-primary focus:ring-offset-2"
-                >
-                  <span className="sr-only">Visualizza notifiche</span>
-                  <BellIcon className="h-6 w-6" aria-hidden="true" />
-                </button>
+                <LowStockAlerts />
 
                 {/* Profile dropdown */}
                 <Menu as="div" className="relative ml-3">
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react'
+import { TruckIcon } from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import { db } from '../lib/supabase'
+import { ORDER_STATUSES, isOrderLate, orderTotals } from '../lib/purchaseOrders'
+
+const ORDERS_LIMIT = 6
+
+/**
+ * 🚚 OpenPurchaseOrders - Ordini fornitore in attesa di merce (widget della Dashboard)
+ *
+ * In cima gli ordini con la consegna prevista più vicina; in rosso quelli in ritardo.
+ */
+const OpenPurchaseOrders = () => {
+  const [orders, setOrders] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const loadOrders = async () => {
+      const { data, error } = await db.getPurchaseOrders({ status: 'open' })
+      if (error) {
+        console.error('Errore caricamento ordini aperti:', error)
+      } else {
+        // Senza data prevista in fondo
+        setOrders([...(data || [])].sort((a, b) => (a.expected_date || '9999').localeCompare(b.expected_date || '9999')))
+      }
+      setLoading(false)
+    }
+    loadOrders()
+  }, [])
+
+  return (
+    <div className="card space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <TruckIcon className="h-5 w-5 mr-2" />
+          Ordini in arrivo ({orders.length})
+        </h3>
+        <Link to="/purchase-orders" className="text-sm text-blu-primary hover:text-blu-dark font-medium">
+          Tutti gli ordini
+        </Link>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Caricamento...</p>
+      ) : orders.length === 0 ? (
+        <p className="text-sm text-gray-500">Nessun ordine in attesa di merce.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 text-sm">
+          {orders.slice(0, ORDERS_LIMIT).map(order => {
+            const totals = orderTotals(order.purchase_order_lines || [])
+            const late = isOrderLate(order)
+            return (
+              <li key={order.id}>
+                <Link to={`/purchase-orders/${order.id}`} className="flex items-center justify-between py-2 hover:bg-gray-50">
+                  <span>
+                    <span className="font-medium">n. {order.number}</span>
+                    <span className="ml-2 text-gray-700">{order.suppliers?.name}</span>
+                    <span className="ml-2 text-gray-400">{ORDER_STATUSES[order.status]}</span>
+                  </span>
+                  <span className="text-right">
+                    <span className="text-gray-500">{totals.remaining} pz da ricevere</span>
+                    {order.expected_date && (
+                      <span className={`ml-3 ${late ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                        {format(new Date(order.expected_date), 'dd/MM/yyyy', { locale: it })}
+                      </span>
+                    )}
+                  </span>
+                </Link>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default OpenPurchaseOrders
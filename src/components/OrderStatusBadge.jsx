@@ -0,0 +1,19 @@
+import { ORDER_STATUSES } from '../lib/purchaseOrders'
+
+const STATUS_STYLES = {
+  aperto: 'bg-blue-100 text-blue-800',
+  parziale: 'bg-yellow-100 text-yellow-800',
+  ricevuto: 'bg-green-100 text-green-800',
+  annullato: 'bg-gray-100 text-gray-600'
+}
+
+/**
+ * 🏷️ OrderStatusBadge - Stato di un ordine fornitore
+ */
+const OrderStatusBadge = ({ status }) => (
+  <span className={`inline-flex rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[status]}`}>
+    {ORDER_STATUSES[status]}
+  </span>
+)
+
+export default OrderStatusBadge
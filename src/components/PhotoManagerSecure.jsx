@@ -13,6 +13,7 @@ import toast from 'react-hot-toast';
 // ✅ SICURO: Usa il client helper invece di supabase diretto
 import { uploadProductPhotoSecure, setPrimaryPhotoSecure, deleteProductPhotoSecure } from '../lib/uploadClient';
 import { getProductPhotos } from '../lib/supabase';
+import { subscribeToTable } from '../lib/realtime';
 import CameraModal from './CameraModal';
 
 /**
@@ -45,12 +46,12 @@ const PhotoManagerSecure = ({ productId, productSku, onPhotosChange, onSaveProdu
     setApiStatus('working');
   }, []);
 
-  // Carica foto esistenti
-  const loadPhotos = async () => {
+  // Carica foto esistenti (showSpinner = false per gli aggiornamenti in tempo reale)
+  const loadPhotos = async (showSpinner = true) => {
     if (!productId) return;
     
     try {
-      setLoading(true);
+      if (showSpinner) setLoading(true);
       const { data: productPhotos, error } = await getProductPhotos(productId);
       
       if (error) {
@@ -76,6 +77,14 @@ const PhotoManagerSecure = ({ productId, productSku, onPhotosChange, onSaveProdu
     loadPhotos();
   }, [productId]);
 
+  // 📡 Foto aggiunte, eliminate o cambiate da altri operatori
+  useEffect(() => {
+    if (!productId) return;
+    return subscribeToTable('product_photos', () => loadPhotos(false), {
+      filter: `product_id=eq.${productId}`
+    });
+  }, [productId]);
+
   // 🔒 UPLOAD SICURO - Usa API endpoint invece di client diretto
   const uploadPhotos = async (files) => {
     if (!files || files.length === 0) return;
@@ -176,7 +185,7 @@ const PhotoManagerSecure = ({ productId, productSku, onPhotosChange, onSaveProdu
     if (!confirm('Sei sicuro di voler eliminare questa foto?')) return;
 
     try {
-      const result = await deleteProductPhotoSecure(photo.id);
+      const result = await deleteProductPhotoSecure(photo);
       if (result.error) {
         throw new Error(result.error.message || result.error);
       }
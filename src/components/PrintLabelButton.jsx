@@ -0,0 +1,54 @@
+import { useState } from 'react'
+import { ArrowPathIcon, PrinterIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { printZpl } from '../lib/labelPrinter'
+import { buildZplJob } from '../lib/zpl'
+
+/**
+ * 🖨️ PrintLabelButton - "Stampa etichetta" sulla stampante termica del negozio
+ *
+ * Genera lo ZPL con il modello salvato (pagina Etichette) e lo invia tramite /api/print-label.
+ * @param {object} props
+ * @param {Array<{product: object, copies: number}>} props.items - Prodotti (con sizes, colors, selling_price) e copie
+ * @param {string} [props.label] - Testo del pulsante
+ * @param {string} [props.className]
+ */
+export default function PrintLabelButton({ items, label = 'Stampa etichetta', className = 'btn-secondary' }) {
+  const [printing, setPrinting] = useState(false)
+  const count = items.reduce((sum, item) => sum + (parseInt(item.copies, 10) || 0), 0)
+
+  const handlePrint = async () => {
+    setPrinting(true)
+    try {
+      const { data: settings } = await db.getThermalLabelSettings()
+      const { error } = await printZpl(buildZplJob(items, settings))
+      if (error) {
+        toast.error(error.message || 'Errore nella stampa delle etichette')
+        return
+      }
+      toast.success(count === 1 ? 'Etichetta inviata alla stampante' : `${count} etichette inviate alla stampante`)
+    } catch (error) {
+      // SKU non codificabile nel formato scelto
+      toast.error(error.message)
+    } finally {
+      setPrinting(false)
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handlePrint}
+      disabled={printing || count === 0}
+      className={`${className} inline-flex items-center disabled:opacity-50`}
+    >
+      {printing ? (
+        <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+      ) : (
+        <PrinterIcon className="h-4 w-4 mr-2" />
+      )}
+      {label}
+    </button>
+  )
+}
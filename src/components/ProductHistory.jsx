@@ -0,0 +1,144 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { ArrowPathIcon, ClockIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../lib/audit'
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : String(value))
+
+/**
+ * 🕓 ProductHistory - Pannello "Cronologia" del form prodotto
+ *
+ * Funzionalità:
+ * - Elenco modifiche a prodotto e foto con valore precedente e nuovo
+ * - Filtro per utente e per campo
+ */
+const ProductHistory = ({ productId }) => {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [operatorFilter, setOperatorFilter] = useState('')
+  const [fieldFilter, setFieldFilter] = useState('')
+
+  const loadHistory = useCallback(async () => {
+    if (!productId) return
+
+    setLoading(true)
+    const { data, error } = await db.getAuditLog(productId)
+    if (error) {
+      console.error('Errore caricamento cronologia:', error)
+      toast.error('Errore nel caricamento della cronologia')
+    } else {
+      setEntries(data || [])
+    }
+    setLoading(false)
+  }, [productId])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
+
+  // Valori disponibili per i filtri
+  const operators = useMemo(
+    () => Array.from(new Set(entries.map(entry => entry.operator).filter(Boolean))).sort(),
+    [entries]
+  )
+  const fields = useMemo(
+    () => Array.from(new Set(entries.flatMap(entry => Object.keys(entry.changes || {})))).sort(),
+    [entries]
+  )
+
+  const filteredEntries = entries.filter(entry =>
+    (!operatorFilter || entry.operator === operatorFilter) &&
+    (!fieldFilter || fieldFilter in (entry.changes || {}))
+  )
+
+  if (!productId) {
+    return (
+      <p className="text-sm text-gray-500">
+        La cronologia sarà disponibile dopo il primo salvataggio del prodotto.
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <ClockIcon className="h-5 w-5 mr-2" />
+          Cronologia
+        </h3>
+        <div className="flex items-center space-x-2">
+          <select
+            value={operatorFilter}
+            onChange={(e) => setOperatorFilter(e.target.value)}
+            className="input-field py-1 text-sm w-auto"
+          >
+            <option value="">Tutti gli utenti</option>
+            {operators.map(operator => (
+              <option key={operator} value={operator}>{operator}</option>
+            ))}
+          </select>
+          <select
+            value={fieldFilter}
+            onChange={(e) => setFieldFilter(e.target.value)}
+            className="input-field py-1 text-sm w-auto"
+          >
+            <option value="">Tutti i campi</option>
+            {fields.map(field => (
+              <option key={field} value={field}>{field}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={loadHistory}
+            className="p-2 text-gray-500 hover:text-blu-primary"
+            title="Aggiorna"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {filteredEntries.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          {loading ? 'Caricamento cronologia...' : 'Nessuna modifica registrata'}
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {filteredEntries.map(entry => (
+            <li key={entry.id} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span className="font-medium text-gray-900">
+                  {AUDIT_ACTIONS[entry.action] || entry.action}
+                  {entry.entity !== 'product' && ` · ${AUDIT_ENTITIES[entry.entity] || entry.entity}`}
+                  {entry.note && <span className="font-normal text-gray-500"> · {entry.note}</span>}
+                </span>
+                <span className="text-gray-500">
+                  {entry.operator || 'Utente sconosciuto'} ·{' '}
+                  {format(new Date(entry.created_at), 'dd/MM/yyyy HH:mm', { locale: it })}
+                </span>
+              </div>
+              <table className="mt-2 min-w-full text-sm">
+                <tbody>
+                  {Object.entries(entry.changes || {})
+                    .filter(([field]) => !fieldFilter || field === fieldFilter)
+                    .map(([field, change]) => (
+                      <tr key={field} className="border-t border-gray-100">
+                        <td className="py-1 pr-4 font-mono text-xs text-gray-500 w-1/4">{field}</td>
+                        <td className="py-1 pr-4 text-red-600 line-through">{formatValue(change.old)}</td>
+                        <td className="py-1 text-green-700">{formatValue(change.new)}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ProductHistory
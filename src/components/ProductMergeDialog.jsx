@@ -0,0 +1,159 @@
+import { Fragment, useState, useEffect, useMemo } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { LOOKUP_TABLES } from '../lib/lookups'
+import { MERGE_FIELD_LABELS, defaultMergeChoices, findMergeFields, mergeProductValues } from '../lib/productMerge'
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value))
+
+/**
+ * 🔀 ProductMergeDialog - Unione delle modifiche quando il salvataggio è in conflitto
+ *
+ * Il form prodotto lo apre quando db.updateProduct risponde con PRODUCT_CONFLICT:
+ * per ogni campo cambiato si sceglie tra il valore del form e quello salvato da altri.
+ * onApply riceve i valori uniti (con il nuovo updated_at) da rimettere nel form e salvare.
+ *
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {object} props.base - Prodotto letto all'apertura del form
+ * @param {object} props.local - Valori del form
+ * @param {object} props.server - Prodotto attuale (error.current)
+ * @param {object} [props.lookups] - { colors, lines, sizes, compositions, models } per mostrare i nomi
+ * @param {function(object): void} props.onApply
+ * @param {function(): void} props.onClose
+ */
+export default function ProductMergeDialog({ open, base, local, server, lookups = {}, onApply, onClose }) {
+  const fields = useMemo(
+    () => (open && server ? findMergeFields(base, local, server) : []),
+    [open, base, local, server]
+  )
+  const [choices, setChoices] = useState({})
+
+  useEffect(() => {
+    setChoices(defaultMergeChoices(fields))
+  }, [fields])
+
+  // ID delle tabelle di lookup mostrati con il nome
+  const displayValue = (field, value) => {
+    const lookup = Object.entries(LOOKUP_TABLES).find(([, { foreignKey }]) => foreignKey === field)
+    if (lookup && value) {
+      const match = (lookups[lookup[0]] || []).find(item => item.id === value)
+      if (match) return match.name
+    }
+    return formatValue(value)
+  }
+
+  const unresolved = fields.filter(item => !choices[item.field]).length
+
+  const cellClass = (item, choice) => `py-2 px-2 cursor-pointer ${choices[item.field] === choice
+    ? 'bg-blu-light text-blu-dark font-medium'
+    : 'hover:bg-gray-50'}`
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <div className="fixed inset-0 bg-gray-900/50" />
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Dialog.Panel className="w-full max-w-3xl rounded-lg bg-white shadow-xl">
+              <div className="flex items-center justify-between p-4 border-b">
+                <Dialog.Title className="text-lg font-semibold flex items-center">
+                  <ExclamationTriangleIcon className="h-5 w-5 mr-2 text-yellow-500" />
+                  Prodotto modificato da un altro operatore
+                </Dialog.Title>
+                <button type="button" onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+
+              <div className="p-4 space-y-4">
+                <p className="text-sm text-gray-600">
+                  Mentre il form era aperto il prodotto{server?.sku && ` ${server.sku}`} è stato salvato da altri.
+                  Scegli per ogni campo quale valore tenere: i campi evidenziati in rosso sono cambiati in entrambe le versioni.
+                </p>
+
+                {fields.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    Le modifiche degli altri non riguardano i campi del form: puoi salvare di nuovo.
+                  </p>
+                ) : (
+                  <div className="max-h-[50vh] overflow-y-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-500 uppercase">
+                          <th className="py-1 px-2">Campo</th>
+                          <th className="py-1 px-2">Valore originale</th>
+                          <th className="py-1 px-2">Tua modifica</th>
+                          <th className="py-1 px-2">Valore salvato da altri</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {fields.map(item => (
+                          <tr key={item.field} className={`border-t border-gray-100 ${item.conflict ? 'bg-red-50' : ''}`}>
+                            <td className={`py-2 px-2 ${item.conflict ? 'text-red-700 font-medium' : 'text-gray-700'}`}>
+                              {MERGE_FIELD_LABELS[item.field] || item.field}
+                            </td>
+                            <td className="py-2 px-2 text-gray-400">{displayValue(item.field, item.base)}</td>
+                            <td
+                              className={cellClass(item, 'local')}
+                              onClick={() => setChoices({ ...choices, [item.field]: 'local' })}
+                            >
+                              <label className="inline-flex items-center cursor-pointer">
+                                <input
+                                  type="radio"
+                                  name={`merge-${item.field}`}
+                                  checked={choices[item.field] === 'local'}
+                                  onChange={() => setChoices({ ...choices, [item.field]: 'local' })}
+                                  className="mr-2"
+                                />
+                                {displayValue(item.field, item.local)}
+                              </label>
+                            </td>
+                            <td
+                              className={cellClass(item, 'server')}
+                              onClick={() => setChoices({ ...choices, [item.field]: 'server' })}
+                            >
+                              <label className="inline-flex items-center cursor-pointer">
+                                <input
+                                  type="radio"
+                                  name={`merge-${item.field}`}
+                                  checked={choices[item.field] === 'server'}
+                                  onChange={() => setChoices({ ...choices, [item.field]: 'server' })}
+                                  className="mr-2"
+                                />
+                                {displayValue(item.field, item.server)}
+                              </label>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between p-4 border-t">
+                <span className="text-sm text-gray-500">
+                  {unresolved > 0 ? `${unresolved} campi da scegliere` : 'Tutti i campi sono stati scelti'}
+                </span>
+                <div className="space-x-2">
+                  <button type="button" onClick={onClose} className="btn-secondary">
+                    Annulla
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onApply(mergeProductValues(local, server, choices))}
+                    disabled={unresolved > 0}
+                    className="btn-primary disabled:opacity-50"
+                  >
+                    Usa questi valori
+                  </button>
+                </div>
+              </div>
+            </Dialog.Panel>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  )
+}
@@ -0,0 +1,71 @@
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import { PAYMENT_METHODS } from '../lib/sales'
+
+const formatEuro = (value) => `€ ${Number(value || 0).toFixed(2)}`
+
+/**
+ * 🧾 SaleReceipt - Scontrino di una vendita, pronto per la stampa
+ *
+ * Con window.print() viene stampato solo lo scontrino (classe print-area).
+ * @param {object} props
+ * @param {object} props.sale - Vendita con sale_lines (db.getSale / db.registerSale)
+ */
+export default function SaleReceipt({ sale }) {
+  return (
+    <div className="print-area mx-auto w-full max-w-xs bg-white p-4 font-mono text-xs text-gray-900">
+      <div className="text-center">
+        <p className="text-base font-bold">BLU AREA</p>
+        <p>Vendita n. {sale.number}</p>
+        <p>{format(new Date(sale.created_at), 'dd/MM/yyyy HH:mm', { locale: it })}</p>
+      </div>
+
+      <div className="my-3 border-t border-dashed border-gray-400" />
+
+      <table className="w-full">
+        <tbody>
+          {(sale.sale_lines || []).map(line => (
+            <tr key={line.id} className="align-top">
+              <td className="pb-1 pr-2">
+                <div>{line.description || line.sku}</div>
+                <div className="text-gray-500">
+                  {line.sku} · {line.quantity} x {formatEuro(line.unit_price)}
+                </div>
+              </td>
+              <td className="pb-1 text-right whitespace-nowrap">{formatEuro(line.line_total)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="my-3 border-t border-dashed border-gray-400" />
+
+      <div className="space-y-1">
+        {Number(sale.discount_amount) > 0 && (
+          <>
+            <div className="flex justify-between">
+              <span>Subtotale</span>
+              <span>{formatEuro(sale.subtotal)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Sconto{sale.discount_type === 'percent' && ` ${Number(sale.discount_value)}%`}</span>
+              <span>-{formatEuro(sale.discount_amount)}</span>
+            </div>
+          </>
+        )}
+        <div className="flex justify-between text-sm font-bold">
+          <span>TOTALE</span>
+          <span>{formatEuro(sale.total)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>Pagamento</span>
+          <span>{PAYMENT_METHODS[sale.payment_method] || sale.payment_method}</span>
+        </div>
+      </div>
+
+      {sale.notes && <p className="mt-3">{sale.notes}</p>}
+
+      <p className="mt-4 text-center">Grazie e arrivederci!</p>
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import { useRef, useState } from 'react'
+import { QrCodeIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import CameraModal from './CameraModal'
+
+/**
+ * 🔍 ScanProductButton - Apre la fotocamera in modalità scansione e cerca il prodotto dell'etichetta
+ *
+ * Ogni codice letto viene cercato per SKU (vedi db.findProductByCode) e passato a onProduct.
+ * @param {object} props
+ * @param {(product: object) => void} props.onProduct - Prodotto trovato, con gli stessi campi di getProducts
+ * @param {boolean} [props.closeOnScan] - Chiude la fotocamera al primo prodotto trovato (altrimenti si continua a scansionare)
+ * @param {string} [props.label] - Testo del pulsante (vuoto = solo icona)
+ * @param {string} [props.className]
+ */
+export default function ScanProductButton({ onProduct, closeOnScan = false, label = 'Scansiona', className = 'btn-secondary' }) {
+  const [isOpen, setIsOpen] = useState(false)
+  // Un codice alla volta: la ricerca del precedente deve finire prima
+  const lookingUpRef = useRef(false)
+
+  const handleScan = async ({ text }) => {
+    if (lookingUpRef.current) return
+    lookingUpRef.current = true
+    try {
+      const { data: product, error } = await db.findProductByCode(text)
+      if (error) {
+        toast.error(error.message || 'Errore nella ricerca del prodotto')
+        return
+      }
+      if (!product) {
+        toast.error(`Nessun articolo con codice ${text}`)
+        return
+      }
+      if (closeOnScan) setIsOpen(false)
+      onProduct(product)
+    } finally {
+      lookingUpRef.current = false
+    }
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className={`${className} inline-flex items-center`}
+        title="Scansiona codice con la fotocamera"
+      >
+        <QrCodeIcon className={label ? 'h-5 w-5 mr-2' : 'h-6 w-6'} />
+        {label}
+      </button>
+      <CameraModal
+        isOpen={isOpen}
+        onClose={() => setIsOpen(false)}
+        mode="scan"
+        onScan={handleScan}
+      />
+    </>
+  )
+}
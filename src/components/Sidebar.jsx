@@ -10,7 +10,16 @@ import {
   DocumentArrowDownIcon,
   DocumentArrowUpIcon,
   ChevronLeftIcon,
-  ChevronRightIcon
+  ChevronRightIcon,
+  Squares2X2Icon,
+  TrashIcon,
+  CircleStackIcon,
+  BanknotesIcon,
+  TruckIcon,
+  BuildingOfficeIcon,
+  ArrowsRightLeftIcon,
+  ClipboardDocumentCheckIcon,
+  TagIcon
 } from '@heroicons/react/24/outline'
 import { Link, useLocation } from 'react-router-dom'
 
@@ -18,13 +27,22 @@ const navigation = [
   { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
   { name: 'Prodotti', href: '/products', icon: CubeIcon },
   { name: 'Nuovo Prodotto', href: '/products/new', icon: PlusIcon },
+  { name: 'Varianti', href: '/products/variants', icon: Squares2X2Icon },
+  { name: 'Vendite', href: '/sales', icon: BanknotesIcon },
+  { name: 'Ordini Fornitore', href: '/purchase-orders', icon: TruckIcon },
+  { name: 'Magazzini', href: '/warehouses', icon: BuildingOfficeIcon },
+  { name: 'Trasferimenti', href: '/transfers', icon: ArrowsRightLeftIcon },
+  { name: 'Inventario', href: '/inventory', icon: ClipboardDocumentCheckIcon },
+  { name: 'Etichette', href: '/labels', icon: TagIcon },
   { name: 'Statistiche', href: '/stats', icon: ChartBarIcon },
+  { name: 'Cestino', href: '/trash', icon: TrashIcon },
+  { name: 'Backup', href: '/backup', icon: CircleStackIcon },
   { name: 'Impostazioni', href: '/settings', icon: Cog6ToothIcon },
 ]
 
 const quickActions = [
-  { name: 'Importa Excel', href: '#', icon: DocumentArrowUpIcon },
-  { name: 'Esporta Excel', href: '#', icon: DocumentArrowDownIcon },
+  { name: 'Importa Excel', href: '/import', icon: DocumentArrowUpIcon },
+  { name: 'Esporta Excel', href: '/export', icon: DocumentArrowDownIcon },
 ]
 
 function classNames(...classes) {
@@ -91,12 +109,13 @@ export default function Sidebar({ sidebarOpen, setSidebarOpen, sidebarCollapsed,
             <ul role="list" className="-mx-2 mt-2 space-y-1">
               {quickActions.map((item) => (
                 <li key={item.name}>
-                  <a
-                    href={item.href}
+                  <Link
+                    to={item.href}
                     className={classNames(
                       'text-gray-700 hover:text-blu-primary hover:bg-gray-50 group flex gap-x-3 rounded-md p-2 text-sm leading-6 font-semibold',
                       !isMobile && isCollapsed ? 'justify-center' : ''
                     )}
+                    onClick={() => setSidebarOpen(false)}
                     title={!isMobile && isCollapsed ? item.name : ''}
                   >
                     <item.icon
@@ -104,7 +123,7 @@ export default function Sidebar({ sidebarOpen, setSidebarOpen, sidebarCollapsed,
                       aria-hidden="true"
                     />
                     {(isMobile || !isCollapsed) && item.name}
-                  </a>
+                  </Link>
                 </li>
               ))}
             </ul>
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowPathIcon,
+  CheckIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  XMarkIcon,
+  PlusIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { DEFAULT_SKU_PATTERN, SKU_SEGMENTS, formatSku, validateSkuPattern } from '../lib/sku'
+
+/**
+ * 🏷️ SkuSettings - Formato SKU e prenotazione blocchi (sezione di /settings)
+ */
+const SkuSettings = () => {
+  const [pattern, setPattern] = useState(DEFAULT_SKU_PATTERN)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [blockSize, setBlockSize] = useState(10)
+  const [reservation, setReservation] = useState(null)
+
+  useEffect(() => {
+    db.getSkuPattern().then(({ data }) => {
+      setPattern(data)
+      setLoading(false)
+    })
+  }, [])
+
+  const validationError = validateSkuPattern(pattern)
+  const preview = validationError
+    ? null
+    : formatSku(242, { article: 'Felpa Zip', lineName: 'Outdoor' }, pattern)
+  const unusedSegments = Object.keys(SKU_SEGMENTS).filter(segment => !pattern.segments.includes(segment))
+
+  const moveSegment = (index, direction) => {
+    const segments = [...pattern.segments]
+    const target = index + direction
+    if (target < 0 || target >= segments.length) return
+    ;[segments[index], segments[target]] = [segments[target], segments[index]]
+    setPattern({ ...pattern, segments })
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    const { error } = await db.updateSkuPattern({
+      ...pattern,
+      padding: parseInt(pattern.padding, 10),
+      lineLength: parseInt(pattern.lineLength, 10)
+    })
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio del formato SKU')
+    } else {
+      toast.success('Formato SKU salvato')
+    }
+  }
+
+  const handleReserve = async () => {
+    const count = parseInt(blockSize, 10)
+    if (!count || count < 1) {
+      toast.error('Indica quanti SKU riservare')
+      return
+    }
+
+    const { data, error } = await db.reserveSkuBlock(count, 'Prenotazione da Impostazioni')
+    if (error) {
+      toast.error(error.message || 'Errore nella prenotazione degli SKU')
+      return
+    }
+
+    setReservation(data)
+    toast.success(`Riservati ${count} SKU`)
+  }
+
+  if (loading) {
+    return (
+      <div className="card text-center py-6">
+        <ArrowPathIcon className="h-6 w-6 animate-spin mx-auto text-gray-400" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="card space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Formato SKU</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Il progressivo è assegnato dal database, senza duplicati anche con più operatori.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Prefisso</label>
+          <input
+            type="text"
+            value={pattern.prefix}
+            onChange={(e) => setPattern({ ...pattern, prefix: e.target.value.toUpperCase() })}
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Cifre progressivo</label>
+          <input
+            type="number"
+            min="1"
+            max="10"
+            value={pattern.padding}
+            onChange={(e) => setPattern({ ...pattern, padding: e.target.value })}
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Separatore</label>
+          <input
+            type="text"
+            maxLength={3}
+            value={pattern.separator}
+            onChange={(e) => setPattern({ ...pattern, separator: e.target.value })}
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Caratteri linea</label>
+          <input
+            type="number"
+            min="1"
+            max="10"
+            value={pattern.lineLength}
+            onChange={(e) => setPattern({ ...pattern, lineLength: e.target.value })}
+            className="input-field"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Elementi</label>
+        <div className="flex flex-wrap items-center gap-2">
+          {pattern.segments.map((segment, index) => (
+            <span key={segment} className="inline-flex items-center rounded-md bg-blu-light text-blu-dark text-sm px-2 py-1">
+              <button type="button" onClick={() => moveSegment(index, -1)} className="p-0.5 hover:text-blu-primary">
+                <ChevronLeftIcon className="h-4 w-4" />
+              </button>
+              {SKU_SEGMENTS[segment]}
+              <button type="button" onClick={() => moveSegment(index, 1)} className="p-0.5 hover:text-blu-primary">
+                <ChevronRightIcon className="h-4 w-4" />
+              </button>
+              {segment !== 'counter' && (
+                <button
+                  type="button"
+                  onClick={() => setPattern({ ...pattern, segments: pattern.segments.filter(s => s !== segment) })}
+                  className="p-0.5 hover:text-red-600"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              )}
+            </span>
+          ))}
+          {unusedSegments.map(segment => (
+            <button
+              key={segment}
+              type="button"
+              onClick={() => setPattern({ ...pattern, segments: [...pattern.segments, segment] })}
+              className="inline-flex items-center rounded-md border border-dashed border-gray-300 text-gray-500 text-sm px-2 py-1 hover:text-blu-primary"
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              {SKU_SEGMENTS[segment]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="text-sm">
+        {validationError ? (
+          <span className="text-red-600">{validationError}</span>
+        ) : (
+          <span className="text-gray-500">
+            Anteprima: <span className="font-mono font-medium text-gray-900">{preview}</span>
+          </span>
+        )}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || !!validationError}
+          className="btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          {saving ? (
+            <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <CheckIcon className="h-4 w-4 mr-2" />
+          )}
+          Salva formato
+        </button>
+      </div>
+
+      <div className="border-t border-gray-200 pt-4">
+        <h4 className="text-sm font-medium text-gray-700 mb-2">Prenota un blocco di SKU</h4>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={blockSize}
+            onChange={(e) => setBlockSize(e.target.value)}
+            className="input-field w-28"
+          />
+          <button type="button" onClick={handleReserve} className="btn-secondary">
+            Prenota
+          </button>
+        </div>
+        {reservation && (
+          <p className="text-sm text-gray-500 mt-2">
+            Riservati i progressivi da{' '}
+            <span className="font-mono font-medium text-gray-900">{reservation.first_value}</span> a{' '}
+            <span className="font-mono font-medium text-gray-900">{reservation.last_value}</span>
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SkuSettings
@@ -0,0 +1,208 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  ArrowPathIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  PlusIcon
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { MOVEMENT_TYPES, validateMovement } from '../lib/stockMovements'
+
+/**
+ * 📋 StockMovements - Storico movimenti di un prodotto
+ *
+ * Funzionalità:
+ * - Elenco movimenti con giacenza prima/dopo
+ * - Filtro per tipo movimento
+ * - Registrazione di un nuovo movimento
+ */
+const StockMovements = ({ productId, onStockChange }) => {
+  const [movements, setMovements] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [typeFilter, setTypeFilter] = useState('')
+  const [form, setForm] = useState({ type: 'carico', quantity: '', reason: '' })
+
+  // Carica lo storico
+  const loadMovements = useCallback(async () => {
+    if (!productId) return
+
+    setLoading(true)
+    const { data, error } = await db.getStockMovements(productId, { type: typeFilter || null })
+    if (error) {
+      console.error('Errore caricamento movimenti:', error)
+      toast.error('Errore nel caricamento dei movimenti')
+    } else {
+      setMovements(data || [])
+    }
+    setLoading(false)
+  }, [productId, typeFilter])
+
+  useEffect(() => {
+    loadMovements()
+  }, [loadMovements])
+
+  // Registra un nuovo movimento
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    const quantity = parseInt(form.quantity, 10)
+    const validationError = validateMovement(form.type, quantity)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+
+    setSaving(true)
+    const { data, error } = await db.registerStockMovement(productId, {
+      type: form.type,
+      quantity,
+      reason: form.reason.trim() || null
+    })
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nella registrazione del movimento')
+      return
+    }
+
+    toast.success('Movimento registrato')
+    setForm({ ...form, quantity: '', reason: '' })
+    if (onStockChange) {
+      onStockChange(data.quantity_after)
+    }
+    await loadMovements()
+  }
+
+  if (!productId) {
+    return (
+      <p className="text-sm text-gray-500">
+        Salva il prodotto per registrare i movimenti di magazzino.
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Storico Movimenti</h3>
+        <div className="flex items-center space-x-2">
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="input-field py-1 text-sm w-auto"
+          >
+            <option value="">Tutti i tipi</option>
+            {Object.entries(MOVEMENT_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={loadMovements}
+            className="p-2 text-gray-500 hover:text-blu-primary"
+            title="Aggiorna"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {/* Nuovo movimento */}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-2">
+        <select
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+          className="input-field"
+        >
+          {Object.entries(MOVEMENT_TYPES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="1"
+          value={form.quantity}
+          onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+          placeholder={MOVEMENT_TYPES[form.type].signed ? 'Quantità (+/-)' : 'Quantità'}
+          className="input-field"
+        />
+        <input
+          type="text"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          placeholder="Causale"
+          className="input-field"
+        />
+        <button
+          type="submit"
+          disabled={saving || !form.quantity}
+          className="btn-primary inline-flex items-center justify-center disabled:opacity-50"
+        >
+          {saving ? (
+            <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <PlusIcon className="h-4 w-4 mr-2" />
+          )}
+          Registra
+        </button>
+      </form>
+
+      {/* Tabella movimenti */}
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className="table-header">Data</th>
+              <th className="table-header">Tipo</th>
+              <th className="table-header text-right">Quantità</th>
+              <th className="table-header text-right">Giacenza</th>
+              <th className="table-header">Causale</th>
+              <th className="table-header">Operatore</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {movements.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="table-cell text-center text-gray-500">
+                  {loading ? 'Caricamento movimenti...' : 'Nessun movimento registrato'}
+                </td>
+              </tr>
+            ) : movements.map((movement) => (
+              <tr key={movement.id}>
+                <td className="table-cell">
+                  {format(new Date(movement.created_at), 'dd/MM/yyyy HH:mm', { locale: it })}
+                </td>
+                <td className="table-cell">
+                  {MOVEMENT_TYPES[movement.movement_type]?.label || movement.movement_type}
+                </td>
+                <td className={`table-cell text-right font-medium ${
+                  movement.quantity > 0 ? 'text-green-600' : 'text-red-600'
+                }`}>
+                  <span className="inline-flex items-center">
+                    {movement.quantity > 0 ? (
+                      <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                    ) : (
+                      <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+                    )}
+                    {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                  </span>
+                </td>
+                <td className="table-cell text-right text-gray-500">
+                  {movement.quantity_before} → {movement.quantity_after}
+                </td>
+                <td className="table-cell text-gray-500">{movement.reason || '-'}</td>
+                <td className="table-cell text-gray-500">{movement.operator || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default StockMovements
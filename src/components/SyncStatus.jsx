@@ -0,0 +1,165 @@
+import { Fragment, useState, useEffect } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import {
+  ArrowPathIcon,
+  CloudIcon,
+  ExclamationTriangleIcon,
+  SignalSlashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { getSyncState, subscribeSyncState, syncQueue, resolveConflict } from '../lib/offlineSync'
+
+const OPERATION_LABELS = {
+  createProduct: 'Creazione prodotto',
+  updateProduct: 'Modifica prodotto',
+  registerStockMovement: 'Movimento di magazzino'
+}
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value))
+
+/**
+ * 🔄 SyncStatus - Stato connessione, coda offline e conflitti nella Navbar
+ */
+export default function SyncStatus() {
+  const [syncState, setSyncState] = useState(getSyncState())
+  const [conflictsOpen, setConflictsOpen] = useState(false)
+
+  useEffect(() => subscribeSyncState(setSyncState), [])
+
+  const { online, syncing, pending, conflicts } = syncState
+
+  const handleSync = async () => {
+    const { synced, conflicts: newConflicts } = await syncQueue()
+    if (synced > 0) toast.success(`${synced} modifiche sincronizzate`)
+    if (newConflicts > 0) toast.error(`${newConflicts} modifiche in conflitto`)
+  }
+
+  const handleResolve = async (conflict, choice) => {
+    const { error } = await resolveConflict(conflict.id, choice)
+    if (error) {
+      toast.error(error.message || 'Errore nella risoluzione del conflitto')
+    } else {
+      toast.success(choice === 'local' ? 'Modifica applicata' : 'Modifica scartata')
+    }
+  }
+
+  // Nessuna indicazione quando tutto è sincronizzato
+  if (online && pending === 0 && conflicts.length === 0) {
+    return null
+  }
+
+  return (
+    <>
+      <div className="flex items-center space-x-2 mr-3">
+        {!online && (
+          <span className="inline-flex items-center rounded-full bg-yellow-100 px-2 py-1 text-xs font-medium text-yellow-800">
+            <SignalSlashIcon className="h-4 w-4 mr-1" />
+            Offline
+          </span>
+        )}
+        {pending > 0 && (
+          <button
+            type="button"
+            onClick={handleSync}
+            disabled={!online || syncing}
+            className="inline-flex items-center rounded-full bg-blu-light px-2 py-1 text-xs font-medium text-blu-dark disabled:opacity-75"
+            title={online ? 'Sincronizza ora' : 'In attesa della connessione'}
+          >
+            {syncing ? (
+              <ArrowPathIcon className="h-4 w-4 mr-1 animate-spin" />
+            ) : (
+              <CloudIcon className="h-4 w-4 mr-1" />
+            )}
+            {pending} in coda
+          </button>
+        )}
+        {conflicts.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setConflictsOpen(true)}
+            className="inline-flex items-center rounded-full bg-red-100 px-2 py-1 text-xs font-medium text-red-700"
+          >
+            <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+            {conflicts.length} conflitti
+          </button>
+        )}
+      </div>
+
+      <Transition.Root show={conflictsOpen} as={Fragment}>
+        <Dialog as="div" className="relative z-50" onClose={setConflictsOpen}>
+          <div className="fixed inset-0 bg-gray-900/50" />
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4">
+              <Dialog.Panel className="w-full max-w-2xl rounded-lg bg-white shadow-xl">
+                <div className="flex items-center justify-between p-4 border-b">
+                  <Dialog.Title className="text-lg font-semibold">Conflitti di sincronizzazione</Dialog.Title>
+                  <button type="button" onClick={() => setConflictsOpen(false)} className="p-1 hover:bg-gray-100 rounded">
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                </div>
+                <div className="p-4 space-y-4 max-h-[70vh] overflow-y-auto">
+                  {conflicts.length === 0 && (
+                    <p className="text-sm text-gray-500">Nessun conflitto da risolvere.</p>
+                  )}
+                  {conflicts.map(conflict => {
+                    const [, updates] = conflict.operation.args
+                    return (
+                      <div key={conflict.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">
+                              {OPERATION_LABELS[conflict.operation.method] || conflict.operation.method}
+                              {conflict.server?.sku && ` · ${conflict.server.sku}`}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              Eseguita offline il {new Date(conflict.operation.queuedAt).toLocaleString('it-IT')}
+                            </div>
+                          </div>
+                        </div>
+
+                        {conflict.message && (
+                          <p className="text-sm text-red-600">{conflict.message}</p>
+                        )}
+
+                        {conflict.fields.length > 0 && (
+                          <table className="min-w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-xs text-gray-500 uppercase">
+                                <th className="py-1">Campo</th>
+                                <th className="py-1">Tua modifica</th>
+                                <th className="py-1">Valore attuale</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {conflict.fields.map(field => (
+                                <tr key={field} className="border-t border-gray-100">
+                                  <td className="py-1 font-mono text-xs">{field}</td>
+                                  <td className="py-1">{formatValue(updates[field])}</td>
+                                  <td className="py-1">{formatValue(conflict.server[field])}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+
+                        <div className="flex justify-end space-x-2">
+                          <button type="button" onClick={() => handleResolve(conflict, 'server')} className="btn-secondary text-sm">
+                            Scarta la mia modifica
+                          </button>
+                          <button type="button" onClick={() => handleResolve(conflict, 'local')} className="btn-primary text-sm">
+                            Applica comunque
+                          </button>
+                        </div>
+                      </div>
+                    )
+                  })}
+                </div>
+              </Dialog.Panel>
+            </div>
+          </div>
+        </Dialog>
+      </Transition.Root>
+    </>
+  )
+}
@@ -0,0 +1,27 @@
+// Credenziali per le API Express (/api/*), vedi api/_lib/auth.js:
+// il token della sessione Supabase se l'utente è autenticato,
+// altrimenti la chiave VITE_API_KEY (installazioni senza Supabase)
+
+import { supabase } from './backends/supabaseBackend'
+
+const API_KEY = import.meta.env.VITE_API_KEY
+
+/**
+ * Header da aggiungere alle richieste verso le API del server
+ * @param {object} [headers] - Altri header della richiesta
+ * @returns {Promise<object>}
+ */
+export async function apiHeaders(headers = {}) {
+  if (supabase) {
+    try {
+      const { data } = await supabase.auth.getSession()
+      if (data?.session?.access_token) {
+        return { ...headers, Authorization: `Bearer ${data.session.access_token}` }
+      }
+    } catch (error) {
+      console.warn('⚠️ Sessione non disponibile per le API:', error)
+    }
+  }
+
+  return API_KEY ? { ...headers, 'X-Api-Key': API_KEY } : headers
+}
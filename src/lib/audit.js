@@ -0,0 +1,53 @@
+// Cronologia modifiche: confronto campo per campo tra due versioni di un record
+
+export const AUDIT_ACTIONS = {
+  create: 'Creazione',
+  update: 'Modifica',
+  delete: 'Eliminazione',
+  stock: 'Giacenza',
+  restore: 'Ripristino',
+  purge: 'Eliminazione definitiva'
+}
+
+export const AUDIT_ENTITIES = {
+  product: 'Prodotto',
+  photo: 'Foto'
+}
+
+// Campi gestiti dal database o calcolati, esclusi dalla cronologia
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'effective_min_stock', 'is_low_stock']
+
+const normalize = (value) => (value === undefined || value === '' ? null : value)
+
+const isScalar = (value) => value === null || typeof value !== 'object'
+
+/**
+ * Differenze tra due versioni di un record
+ * @param {object|null} before - Versione precedente (null per una creazione)
+ * @param {object|null} after - Nuova versione o campi aggiornati (null per un'eliminazione)
+ * @param {object} [options]
+ * @param {boolean} [options.onlyAfterKeys] - Confronta solo i campi presenti in after (aggiornamenti parziali)
+ * @returns {object} Campo -> { old, new } per i soli campi cambiati
+ */
+export function diffFields(before, after, { onlyAfterKeys = false } = {}) {
+  const fields = onlyAfterKeys
+    ? Object.keys(after || {})
+    : Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]))
+
+  const changes = {}
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue
+
+    const oldValue = normalize(before?.[field])
+    const newValue = normalize(after?.[field])
+
+    // Le relazioni incorporate (colors, lines, ...) non sono campi del record
+    if (!isScalar(oldValue) || !isScalar(newValue)) continue
+
+    // I form inviano spesso numeri come stringhe
+    if (String(oldValue ?? '') === String(newValue ?? '')) continue
+
+    changes[field] = { old: oldValue, new: newValue }
+  }
+  return changes
+}
@@ -0,0 +1,42 @@
+// Selezione del backend dati (VITE_DATA_BACKEND):
+// - supabase (default): database Supabase
+// - memory: archivio nel browser, nessun server necessario
+// - rest: API Express del progetto (/api/db)
+
+import { supabase, isSupabaseConfigured } from './supabaseBackend'
+import { createMemoryBackend } from './memoryBackend'
+import { createRestBackend } from './restBackend'
+
+export const BACKENDS = ['supabase', 'memory', 'rest']
+
+const requestedBackend = import.meta.env.VITE_DATA_BACKEND || 'supabase'
+
+if (!BACKENDS.includes(requestedBackend)) {
+  console.warn(`⚠️ Backend dati sconosciuto "${requestedBackend}", uso Supabase`)
+}
+
+export const backendName = BACKENDS.includes(requestedBackend) ? requestedBackend : 'supabase'
+
+if (backendName === 'supabase' && !isSupabaseConfigured) {
+  console.warn('⚠️ Supabase non configurato. Configura le variabili d\'ambiente in .env')
+}
+
+function createDataClient() {
+  switch (backendName) {
+    case 'memory':
+      return createMemoryBackend()
+    case 'rest':
+      return createRestBackend()
+    default:
+      return supabase
+  }
+}
+
+/**
+ * Client dati con interfaccia compatibile supabase-js (from, rpc)
+ */
+export const dataClient = createDataClient()
+
+export const isBackendConfigured = backendName === 'supabase' ? isSupabaseConfigured : true
+
+export { supabase, isSupabaseConfigured }
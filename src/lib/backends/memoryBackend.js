@@ -0,0 +1,66 @@
+// Backend in memoria: tutti i dati restano nel browser (localStorage).
+// Utile per provare l'app senza un progetto Supabase; l'archivio può
+// essere esportato e reimportato come file JSON.
+
+import { QueryBuilder } from './queryBuilder'
+import { createQueryEngine } from './queryEngine'
+import { rpcFunctions } from './rpcFunctions'
+import { triggers } from './triggers'
+import { computedColumns, relations, primaryKeys, uniqueColumns, createEmptyTables } from './schema'
+
+const STORAGE_KEY = 'blu-area-warehouse:memory-db'
+
+const hasLocalStorage = () => typeof localStorage !== 'undefined'
+
+function loadTables() {
+  if (hasLocalStorage()) {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY)
+      if (stored) return { ...createEmptyTables(), ...JSON.parse(stored) }
+    } catch (error) {
+      console.warn('⚠️ Archivio locale non leggibile, ripartenza da vuoto:', error)
+    }
+  }
+  return createEmptyTables()
+}
+
+/**
+ * Crea il client del backend in memoria
+ * @param {object} [options]
+ * @param {object} [options.initialData] - Tabelle iniziali (altrimenti localStorage o archivio vuoto)
+ * @param {boolean} [options.persist] - Salva le modifiche in localStorage (default true)
+ */
+export function createMemoryBackend({ initialData = null, persist = true } = {}) {
+  let tables = initialData ? { ...createEmptyTables(), ...initialData } : loadTables()
+
+  const engine = createQueryEngine({
+    load: () => tables,
+    save: (updated) => {
+      if (persist && hasLocalStorage()) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(updated))
+      }
+    },
+    rpcFunctions,
+    computedColumns,
+    relations,
+    primaryKeys,
+    uniqueColumns,
+    triggers
+  })
+
+  return {
+    from: (table) => new QueryBuilder(table, (plan) => engine.run(plan)),
+    rpc: (name, args) => engine.rpc(name, args),
+
+    // Esporta l'archivio come oggetto JSON
+    exportData: () => JSON.parse(JSON.stringify(tables)),
+
+    // Sostituisce l'archivio con i dati indicati
+    importData(data) {
+      tables = { ...createEmptyTables(), ...data }
+      if (persist && hasLocalStorage()) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(tables))
+      }
+    }
+  }
+}
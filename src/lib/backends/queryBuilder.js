@@ -0,0 +1,117 @@
+// Query builder compatibile con il sottoinsieme di supabase-js usato da db.
+// Non esegue nulla: registra un "piano" serializzabile e lo passa a execute()
+// quando la query viene attesa (await / then).
+
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in']
+
+export class QueryBuilder {
+  /**
+   * @param {string} table - Tabella di partenza
+   * @param {function(object): Promise<object>} execute - Esegue il piano e restituisce { data, error, count }
+   */
+  constructor(table, execute) {
+    this.execute = execute
+    this.plan = {
+      table,
+      action: 'select',
+      columns: '*',
+      count: null,
+      head: false,
+      returning: false,
+      values: null,
+      onConflict: null,
+      filters: [],
+      order: [],
+      range: null,
+      limit: null,
+      single: null
+    }
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.plan.action === 'select') {
+      Object.assign(this.plan, { columns, count, head })
+    } else {
+      // select() dopo insert/update/upsert/delete restituisce le righe modificate
+      Object.assign(this.plan, { columns, returning: true })
+    }
+    return this
+  }
+
+  insert(values) {
+    Object.assign(this.plan, { action: 'insert', values: [].concat(values) })
+    return this
+  }
+
+  upsert(values, { onConflict = null } = {}) {
+    Object.assign(this.plan, { action: 'upsert', values: [].concat(values), onConflict })
+    return this
+  }
+
+  update(values) {
+    Object.assign(this.plan, { action: 'update', values })
+    return this
+  }
+
+  delete() {
+    this.plan.action = 'delete'
+    return this
+  }
+
+  filter(column, operator, value) {
+    this.plan.filters.push({ type: operator, column, value })
+    return this
+  }
+
+  not(column, operator, value) {
+    this.plan.filters.push({ type: operator, column, value, negate: true })
+    return this
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value))
+    return this
+  }
+
+  or(expression) {
+    this.plan.filters.push({ type: 'or', expression })
+    return this
+  }
+
+  order(column, { ascending = true, nullsFirst = false } = {}) {
+    this.plan.order.push({ column, ascending, nullsFirst })
+    return this
+  }
+
+  range(from, to) {
+    this.plan.range = { from, to }
+    return this
+  }
+
+  limit(count) {
+    this.plan.limit = count
+    return this
+  }
+
+  single() {
+    this.plan.single = 'single'
+    return this
+  }
+
+  maybeSingle() {
+    this.plan.single = 'maybe'
+    return this
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute(this.plan)
+      .catch(error => ({ data: null, count: null, error: { message: error.message || String(error) } }))
+      .then(onFulfilled, onRejected)
+  }
+}
+
+FILTER_OPERATORS.forEach(operator => {
+  QueryBuilder.prototype[operator] = function (column, value) {
+    return this.filter(column, operator, value)
+  }
+})
@@ -0,0 +1,501 @@
+// Motore di query in JavaScript per i backend senza PostgreSQL
+// (store in memoria nel browser e file JSON lato server).
+// Esegue i piani registrati da QueryBuilder riproducendo il comportamento
+// di PostgREST per il sottoinsieme usato dall'app: relazioni incorporate
+// nella select, filtri, ordinamento, intervalli, conteggi e funzioni RPC.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+
+export const generateId = () => (
+  globalThis.crypto?.randomUUID
+    ? globalThis.crypto.randomUUID()
+    : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`
+)
+
+/**
+ * Errore con la stessa forma di quelli restituiti da Supabase
+ */
+export class QueryError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message)
+    this.code = code
+    this.details = details
+  }
+}
+
+// Come il trigger set_updated_at (009): ogni modifica cambia updated_at, anche
+// quelle che lo impostano esplicitamente o che cadono nello stesso millisecondo
+// della precedente (PostgreSQL ha la precisione del microsecondo, qui del millisecondo)
+const nextUpdatedAt = (previous) => {
+  const last = previous ? Date.parse(previous) : 0
+  return new Date(Math.max(Date.now(), (Number.isNaN(last) ? 0 : last) + 1)).toISOString()
+}
+
+const toErrorResult = (error) => ({
+  data: null,
+  count: null,
+  error: { message: error.message, code: error.code ?? null, details: error.details ?? null }
+})
+
+// colors -> color, stock_movements -> stock_movement, categories -> category
+export function singularize(table) {
+  if (table.endsWith('ies')) return `${table.slice(0, -3)}y`
+  if (table.endsWith('ses')) return table.slice(0, -2)
+  if (table.endsWith('s')) return table.slice(0, -1)
+  return table
+}
+
+// Divide una stringa sui separatori di primo livello (fuori dalle parentesi)
+function splitTopLevel(text, separator = ',') {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of text) {
+    if (char === '(') depth++
+    if (char === ')') depth--
+    if (char === separator && depth === 0) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  parts.push(current)
+  return parts.map(part => part.trim()).filter(Boolean)
+}
+
+/**
+ * Interpreta la stringa della select: colonne, "*" e relazioni incorporate
+ * (es. "*, colors(name), foto:product_photos(id, file_path), location_stock!inner(location_id)")
+ */
+export function parseSelect(columns = '*') {
+  const parsed = { star: false, columns: [], embeds: [] }
+
+  for (const token of splitTopLevel(columns.replace(/\s+/g, ' '))) {
+    const embed = token.match(/^(?:([\w]+):)?([\w]+)(?:!([\w]+))?(!inner)?\s*\((.*)\)$/s)
+    if (embed) {
+      const [, alias, table, hint, innerSuffix, columns] = embed
+      parsed.embeds.push({
+        alias: alias || table,
+        table,
+        hint: hint && hint !== 'inner' ? hint : null,
+        // !inner: la riga di partenza resta solo se la relazione ha righe
+        inner: hint === 'inner' || Boolean(innerSuffix),
+        select: parseSelect(columns)
+      })
+    } else if (token === '*') {
+      parsed.star = true
+    } else {
+      const [alias, column] = token.includes(':') ? token.split(':') : [token, token]
+      parsed.columns.push({ alias: alias.trim(), column: column.trim() })
+    }
+  }
+
+  return parsed
+}
+
+const isNumeric = (value) => value !== null && value !== '' && !Number.isNaN(Number(value))
+
+function compareValues(a, b) {
+  if (a === b) return 0
+  if (a === null || a === undefined) return 1
+  if (b === null || b === undefined) return -1
+  if (typeof a === 'boolean' || typeof b === 'boolean') return Number(a) - Number(b)
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b)
+  return String(a).localeCompare(String(b))
+}
+
+const likeToRegExp = (pattern, flags) => new RegExp(
+  `^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+  flags
+)
+
+const parseListValue = (value) => (Array.isArray(value)
+  ? value
+  : String(value).replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, '')))
+
+function parseIsValue(value) {
+  if (value === 'null') return null
+  if (value === 'true') return true
+  if (value === 'false') return false
+  return value
+}
+
+function matchesOperator(rowValue, operator, value) {
+  switch (operator) {
+    case 'eq': return rowValue !== null && rowValue !== undefined && compareValues(rowValue, value) === 0
+    case 'neq': return rowValue !== null && rowValue !== undefined && compareValues(rowValue, value) !== 0
+    case 'gt': return rowValue !== null && rowValue !== undefined && compareValues(rowValue, value) > 0
+    case 'gte': return rowValue !== null && rowValue !== undefined && compareValues(rowValue, value) >= 0
+    case 'lt': return rowValue !== null && rowValue !== undefined && compareValues(rowValue, value) < 0
+    case 'lte': return rowValue !== null && rowValue !== undefined && compareValues(rowValue, value) <= 0
+    case 'like': return rowValue !== null && rowValue !== undefined && likeToRegExp(value, '').test(String(rowValue))
+    case 'ilike': return rowValue !== null && rowValue !== undefined && likeToRegExp(value, 'i').test(String(rowValue))
+    case 'in': return parseListValue(value).some(item => compareValues(rowValue, item) === 0)
+    case 'is': {
+      const expected = typeof value === 'string' ? parseIsValue(value) : value
+      return expected === null ? rowValue === null || rowValue === undefined : rowValue === expected
+    }
+    default:
+      throw new QueryError(`Operatore di filtro non supportato: ${operator}`)
+  }
+}
+
+// Interpreta un'espressione or()/and() di PostgREST (es. "sku.ilike.%a%,article.eq.b")
+function matchesExpression(row, expression, combinator = 'or') {
+  const conditions = splitTopLevel(expression).map(condition => {
+    const nested = condition.match(/^(and|or)\((.*)\)$/s)
+    if (nested) return matchesExpression(row, nested[2], nested[1])
+
+    const [column, ...rest] = condition.split('.')
+    let negate = false
+    if (rest[0] === 'not') {
+      negate = true
+      rest.shift()
+    }
+    const [operator, ...valueParts] = rest
+    const result = matchesOperator(row[column], operator, valueParts.join('.'))
+    return negate ? !result : result
+  })
+
+  return combinator === 'or' ? conditions.some(Boolean) : conditions.every(Boolean)
+}
+
+// Filtro su una colonna di una relazione incorporata (es. "location_stock.location_id")
+const isEmbeddedFilter = (filter) => Boolean(filter.column?.includes('.'))
+
+// Filtri del livello successivo per la relazione con questo alias
+const filtersForEmbed = (filters, alias) => filters
+  .filter(filter => filter.column.startsWith(`${alias}.`))
+  .map(filter => ({ ...filter, column: filter.column.slice(alias.length + 1) }))
+
+// Relazioni !inner senza righe escludono la riga proiettata
+const keepsInnerEmbeds = (result, select) => select.embeds.every(embed => (
+  !embed.inner || (Array.isArray(result[embed.alias]) ? result[embed.alias].length > 0 : result[embed.alias] !== null)
+))
+
+function matchesFilter(row, filter) {
+  if (filter.type === 'or') return matchesExpression(row, filter.expression, 'or')
+  const result = matchesOperator(row[filter.column], filter.type, filter.value)
+  return filter.negate ? !result : result
+}
+
+/**
+ * Crea un motore di query su un insieme di tabelle
+ * @param {object} options
+ * @param {function(): object} options.load - Restituisce le tabelle (nome -> array di righe)
+ * @param {function(object): (void|Promise<void>)} options.save - Persiste le tabelle dopo una modifica
+ * @param {object} [options.rpcFunctions] - Funzioni RPC: nome -> (args, ctx) => risultato
+ * @param {object} [options.computedColumns] - Colonne calcolate: tabella -> nome -> (row, tables) => valore
+ * @param {object} [options.relations] - Relazioni esplicite: tabella -> tabella collegata -> { type: 'one'|'many', column }
+ * @param {object} [options.primaryKeys] - Chiave primaria per tabella (default 'id')
+ * @param {object} [options.uniqueColumns] - Colonne univoche per tabella
+ * @param {object} [options.triggers] - Trigger AFTER per tabella: tabella -> [(ctx, { operation, old, new }) => void],
+ *   eseguiti nella stessa transazione della modifica (operation: INSERT, UPDATE o DELETE)
+ * @returns {{run: function(object, object=): Promise<object>, rpc: function(string, object, object=): Promise<object>}}
+ */
+export function createQueryEngine({
+  load,
+  save,
+  rpcFunctions = {},
+  computedColumns = {},
+  relations = {},
+  primaryKeys = {},
+  uniqueColumns = {},
+  triggers = {}
+}) {
+  const tableRows = (tables, table) => {
+    if (!tables[table]) tables[table] = []
+    return tables[table]
+  }
+
+  const primaryKey = (table) => primaryKeys[table] || 'id'
+
+  // Riga con le colonne calcolate, usata per filtri, ordinamento e proiezione
+  const withComputed = (tables, table, row) => {
+    const computed = computedColumns[table]
+    if (!computed) return row
+    const extended = { ...row }
+    for (const [name, compute] of Object.entries(computed)) {
+      extended[name] = compute(row, tables)
+    }
+    return extended
+  }
+
+  // filters: filtri sulle colonne della relazione, come in PostgREST riducono le righe incorporate
+  function resolveRelation(tables, sourceTable, sourceRow, embed, filters = []) {
+    const explicit = relations[sourceTable]?.[embed.table]
+    const targetRows = tableRows(tables, embed.table)
+    const ownFilters = filters.filter(filter => !isEmbeddedFilter(filter))
+    const nestedFilters = filters.filter(isEmbeddedFilter)
+    const matches = (row) => ownFilters.every(filter => matchesFilter(withComputed(tables, embed.table, row), filter))
+    const projectTarget = (row) => {
+      const result = project(tables, embed.table, row, embed.select, nestedFilters)
+      return keepsInnerEmbeds(result, embed.select) ? result : null
+    }
+
+    if (embed.hint || explicit?.type === 'one' || (!explicit && `${singularize(embed.table)}_id` in sourceRow)) {
+      // Molti-a-uno: la riga di partenza contiene la chiave esterna
+      const column = embed.hint || explicit?.column || `${singularize(embed.table)}_id`
+      const target = targetRows.find(row => row[primaryKey(embed.table)] === sourceRow[column])
+      return target && matches(target) ? projectTarget(target) : null
+    }
+
+    // Uno-a-molti: la tabella collegata contiene la chiave esterna
+    const column = explicit?.column || `${singularize(sourceTable)}_id`
+    return targetRows
+      .filter(row => row[column] === sourceRow[primaryKey(sourceTable)] && matches(row))
+      .map(projectTarget)
+      .filter(Boolean)
+  }
+
+  function project(tables, table, row, select, filters = []) {
+    const extended = withComputed(tables, table, row)
+    const result = select.star ? { ...row } : {}
+
+    for (const { alias, column } of select.columns) {
+      result[alias] = extended[column] ?? null
+    }
+    for (const embed of select.embeds) {
+      result[embed.alias] = resolveRelation(tables, table, row, embed, filtersForEmbed(filters, embed.alias))
+    }
+
+    return result
+  }
+
+  function filterRows(tables, table, filters) {
+    return tableRows(tables, table).filter(row => {
+      const extended = withComputed(tables, table, row)
+      return filters.every(filter => matchesFilter(extended, filter))
+    })
+  }
+
+  function sortRows(tables, table, rows, order) {
+    if (order.length === 0) return rows
+    return [...rows].sort((a, b) => {
+      const extendedA = withComputed(tables, table, a)
+      const extendedB = withComputed(tables, table, b)
+      for (const { column, ascending, nullsFirst } of order) {
+        const valueA = extendedA[column]
+        const valueB = extendedB[column]
+        const aIsNull = valueA === null || valueA === undefined
+        const bIsNull = valueB === null || valueB === undefined
+        if (aIsNull !== bIsNull) return (aIsNull ? 1 : -1) * (nullsFirst ? -1 : 1)
+        const result = compareValues(valueA, valueB)
+        if (result !== 0) return ascending ? result : -result
+      }
+      return 0
+    })
+  }
+
+  function assertUnique(tables, table, row, ignoreRow = null) {
+    for (const column of [primaryKey(table), ...(uniqueColumns[table] || [])]) {
+      if (row[column] === null || row[column] === undefined) continue
+      const duplicate = tableRows(tables, table).find(other => other !== ignoreRow && other[column] === row[column])
+      if (duplicate) {
+        throw new QueryError(
+          `duplicate key value violates unique constraint on ${table}.${column}`,
+          '23505',
+          `Key (${column})=(${row[column]}) already exists.`
+        )
+      }
+    }
+  }
+
+  function insertRow(tables, table, values) {
+    const now = new Date().toISOString()
+    const row = {
+      [primaryKey(table)]: primaryKey(table) === 'id' ? generateId() : undefined,
+      created_at: now,
+      updated_at: now,
+      ...clone(values)
+    }
+    assertUnique(tables, table, row)
+    tableRows(tables, table).push(row)
+    return row
+  }
+
+  function updateRow(tables, table, row, values) {
+    const updated = { ...row, ...clone(values) }
+    if ('updated_at' in row) {
+      updated.updated_at = nextUpdatedAt(row.updated_at)
+    }
+    assertUnique(tables, table, updated, row)
+    Object.assign(row, updated)
+    return row
+  }
+
+  function applySingle(plan, data) {
+    if (!plan.single) return data
+    if (data.length === 1) return data[0]
+    if (data.length === 0 && plan.single === 'maybe') return null
+    throw new QueryError(
+      'JSON object requested, multiple (or no) rows returned',
+      'PGRST116',
+      `The result contains ${data.length} rows`
+    )
+  }
+
+  function runSelect(tables, plan) {
+    const select = parseSelect(plan.columns)
+    const embeddedFilters = plan.filters.filter(isEmbeddedFilter)
+    const rows = sortRows(
+      tables,
+      plan.table,
+      filterRows(tables, plan.table, plan.filters.filter(filter => !isEmbeddedFilter(filter))),
+      plan.order
+    )
+
+    let data = rows
+    // Con relazioni !inner si proietta prima della paginazione: possono escludere righe
+    const hasInner = select.embeds.some(embed => embed.inner)
+    if (hasInner) {
+      data = rows
+        .map(row => project(tables, plan.table, row, select, embeddedFilters))
+        .filter(row => keepsInnerEmbeds(row, select))
+    }
+    const count = plan.count ? data.length : null
+
+    if (plan.range) {
+      data = data.slice(plan.range.from, plan.range.to + 1)
+    }
+    if (plan.limit !== null && plan.limit !== undefined) {
+      data = data.slice(0, plan.limit)
+    }
+
+    if (plan.head) return { data: null, count, error: null }
+
+    if (!hasInner) {
+      data = data.map(row => project(tables, plan.table, row, select, embeddedFilters))
+    }
+    return { data: clone(applySingle(plan, data)), count, error: null }
+  }
+
+  function runMutation(ctx, plan) {
+    const { tables } = ctx
+    let affected = []
+
+    switch (plan.action) {
+      case 'insert':
+        affected = plan.values.map(values => ctx.insert(plan.table, values))
+        break
+
+      case 'upsert': {
+        const conflictColumns = (plan.onConflict || primaryKey(plan.table)).split(',').map(c => c.trim())
+        affected = plan.values.map(values => {
+          const existing = tableRows(tables, plan.table).find(row =>
+            conflictColumns.every(column => values[column] !== undefined && row[column] === values[column]))
+          return existing
+            ? ctx.update(plan.table, existing, values)
+            : ctx.insert(plan.table, values)
+        })
+        break
+      }
+
+      case 'update':
+        affected = filterRows(tables, plan.table, plan.filters)
+          .map(row => ctx.update(plan.table, row, plan.values))
+        break
+
+      case 'delete': {
+        affected = filterRows(tables, plan.table, plan.filters)
+        ctx.removeMany(plan.table, affected)
+        break
+      }
+
+      default:
+        throw new QueryError(`Operazione non supportata: ${plan.action}`)
+    }
+
+    if (!plan.returning) return { data: null, count: null, error: null }
+
+    const select = parseSelect(plan.columns)
+    const data = affected.map(row => project(tables, plan.table, row, select))
+    return { data: clone(applySingle(plan, data)), count: null, error: null }
+  }
+
+  // Contesto di una transazione: le modifiche fatte da qui eseguono i trigger.
+  // settings vale per la sola transazione, come set_config(..., true) in PostgreSQL.
+  function createContext(tables, settings) {
+    const fire = (table, operation, oldRow, newRow) => {
+      (triggers[table] || []).forEach(trigger => trigger(ctx, { operation, old: oldRow, new: newRow }))
+    }
+
+    const ctx = {
+      tables,
+      settings: { ...settings },
+      startedAt: new Date().toISOString(),
+      rows: (table) => tableRows(tables, table),
+      insert: (table, values) => {
+        const row = insertRow(tables, table, values)
+        fire(table, 'INSERT', null, clone(row))
+        return row
+      },
+      update: (table, row, values) => {
+        const before = clone(row)
+        updateRow(tables, table, row, values)
+        fire(table, 'UPDATE', before, clone(row))
+        return row
+      },
+      remove: (table, row) => ctx.removeMany(table, [row]),
+      removeMany: (table, rows) => {
+        tables[table] = tableRows(tables, table).filter(item => !rows.includes(item))
+        rows.forEach(row => fire(table, 'DELETE', clone(row), null))
+      },
+      withComputed: (table, row) => withComputed(tables, table, row)
+    }
+    return ctx
+  }
+
+  // Ultima transazione in coda: la successiva parte solo quando questa è salvata
+  let lastTransaction = Promise.resolve()
+
+  // Le modifiche lavorano su una copia che sostituisce le tabelle solo dopo
+  // un salvataggio riuscito: in caso di errore (anche di scrittura) restano intatte.
+  // Le transazioni sono eseguite una alla volta, quindi due salvataggi non si sovrappongono.
+  function transaction(callback, settings = {}) {
+    const run = lastTransaction.then(async () => {
+      const tables = load()
+      const working = clone(tables)
+      const result = callback(createContext(working, settings))
+      await save(working)
+      Object.keys(tables).forEach(table => delete tables[table])
+      Object.assign(tables, working)
+      return result
+    })
+    lastTransaction = run.catch(() => {})
+    return run
+  }
+
+  return {
+    /**
+     * @param {object} plan - Piano registrato da QueryBuilder
+     * @param {object} [options]
+     * @param {object} [options.settings] - Impostazioni della transazione (es. operator per la cronologia)
+     */
+    async run(plan, { settings = {} } = {}) {
+      try {
+        if (plan.action === 'select') {
+          return runSelect(load(), plan)
+        }
+        return await transaction(ctx => runMutation(ctx, plan), settings)
+      } catch (error) {
+        return toErrorResult(error)
+      }
+    },
+
+    async rpc(name, args = {}, { settings = {} } = {}) {
+      const fn = rpcFunctions[name]
+      if (!fn) {
+        return toErrorResult(new QueryError(`Funzione ${name} non trovata`, 'PGRST202'))
+      }
+
+      try {
+        const data = await transaction(ctx => fn(args, ctx), settings)
+        return { data: clone(data), count: null, error: null }
+      } catch (error) {
+        return toErrorResult(error)
+      }
+    }
+  }
+}
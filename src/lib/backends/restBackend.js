@@ -0,0 +1,47 @@
+// Backend REST: inoltra le query all'API Express (/api/db), che le esegue
+// sul proprio archivio (file JSON). Stessa interfaccia del client Supabase.
+
+import { QueryBuilder } from './queryBuilder'
+import { apiHeaders } from '../apiAuth'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || (process.env.NODE_ENV === 'production'
+  ? '' // URL relativo per Vercel
+  : 'http://localhost:3001') // Server Express locale per sviluppo
+
+async function post(body) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/db`, {
+      method: 'POST',
+      headers: await apiHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify(body)
+    })
+
+    const result = await response.json()
+
+    if (!response.ok) {
+      return {
+        data: null,
+        count: null,
+        error: result.error || { message: `Errore API (${response.status})` }
+      }
+    }
+
+    return result
+  } catch (error) {
+    console.error('Errore backend REST:', error)
+    // Messaggio originale: il livello offline riconosce gli errori di rete
+    return { data: null, count: null, error: { message: error.message } }
+  }
+}
+
+/**
+ * Crea il client del backend REST
+ */
+export function createRestBackend() {
+  return {
+    from: (table) => new QueryBuilder(table, (plan) => post({ action: 'query', plan })),
+    rpc: (name, args = {}) => post({ action: 'rpc', name, args })
+  }
+}
@@ -0,0 +1,587 @@
+// Funzioni RPC per i backend JavaScript.
+// Stessa firma e stessi errori delle funzioni PostgreSQL in database/migrations.
+// Il doppione è voluto: i backend memory e rest non hanno PostgreSQL, quindi ogni
+// modifica a una funzione SQL va riportata qui nella stessa modifica.
+// Sono sincrone: il motore le esegue come un'unica transazione, una alla volta,
+// per questo non servono i lock (FOR UPDATE) delle versioni SQL.
+// Import con estensione: il modulo è usato anche dall'API Node (api/db.js).
+
+import { QueryError } from './queryEngine.js'
+import { MOVEMENT_TYPES, movementDelta } from '../stockMovements.js'
+import { LOOKUP_TABLES } from '../lookups.js'
+import { BULK_EDITABLE_FIELDS } from '../bulkEdit.js'
+import { PAYMENT_METHODS, computeSaleTotals } from '../sales.js'
+import { OPEN_ORDER_STATUSES, lineRemaining, orderStatusAfterReceipt } from '../purchaseOrders.js'
+import { planLocationWithdrawal, sortByPickOrder, unlocatedQuantity } from '../locations.js'
+import { expectedQuantity, validateCountQuantity } from '../inventoryCounts.js'
+
+// Variazione della giacenza di un prodotto in un'ubicazione (come adjust_location_stock)
+function adjustLocationStock(ctx, productId, locationId, delta) {
+  const location = ctx.rows('locations').find(row => row.id === locationId)
+  if (!location) {
+    throw new QueryError(`Ubicazione ${locationId} non trovata`)
+  }
+
+  const row = ctx.rows('location_stock').find(item => item.product_id === productId && item.location_id === locationId)
+  const quantity = row?.quantity || 0
+  if (quantity + delta < 0) {
+    throw new QueryError(`Giacenza insufficiente in ${location.code}: disponibili ${quantity}, richiesti ${Math.abs(delta)}`)
+  }
+
+  if (quantity + delta === 0) {
+    if (row) ctx.remove('location_stock', row)
+  } else if (row) {
+    ctx.update('location_stock', row, { quantity: quantity + delta })
+  } else {
+    ctx.insert('location_stock', { product_id: productId, location_id: locationId, quantity: delta })
+  }
+}
+
+// Righe di location_stock di un prodotto in ordine di prelievo
+function productLocationStock(ctx, productId) {
+  const rows = ctx.rows('location_stock').filter(row => row.product_id === productId)
+  const locations = sortByPickOrder(rows.map(row => {
+    const location = ctx.rows('locations').find(item => item.id === row.location_id)
+    return { ...location, warehouses: ctx.rows('warehouses').find(item => item.id === location?.warehouse_id) }
+  }))
+  return locations.map(location => rows.find(row => row.location_id === location.id))
+}
+
+export const rpcFunctions = {
+  apply_stock_movement({ p_product_id, p_movement_type, p_quantity, p_reason = null, p_operator = null, p_location_id = null, p_client_id = null }, ctx) {
+    if (!p_quantity) {
+      throw new QueryError('La quantità del movimento non può essere zero')
+    }
+    if (!MOVEMENT_TYPES[p_movement_type]) {
+      throw new QueryError(`Tipo movimento non valido: ${p_movement_type}`)
+    }
+
+    const product = ctx.rows('products').find(row => row.id === p_product_id)
+    if (!product) {
+      throw new QueryError(`Prodotto ${p_product_id} non trovato`)
+    }
+
+    // Già registrato da un tentativo precedente (vedi 021)
+    const registered = p_client_id && ctx.rows('stock_movements').find(row => row.client_id === p_client_id)
+    if (registered) {
+      return registered
+    }
+
+    const stock = product.quantity_stock || 0
+    const delta = movementDelta(p_movement_type, p_quantity)
+    if (stock + delta < 0) {
+      throw new QueryError(`Giacenza insufficiente: disponibili ${stock}, richiesti ${Math.abs(delta)}`)
+    }
+
+    if (p_location_id) {
+      adjustLocationStock(ctx, p_product_id, p_location_id, delta)
+    } else if (delta < 0) {
+      // Prima i pezzi non ubicati, poi le ubicazioni in ordine di prelievo
+      planLocationWithdrawal(productLocationStock(ctx, p_product_id), stock + delta)
+        .forEach(({ location_id, quantity }) => adjustLocationStock(ctx, p_product_id, location_id, -quantity))
+    }
+
+    let soldDelta = 0
+    if (p_movement_type === 'vendita') soldDelta = Math.abs(p_quantity)
+    if (p_movement_type === 'reso') soldDelta = -Math.abs(p_quantity)
+
+    ctx.update('products', product, {
+      quantity_stock: stock + delta,
+      quantity_sold: Math.max((product.quantity_sold || 0) + soldDelta, 0)
+    })
+
+    return ctx.insert('stock_movements', {
+      product_id: p_product_id,
+      movement_type: p_movement_type,
+      quantity: delta,
+      quantity_before: stock,
+      quantity_after: stock + delta,
+      reason: p_reason,
+      operator: p_operator,
+      client_id: p_client_id
+    })
+  },
+
+  create_product({ p_product = {}, p_initial_stock = 0, p_operator = null }, ctx) {
+    if (!Number.isInteger(p_initial_stock) || p_initial_stock < 0) {
+      throw new QueryError(`Giacenza iniziale non valida: ${p_initial_stock}`)
+    }
+
+    // Giacenza e venduto partono da zero e cambiano solo con i movimenti
+    const product = ctx.insert('products', { ...p_product, quantity_stock: 0, quantity_sold: 0 })
+
+    if (p_initial_stock > 0) {
+      rpcFunctions.apply_stock_movement({
+        p_product_id: product.id,
+        p_movement_type: 'carico',
+        p_quantity: p_initial_stock,
+        p_reason: 'Giacenza iniziale',
+        p_operator
+      }, ctx)
+    }
+
+    return product
+  },
+
+  set_product_stock({ p_product_id, p_quantity, p_reason = null, p_operator = null, p_expected_updated_at = null }, ctx) {
+    if (!Number.isInteger(p_quantity) || p_quantity < 0) {
+      throw new QueryError(`Giacenza non valida: ${p_quantity}`)
+    }
+
+    const product = ctx.rows('products').find(row => row.id === p_product_id)
+    if (!product) {
+      throw new QueryError(`Prodotto ${p_product_id} non trovato`)
+    }
+    if (p_expected_updated_at && new Date(product.updated_at).getTime() !== new Date(p_expected_updated_at).getTime()) {
+      throw new QueryError('Il prodotto è stato modificato da un altro operatore', '40001')
+    }
+
+    const stock = product.quantity_stock || 0
+    if (p_quantity !== stock) {
+      rpcFunctions.apply_stock_movement({
+        p_product_id,
+        p_movement_type: 'rettifica',
+        p_quantity: p_quantity - stock,
+        p_reason,
+        p_operator
+      }, ctx)
+    }
+
+    return product
+  },
+
+  update_product({ p_product_id, p_values = {}, p_quantity = null, p_reason = null, p_operator = null, p_expected_updated_at = null }, ctx) {
+    if (p_quantity !== null && (!Number.isInteger(p_quantity) || p_quantity < 0)) {
+      throw new QueryError(`Giacenza non valida: ${p_quantity}`)
+    }
+
+    const values = p_values || {}
+    const lockedField = Object.keys(values).find(field => ['id', 'quantity_stock', 'quantity_sold', 'created_at', 'updated_at'].includes(field))
+    if (lockedField) {
+      throw new QueryError(`Campo non modificabile: ${lockedField}`)
+    }
+
+    const product = ctx.rows('products').find(row => row.id === p_product_id)
+    if (!product) {
+      throw new QueryError(`Prodotto ${p_product_id} non trovato`)
+    }
+    if (p_expected_updated_at && new Date(product.updated_at).getTime() !== new Date(p_expected_updated_at).getTime()) {
+      throw new QueryError('Il prodotto è stato modificato da un altro operatore', '40001')
+    }
+
+    const stock = product.quantity_stock || 0
+    if (Object.keys(values).length > 0) {
+      ctx.update('products', product, values)
+    }
+
+    if (p_quantity !== null && p_quantity !== stock) {
+      rpcFunctions.apply_stock_movement({
+        p_product_id,
+        p_movement_type: 'rettifica',
+        p_quantity: p_quantity - stock,
+        p_reason,
+        p_operator
+      }, ctx)
+    }
+
+    return ctx.rows('products').find(row => row.id === p_product_id)
+  },
+
+  reserve_sku_block({ p_count = 1, p_reserved_by = null, p_note = null }, ctx) {
+    if (!Number.isInteger(p_count) || p_count < 1 || p_count > 1000) {
+      throw new QueryError(`Numero di SKU da riservare non valido: ${p_count}`)
+    }
+
+    const counter = ctx.rows('sku_counter').find(row => row.id === 1)
+    if (!counter) {
+      throw new QueryError('Contatore SKU non inizializzato')
+    }
+
+    const last = counter.current_value + p_count
+    counter.current_value = last
+
+    return ctx.insert('sku_reservations', {
+      first_value: last - p_count + 1,
+      last_value: last,
+      reserved_by: p_reserved_by,
+      note: p_note
+    })
+  },
+
+  merge_lookup_value({ p_table, p_source_id, p_target_id }, ctx) {
+    const config = LOOKUP_TABLES[p_table]
+    if (!config) {
+      throw new QueryError(`Tabella di lookup non valida: ${p_table}`)
+    }
+    if (p_source_id === p_target_id) {
+      throw new QueryError('Il valore di origine e quello di destinazione coincidono')
+    }
+
+    const values = ctx.rows(p_table)
+    const source = values.find(row => row.id === p_source_id)
+    if (!source || !values.some(row => row.id === p_target_id)) {
+      throw new QueryError('Valore di lookup non trovato')
+    }
+
+    const target = values.find(row => row.id === p_target_id)
+    ctx.settings.audit_note = `${config.singular} "${source.name}" unito in "${target.name}"`
+    const products = ctx.rows('products').filter(row => row[config.foreignKey] === p_source_id)
+    products.forEach(product => ctx.update('products', product, { [config.foreignKey]: p_target_id }))
+    ctx.settings.audit_note = null
+    ctx.remove(p_table, source)
+
+    return products.length
+  },
+
+  lookup_usage_counts({ p_table }, ctx) {
+    const config = LOOKUP_TABLES[p_table]
+    if (!config) {
+      throw new QueryError(`Tabella di lookup non valida: ${p_table}`)
+    }
+
+    const usage = new Map()
+    for (const product of ctx.rows('products')) {
+      const id = product[config.foreignKey]
+      if (id) usage.set(id, (usage.get(id) || 0) + 1)
+    }
+    return Array.from(usage, ([id, count]) => ({ id, usage_count: count }))
+  },
+
+  bulk_update_products({ p_updates = [], p_note = null }, ctx) {
+    const products = ctx.rows('products')
+    const stale = []
+    let updated = 0
+    ctx.settings.audit_note = p_note
+
+    for (const item of p_updates) {
+      const { id, values } = item
+      const invalid = Object.keys(values).find(field => !BULK_EDITABLE_FIELDS.includes(field))
+      if (invalid) {
+        throw new QueryError(`Campo non modificabile in blocco: ${invalid}`)
+      }
+
+      const product = products.find(row => row.id === id && !row.deleted_at)
+      if (!product) {
+        throw new QueryError(`Prodotto ${id} non trovato`)
+      }
+      if ('updated_at' in item && new Date(product.updated_at).getTime() !== new Date(item.updated_at).getTime()) {
+        stale.push(id)
+        continue
+      }
+
+      ctx.update('products', product, values)
+      updated++
+    }
+
+    ctx.settings.audit_note = null
+    return { updated, stale }
+  },
+
+  register_sale({
+    p_lines = [],
+    p_payment_method,
+    p_discount_type = null,
+    p_discount_value = null,
+    p_notes = null,
+    p_operator = null
+  }, ctx) {
+    if (!p_lines || p_lines.length === 0) {
+      throw new QueryError('La vendita non contiene articoli')
+    }
+    if (!PAYMENT_METHODS[p_payment_method]) {
+      throw new QueryError(`Metodo di pagamento non valido: ${p_payment_method}`)
+    }
+
+    const { subtotal, discountAmount, total } = computeSaleTotals(p_lines, { type: p_discount_type, value: p_discount_value })
+    const number = ctx.rows('sales').reduce((max, sale) => Math.max(max, sale.number), 0) + 1
+
+    const sale = ctx.insert('sales', {
+      number,
+      subtotal,
+      discount_type: discountAmount > 0 ? p_discount_type : null,
+      discount_value: discountAmount > 0 ? Number(p_discount_value) : null,
+      discount_amount: discountAmount,
+      total,
+      payment_method: p_payment_method,
+      notes: p_notes,
+      operator: p_operator
+    })
+
+    for (const line of p_lines) {
+      const product = ctx.rows('products').find(row => row.id === line.product_id && !row.deleted_at)
+      if (!product) {
+        throw new QueryError(`Prodotto ${line.product_id} non trovato`)
+      }
+
+      rpcFunctions.apply_stock_movement({
+        p_product_id: product.id,
+        p_movement_type: 'vendita',
+        p_quantity: line.quantity,
+        p_reason: `Vendita n. ${number}`,
+        p_operator
+      }, ctx)
+
+      ctx.insert('sale_lines', {
+        sale_id: sale.id,
+        product_id: product.id,
+        sku: product.sku,
+        description: product.description || product.article,
+        quantity: line.quantity,
+        unit_price: Number(line.unit_price),
+        line_total: Math.round(line.quantity * line.unit_price * 100) / 100
+      })
+    }
+
+    return sale
+  },
+
+  create_purchase_order({ p_supplier_id, p_lines = [], p_expected_date = null, p_notes = null, p_operator = null }, ctx) {
+    if (!p_lines || p_lines.length === 0) {
+      throw new QueryError("L'ordine non contiene articoli")
+    }
+    if (!ctx.rows('suppliers').some(row => row.id === p_supplier_id)) {
+      throw new QueryError(`Fornitore ${p_supplier_id} non trovato`)
+    }
+
+    const number = ctx.rows('purchase_orders').reduce((max, order) => Math.max(max, order.number), 0) + 1
+    const order = ctx.insert('purchase_orders', {
+      number,
+      supplier_id: p_supplier_id,
+      status: 'aperto',
+      order_date: new Date().toISOString().slice(0, 10),
+      expected_date: p_expected_date,
+      notes: p_notes,
+      operator: p_operator
+    })
+
+    for (const line of p_lines) {
+      if (!ctx.rows('products').some(row => row.id === line.product_id)) {
+        throw new QueryError(`Prodotto ${line.product_id} non trovato`)
+      }
+      ctx.insert('purchase_order_lines', {
+        order_id: order.id,
+        product_id: line.product_id,
+        quantity_ordered: line.quantity_ordered,
+        quantity_received: 0,
+        unit_cost: line.unit_cost === '' || line.unit_cost === undefined ? null : line.unit_cost
+      })
+    }
+
+    return order
+  },
+
+  receive_purchase_order({ p_order_id, p_lines = [], p_note = null, p_operator = null }, ctx) {
+    const order = ctx.rows('purchase_orders').find(row => row.id === p_order_id)
+    if (!order) {
+      throw new QueryError(`Ordine ${p_order_id} non trovato`)
+    }
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      throw new QueryError(`L'ordine n. ${order.number} non è in attesa di merce`)
+    }
+
+    const orderLines = ctx.rows('purchase_order_lines').filter(row => row.order_id === p_order_id)
+
+    for (const item of p_lines) {
+      const quantity = parseInt(item.quantity, 10) || 0
+      if (quantity === 0) continue
+
+      const line = orderLines.find(row => row.id === item.line_id)
+      if (!line) {
+        throw new QueryError(`Riga ${item.line_id} non presente nell'ordine`)
+      }
+      if (quantity < 0 || quantity > lineRemaining(line)) {
+        throw new QueryError(`Quantità non valida per la riga ${line.id}: residuo ${lineRemaining(line)}`)
+      }
+
+      const cost = item.unit_cost === null || item.unit_cost === undefined || item.unit_cost === ''
+        ? line.unit_cost
+        : Number(item.unit_cost)
+
+      rpcFunctions.apply_stock_movement({
+        p_product_id: line.product_id,
+        p_movement_type: 'carico',
+        p_quantity: quantity,
+        p_reason: `Ordine fornitore n. ${order.number}`,
+        p_operator
+      }, ctx)
+
+      ctx.update('purchase_order_lines', line, {
+        quantity_received: line.quantity_received + quantity,
+        unit_cost: cost
+      })
+
+      if (cost !== null && cost !== undefined) {
+        const product = ctx.rows('products').find(row => row.id === line.product_id)
+        ctx.update('products', product, { initial_price: cost })
+      }
+
+      ctx.insert('purchase_receipts', {
+        order_id: p_order_id,
+        line_id: line.id,
+        product_id: line.product_id,
+        quantity,
+        unit_cost: cost,
+        note: p_note,
+        operator: p_operator
+      })
+    }
+
+    return ctx.update('purchase_orders', order, { status: orderStatusAfterReceipt(orderLines) })
+  },
+
+  transfer_stock({ p_from_location_id = null, p_to_location_id = null, p_lines = [], p_notes = null, p_operator = null }, ctx) {
+    if ((p_from_location_id || null) === (p_to_location_id || null)) {
+      throw new QueryError('Origine e destinazione coincidono')
+    }
+    if (!p_lines || p_lines.length === 0) {
+      throw new QueryError('Il trasferimento non contiene articoli')
+    }
+
+    const number = ctx.rows('stock_transfers').reduce((max, transfer) => Math.max(max, transfer.number), 0) + 1
+    const transfer = ctx.insert('stock_transfers', {
+      number,
+      from_location_id: p_from_location_id || null,
+      to_location_id: p_to_location_id || null,
+      notes: p_notes,
+      operator: p_operator
+    })
+
+    for (const line of p_lines) {
+      const product = ctx.rows('products').find(row => row.id === line.product_id)
+      if (!product) {
+        throw new QueryError(`Prodotto ${line.product_id} non trovato`)
+      }
+      const quantity = parseInt(line.quantity, 10) || 0
+      if (quantity <= 0) {
+        throw new QueryError(`Quantità non valida per ${product.sku}`)
+      }
+
+      if (p_from_location_id) {
+        adjustLocationStock(ctx, product.id, p_from_location_id, -quantity)
+      } else {
+        const unlocated = unlocatedQuantity(product.quantity_stock, productLocationStock(ctx, product.id))
+        if (unlocated < quantity) {
+          throw new QueryError(`Giacenza non ubicata insufficiente per ${product.sku}: disponibili ${unlocated}, richiesti ${quantity}`)
+        }
+      }
+      if (p_to_location_id) {
+        adjustLocationStock(ctx, product.id, p_to_location_id, quantity)
+      }
+
+      ctx.insert('stock_transfer_lines', { transfer_id: transfer.id, product_id: product.id, quantity })
+    }
+
+    return transfer
+  },
+
+  open_inventory_count({ p_location_id = null, p_line_id = null, p_notes = null, p_operator = null }, ctx) {
+    const number = ctx.rows('inventory_counts').reduce((max, count) => Math.max(max, count.number), 0) + 1
+    return ctx.insert('inventory_counts', {
+      number,
+      location_id: p_location_id || null,
+      line_id: p_line_id || null,
+      status: 'aperto',
+      notes: p_notes,
+      operator: p_operator,
+      closed_at: null,
+      closed_by: null
+    })
+  },
+
+  record_inventory_count({ p_count_id, p_product_id, p_quantity, p_mode = 'add', p_operator = null }, ctx) {
+    const count = ctx.rows('inventory_counts').find(row => row.id === p_count_id)
+    if (!count) {
+      throw new QueryError(`Conta ${p_count_id} non trovata`)
+    }
+    if (count.status !== 'aperto') {
+      throw new QueryError('La conta non è più aperta')
+    }
+    if (!ctx.rows('products').some(row => row.id === p_product_id && !row.deleted_at)) {
+      throw new QueryError(`Prodotto ${p_product_id} non trovato`)
+    }
+    const validationError = validateCountQuantity(p_quantity, p_mode)
+    if (validationError) {
+      throw new QueryError(validationError)
+    }
+
+    const line = ctx.rows('inventory_count_lines').find(row => row.count_id === p_count_id && row.product_id === p_product_id)
+    const counted = p_mode === 'set' ? p_quantity : (line?.counted_quantity || 0) + p_quantity
+    if (counted < 0) {
+      throw new QueryError(`La quantità contata non può essere negativa: contati ${line?.counted_quantity || 0}, da togliere ${Math.abs(p_quantity)}`)
+    }
+
+    const values = { counted_quantity: counted, counted_by: p_operator }
+    if (line) {
+      return ctx.update('inventory_count_lines', line, values)
+    }
+
+    // Giacenza attesa fotografata alla prima lettura (vedi 020)
+    const product = ctx.rows('products').find(row => row.id === p_product_id)
+    return ctx.insert('inventory_count_lines', {
+      count_id: p_count_id,
+      product_id: p_product_id,
+      expected_quantity: expectedQuantity(
+        { ...product, location_stock: ctx.rows('location_stock').filter(row => row.product_id === product.id) },
+        count.location_id
+      ),
+      ...values
+    })
+  },
+
+  approve_inventory_count({ p_count_id, p_zero_uncounted = false, p_operator = null }, ctx) {
+    const count = ctx.rows('inventory_counts').find(row => row.id === p_count_id)
+    if (!count) {
+      throw new QueryError(`Conta ${p_count_id} non trovata`)
+    }
+    if (count.status !== 'aperto') {
+      throw new QueryError(`La conta n. ${count.number} non è aperta`)
+    }
+
+    const stockOf = (product) => expectedQuantity(
+      { ...product, location_stock: ctx.rows('location_stock').filter(row => row.product_id === product.id) },
+      count.location_id
+    )
+
+    if (p_zero_uncounted) {
+      const counted = new Set(ctx.rows('inventory_count_lines').filter(row => row.count_id === count.id).map(row => row.product_id))
+      ctx.rows('products')
+        .filter(product => !product.deleted_at && !counted.has(product.id))
+        .filter(product => !count.line_id || product.line_id === count.line_id)
+        .filter(product => stockOf(product) > 0)
+        .forEach(product => ctx.insert('inventory_count_lines', {
+          count_id: count.id,
+          product_id: product.id,
+          counted_quantity: 0,
+          expected_quantity: null,
+          counted_by: p_operator
+        }))
+    }
+
+    // Le righe di prodotti eliminati definitivamente restano solo come storico (vedi 024)
+    for (const line of ctx.rows('inventory_count_lines').filter(row => row.count_id === count.id && row.product_id)) {
+      const product = ctx.rows('products').find(row => row.id === line.product_id)
+      // La differenza dalla giacenza della prima lettura si somma ai movimenti successivi
+      const expected = line.expected_quantity ?? stockOf(product)
+      if (line.expected_quantity === null || line.expected_quantity === undefined) {
+        ctx.update('inventory_count_lines', line, { expected_quantity: expected })
+      }
+
+      if (line.counted_quantity !== expected) {
+        rpcFunctions.apply_stock_movement({
+          p_product_id: product.id,
+          p_movement_type: 'rettifica',
+          p_quantity: line.counted_quantity - expected,
+          p_reason: `Inventario n. ${count.number}`,
+          p_operator,
+          p_location_id: count.location_id
+        }, ctx)
+      }
+    }
+
+    return ctx.update('inventory_counts', count, {
+      status: 'approvato',
+      closed_at: new Date().toISOString(),
+      closed_by: p_operator
+    })
+  }
+}
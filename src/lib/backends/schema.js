@@ -0,0 +1,91 @@
+// Schema per i backend JavaScript (memoria e file JSON).
+// Rispecchia i vincoli e le colonne calcolate definiti in database/.
+// Import con estensione: il modulo è usato anche dall'API Node (api/db.js).
+
+import { DEFAULT_LOW_STOCK_THRESHOLD, LOW_STOCK_SETTING_KEY, effectiveMinStock } from '../stockLevels.js'
+import { DEFAULT_SKU_PATTERN, SKU_PATTERN_SETTING_KEY } from '../sku.js'
+
+export const primaryKeys = {
+  app_settings: 'key'
+}
+
+export const uniqueColumns = {
+  products: ['sku'],
+  stock_movements: ['client_id']
+}
+
+export const relations = {
+  // singularize('sales') non dà 'sale'
+  sales: { sale_lines: { type: 'many', column: 'sale_id' } },
+  purchase_orders: {
+    purchase_order_lines: { type: 'many', column: 'order_id' },
+    purchase_receipts: { type: 'many', column: 'order_id' }
+  },
+  purchase_order_lines: { purchase_orders: { type: 'one', column: 'order_id' } },
+  // singularize('warehouses') non dà 'warehouse'
+  warehouses: { locations: { type: 'many', column: 'warehouse_id' } },
+  locations: { warehouses: { type: 'one', column: 'warehouse_id' } },
+  // Le righe usano transfer_id, non stock_transfer_id
+  stock_transfers: {
+    stock_transfer_lines: { type: 'many', column: 'transfer_id' }
+  },
+  // Le righe usano count_id, non inventory_count_id
+  inventory_counts: {
+    inventory_count_lines: { type: 'many', column: 'count_id' }
+  }
+}
+
+const settingValue = (tables, key, defaultValue) => {
+  const setting = (tables.app_settings || []).find(row => row.key === key)
+  return setting ? setting.value : defaultValue
+}
+
+export const computedColumns = {
+  products: {
+    effective_min_stock: (row, tables) => effectiveMinStock(
+      row,
+      (tables.lines || []).find(line => line.id === row.line_id) || null,
+      settingValue(tables, LOW_STOCK_SETTING_KEY, DEFAULT_LOW_STOCK_THRESHOLD)
+    ),
+    is_low_stock: (row, tables) => (row.quantity_stock || 0) < computedColumns.products.effective_min_stock(row, tables)
+  }
+}
+
+/**
+ * Dati iniziali di un archivio vuoto
+ * @returns {object} Tabelle con le righe di configurazione
+ */
+export function createEmptyTables() {
+  const now = new Date().toISOString()
+  return {
+    products: [],
+    colors: [],
+    lines: [],
+    sizes: [],
+    compositions: [],
+    models: [],
+    product_photos: [],
+    stock_movements: [],
+    product_audit_log: [],
+    purged_products: [],
+    sku_counter: [{ id: 1, current_value: 241 }],
+    sku_reservations: [],
+    sales: [],
+    sale_lines: [],
+    suppliers: [],
+    purchase_orders: [],
+    purchase_order_lines: [],
+    purchase_receipts: [],
+    warehouses: [],
+    locations: [],
+    location_stock: [],
+    stock_transfers: [],
+    stock_transfer_lines: [],
+    inventory_counts: [],
+    inventory_count_lines: [],
+    app_settings: [
+      { key: LOW_STOCK_SETTING_KEY, value: DEFAULT_LOW_STOCK_THRESHOLD, updated_at: now },
+      { key: SKU_PATTERN_SETTING_KEY, value: DEFAULT_SKU_PATTERN, updated_at: now }
+    ]
+  }
+}
@@ -0,0 +1,170 @@
+// Trigger per i backend JavaScript: stessi effetti dei trigger in database/migrations,
+// eseguiti nella stessa transazione (un errore annulla tutta la modifica).
+// - cronologia (015_audit_triggers.sql): operatore e nota arrivano dalle impostazioni
+//   della transazione (ctx.settings.operator e ctx.settings.audit_note, come app.operator e app.audit_note)
+// - ordini fornitore e prodotti eliminati (016_purchase_order_product_fk.sql, 017_purged_products.sql)
+// Import con estensione: il modulo è usato anche dall'API Node (api/db.js).
+
+import { diffFields } from '../audit.js'
+import { QueryError } from './queryEngine.js'
+import { OPEN_ORDER_STATUSES, lineRemaining } from '../purchaseOrders.js'
+
+// Giacenza e venduto cambiano solo con i movimenti, registrati da auditStockMovement
+const STOCK_FIELDS = ['quantity_stock', 'quantity_sold']
+
+// Righe con created_at precedente alla transazione: dati storici ripristinati da un backup
+const isRestored = (ctx, row) => Boolean(row.created_at) && row.created_at < ctx.startedAt
+
+function writeAudit(ctx, entry) {
+  ctx.insert('product_audit_log', {
+    entity: 'product',
+    note: null,
+    ...entry,
+    entity_id: String(entry.entity_id ?? entry.product_id),
+    operator: entry.operator ?? ctx.settings.operator ?? null
+  })
+}
+
+function auditProductChange(ctx, { operation, old: before, new: after }) {
+  const changes = diffFields(before, after)
+  STOCK_FIELDS.forEach(field => delete changes[field])
+  let note = ctx.settings.audit_note || null
+  let action = 'update'
+
+  if (operation === 'INSERT') {
+    if (isRestored(ctx, after)) return
+    action = 'create'
+  } else if (operation === 'DELETE') {
+    action = 'purge'
+    note = note || 'Eliminato definitivamente'
+  } else {
+    if (Object.keys(changes).length === 0) return
+
+    if (!before.deleted_at && after.deleted_at) {
+      action = 'delete'
+      note = note || 'Spostato nel cestino'
+    } else if (before.deleted_at && !after.deleted_at) {
+      action = 'restore'
+      note = note || 'Ripristinato dal cestino'
+    }
+  }
+
+  writeAudit(ctx, { product_id: (after || before).id, action, changes, note })
+}
+
+function auditStockMovement(ctx, { new: movement }) {
+  if (isRestored(ctx, movement) || !movement.product_id) return
+
+  writeAudit(ctx, {
+    product_id: movement.product_id,
+    action: 'stock',
+    changes: { quantity_stock: { old: movement.quantity_before, new: movement.quantity_after } },
+    note: movement.reason ? `${movement.movement_type}: ${movement.reason}` : movement.movement_type,
+    operator: ctx.settings.operator ?? movement.operator ?? null
+  })
+}
+
+function auditPhotoChange(ctx, { operation, old: before, new: after }) {
+  const photo = after || before
+  let action = null
+  let changes = null
+
+  if (operation === 'INSERT') {
+    if (!after.product_id || isRestored(ctx, after)) return
+    action = 'create'
+    changes = { file_name: { old: null, new: after.file_name ?? null } }
+  } else if (operation === 'DELETE') {
+    if (!before.product_id) return
+    action = 'delete'
+    changes = { file_name: { old: before.file_name ?? null, new: null } }
+  } else if (!before.product_id && after.product_id) {
+    // Foto temporanea assegnata al prodotto
+    action = 'create'
+    changes = { file_name: { old: null, new: after.file_name ?? null } }
+  } else if (!before.is_primary && after.is_primary) {
+    action = 'update'
+    changes = { is_primary: { old: false, new: true } }
+  } else {
+    return
+  }
+
+  writeAudit(ctx, { product_id: photo.product_id, entity: 'photo', entity_id: photo.id, action, changes })
+}
+
+// SKU e descrizione copiati all'inserimento (come copy_product_reference)
+function copyProductReference(table) {
+  return (ctx, { operation, new: row }) => {
+    if (operation !== 'INSERT' || row.sku || !row.product_id) return
+
+    const product = ctx.rows('products').find(item => item.id === row.product_id)
+    const stored = ctx.rows(table).find(item => item.id === row.id)
+    if (product && stored) {
+      ctx.update(table, stored, { sku: product.sku, description: product.description || product.article || null })
+    }
+  }
+}
+
+// Eliminazione definitiva: blocco per gli ordini in attesa di merce
+// (come check_product_open_orders), poi ON DELETE SET NULL sullo storico ordini
+function detachPurchaseOrders(ctx, { operation, old: product }) {
+  if (operation !== 'DELETE') return
+
+  const lines = ctx.rows('purchase_order_lines').filter(line => line.product_id === product.id)
+  const openOrder = ctx.rows('purchase_orders')
+    .filter(order => OPEN_ORDER_STATUSES.includes(order.status))
+    .filter(order => lines.some(line => line.order_id === order.id && lineRemaining(line) > 0))
+    .sort((a, b) => a.number - b.number)[0]
+
+  if (openOrder) {
+    throw new QueryError(`Il prodotto ${product.sku} è nell'ordine fornitore n. ${openOrder.number}, ancora in attesa di merce: ricevi o annulla l'ordine prima di eliminarlo`)
+  }
+
+  lines.forEach(line => ctx.update('purchase_order_lines', line, { product_id: null }))
+  ctx.rows('purchase_receipts')
+    .filter(receipt => receipt.product_id === product.id)
+    .forEach(receipt => ctx.update('purchase_receipts', receipt, { product_id: null }))
+}
+
+// Eliminazione definitiva: record archiviato (come archive_purged_product) e foto
+// senza prodotto (ON DELETE SET NULL). I movimenti restano con il loro product_id.
+function archivePurgedProduct(ctx, { operation, old: product }) {
+  if (operation !== 'DELETE') return
+
+  const archived = ctx.rows('purged_products').find(row => row.id === product.id)
+  if (archived) ctx.remove('purged_products', archived)
+  ctx.insert('purged_products', {
+    id: product.id,
+    sku: product.sku,
+    product,
+    deleted_at: product.deleted_at ?? null,
+    purged_at: new Date().toISOString()
+  })
+
+  ctx.rows('product_photos')
+    .filter(photo => photo.product_id === product.id)
+    .forEach(photo => ctx.update('product_photos', photo, { product_id: null }))
+}
+
+// Eliminazione definitiva: le righe dei documenti restano con SKU e descrizione
+// copiati (ON DELETE SET NULL, vedi 023 e 024)
+const PRODUCT_DOCUMENT_LINES = ['stock_transfer_lines', 'inventory_count_lines']
+
+function detachDocumentLines(ctx, { operation, old: product }) {
+  if (operation !== 'DELETE') return
+
+  for (const table of PRODUCT_DOCUMENT_LINES) {
+    ctx.rows(table)
+      .filter(line => line.product_id === product.id)
+      .forEach(line => ctx.update(table, line, { product_id: null }))
+  }
+}
+
+export const triggers = {
+  products: [detachPurchaseOrders, detachDocumentLines, archivePurgedProduct, auditProductChange],
+  stock_movements: [auditStockMovement],
+  product_photos: [auditPhotoChange],
+  purchase_order_lines: [copyProductReference('purchase_order_lines')],
+  purchase_receipts: [copyProductReference('purchase_receipts')],
+  stock_transfer_lines: [copyProductReference('stock_transfer_lines')],
+  inventory_count_lines: [copyProductReference('inventory_count_lines')]
+}
@@ -0,0 +1,564 @@
+// Backup completo del magazzino e ripristino.
+// L'archivio è uno ZIP con manifest.json, data.json (tutte le tabelle) e,
+// se richieste, le foto in photos/<id foto>/<nome file>.
+// Funziona con qualunque client compatibile supabase-js: è usato dal frontend
+// e dai backup pianificati dell'API Express.
+// Import con estensione: il modulo è usato anche dall'API Node (api/backup.js).
+
+import { LOOKUP_TABLES, normalizeLookupName } from './lookups.js'
+import { createZip, readZip, zipEntryText } from './zip.js'
+
+export const BACKUP_FORMAT = 'blu-area-warehouse-backup'
+export const BACKUP_VERSION = 1
+
+// Ordine di ripristino: prima le tabelle referenziate
+export const BACKUP_TABLES = [
+  ...Object.keys(LOOKUP_TABLES),
+  'products',
+  'product_photos',
+  'stock_movements',
+  'product_audit_log',
+  'sales',
+  'sale_lines',
+  'suppliers',
+  'purchase_orders',
+  'purchase_order_lines',
+  'purchase_receipts',
+  'warehouses',
+  'locations',
+  'location_stock',
+  'stock_transfers',
+  'stock_transfer_lines',
+  'inventory_counts',
+  'inventory_count_lines',
+  'sku_counter',
+  'sku_reservations',
+  'app_settings'
+]
+
+const TABLE_KEYS = { app_settings: 'key' }
+const BATCH_SIZE = 1000
+const INSERT_BATCH_SIZE = 500
+
+// Storico legato ai prodotti: ripristinato solo per i prodotti creati dal ripristino
+const PRODUCT_HISTORY_TABLES = ['stock_movements', 'product_audit_log']
+
+async function fetchTable(client, table) {
+  const rows = []
+  for (let from = 0; ; from += BATCH_SIZE) {
+    const { data, error } = await client
+      .from(table)
+      .select('*')
+      .order(TABLE_KEYS[table] || 'id')
+      .range(from, from + BATCH_SIZE - 1)
+
+    if (error) throw new Error(`Lettura ${table} non riuscita: ${error.message}`)
+    rows.push(...(data || []))
+    if (!data || data.length < BATCH_SIZE) break
+  }
+  return rows
+}
+
+async function insertRows(client, table, rows, columns = null) {
+  const inserted = []
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    let query = client.from(table).insert(rows.slice(start, start + INSERT_BATCH_SIZE))
+    if (columns) query = query.select(columns)
+
+    const { data, error } = await query
+    if (error) throw new Error(`Scrittura ${table} non riuscita: ${error.message}`)
+    if (data) inserted.push(...data)
+  }
+  return inserted
+}
+
+const withoutId = (row) => {
+  const copy = { ...row }
+  delete copy.id
+  return copy
+}
+
+const photoFileName = (photo) => String(photo.file_path || photo.file_name || 'foto').split('/').pop()
+
+/**
+ * Crea l'archivio di backup
+ * @param {object} client - Client dati (supabase-js o backend JavaScript)
+ * @param {object} [options]
+ * @param {boolean} [options.includePhotos] - Include i file delle foto
+ * @param {string} [options.photoBaseUrl] - URL pubblico del bucket foto (necessario con includePhotos)
+ * @param {string} [options.backend] - Backend di origine, annotato nel manifest
+ * @returns {Promise<{archive: Uint8Array, manifest: object}>}
+ */
+export async function createBackup(client, { includePhotos = false, photoBaseUrl = null, backend = null } = {}) {
+  const tables = {}
+  for (const table of BACKUP_TABLES) {
+    tables[table] = await fetchTable(client, table)
+  }
+
+  const entries = []
+  const missingPhotos = []
+  if (includePhotos) {
+    for (const photo of tables.product_photos.filter(item => item.file_path)) {
+      try {
+        const response = await fetch(`${photoBaseUrl}/${photo.file_path}`)
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        entries.push({
+          name: `photos/${photo.id}/${photoFileName(photo)}`,
+          data: new Uint8Array(await response.arrayBuffer())
+        })
+      } catch (error) {
+        console.warn(`⚠️ Foto ${photo.file_path} non scaricata:`, error.message)
+        missingPhotos.push(photo.file_path)
+      }
+    }
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    backend,
+    tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length])),
+    photos: { included: includePhotos, count: entries.length, missing: missingPhotos }
+  }
+
+  const archive = createZip([
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    { name: 'data.json', data: JSON.stringify({ tables }) },
+    ...entries
+  ])
+
+  return { archive, manifest }
+}
+
+/**
+ * Legge e valida un archivio di backup senza scrivere nulla
+ * @param {Uint8Array|ArrayBuffer} input - Contenuto del file .zip
+ * @returns {{manifest: object, tables: object, photos: Map<string, {name: string, data: Uint8Array}>, errors: string[], warnings: string[]}}
+ *   Con errori l'archivio non può essere ripristinato
+ */
+export function readBackup(input) {
+  const errors = []
+  const warnings = []
+  let files
+
+  try {
+    files = readZip(input)
+  } catch (error) {
+    return { manifest: null, tables: {}, photos: new Map(), errors: [error.message], warnings }
+  }
+
+  let manifest = null
+  let data = null
+  try {
+    manifest = JSON.parse(zipEntryText(files.get('manifest.json')))
+    data = JSON.parse(zipEntryText(files.get('data.json')))
+  } catch {
+    errors.push('manifest.json o data.json mancanti o non leggibili')
+    return { manifest, tables: {}, photos: new Map(), errors, warnings }
+  }
+
+  if (manifest.format !== BACKUP_FORMAT) {
+    errors.push('Il file non è un backup del magazzino')
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_VERSION) {
+    errors.push(`Versione del backup non supportata: ${manifest.version}`)
+  }
+
+  const tables = {}
+  for (const table of BACKUP_TABLES) {
+    const rows = data.tables?.[table]
+    if (rows === undefined) {
+      warnings.push(`Tabella ${table} assente nel backup`)
+      tables[table] = []
+    } else if (!Array.isArray(rows)) {
+      errors.push(`Tabella ${table} non valida`)
+      tables[table] = []
+    } else {
+      tables[table] = rows
+    }
+  }
+
+  // Coerenza interna: SKU univoci e riferimenti esistenti
+  const skus = new Set()
+  tables.products.forEach(product => {
+    if (!product.sku) errors.push(`Prodotto ${product.id} senza SKU`)
+    else if (skus.has(product.sku)) errors.push(`SKU ${product.sku} duplicato nel backup`)
+    skus.add(product.sku)
+
+    Object.entries(LOOKUP_TABLES).forEach(([table, { foreignKey }]) => {
+      if (product[foreignKey] && !tables[table].some(value => value.id === product[foreignKey])) {
+        warnings.push(`Prodotto ${product.sku}: ${foreignKey} non presente nel backup, verrà lasciato vuoto`)
+      }
+    })
+  })
+
+  const productIds = new Set(tables.products.map(product => product.id))
+  const orphanPhotos = tables.product_photos.filter(photo => !productIds.has(photo.product_id)).length
+  if (orphanPhotos > 0) {
+    warnings.push(`${orphanPhotos} foto senza prodotto verranno ignorate`)
+  }
+
+  const photos = new Map()
+  for (const [name, content] of files) {
+    const match = name.match(/^photos\/([^/]+)\/(.+)$/)
+    if (match) photos.set(match[1], { name: match[2], data: content })
+  }
+
+  return { manifest, tables, photos, errors, warnings }
+}
+
+/**
+ * Ripristina un backup letto con readBackup, in un database vuoto o esistente.
+ * Gli ID vengono sempre rigenerati: i valori di lookup si abbinano per nome,
+ * i prodotti per SKU. Foto, movimenti e cronologia vengono ripristinati solo
+ * per i prodotti creati dal ripristino, per non duplicarli.
+ * @param {object} client - Client dati
+ * @param {object} backup - Risultato di readBackup (senza errori)
+ * @param {object} [options]
+ * @param {boolean} [options.overwriteExisting] - Sovrascrive i prodotti e le impostazioni già presenti
+ * @param {function({photo: object, product: object, file: {name: string, data: Uint8Array}}): Promise<{error: object|null}>} [options.uploadPhoto]
+ *   Carica il file di una foto (crea anche la riga in product_photos); senza, si ripristinano solo i metadati
+ * @returns {Promise<{inserted: object, updated: object, skipped: object, warnings: string[]}>}
+ */
+export async function restoreBackup(client, backup, { overwriteExisting = false, uploadPhoto = null } = {}) {
+  if (backup.errors.length > 0) {
+    throw new Error(`Backup non valido: ${backup.errors.join('; ')}`)
+  }
+
+  const { tables, photos } = backup
+  const report = { inserted: {}, updated: {}, skipped: {}, warnings: [...backup.warnings] }
+  const count = (kind, table, amount = 1) => {
+    report[kind][table] = (report[kind][table] || 0) + amount
+  }
+  const idMap = {}
+
+  // Valori di lookup: abbinati per nome, altrimenti creati
+  for (const table of Object.keys(LOOKUP_TABLES)) {
+    idMap[table] = {}
+    const existing = new Map((await fetchTable(client, table)).map(value => [normalizeLookupName(value.name), value.id]))
+
+    for (const value of tables[table]) {
+      const match = existing.get(normalizeLookupName(value.name))
+      if (match) {
+        idMap[table][value.id] = match
+        count('skipped', table)
+        continue
+      }
+
+      const [created] = await insertRows(client, table, [withoutId(value)], 'id')
+      idMap[table][value.id] = created.id
+      existing.set(normalizeLookupName(value.name), created.id)
+      count('inserted', table)
+    }
+  }
+
+  const remapProduct = (product) => {
+    const row = withoutId(product)
+    Object.entries(LOOKUP_TABLES).forEach(([table, { foreignKey }]) => {
+      if (row[foreignKey]) row[foreignKey] = idMap[table][row[foreignKey]] ?? null
+    })
+    return row
+  }
+
+  // Prodotti: abbinati per SKU (anche nel cestino), altrimenti creati
+  idMap.products = {}
+  const newProductIds = new Set()
+  const existingProducts = new Map((await fetchTable(client, 'products')).map(product => [product.sku, product.id]))
+  const toInsert = []
+
+  for (const product of tables.products) {
+    const existingId = existingProducts.get(product.sku)
+    if (!existingId) {
+      toInsert.push(product)
+      continue
+    }
+
+    idMap.products[product.id] = existingId
+    if (overwriteExisting) {
+      // Giacenza e venduto cambiano solo con i movimenti: la differenza diventa una rettifica
+      const { quantity_stock, ...values } = remapProduct(product)
+      delete values.created_at
+      delete values.quantity_sold
+      const { error } = await client.from('products').update(values).eq('id', existingId)
+      if (error) throw new Error(`Aggiornamento prodotto ${product.sku} non riuscito: ${error.message}`)
+
+      const { error: stockError } = await client.rpc('set_product_stock', {
+        p_product_id: existingId,
+        p_quantity: quantity_stock || 0,
+        p_reason: 'Ripristino backup'
+      })
+      if (stockError) throw new Error(`Giacenza del prodotto ${product.sku} non ripristinata: ${stockError.message}`)
+      count('updated', 'products')
+    } else {
+      count('skipped', 'products')
+    }
+  }
+
+  const insertedProducts = await insertRows(client, 'products', toInsert.map(remapProduct), 'id, sku')
+  const newIdBySku = new Map(insertedProducts.map(product => [product.sku, product.id]))
+  toInsert.forEach(product => {
+    idMap.products[product.id] = newIdBySku.get(product.sku)
+    newProductIds.add(product.id)
+  })
+  count('inserted', 'products', insertedProducts.length)
+
+  // Foto dei nuovi prodotti: con il file se presente nell'archivio
+  const metadataOnly = []
+  for (const photo of tables.product_photos.filter(item => newProductIds.has(item.product_id))) {
+    const file = photos.get(String(photo.id))
+    const product = { id: idMap.products[photo.product_id], sku: tables.products.find(item => item.id === photo.product_id)?.sku }
+
+    if (file && uploadPhoto) {
+      const { error } = await uploadPhoto({ photo, product, file })
+      if (error) {
+        report.warnings.push(`Foto ${file.name} di ${product.sku} non caricata: ${error.message}`)
+      } else {
+        count('inserted', 'product_photos')
+      }
+    } else {
+      metadataOnly.push({ ...withoutId(photo), product_id: product.id })
+    }
+  }
+  await insertRows(client, 'product_photos', metadataOnly)
+  count('inserted', 'product_photos', metadataOnly.length)
+
+  for (const table of PRODUCT_HISTORY_TABLES) {
+    const rows = tables[table]
+      .filter(row => newProductIds.has(row.product_id))
+      .map(row => ({ ...withoutId(row), product_id: idMap.products[row.product_id] }))
+    await insertRows(client, table, rows)
+    count('inserted', table, rows.length)
+  }
+
+  // Vendite: abbinate per numero, le righe solo per le vendite nuove
+  const existingSales = new Set((await fetchTable(client, 'sales')).map(sale => sale.number))
+  const newSales = tables.sales.filter(sale => !existingSales.has(sale.number))
+  count('skipped', 'sales', tables.sales.length - newSales.length)
+
+  const insertedSales = await insertRows(client, 'sales', newSales.map(withoutId), 'id, number')
+  const saleIdByNumber = new Map(insertedSales.map(sale => [sale.number, sale.id]))
+  const saleIdMap = Object.fromEntries(newSales.map(sale => [sale.id, saleIdByNumber.get(sale.number)]))
+  count('inserted', 'sales', insertedSales.length)
+
+  const saleLines = tables.sale_lines
+    .filter(line => saleIdMap[line.sale_id])
+    .map(line => ({
+      ...withoutId(line),
+      sale_id: saleIdMap[line.sale_id],
+      product_id: idMap.products[line.product_id] ?? null
+    }))
+  await insertRows(client, 'sale_lines', saleLines)
+  count('inserted', 'sale_lines', saleLines.length)
+
+  // Fornitori: abbinati per nome come i valori di lookup
+  const supplierIdMap = {}
+  const existingSuppliers = new Map((await fetchTable(client, 'suppliers')).map(supplier => [normalizeLookupName(supplier.name), supplier.id]))
+  for (const supplier of tables.suppliers) {
+    const match = existingSuppliers.get(normalizeLookupName(supplier.name))
+    if (match) {
+      supplierIdMap[supplier.id] = match
+      count('skipped', 'suppliers')
+      continue
+    }
+
+    const [created] = await insertRows(client, 'suppliers', [withoutId(supplier)], 'id')
+    supplierIdMap[supplier.id] = created.id
+    existingSuppliers.set(normalizeLookupName(supplier.name), created.id)
+    count('inserted', 'suppliers')
+  }
+
+  // Ordini fornitore: abbinati per numero, righe e ricevimenti solo per gli ordini nuovi
+  const existingOrders = new Set((await fetchTable(client, 'purchase_orders')).map(order => order.number))
+  const newOrders = tables.purchase_orders.filter(order => !existingOrders.has(order.number))
+  count('skipped', 'purchase_orders', tables.purchase_orders.length - newOrders.length)
+
+  const insertedOrders = await insertRows(
+    client,
+    'purchase_orders',
+    newOrders.map(order => ({ ...withoutId(order), supplier_id: supplierIdMap[order.supplier_id] })),
+    'id, number'
+  )
+  const orderIdByNumber = new Map(insertedOrders.map(order => [order.number, order.id]))
+  const orderIdMap = Object.fromEntries(newOrders.map(order => [order.id, orderIdByNumber.get(order.number)]))
+  count('inserted', 'purchase_orders', insertedOrders.length)
+
+  const orderLines = tables.purchase_order_lines.filter(line => orderIdMap[line.order_id])
+  const insertedLines = await insertRows(
+    client,
+    'purchase_order_lines',
+    orderLines.map(line => ({
+      ...withoutId(line),
+      order_id: orderIdMap[line.order_id],
+      product_id: idMap.products[line.product_id] ?? null
+    })),
+    'id, order_id, product_id, sku'
+  )
+  // Un prodotto compare una sola volta per ordine: la coppia identifica la riga
+  // (lo SKU per le righe di prodotti eliminati definitivamente)
+  const lineIdByKey = new Map(insertedLines.map(line => [`${line.order_id}:${line.product_id ?? line.sku}`, line.id]))
+  const lineIdMap = Object.fromEntries(orderLines.map(line => [
+    line.id,
+    lineIdByKey.get(`${orderIdMap[line.order_id]}:${idMap.products[line.product_id] ?? line.sku}`)
+  ]))
+  count('inserted', 'purchase_order_lines', insertedLines.length)
+
+  const receipts = tables.purchase_receipts
+    .filter(receipt => orderIdMap[receipt.order_id] && lineIdMap[receipt.line_id])
+    .map(receipt => ({
+      ...withoutId(receipt),
+      order_id: orderIdMap[receipt.order_id],
+      line_id: lineIdMap[receipt.line_id],
+      product_id: idMap.products[receipt.product_id] ?? null
+    }))
+  await insertRows(client, 'purchase_receipts', receipts)
+  count('inserted', 'purchase_receipts', receipts.length)
+
+  // Magazzini per nome, ubicazioni per magazzino e codice
+  const warehouseIdMap = {}
+  const existingWarehouses = new Map((await fetchTable(client, 'warehouses')).map(warehouse => [normalizeLookupName(warehouse.name), warehouse.id]))
+  for (const warehouse of tables.warehouses) {
+    const match = existingWarehouses.get(normalizeLookupName(warehouse.name))
+    if (match) {
+      warehouseIdMap[warehouse.id] = match
+      count('skipped', 'warehouses')
+      continue
+    }
+
+    const [created] = await insertRows(client, 'warehouses', [withoutId(warehouse)], 'id')
+    warehouseIdMap[warehouse.id] = created.id
+    existingWarehouses.set(normalizeLookupName(warehouse.name), created.id)
+    count('inserted', 'warehouses')
+  }
+
+  const locationKey = (warehouseId, code) => `${warehouseId}:${String(code).trim().toUpperCase()}`
+  const locationIdMap = {}
+  const existingLocations = new Map((await fetchTable(client, 'locations')).map(location => [
+    locationKey(location.warehouse_id, location.code),
+    location.id
+  ]))
+  for (const location of tables.locations) {
+    const key = locationKey(warehouseIdMap[location.warehouse_id], location.code)
+    const match = existingLocations.get(key)
+    if (match) {
+      locationIdMap[location.id] = match
+      count('skipped', 'locations')
+      continue
+    }
+
+    const [created] = await insertRows(
+      client,
+      'locations',
+      [{ ...withoutId(location), warehouse_id: warehouseIdMap[location.warehouse_id] }],
+      'id'
+    )
+    locationIdMap[location.id] = created.id
+    existingLocations.set(key, created.id)
+    count('inserted', 'locations')
+  }
+
+  // Giacenze per ubicazione solo per i prodotti nuovi, come lo storico
+  const locationStock = tables.location_stock
+    .filter(row => newProductIds.has(row.product_id) && locationIdMap[row.location_id])
+    .map(row => ({
+      ...withoutId(row),
+      product_id: idMap.products[row.product_id],
+      location_id: locationIdMap[row.location_id]
+    }))
+  await insertRows(client, 'location_stock', locationStock)
+  count('inserted', 'location_stock', locationStock.length)
+
+  const existingTransfers = new Set((await fetchTable(client, 'stock_transfers')).map(transfer => transfer.number))
+  const newTransfers = tables.stock_transfers.filter(transfer => !existingTransfers.has(transfer.number))
+  count('skipped', 'stock_transfers', tables.stock_transfers.length - newTransfers.length)
+
+  const insertedTransfers = await insertRows(
+    client,
+    'stock_transfers',
+    newTransfers.map(transfer => ({
+      ...withoutId(transfer),
+      from_location_id: locationIdMap[transfer.from_location_id] ?? null,
+      to_location_id: locationIdMap[transfer.to_location_id] ?? null
+    })),
+    'id, number'
+  )
+  const transferIdByNumber = new Map(insertedTransfers.map(transfer => [transfer.number, transfer.id]))
+  const transferIdMap = Object.fromEntries(newTransfers.map(transfer => [transfer.id, transferIdByNumber.get(transfer.number)]))
+  count('inserted', 'stock_transfers', insertedTransfers.length)
+
+  // Le righe di prodotti eliminati definitivamente restano con il solo SKU
+  const transferLines = tables.stock_transfer_lines
+    .filter(line => transferIdMap[line.transfer_id] && (idMap.products[line.product_id] || line.sku))
+    .map(line => ({
+      ...withoutId(line),
+      transfer_id: transferIdMap[line.transfer_id],
+      product_id: idMap.products[line.product_id] ?? null
+    }))
+  await insertRows(client, 'stock_transfer_lines', transferLines)
+  count('inserted', 'stock_transfer_lines', transferLines.length)
+
+  // Inventari per numero, come i trasferimenti
+  const existingCounts = new Set((await fetchTable(client, 'inventory_counts')).map(inventoryCount => inventoryCount.number))
+  const newCounts = tables.inventory_counts.filter(inventoryCount => !existingCounts.has(inventoryCount.number))
+  count('skipped', 'inventory_counts', tables.inventory_counts.length - newCounts.length)
+
+  const insertedCounts = await insertRows(
+    client,
+    'inventory_counts',
+    newCounts.map(inventoryCount => ({
+      ...withoutId(inventoryCount),
+      location_id: locationIdMap[inventoryCount.location_id] ?? null,
+      line_id: idMap.lines[inventoryCount.line_id] ?? null
+    })),
+    'id, number'
+  )
+  const countIdByNumber = new Map(insertedCounts.map(inventoryCount => [inventoryCount.number, inventoryCount.id]))
+  const countIdMap = Object.fromEntries(newCounts.map(inventoryCount => [inventoryCount.id, countIdByNumber.get(inventoryCount.number)]))
+  count('inserted', 'inventory_counts', insertedCounts.length)
+
+  const countLines = tables.inventory_count_lines
+    .filter(line => countIdMap[line.count_id] && (idMap.products[line.product_id] || line.sku))
+    .map(line => ({
+      ...withoutId(line),
+      count_id: countIdMap[line.count_id],
+      product_id: idMap.products[line.product_id] ?? null
+    }))
+  await insertRows(client, 'inventory_count_lines', countLines)
+  count('inserted', 'inventory_count_lines', countLines.length)
+
+  // Contatore SKU: mai indietro, per non riassegnare SKU già usati
+  const backupCounter = tables.sku_counter.find(row => row.id === 1)
+  if (backupCounter) {
+    const { data: counter, error: counterError } = await client.from('sku_counter').select('current_value').eq('id', 1).maybeSingle()
+    if (counterError) throw new Error(`Lettura sku_counter non riuscita: ${counterError.message}`)
+    if (!counter) {
+      await insertRows(client, 'sku_counter', [backupCounter])
+      count('inserted', 'sku_counter')
+    } else if (backupCounter.current_value > counter.current_value) {
+      const { error } = await client.from('sku_counter').update({ current_value: backupCounter.current_value }).eq('id', 1)
+      if (error) throw new Error(`Scrittura sku_counter non riuscita: ${error.message}`)
+      count('updated', 'sku_counter')
+    }
+  }
+
+  // Prenotazioni SKU: solo storico, ripristinate se la tabella è vuota
+  const { count: reservations, error: reservationsError } = await client.from('sku_reservations').select('id', { count: 'exact', head: true })
+  if (reservationsError) throw new Error(`Lettura sku_reservations non riuscita: ${reservationsError.message}`)
+  if (!reservations) {
+    await insertRows(client, 'sku_reservations', tables.sku_reservations.map(withoutId))
+    count('inserted', 'sku_reservations', tables.sku_reservations.length)
+  }
+
+  const existingSettings = new Set((await fetchTable(client, 'app_settings')).map(setting => setting.key))
+  for (const setting of tables.app_settings) {
+    if (existingSettings.has(setting.key) && !overwriteExisting) {
+      count('skipped', 'app_settings')
+      continue
+    }
+    const { error } = await client.from('app_settings').upsert(setting)
+    if (error) throw new Error(`Impostazione ${setting.key} non ripristinata: ${error.message}`)
+    count(existingSettings.has(setting.key) ? 'updated' : 'inserted', 'app_settings')
+  }
+
+  return report
+}
@@ -0,0 +1,273 @@
+// Lettura di codici a barre e QR da un fotogramma della fotocamera, per i browser
+// senza BarcodeDetector. Pensata per le etichette stampate dall'app: codice ben
+// illuminato, inquadrato quasi di fronte (il QR viene campionato senza prospettiva).
+
+import { decodeCode128, decodeEan13 } from './barcodes.js'
+import { decodeQrModules } from './qrcode.js'
+
+// Righe e colonne esaminate per i codici lineari
+const SCAN_LINES = 24
+// Letture uguali richieste per un codice lineare (l'EAN-13 ha un controllo debole)
+const LINEAR_CONFIRMATIONS = 2
+// Candidati pattern di posizione QR considerati
+const MAX_FINDER_CANDIDATES = 6
+
+/**
+ * Luminanza di un fotogramma
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA (es. da getImageData)
+ * @returns {Uint8Array}
+ */
+export function toLuminance({ data, width, height }) {
+  const luminance = new Uint8Array(width * height)
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8
+  }
+  return luminance
+}
+
+// Soglia locale (media della finestra attorno al pixel): regge ombre e riflessi meglio di una soglia unica
+function binarize(luminance, width, height) {
+  const integral = new Float64Array((width + 1) * (height + 1))
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0
+    for (let x = 0; x < width; x++) {
+      rowSum += luminance[y * width + x]
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum
+    }
+  }
+
+  const radius = Math.max(8, Math.floor(Math.min(width, height) / 8))
+  const dark = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - radius)
+    const bottom = Math.min(height, y + radius + 1)
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - radius)
+      const right = Math.min(width, x + radius + 1)
+      const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right] -
+        integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left]
+      const count = (bottom - top) * (right - left)
+      dark[y * width + x] = luminance[y * width + x] * count < sum * 0.9 ? 1 : 0
+    }
+  }
+  return dark
+}
+
+// Larghezze delle strisce di una linea, a partire da uno spazio chiaro (eventualmente lungo 0)
+function lineRuns(isDark, length) {
+  const runs = [0]
+  let current = false
+  for (let i = 0; i < length; i++) {
+    const value = isDark(i)
+    if (value !== current) {
+      runs.push(0)
+      current = value
+    }
+    runs[runs.length - 1]++
+  }
+  return runs
+}
+
+// La stessa linea letta al contrario (codice capovolto)
+const reverseRuns = (runs) => {
+  const reversed = [...runs].reverse()
+  return runs.length % 2 === 0 ? [0, ...reversed] : reversed
+}
+
+function decodeLinear(dark, width, height, formats) {
+  const decoders = [
+    formats.includes('code128') && { format: 'code128', decode: decodeCode128 },
+    formats.includes('ean13') && { format: 'ean13', decode: decodeEan13 }
+  ].filter(Boolean)
+  if (decoders.length === 0) return null
+
+  const lines = []
+  for (let i = 1; i <= SCAN_LINES; i++) {
+    const y = Math.floor((height * i) / (SCAN_LINES + 1))
+    const x = Math.floor((width * i) / (SCAN_LINES + 1))
+    lines.push(lineRuns(position => dark[y * width + position] === 1, width))
+    lines.push(lineRuns(position => dark[position * width + x] === 1, height))
+  }
+
+  const readings = new Map()
+  for (const runs of lines) {
+    for (const direction of [runs, reverseRuns(runs)]) {
+      for (const { format, decode } of decoders) {
+        const text = decode(direction)
+        if (!text) continue
+        const key = `${format}:${text}`
+        readings.set(key, (readings.get(key) || 0) + 1)
+        if (readings.get(key) >= LINEAR_CONFIRMATIONS) return { format, text }
+      }
+    }
+  }
+  return null
+}
+
+// Strisce nel rapporto 1:1:3:1:1 del pattern di posizione QR
+function isFinderRatio(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0)
+  if (total < 7) return false
+  const module = total / 7
+  const tolerance = module / 2
+  return Math.abs(counts[0] - module) < tolerance &&
+    Math.abs(counts[1] - module) < tolerance &&
+    Math.abs(counts[2] - 3 * module) < 3 * tolerance &&
+    Math.abs(counts[3] - module) < tolerance &&
+    Math.abs(counts[4] - module) < tolerance
+}
+
+// Verifica il rapporto lungo un'altra direzione passando per il centro; restituisce il centro ricalcolato
+function crossCheck(isDark, center, length) {
+  const counts = [0, 0, 0, 0, 0]
+  let i = center
+  for (; i >= 0 && isDark(i); i--) counts[2]++
+  for (; i >= 0 && !isDark(i); i--) counts[1]++
+  for (; i >= 0 && isDark(i); i--) counts[0]++
+  for (i = center + 1; i < length && isDark(i); i++) counts[2]++
+  for (; i < length && !isDark(i); i++) counts[3]++
+  for (; i < length && isDark(i); i++) counts[4]++
+  if (!isFinderRatio(counts)) return null
+  return { center: i - counts[4] - counts[3] - counts[2] / 2, module: counts.reduce((sum, count) => sum + count, 0) / 7 }
+}
+
+function findFinderCandidates(dark, width, height) {
+  const candidates = []
+  const addCandidate = (x, y, module) => {
+    const existing = candidates.find(candidate => (
+      Math.abs(candidate.x - x) < candidate.module * 2 && Math.abs(candidate.y - y) < candidate.module * 2
+    ))
+    if (existing) {
+      existing.x = (existing.x * existing.count + x) / (existing.count + 1)
+      existing.y = (existing.y * existing.count + y) / (existing.count + 1)
+      existing.module = (existing.module * existing.count + module) / (existing.count + 1)
+      existing.count++
+    } else {
+      candidates.push({ x, y, module, count: 1 })
+    }
+  }
+
+  for (let y = 0; y < height; y += 2) {
+    const counts = [0, 0, 0, 0, 0]
+    let state = 0
+    for (let x = 0; x <= width; x++) {
+      const isDarkPixel = x < width && dark[y * width + x] === 1
+      if (isDarkPixel) {
+        if (state % 2 === 1) state++
+        counts[state]++
+        continue
+      }
+      if (state % 2 === 1) {
+        counts[state]++
+        continue
+      }
+      if (state < 4) {
+        state++
+        counts[state]++
+        continue
+      }
+
+      // Fine di una sequenza scuro-chiaro-scuro-chiaro-scuro
+      if (isFinderRatio(counts)) {
+        const centerX = Math.round(x - counts[4] - counts[3] - counts[2] / 2)
+        const vertical = crossCheck(position => dark[position * width + centerX] === 1, y, height)
+        if (vertical) {
+          const centerY = Math.round(vertical.center)
+          const horizontal = crossCheck(position => dark[centerY * width + position] === 1, centerX, width)
+          if (horizontal) addCandidate(horizontal.center, vertical.center, (vertical.module + horizontal.module) / 2)
+        }
+      }
+      counts.splice(0, 2)
+      counts.push(1, 0)
+      state = 3
+    }
+  }
+
+  return candidates.sort((a, b) => b.count - a.count).slice(0, MAX_FINDER_CANDIDATES)
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+
+// Tre pattern che formano un triangolo rettangolo isoscele, come in un codice QR:
+// restituisce [in alto a sinistra, in alto a destra, in basso a sinistra]
+function orderFinderPatterns(candidates) {
+  let best = null
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      for (let k = j + 1; k < candidates.length; k++) {
+        const points = [candidates[i], candidates[j], candidates[k]]
+        const modules = points.map(point => point.module)
+        if (Math.max(...modules) > Math.min(...modules) * 1.5) continue
+
+        // Il vertice dell'angolo retto è opposto al lato più lungo
+        const sides = [distance(points[1], points[2]), distance(points[0], points[2]), distance(points[0], points[1])]
+        const corner = sides.indexOf(Math.max(...sides))
+        const [a, b] = points.filter((_, index) => index !== corner)
+        const legA = distance(points[corner], a)
+        const legB = distance(points[corner], b)
+        const squareness = Math.abs(legA / legB - 1) + Math.abs(sides[corner] / Math.hypot(legA, legB) - 1)
+        if (squareness > 0.3) continue
+
+        const score = squareness - Math.min(...points.map(point => point.count)) / 100
+        if (!best || score < best.score) {
+          const topLeft = points[corner]
+          // Con l'asse y verso il basso, in alto a destra si trova ruotando in senso orario
+          const cross = (a.x - topLeft.x) * (b.y - topLeft.y) - (a.y - topLeft.y) * (b.x - topLeft.x)
+          best = { score, points: cross > 0 ? [topLeft, a, b] : [topLeft, b, a] }
+        }
+      }
+    }
+  }
+  return best?.points || null
+}
+
+// Campiona la griglia dei moduli con una trasformazione affine ancorata ai tre pattern di posizione
+function sampleQr(dark, width, height, [topLeft, topRight, bottomLeft], size) {
+  const span = size - 7
+  const modules = []
+  for (let y = 0; y < size; y++) {
+    const row = []
+    for (let x = 0; x < size; x++) {
+      const u = (x + 0.5 - 3.5) / span
+      const v = (y + 0.5 - 3.5) / span
+      const px = Math.round(topLeft.x + u * (topRight.x - topLeft.x) + v * (bottomLeft.x - topLeft.x))
+      const py = Math.round(topLeft.y + u * (topRight.y - topLeft.y) + v * (bottomLeft.y - topLeft.y))
+      row.push(px >= 0 && py >= 0 && px < width && py < height && dark[py * width + px] === 1)
+    }
+    modules.push(row)
+  }
+  return modules
+}
+
+function decodeQr(dark, width, height) {
+  const finders = orderFinderPatterns(findFinderCandidates(dark, width, height))
+  if (!finders) return null
+
+  const [topLeft, topRight, bottomLeft] = finders
+  const module = (topLeft.module + topRight.module + bottomLeft.module) / 3
+  const estimated = ((distance(topLeft, topRight) + distance(topLeft, bottomLeft)) / 2) / module + 7
+  const version = Math.round((estimated - 17) / 4)
+
+  // La stima della versione può sbagliare di uno con codici piccoli o inclinati
+  for (const candidate of [version, version - 1, version + 1]) {
+    if (candidate < 1) continue
+    try {
+      return { format: 'qr', text: decodeQrModules(sampleQr(dark, width, height, finders, candidate * 4 + 17)) }
+    } catch {
+      // Si prova la versione successiva
+    }
+  }
+  return null
+}
+
+/**
+ * Cerca un codice in un fotogramma
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA (es. da getImageData)
+ * @param {string[]} [formats] - Chiavi di BARCODE_FORMATS da cercare
+ * @returns {{format: string, text: string}|null}
+ */
+export function decodeImageData(imageData, formats = ['qr', 'code128', 'ean13']) {
+  const { width, height } = imageData
+  const dark = binarize(toLuminance(imageData), width, height)
+  return (formats.includes('qr') && decodeQr(dark, width, height)) || decodeLinear(dark, width, height, formats)
+}
@@ -0,0 +1,100 @@
+// Lettura continua di codici dal video della fotocamera: BarcodeDetector del browser
+// dove disponibile (Chrome Android, Safari recenti), altrimenti il decoder JS (barcodeDecoder.js)
+
+import { decodeImageData } from './barcodeDecoder'
+
+// Nomi dei formati per BarcodeDetector
+const DETECTOR_FORMATS = {
+  qr: 'qr_code',
+  code128: 'code_128',
+  ean13: 'ean_13'
+}
+
+const SCAN_INTERVAL_MS = 250
+// Larghezza a cui viene ridotto il fotogramma per il decoder JS
+const DECODE_WIDTH = 640
+// Lo stesso codice inquadrato di continuo viene segnalato una volta sola
+export const REPEAT_DELAY_MS = 2000
+
+// BarcodeDetector solo se riconosce tutti i formati richiesti, così ogni etichetta si legge allo stesso modo
+async function createDetector(formats) {
+  if (typeof window === 'undefined' || !('BarcodeDetector' in window)) return null
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats()
+    const wanted = formats.map(format => DETECTOR_FORMATS[format])
+    if (!wanted.every(format => supported.includes(format))) return null
+    return new window.BarcodeDetector({ formats: wanted })
+  } catch (error) {
+    console.warn('⚠️ BarcodeDetector non utilizzabile:', error.message)
+    return null
+  }
+}
+
+function createFrameDecoder(formats) {
+  const canvas = document.createElement('canvas')
+  const context = canvas.getContext('2d', { willReadFrequently: true })
+
+  return (video) => {
+    const scale = Math.min(1, DECODE_WIDTH / video.videoWidth)
+    canvas.width = Math.round(video.videoWidth * scale)
+    canvas.height = Math.round(video.videoHeight * scale)
+    context.drawImage(video, 0, 0, canvas.width, canvas.height)
+    return decodeImageData(context.getImageData(0, 0, canvas.width, canvas.height), formats)
+  }
+}
+
+/**
+ * Avvia la lettura continua dei codici da un elemento video già in riproduzione
+ * @param {HTMLVideoElement} video
+ * @param {object} options
+ * @param {(result: {format: string, text: string}) => void} options.onScan - Chiamata per ogni nuovo codice
+ * @param {string[]} [options.formats] - Chiavi di BARCODE_FORMATS da cercare
+ * @returns {() => void} Funzione che ferma la lettura
+ */
+export function startBarcodeScanner(video, { onScan, formats = Object.keys(DETECTOR_FORMATS) }) {
+  let stopped = false
+  let timer = null
+  let last = { text: null, seenAt: 0 }
+
+  const scanFrame = async (detector, decodeFrame) => {
+    // HAVE_CURRENT_DATA: c'è un fotogramma da leggere
+    if (video.readyState < 2 || !video.videoWidth) return null
+    if (detector) {
+      const [barcode] = await detector.detect(video)
+      if (!barcode) return null
+      const format = Object.keys(DETECTOR_FORMATS).find(key => DETECTOR_FORMATS[key] === barcode.format)
+      return { format, text: barcode.rawValue }
+    }
+    return decodeFrame(video)
+  }
+
+  const run = async () => {
+    const detector = await createDetector(formats)
+    const decodeFrame = detector ? null : createFrameDecoder(formats)
+    console.log(`🔍 Lettura codici avviata (${detector ? 'BarcodeDetector' : 'decoder JS'})`)
+
+    const loop = async () => {
+      if (stopped) return
+      try {
+        const result = await scanFrame(detector, decodeFrame)
+        const now = Date.now()
+        if (result?.text && !stopped) {
+          const isRepeat = result.text === last.text && now - last.seenAt < REPEAT_DELAY_MS
+          last = { text: result.text, seenAt: now }
+          if (!isRepeat) onScan(result)
+        }
+      } catch (error) {
+        console.warn('⚠️ Errore lettura codice:', error.message)
+      }
+      if (!stopped) timer = setTimeout(loop, SCAN_INTERVAL_MS)
+    }
+    loop()
+  }
+
+  run()
+
+  return () => {
+    stopped = true
+    clearTimeout(timer)
+  }
+}
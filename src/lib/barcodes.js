@@ -0,0 +1,293 @@
+// Codici a barre lineari per le etichette: Code 128 (set B/C) ed EAN-13.
+// Le funzioni di codifica restituiscono la sequenza di moduli (true = barra) senza zona di rispetto;
+// quelle di lettura ricavano il testo dalle strisce di una riga di un fotogramma.
+// Import con estensione: il modulo è usato anche dall'API Node.
+
+import { encodeQr } from './qrcode.js'
+
+export const BARCODE_FORMATS = {
+  code128: 'Code 128',
+  ean13: 'EAN-13',
+  qr: 'QR Code'
+}
+
+// Larghezze barra/spazio dei simboli Code 128 (valori 0-102, poi Start A, B, C)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232'
+]
+const CODE128_START_B = 104
+const CODE128_START_C = 105
+const CODE128_STOP = '2331112'
+
+// Set C codifica due cifre per simbolo: conviene solo con numeri pari di almeno 4 cifre
+const canUseCode128SetC = (text) => /^\d+$/.test(text) && text.length >= 4 && text.length % 2 === 0
+
+const widthsToModules = (widths) => Array.from(widths).flatMap((width, index) => (
+  new Array(Number(width)).fill(index % 2 === 0)
+))
+
+/**
+ * Code 128 di un testo
+ * @param {string} text - Caratteri ASCII stampabili (32-126)
+ * @returns {boolean[]} Moduli (true = barra)
+ * @throws {Error} Se il testo è vuoto o contiene caratteri non codificabili
+ */
+export function encodeCode128(text) {
+  const value = String(text ?? '')
+  if (!value) {
+    throw new Error('Testo vuoto per il Code 128')
+  }
+
+  let symbols
+  if (canUseCode128SetC(value)) {
+    symbols = [CODE128_START_C]
+    for (let i = 0; i < value.length; i += 2) {
+      symbols.push(Number(value.slice(i, i + 2)))
+    }
+  } else {
+    symbols = [CODE128_START_B]
+    for (const char of value) {
+      const code = char.charCodeAt(0)
+      if (code < 32 || code > 126) {
+        throw new Error(`Carattere non valido per il Code 128: "${char}"`)
+      }
+      symbols.push(code - 32)
+    }
+  }
+
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * Math.max(index, 1), 0) % 103
+  symbols.push(checksum)
+
+  return [
+    ...symbols.flatMap(symbol => widthsToModules(CODE128_PATTERNS[symbol])),
+    ...widthsToModules(CODE128_STOP)
+  ]
+}
+
+// EAN-13: codifiche L delle cifre; R è il complemento di L, G è R rovesciato
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011']
+const EAN_R_CODES = EAN_L_CODES.map(code => Array.from(code, bit => (bit === '1' ? '0' : '1')).join(''))
+const EAN_G_CODES = EAN_R_CODES.map(code => Array.from(code).reverse().join(''))
+// Parità del primo gruppo in base alla prima cifra (che non è stampata come barre)
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGGGGL', 'LGLGLG', 'LGLGGL']
+
+/**
+ * Cifra di controllo EAN-13
+ * @param {string} digits - Le prime 12 cifre
+ * @returns {number}
+ */
+export function ean13CheckDigit(digits) {
+  const sum = Array.from(digits.slice(0, 12)).reduce((total, digit, index) => (
+    total + Number(digit) * (index % 2 === 0 ? 1 : 3)
+  ), 0)
+  return (10 - (sum % 10)) % 10
+}
+
+/**
+ * Codice EAN-13 completo di cifra di controllo
+ * @param {string} value - 12 cifre (la cifra di controllo viene calcolata) o 13 cifre
+ * @returns {string|null} Le 13 cifre, o null se il valore non è un EAN valido
+ */
+export function normalizeEan13(value) {
+  const digits = String(value ?? '').trim()
+  if (/^\d{12}$/.test(digits)) return digits + ean13CheckDigit(digits)
+  if (/^\d{13}$/.test(digits) && ean13CheckDigit(digits) === Number(digits[12])) return digits
+  return null
+}
+
+/**
+ * EAN-13 di un codice numerico
+ * @param {string} value - 12 o 13 cifre
+ * @returns {boolean[]} 95 moduli (true = barra)
+ * @throws {Error} Se il valore non è un EAN-13 valido
+ */
+export function encodeEan13(value) {
+  const digits = normalizeEan13(value)
+  if (!digits) {
+    throw new Error(`"${value}" non è un codice EAN-13 valido (servono 12 o 13 cifre)`)
+  }
+
+  const parity = EAN_PARITY[Number(digits[0])]
+  const left = Array.from(digits.slice(1, 7), (digit, index) => (
+    parity[index] === 'L' ? EAN_L_CODES[digit] : EAN_G_CODES[digit]
+  )).join('')
+  const right = Array.from(digits.slice(7), digit => EAN_R_CODES[digit]).join('')
+
+  return Array.from(`101${left}01010${right}101`, bit => bit === '1')
+}
+
+/**
+ * Codice nel formato richiesto
+ * @param {string} format - Chiave di BARCODE_FORMATS
+ * @param {string} value - Valore da codificare (di solito lo SKU)
+ * @returns {{format: string, modules: boolean[]|boolean[][], text: string}}
+ *   Moduli lineari per code128/ean13, matrice per qr; text è il testo leggibile sotto il codice
+ * @throws {Error} Se il valore non è codificabile nel formato
+ */
+export function encodeBarcode(format, value) {
+  switch (format) {
+    case 'code128':
+      return { format, modules: encodeCode128(value), text: String(value) }
+    case 'ean13': {
+      const digits = normalizeEan13(value)
+      return { format, modules: encodeEan13(value), text: digits || String(value) }
+    }
+    case 'qr':
+      return { format, modules: encodeQr(value).modules, text: String(value) }
+    default:
+      throw new Error(`Formato codice non supportato: ${format}`)
+  }
+}
+
+// --- Lettura dalla fotocamera ---
+// Le funzioni ricevono le larghezze in pixel delle strisce di una riga dell'immagine,
+// alternate a partire da uno spazio chiaro (eventualmente lungo 0).
+
+// Scarto medio massimo, in moduli, tra strisce misurate e modello
+const MAX_MODULE_DEVIATION = 0.45
+// Zona di rispetto minima prima del codice, in moduli (la norma ne chiede 10 per il Code 128)
+const MIN_QUIET_ZONE = 5
+
+const CODE128_WIDTHS = [...CODE128_PATTERNS, CODE128_STOP.slice(0, 6)].map(pattern => Array.from(pattern, Number))
+const CODE128_STOP_VALUE = 106
+const EAN_WIDTHS = EAN_L_CODES.map(code => code.match(/0+|1+/g).map(run => run.length))
+const EAN_PARITY_WIDTHS = [...EAN_WIDTHS, ...EAN_WIDTHS.map(widths => [...widths].reverse())]
+
+const sumOf = (values) => values.reduce((sum, value) => sum + value, 0)
+
+// Indice del modello più vicino alle strisce (-1 se nessuno è abbastanza vicino)
+function matchPattern(runs, patterns, modules) {
+  const unit = sumOf(runs) / modules
+  let best = -1
+  let bestDeviation = MAX_MODULE_DEVIATION
+  patterns.forEach((pattern, index) => {
+    const deviation = sumOf(pattern.map((width, i) => Math.abs(runs[i] / unit - width))) / pattern.length
+    if (deviation < bestDeviation) {
+      best = index
+      bestDeviation = deviation
+    }
+  })
+  return best
+}
+
+// Strisce lunghe quanto il modulo del codice (guardie EAN)
+const isGuard = (runs, unit) => runs.length > 0 && runs.every(run => Math.abs(run / unit - 1) < 0.6)
+
+// Testo dei simboli Code 128 tra start e checksum, con i cambi di set A/B/C
+function code128Text(values) {
+  const sets = { 103: 'A', 104: 'B', 105: 'C' }
+  let set = sets[values[0]]
+  let shift = false
+  let text = ''
+  for (const value of values.slice(1)) {
+    const current = shift ? (set === 'A' ? 'B' : 'A') : set
+    shift = false
+    if (current === 'C' && value < 100) text += String(value).padStart(2, '0')
+    else if (current !== 'C' && value < 64) text += String.fromCharCode(value + 32)
+    else if (current === 'A' && value < 96) text += String.fromCharCode(value - 64)
+    else if (current === 'B' && value < 96) text += String.fromCharCode(value + 32)
+    else if (value === 98 && current !== 'C') shift = true
+    else if (value === 99 && current !== 'C') set = 'C'
+    else if (value === 100 && current !== 'B') set = 'B'
+    else if (value === 101 && current !== 'A') set = 'A'
+    // FNC1-FNC4 non hanno testo
+  }
+  return text
+}
+
+/**
+ * Legge un Code 128 dalle strisce di una riga
+ * @param {number[]} runs - Larghezze alternate spazio/barra, a partire da uno spazio
+ * @returns {string|null} Testo, o null se nella riga non c'è un Code 128 valido
+ */
+export function decodeCode128(runs) {
+  for (let start = 1; start + 6 <= runs.length; start += 2) {
+    const symbol = runs.slice(start, start + 6)
+    const value = matchPattern(symbol, CODE128_WIDTHS, 11)
+    if (value < 103 || value > 105 || runs[start - 1] < (sumOf(symbol) / 11) * MIN_QUIET_ZONE) continue
+
+    const values = [value]
+    let position = start + 6
+    let stopped = false
+    while (position + 7 <= runs.length) {
+      const next = matchPattern(runs.slice(position, position + 6), CODE128_WIDTHS, 11)
+      if (next < 0 || (next >= 103 && next <= 105)) break
+      if (next === CODE128_STOP_VALUE) {
+        stopped = true
+        break
+      }
+      values.push(next)
+      position += 6
+    }
+    if (!stopped || values.length < 3) continue
+
+    const checksum = values.pop()
+    if (values.reduce((sum, symbolValue, index) => sum + symbolValue * Math.max(index, 1), 0) % 103 === checksum) {
+      return code128Text(values)
+    }
+  }
+  return null
+}
+
+/**
+ * Legge un EAN-13 dalle strisce di una riga
+ * @param {number[]} runs - Larghezze alternate spazio/barra, a partire da uno spazio
+ * @returns {string|null} Le 13 cifre, o null se nella riga non c'è un EAN-13 valido
+ */
+export function decodeEan13(runs) {
+  // Guardia iniziale (3) + 6 cifre (24) + guardia centrale (5) + 6 cifre (24) + guardia finale (3)
+  for (let start = 1; start + 59 <= runs.length; start += 2) {
+    const unit = sumOf(runs.slice(start, start + 3)) / 3
+    if (!isGuard(runs.slice(start, start + 3), unit) || runs[start - 1] < unit * MIN_QUIET_ZONE) continue
+
+    let digits = ''
+    let parity = ''
+    let position = start + 3
+    for (let i = 0; i < 6; i++, position += 4) {
+      const match = matchPattern(runs.slice(position, position + 4), EAN_PARITY_WIDTHS, 7)
+      if (match < 0) break
+      digits += match % 10
+      parity += match < 10 ? 'L' : 'G'
+    }
+    if (digits.length !== 6) continue
+
+    const middle = runs.slice(position, position + 5)
+    if (!isGuard(middle, sumOf(middle) / 5)) continue
+    position += 5
+
+    for (let i = 0; i < 6; i++, position += 4) {
+      const match = matchPattern(runs.slice(position, position + 4), EAN_WIDTHS, 7)
+      if (match < 0) break
+      digits += match
+    }
+    const end = runs.slice(position, position + 3)
+    const first = EAN_PARITY.indexOf(parity)
+    if (digits.length !== 12 || first < 0 || !isGuard(end, sumOf(end) / 3)) continue
+
+    const code = `${first}${digits}`
+    if (ean13CheckDigit(code) === Number(code[12])) return code
+  }
+  return null
+}
+
+/**
+ * SKU a cui può corrispondere un codice letto da un'etichetta: il testo stesso e, per un
+ * EAN-13, le prime 12 cifre (le etichette aggiungono la cifra di controllo agli SKU di 12 cifre)
+ * @param {string} code - Testo letto
+ * @returns {string[]}
+ */
+export function skusForCode(code) {
+  const text = String(code).trim()
+  if (!text) return []
+  return /^\d{13}$/.test(text) ? [text, text.slice(0, 12)] : [text]
+}
@@ -0,0 +1,79 @@
+// Modifica massiva dei prodotti selezionati
+// Calcola in anticipo i nuovi valori di ogni prodotto, per l'anteprima e per il salvataggio.
+
+// Colonne modificabili in blocco (stesso elenco della funzione SQL bulk_update_products())
+export const BULK_EDITABLE_FIELDS = ['line_id', 'composition_id', 'initial_price', 'wholesale_price', 'selling_price', 'notes']
+
+export const BULK_OPERATIONS = {
+  line: { label: 'Sposta in linea' },
+  composition: { label: 'Imposta composizione' },
+  reprice: { label: 'Ricarica prezzo (%)' },
+  note: { label: 'Aggiungi nota' }
+}
+
+export const REPRICE_FIELDS = {
+  selling_price: 'Prezzo vendita',
+  wholesale_price: 'Prezzo ingrosso',
+  initial_price: 'Prezzo di costo'
+}
+
+const roundPrice = (value) => Math.round(value * 100) / 100
+
+function updatesFor(product, operation, params) {
+  switch (operation) {
+    case 'line':
+      if (!params.lineId) throw new Error('Seleziona una linea')
+      return { line_id: params.lineId }
+
+    case 'composition':
+      if (!params.compositionId) throw new Error('Seleziona una composizione')
+      return { composition_id: params.compositionId }
+
+    case 'reprice': {
+      const field = params.priceField
+      const percent = parseFloat(params.percent)
+      if (!REPRICE_FIELDS[field]) throw new Error('Seleziona il prezzo da ricaricare')
+      if (Number.isNaN(percent) || percent <= -100) throw new Error('Percentuale non valida')
+
+      const current = parseFloat(product[field])
+      if (Number.isNaN(current)) throw new Error(`${REPRICE_FIELDS[field]} non impostato`)
+      return { [field]: roundPrice(current * (1 + percent / 100)) }
+    }
+
+    case 'note': {
+      const text = String(params.note ?? '').trim()
+      if (!text) throw new Error('Scrivi la nota da aggiungere')
+      return { notes: product.notes ? `${product.notes}\n${text}` : text }
+    }
+
+    default:
+      throw new Error(`Operazione non supportata: ${operation}`)
+  }
+}
+
+/**
+ * Anteprima di una modifica massiva
+ * @param {object[]} products - Prodotti selezionati (con i campi da modificare)
+ * @param {string} operation - Chiave di BULK_OPERATIONS
+ * @param {object} params - Parametri dell'operazione (lineId, compositionId, priceField, percent, note)
+ * @returns {Array<{product: object, updates: object|null, changes: object, error: string|null}>}
+ *   Una riga per prodotto: updates è null se il prodotto non verrà modificato
+ */
+export function previewBulkEdit(products, operation, params = {}) {
+  return products.map(product => {
+    try {
+      const updates = updatesFor(product, operation, params)
+      const changes = {}
+      Object.entries(updates).forEach(([field, value]) => {
+        if (String(product[field] ?? '') !== String(value ?? '')) {
+          changes[field] = { old: product[field] ?? null, new: value }
+        }
+      })
+
+      const unchanged = Object.keys(changes).length === 0
+      return { product, updates: unchanged ? null : updates, changes, error: unchanged ? 'Nessuna modifica' : null }
+    } catch (error) {
+      return { product, updates: null, changes: {}, error: error.message }
+    }
+  })
+}
@@ -0,0 +1,89 @@
+// Esportazione dei grafici recharts come immagine PNG o file CSV
+
+const TITLE_HEIGHT = 40
+const PNG_SCALE = 2
+
+/**
+ * Scarica un blob come file
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Scarica un testo CSV (con BOM, così Excel riconosce l'UTF-8)
+ * @param {string} csv - Vedi toCsv in stats.js
+ * @param {string} fileName
+ */
+export function downloadCsv(csv, fileName) {
+  downloadBlob(new Blob(['\ufeff', csv], { type: 'text/csv;charset=utf-8' }), fileName)
+}
+
+// Carica un SVG serializzato come immagine
+const loadSvgImage = (svgText) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }))
+  const image = new Image()
+  image.onload = () => {
+    URL.revokeObjectURL(url)
+    resolve(image)
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error('Impossibile convertire il grafico in immagine'))
+  }
+  image.src = url
+})
+
+/**
+ * Scarica come PNG il grafico recharts contenuto in un elemento, con il titolo sopra
+ * @param {HTMLElement} container - Elemento che contiene il ResponsiveContainer
+ * @param {string} fileName
+ * @param {object} [options]
+ * @param {string} [options.title]
+ */
+export async function downloadChartPng(container, fileName, { title = '' } = {}) {
+  const svg = container?.querySelector('svg.recharts-surface')
+  if (!svg) {
+    throw new Error('Nessun grafico da esportare')
+  }
+
+  const { width, height } = svg.getBoundingClientRect()
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('width', width)
+  clone.setAttribute('height', height)
+  // Il testo eredita il font della pagina, che fuori dal DOM non c'è
+  clone.setAttribute('font-family', getComputedStyle(svg).fontFamily)
+
+  const image = await loadSvgImage(new XMLSerializer().serializeToString(clone))
+  const titleHeight = title ? TITLE_HEIGHT : 0
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width * PNG_SCALE
+  canvas.height = (height + titleHeight) * PNG_SCALE
+  const context = canvas.getContext('2d')
+  context.scale(PNG_SCALE, PNG_SCALE)
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, width, height + titleHeight)
+  if (title) {
+    context.fillStyle = '#111827'
+    context.font = `600 16px ${getComputedStyle(svg).fontFamily}`
+    context.fillText(title, 12, 26)
+  }
+  context.drawImage(image, 0, titleHeight, width, height)
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+  if (!blob) {
+    throw new Error('Impossibile creare l\'immagine del grafico')
+  }
+  downloadBlob(blob, fileName)
+}
@@ -0,0 +1,107 @@
+// Esportazione prodotti in Excel
+// Un foglio con le colonne scelte (nomi al posto degli ID), più riepilogo per linea e prodotti sotto scorta.
+
+import * as XLSX from 'xlsx'
+import { computeValuation } from './valuation'
+
+const PHOTO_BUCKET_URL = `${import.meta.env.VITE_SUPABASE_URL}/storage/v1/object/public/product-photos`
+
+/**
+ * URL pubblico della foto primaria (o della prima foto) di un prodotto
+ * @param {object} product - Prodotto con product_photos(file_path, is_primary, deleted_at)
+ * @returns {string|null}
+ */
+export function primaryPhotoUrl(product) {
+  const photos = (product.product_photos || []).filter(photo => photo.file_path && !photo.deleted_at)
+  const photo = photos.find(item => item.is_primary) || photos[0]
+  return photo ? `${PHOTO_BUCKET_URL}/${photo.file_path}` : null
+}
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value))
+
+/**
+ * Colonne esportabili: chiave -> intestazione e valore della cella
+ * default: inclusa nella selezione iniziale
+ */
+export const EXPORT_COLUMNS = {
+  sku: { label: 'SKU', default: true, value: product => product.sku },
+  article: { label: 'Articolo', default: true, value: product => product.article },
+  description: { label: 'Descrizione', default: true, value: product => product.description },
+  model: { label: 'Modello', default: true, value: product => product.models?.name ?? null },
+  line: { label: 'Linea', default: true, value: product => product.lines?.name ?? null },
+  size: { label: 'Taglia', default: true, value: product => product.sizes?.name ?? null },
+  color: { label: 'Colore', default: true, value: product => product.colors?.name ?? null },
+  composition: { label: 'Composizione', default: true, value: product => product.compositions?.name ?? null },
+  quantity_stock: { label: 'Giacenza', default: true, value: product => product.quantity_stock ?? 0 },
+  quantity_sold: { label: 'Venduto', default: false, value: product => product.quantity_sold ?? 0 },
+  min_stock: { label: 'Scorta minima', default: false, value: product => product.effective_min_stock ?? null },
+  initial_price: { label: 'Prezzo di costo', default: true, value: product => toNumber(product.initial_price) },
+  wholesale_price: { label: 'Prezzo ingrosso', default: true, value: product => toNumber(product.wholesale_price) },
+  selling_price: { label: 'Prezzo vendita', default: true, value: product => toNumber(product.selling_price) },
+  notes: { label: 'Note', default: false, value: product => product.notes },
+  photo: { label: 'Foto', default: true, value: primaryPhotoUrl },
+  created_at: { label: 'Creato il', default: false, value: product => (product.created_at ? new Date(product.created_at) : null) }
+}
+
+export const DEFAULT_EXPORT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter(key => EXPORT_COLUMNS[key].default)
+
+/**
+ * Cartella di lavoro con i fogli Prodotti, Riepilogo linee e Sotto scorta
+ * @param {object[]} products - Prodotti di db.getProductsForExport
+ * @param {string[]} columns - Chiavi di EXPORT_COLUMNS, nell'ordine delle colonne
+ * @returns {object} Workbook xlsx
+ */
+export function buildExportWorkbook(products, columns) {
+  const workbook = XLSX.utils.book_new()
+
+  const productRows = products.map(product => Object.fromEntries(
+    columns.map(key => [EXPORT_COLUMNS[key].label, EXPORT_COLUMNS[key].value(product) ?? null])
+  ))
+  const productSheet = XLSX.utils.json_to_sheet(productRows, {
+    header: columns.map(key => EXPORT_COLUMNS[key].label),
+    cellDates: true
+  })
+  XLSX.utils.book_append_sheet(workbook, productSheet, 'Prodotti')
+
+  const { byLine, totals } = computeValuation(products)
+  const lineRows = [...byLine, { name: 'Totale', ...totals }].map(line => ({
+    Linea: line.name,
+    Prodotti: line.products,
+    Pezzi: line.quantity,
+    'Valore costo': line.cost,
+    'Valore ingrosso': line.wholesale,
+    'Valore dettaglio': line.retail
+  }))
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(lineRows), 'Riepilogo linee')
+
+  const lowStockRows = products
+    .filter(product => product.is_low_stock)
+    .map(product => ({
+      SKU: product.sku,
+      Articolo: product.article,
+      Linea: product.lines?.name ?? null,
+      Taglia: product.sizes?.name ?? null,
+      Colore: product.colors?.name ?? null,
+      Giacenza: product.quantity_stock ?? 0,
+      'Scorta minima': product.effective_min_stock,
+      'Da riordinare': Math.max((product.effective_min_stock ?? 0) - (product.quantity_stock ?? 0), 0)
+    }))
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.json_to_sheet(lowStockRows, {
+      header: ['SKU', 'Articolo', 'Linea', 'Taglia', 'Colore', 'Giacenza', 'Scorta minima', 'Da riordinare']
+    }),
+    'Sotto scorta'
+  )
+
+  return workbook
+}
+
+/**
+ * Scarica la cartella di lavoro come file .xlsx
+ * @param {object} workbook - Risultato di buildExportWorkbook
+ * @param {string} fileName - Nome del file
+ */
+export function downloadWorkbook(workbook, fileName) {
+  XLSX.writeFile(workbook, fileName)
+}
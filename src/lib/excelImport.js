@@ -0,0 +1,229 @@
+// Importazione prodotti da Excel/CSV
+// Lettura del foglio, associazione colonne -> campi, risoluzione dei valori di lookup
+// e validazione: il piano risultante è il report della simulazione e l'input di db.importProducts().
+
+import * as XLSX from 'xlsx'
+import { LOOKUP_TABLES, normalizeLookupName } from './lookups'
+
+/**
+ * Campi prodotto importabili
+ * aliases: intestazioni riconosciute automaticamente (confronto senza maiuscole, spazi e punteggiatura)
+ */
+export const IMPORT_FIELDS = {
+  sku: { label: 'SKU', type: 'text', aliases: ['sku', 'codice', 'cod', 'codice articolo'] },
+  article: { label: 'Articolo', type: 'text', aliases: ['articolo', 'article', 'nome', 'prodotto'] },
+  description: { label: 'Descrizione', type: 'text', aliases: ['descrizione', 'description', 'desc'] },
+  model_id: { label: 'Modello', type: 'lookup', table: 'models', aliases: ['modello', 'model'] },
+  line_id: { label: 'Linea', type: 'lookup', table: 'lines', aliases: ['linea', 'line', 'collezione'] },
+  size_id: { label: 'Taglia', type: 'lookup', table: 'sizes', aliases: ['taglia', 'size', 'tg'] },
+  color_id: { label: 'Colore', type: 'lookup', table: 'colors', aliases: ['colore', 'color', 'col'] },
+  composition_id: { label: 'Composizione', type: 'lookup', table: 'compositions', aliases: ['composizione', 'composition', 'materiale'] },
+  quantity_stock: { label: 'Giacenza', type: 'integer', aliases: ['giacenza', 'quantita', 'qta', 'q ta', 'stock', 'pezzi'] },
+  min_stock: { label: 'Scorta minima', type: 'integer', aliases: ['scorta minima', 'min stock', 'minimo'] },
+  initial_price: { label: 'Prezzo di costo', type: 'price', aliases: ['prezzo costo', 'costo', 'prezzo acquisto', 'initial price'] },
+  wholesale_price: { label: 'Prezzo ingrosso', type: 'price', aliases: ['prezzo ingrosso', 'ingrosso', 'wholesale', 'wholesale price'] },
+  selling_price: { label: 'Prezzo vendita', type: 'price', aliases: ['prezzo vendita', 'prezzo', 'vendita', 'listino', 'selling price'] },
+  notes: { label: 'Note', type: 'text', aliases: ['note', 'notes'] }
+}
+
+export const IMPORT_ACTIONS = {
+  create: 'Nuovo',
+  update: 'Aggiornamento',
+  error: 'Errore'
+}
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === ''
+
+/**
+ * Legge il primo foglio di un file .xlsx, .xls o .csv
+ * @param {File} file - File scelto dall'utente
+ * @returns {Promise<{headers: string[], rows: object[]}>} Righe come oggetti intestazione -> valore
+ */
+export async function readSpreadsheet(file) {
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' })
+  const sheet = workbook.Sheets[workbook.SheetNames[0]]
+  if (!sheet) {
+    throw new Error('Il file non contiene fogli')
+  }
+
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null })
+  const headers = headerRow.map((header, index) => (isEmpty(header) ? `Colonna ${index + 1}` : String(header).trim()))
+
+  const rows = dataRows
+    .filter(row => row.some(cell => !isEmpty(cell)))
+    .map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? null])))
+
+  return { headers, rows }
+}
+
+/**
+ * Associazione automatica delle colonne in base alle intestazioni
+ * @param {string[]} headers - Intestazioni del foglio
+ * @returns {object} Campo -> intestazione
+ */
+export function guessColumnMapping(headers) {
+  const mapping = {}
+  Object.entries(IMPORT_FIELDS).forEach(([field, { aliases }]) => {
+    const header = headers.find(candidate => (
+      aliases.includes(normalizeHeader(candidate)) && !Object.values(mapping).includes(candidate)
+    ))
+    if (header) mapping[field] = header
+  })
+  return mapping
+}
+
+// Importo in centesimi esatti: una terza cifra decimale rende il prezzo non valido, non arrotondato
+const toPrice = (number) => {
+  const cents = number * 100
+  return Math.abs(cents - Math.round(cents)) < 1e-6 ? Math.round(cents) / 100 : NaN
+}
+
+/**
+ * Prezzo in formato italiano o internazionale ("€ 1.234,50", "1,234.50", "1234.5", 12).
+ * L'ultimo separatore è quello dei decimali; un separatore ripetuto ("1.234.567") o uno solo
+ * seguito da tre cifre ("1.234", "€ 1,234") è delle migliaia. Più di due decimali: NaN.
+ * @returns {number|null} null se vuoto, NaN se non valido
+ */
+export function parsePrice(value) {
+  if (isEmpty(value)) return null
+  if (typeof value === 'number') return toPrice(value)
+
+  let text = String(value).replace(/[€\s]/g, '')
+  const separators = text.match(/[.,]/g) || []
+  const decimal = separators[separators.length - 1]
+  if (separators.length === 1 && /^-?0*[1-9]\d*[.,]\d{3}$/.test(text)) {
+    text = text.replace(decimal, '')
+  } else if (decimal && separators.filter(separator => separator === decimal).length === 1) {
+    const thousands = decimal === ',' ? '.' : ','
+    text = text.split(thousands).join('').replace(decimal, '.')
+  } else if (decimal) {
+    text = text.replace(/[.,]/g, '')
+  }
+  const number = Number(text)
+  return Number.isNaN(number) ? NaN : toPrice(number)
+}
+
+/**
+ * Numero intero ("12", 12, "12,0")
+ * @returns {number|null} null se vuoto, NaN se non valido
+ */
+export function parseInteger(value) {
+  if (isEmpty(value)) return null
+  const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'))
+  return Number.isInteger(number) ? number : NaN
+}
+
+/**
+ * Piano di importazione (simulazione): nessuna scrittura sul database
+ * @param {object[]} rows - Righe lette da readSpreadsheet
+ * @param {object} mapping - Campo -> intestazione
+ * @param {object} context
+ * @param {object} context.lookups - Tabella -> valori esistenti ({ id, name })
+ * @param {object} context.existingBySku - SKU -> prodotto esistente ({ id, sku, deleted_at })
+ * @param {boolean} [context.createMissingLookups] - Crea i valori di lookup non trovati invece di segnalarli come errore
+ * @returns {{rows: object[], missingLookups: object, summary: object}}
+ */
+export function buildImportPlan(rows, mapping, { lookups, existingBySku, createMissingLookups = false }) {
+  const missingLookups = {}
+  const seenSkus = new Set()
+
+  const lookupIndex = Object.fromEntries(Object.keys(LOOKUP_TABLES).map(table => [
+    table,
+    new Map((lookups[table] || []).map(value => [normalizeLookupName(value.name), value.id]))
+  ]))
+
+  const planRows = rows.map((row, index) => {
+    const errors = []
+    const values = {}
+    const lookupNames = {}
+
+    Object.entries(mapping).forEach(([field, header]) => {
+      if (!header) return
+      const config = IMPORT_FIELDS[field]
+      const raw = row[header]
+      if (isEmpty(raw)) return
+
+      switch (config.type) {
+        case 'price': {
+          const price = parsePrice(raw)
+          if (Number.isNaN(price) || price < 0) errors.push(`${config.label} non valido: "${raw}"`)
+          else values[field] = price
+          break
+        }
+        case 'integer': {
+          const quantity = parseInteger(raw)
+          if (Number.isNaN(quantity) || quantity < 0) errors.push(`${config.label} non valida: "${raw}"`)
+          else values[field] = quantity
+          break
+        }
+        case 'lookup': {
+          const name = String(raw).trim()
+          const id = lookupIndex[config.table].get(normalizeLookupName(name))
+          if (id) {
+            values[field] = id
+          } else if (createMissingLookups) {
+            lookupNames[field] = name
+          } else {
+            errors.push(`${config.label} "${name}" non esistente`)
+          }
+          break
+        }
+        default:
+          values[field] = String(raw).trim()
+      }
+    })
+
+    const sku = values.sku || null
+    if (sku) {
+      if (seenSkus.has(sku)) errors.push(`SKU ${sku} ripetuto nel file`)
+      seenSkus.add(sku)
+    }
+
+    const existing = sku ? existingBySku[sku] : null
+    if (existing?.deleted_at) {
+      errors.push(`SKU ${sku} di un prodotto nel cestino: ripristinalo prima di importarlo`)
+    }
+    if (!existing && isEmpty(values.article)) {
+      errors.push('Articolo mancante (obbligatorio per i nuovi prodotti)')
+    }
+
+    // Valori da creare solo per le righe che verranno importate,
+    // uno solo per nomi che differiscono per maiuscole o spazi
+    if (errors.length === 0) {
+      Object.entries(lookupNames).forEach(([field, name]) => {
+        const { table } = IMPORT_FIELDS[field]
+        missingLookups[table] = missingLookups[table] || new Map()
+        if (!missingLookups[table].has(normalizeLookupName(name))) {
+          missingLookups[table].set(normalizeLookupName(name), name)
+        }
+      })
+    }
+
+    return {
+      line: index + 2, // riga 1: intestazioni
+      sku,
+      action: errors.length > 0 ? 'error' : existing ? 'update' : 'create',
+      productId: existing?.id ?? null,
+      values,
+      lookupNames,
+      errors
+    }
+  })
+
+  const summary = {
+    create: planRows.filter(row => row.action === 'create').length,
+    update: planRows.filter(row => row.action === 'update').length,
+    error: planRows.filter(row => row.action === 'error').length
+  }
+
+  return {
+    rows: planRows,
+    missingLookups: Object.fromEntries(Object.entries(missingLookups).map(([table, names]) => [table, Array.from(names.values())])),
+    summary
+  }
+}
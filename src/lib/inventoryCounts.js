@@ -0,0 +1,136 @@
+// Inventario fisico: sessioni di conta, giacenza attesa e report delle differenze
+// Import con estensione: il modulo è usato anche dall'API Node (approve_inventory_count in rpcFunctions).
+
+import { locationLabel } from './locations.js'
+import { PRICE_BASES } from './valuation.js'
+
+export const COUNT_STATUSES = {
+  aperto: 'In corso',
+  approvato: 'Approvato',
+  annullato: 'Annullato'
+}
+
+// Come si registra una quantità: 'add' somma (una scansione = un pezzo), 'set' sostituisce
+export const COUNT_RECORD_MODES = ['add', 'set']
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+// Prodotto di una riga; se eliminato definitivamente restano SKU e descrizione copiati sulla riga
+const lineProduct = (line) => line.products || {
+  id: `riga-${line.id}`,
+  sku: line.sku,
+  description: line.description,
+  purged: true
+}
+
+/**
+ * Ambito di una conta, es. "Negozio · A-01 · Linea Uomo"
+ * @param {{location_id: string|null, line_id: string|null, locations?: object, lines?: {name: string}}} count
+ * @returns {string}
+ */
+export function countScopeLabel(count) {
+  const parts = []
+  if (count.location_id) parts.push(locationLabel(count.locations))
+  if (count.line_id) parts.push(`Linea ${count.lines?.name || ''}`.trim())
+  return parts.length > 0 ? parts.join(' · ') : 'Tutto il magazzino'
+}
+
+/**
+ * Giacenza attesa di un prodotto nell'ambito della conta: nell'ubicazione se la conta ne ha una,
+ * altrimenti quantity_stock
+ * @param {{quantity_stock: number, location_stock?: Array<{location_id: string, quantity: number}>}} product
+ * @param {string|null} locationId
+ * @returns {number}
+ */
+export const expectedQuantity = (product, locationId) => (locationId
+  ? product.location_stock?.find(row => row.location_id === locationId)?.quantity || 0
+  : product.quantity_stock || 0)
+
+/**
+ * Controlla una quantità contata prima di registrarla
+ * @param {number} quantity
+ * @param {string} [mode] - 'add' (anche negativa, per correggere) o 'set'
+ * @returns {string|null} Messaggio di errore o null
+ */
+export function validateCountQuantity(quantity, mode = 'add') {
+  if (!COUNT_RECORD_MODES.includes(mode)) {
+    return `Modalità di conta non valida: ${mode}`
+  }
+  if (!Number.isInteger(quantity)) {
+    return 'La quantità deve essere un numero intero'
+  }
+  if (mode === 'add' && quantity === 0) {
+    return 'La quantità da aggiungere non può essere zero'
+  }
+  if (mode === 'set' && quantity < 0) {
+    return 'La quantità contata non può essere negativa'
+  }
+  return null
+}
+
+/**
+ * Report delle differenze tra giacenza attesa e contata, con l'effetto sul valore del magazzino
+ * @param {object} count - Conta con inventory_count_lines (con products, location_stock compreso)
+ * @param {object[]} [scopeProducts] - Prodotti dell'ambito (da db.getProducts) per elencare i non contati
+ * @param {object} [options]
+ * @param {boolean} [options.zeroUncounted] - I prodotti non contati valgono 0 pezzi
+ * @returns {{rows: object[], totals: object}} Righe ordinate per impatto sul valore (a costo)
+ */
+export function buildVarianceReport(count, scopeProducts = [], { zeroUncounted = false } = {}) {
+  const isApproved = count.status === 'approvato'
+  const lines = count.inventory_count_lines || []
+  const countedIds = new Set(lines.map(line => line.product_id))
+
+  const row = (product, expected, counted) => {
+    const variance = counted === null ? null : counted - expected
+    return {
+      product,
+      expected,
+      counted,
+      variance,
+      cost: variance === null ? null : round2(variance * (parseFloat(product[PRICE_BASES.cost.column]) || 0)),
+      retail: variance === null ? null : round2(variance * (parseFloat(product[PRICE_BASES.retail.column]) || 0))
+    }
+  }
+
+  // Le righe contate confrontano con la giacenza della prima lettura, non con quella attuale
+  const rows = lines.map(line => row(
+    lineProduct(line),
+    line.expected_quantity ?? expectedQuantity(lineProduct(line), count.location_id),
+    line.counted_quantity
+  ))
+
+  if (!isApproved) {
+    scopeProducts
+      .filter(product => !countedIds.has(product.id) && expectedQuantity(product, count.location_id) > 0)
+      .forEach(product => {
+        rows.push(row(product, expectedQuantity(product, count.location_id), zeroUncounted ? 0 : null))
+      })
+  }
+
+  rows.sort((a, b) => (
+    Math.abs(b.cost || 0) - Math.abs(a.cost || 0) ||
+    Math.abs(b.variance || 0) - Math.abs(a.variance || 0) ||
+    String(a.product.sku).localeCompare(String(b.product.sku))
+  ))
+
+  const totals = rows.reduce((sum, item) => {
+    sum.expected += item.expected
+    if (item.counted === null) {
+      sum.uncounted += 1
+      return sum
+    }
+    sum.counted += item.counted
+    if (item.variance === 0) sum.matching += 1
+    if (item.variance > 0) sum.surplus += item.variance
+    if (item.variance < 0) sum.shortage -= item.variance
+    sum.cost += item.cost
+    sum.retail += item.retail
+    return sum
+  }, { expected: 0, counted: 0, uncounted: 0, matching: 0, surplus: 0, shortage: 0, cost: 0, retail: 0 })
+
+  return {
+    rows,
+    totals: { ...totals, products: rows.length, cost: round2(totals.cost), retail: round2(totals.retail) }
+  }
+}
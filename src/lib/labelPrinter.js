@@ -0,0 +1,42 @@
+// Stampante termica di etichette collegata al server Express (/api/print-label)
+// Disponibile solo con il server in esecuzione (npm run dev:api)
+
+import { apiHeaders } from './apiAuth'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || (process.env.NODE_ENV === 'production'
+  ? '' // URL relativo per Vercel
+  : 'http://localhost:3001') // Server Express locale per sviluppo
+
+async function request(options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/print-label`, { ...options, headers: await apiHeaders(options.headers) })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { data: null, error: result.error || { message: `Errore API (${response.status})` } }
+    }
+    return result
+  } catch (error) {
+    console.warn('⚠️ API stampa etichette non raggiungibile:', error.message)
+    return { data: null, error: { message: 'Server di stampa non raggiungibile' } }
+  }
+}
+
+/**
+ * Stampante configurata sul server
+ * @returns {Promise<{data: {configured: boolean, host: string, port: number}|null, error: object|null}>}
+ */
+export const getLabelPrinterStatus = () => request()
+
+/**
+ * Invia un lavoro ZPL alla stampante termica
+ * @param {string} zpl - Etichette (vedi buildZplJob in lib/zpl)
+ * @returns {Promise<{data: {bytes: number}|null, error: object|null}>}
+ */
+export const printZpl = (zpl) => request({
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify({ zpl })
+})
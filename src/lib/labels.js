@@ -0,0 +1,151 @@
+// Etichette prodotto su fogli A4: griglia configurabile, campi stampati e codice
+// Import con estensione: il modulo è usato anche dall'API Node.
+
+import { encodeBarcode } from './barcodes.js'
+
+export const LABEL_LAYOUT_SETTING_KEY = 'label_layout'
+
+// Foglio A4 in millimetri
+export const SHEET_WIDTH_MM = 210
+export const SHEET_HEIGHT_MM = 297
+
+export const LABEL_FIELDS = {
+  sku: 'SKU',
+  article: 'Articolo',
+  size: 'Taglia',
+  color: 'Colore',
+  price: 'Prezzo di vendita'
+}
+
+// Formati di fogli adesivi più diffusi (margini simmetrici)
+export const LABEL_SHEET_PRESETS = [
+  { id: '3x8', name: '24 etichette 70 × 37 mm', columns: 3, rows: 8, marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0 },
+  { id: '2x7', name: '14 etichette 99,1 × 38,1 mm', columns: 2, rows: 7, marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0 },
+  { id: '4x10', name: '40 etichette 48,5 × 25,4 mm', columns: 4, rows: 10, marginTop: 21.5, marginLeft: 8, gapX: 0, gapY: 0 }
+]
+
+export const DEFAULT_LABEL_LAYOUT = {
+  columns: 3,
+  rows: 8,
+  marginTop: 0.5,
+  marginLeft: 0,
+  gapX: 0,
+  gapY: 0,
+  format: 'code128',
+  fields: Object.keys(LABEL_FIELDS)
+}
+
+// Etichetta più piccola su cui il codice resta leggibile
+const MIN_LABEL_WIDTH_MM = 30
+const MIN_LABEL_HEIGHT_MM = 15
+
+/**
+ * Completa un layout salvato con i valori di default
+ * @param {object} [layout]
+ * @returns {object}
+ */
+export function resolveLabelLayout(layout) {
+  const resolved = { ...DEFAULT_LABEL_LAYOUT, ...(layout || {}) }
+  for (const key of ['columns', 'rows', 'marginTop', 'marginLeft', 'gapX', 'gapY']) {
+    resolved[key] = Number(resolved[key]) || 0
+  }
+  resolved.fields = (resolved.fields || []).filter(field => LABEL_FIELDS[field])
+  return resolved
+}
+
+/**
+ * Dimensioni di una singola etichetta ricavate dalla griglia
+ * @param {object} layout - Layout risolto
+ * @returns {{width: number, height: number}} Millimetri
+ */
+export function labelSize(layout) {
+  return {
+    width: (SHEET_WIDTH_MM - 2 * layout.marginLeft - (layout.columns - 1) * layout.gapX) / layout.columns,
+    height: (SHEET_HEIGHT_MM - 2 * layout.marginTop - (layout.rows - 1) * layout.gapY) / layout.rows
+  }
+}
+
+/**
+ * Controlla un layout prima del salvataggio
+ * @param {object} layout
+ * @returns {string|null} Messaggio di errore o null
+ */
+export function validateLabelLayout(layout) {
+  const resolved = resolveLabelLayout(layout)
+  if (!Number.isInteger(resolved.columns) || resolved.columns < 1 || resolved.columns > 10) {
+    return 'Le colonne devono essere un numero intero tra 1 e 10'
+  }
+  if (!Number.isInteger(resolved.rows) || resolved.rows < 1 || resolved.rows > 30) {
+    return 'Le righe devono essere un numero intero tra 1 e 30'
+  }
+  if (['marginTop', 'marginLeft', 'gapX', 'gapY'].some(key => resolved[key] < 0)) {
+    return 'Margini e spaziature non possono essere negativi'
+  }
+  const { width, height } = labelSize(resolved)
+  if (width < MIN_LABEL_WIDTH_MM || height < MIN_LABEL_HEIGHT_MM) {
+    return `Etichette troppo piccole (${width.toFixed(1)} × ${height.toFixed(1)} mm, minimo ${MIN_LABEL_WIDTH_MM} × ${MIN_LABEL_HEIGHT_MM})`
+  }
+  if (resolved.fields.length === 0) {
+    return 'Seleziona almeno un campo da stampare'
+  }
+  return null
+}
+
+/**
+ * Distribuisce le etichette sui fogli
+ * @param {Array<{product: object, copies: number}>} items - Prodotti con numero di copie
+ * @param {object} layout - Layout risolto
+ * @param {number} [skip] - Etichette già usate all'inizio del primo foglio
+ * @returns {Array<Array<object|null>>} Fogli, ciascuno con columns × rows posizioni (null = vuota)
+ */
+export function buildLabelSheets(items, layout, skip = 0) {
+  const perSheet = layout.columns * layout.rows
+  const positions = new Array(Math.min(Math.max(0, skip), perSheet - 1)).fill(null)
+  for (const { product, copies } of items) {
+    for (let i = 0; i < (Number(copies) || 0); i++) positions.push(product)
+  }
+
+  const sheets = []
+  for (let start = 0; start < positions.length; start += perSheet) {
+    const sheet = positions.slice(start, start + perSheet)
+    sheets.push([...sheet, ...new Array(perSheet - sheet.length).fill(null)])
+  }
+  return sheets.filter(sheet => sheet.some(Boolean))
+}
+
+/**
+ * Testi da stampare sull'etichetta, secondo i campi scelti
+ * @param {object} product - Prodotto letto da getProducts (con sizes e colors)
+ * @param {string[]} fields - Chiavi di LABEL_FIELDS
+ * @returns {{sku: string|null, article: string|null, variant: string|null, price: string|null}}
+ */
+export function labelTexts(product, fields) {
+  const show = (field) => fields.includes(field)
+  const variant = [show('size') && product.sizes?.name, show('color') && product.colors?.name].filter(Boolean).join(' · ')
+  const price = product.selling_price === null || product.selling_price === undefined
+    ? null
+    : `€ ${Number(product.selling_price).toFixed(2).replace('.', ',')}`
+
+  return {
+    sku: show('sku') ? product.sku : null,
+    article: show('article') ? product.description || product.article : null,
+    variant: variant || null,
+    price: show('price') ? price : null
+  }
+}
+
+/**
+ * Codice dell'etichetta (sempre lo SKU). Se lo SKU non è un EAN-13 valido
+ * si ripiega sul Code 128, che accetta qualsiasi SKU.
+ * @param {object} product
+ * @param {string} format - Chiave di BARCODE_FORMATS
+ * @returns {{barcode: object, fallback: boolean}} Risultato di encodeBarcode
+ */
+export function labelBarcode(product, format) {
+  try {
+    return { barcode: encodeBarcode(format, product.sku), fallback: false }
+  } catch (error) {
+    if (format === 'code128') throw error
+    return { barcode: encodeBarcode('code128', product.sku), fallback: true }
+  }
+}
@@ -0,0 +1,101 @@
+// Magazzini e ubicazioni: etichette, merce non ubicata e ordine di prelievo
+// Import con estensione: il modulo è usato anche dall'API Node (apply_stock_movement in rpcFunctions).
+
+export const UNLOCATED_LABEL = 'Non ubicato'
+
+/**
+ * Nome completo di un'ubicazione, es. "Negozio · A-01"
+ * @param {{code: string, warehouses?: {name: string}}|null} location - Ubicazione (null = non ubicato)
+ * @returns {string}
+ */
+export const locationLabel = (location) => (location
+  ? [location.warehouses?.name, location.code].filter(Boolean).join(' · ')
+  : UNLOCATED_LABEL)
+
+/**
+ * Ordina le ubicazioni per prelievo: magazzino (sort_order, nome), poi codice
+ * @param {Array<{code: string, warehouses?: {name: string, sort_order: number}}>} locations
+ * @returns {Array} Nuovo array ordinato
+ */
+export function sortByPickOrder(locations) {
+  return [...locations].sort((a, b) => (
+    (a.warehouses?.sort_order || 0) - (b.warehouses?.sort_order || 0) ||
+    String(a.warehouses?.name || '').localeCompare(String(b.warehouses?.name || '')) ||
+    String(a.code).localeCompare(String(b.code))
+  ))
+}
+
+/**
+ * Tutte le ubicazioni dei magazzini (risultato di db.getWarehouses), con il loro magazzino
+ * @param {Array<{locations: Array}>} warehouses
+ * @returns {Array} Ubicazioni con la proprietà warehouses, in ordine di prelievo
+ */
+export const flattenLocations = (warehouses) => warehouses.flatMap(warehouse => warehouse.locations.map(location => ({
+  ...location,
+  warehouses: { name: warehouse.name, sort_order: warehouse.sort_order }
+})))
+
+/**
+ * Ubicazione da cui prelevare un prodotto: la prima in ordine di prelievo
+ * @param {{location_stock?: Array<{quantity: number, locations: object}>}} product - Prodotto letto da getProducts
+ * @returns {object|null} Ubicazione (null se la merce non è ubicata)
+ */
+export function pickLocation(product) {
+  const locations = (product.location_stock || []).map(row => row.locations).filter(Boolean)
+  return sortByPickOrder(locations)[0] || null
+}
+
+/**
+ * Pezzi non assegnati ad alcuna ubicazione
+ * @param {number} totalStock - quantity_stock del prodotto
+ * @param {Array<{quantity: number}>} stockRows - Righe di location_stock del prodotto
+ * @returns {number}
+ */
+export const unlocatedQuantity = (totalStock, stockRows) => (totalStock || 0) -
+  stockRows.reduce((sum, row) => sum + (row.quantity || 0), 0)
+
+/**
+ * Ubicazioni da scalare quando la giacenza scende senza indicarne una:
+ * prima si consumano i pezzi non ubicati, poi le ubicazioni in ordine di prelievo
+ * @param {Array<{location_id: string, quantity: number}>} stockRows - Righe già in ordine di prelievo
+ * @param {number} newStock - Giacenza totale dopo il movimento
+ * @returns {Array<{location_id: string, quantity: number}>} Pezzi da togliere per ubicazione
+ */
+export function planLocationWithdrawal(stockRows, newStock) {
+  let excess = stockRows.reduce((sum, row) => sum + row.quantity, 0) - newStock
+  const plan = []
+  for (const row of stockRows) {
+    if (excess <= 0) break
+    const quantity = Math.min(row.quantity, excess)
+    plan.push({ location_id: row.location_id, quantity })
+    excess -= quantity
+  }
+  return plan
+}
+
+/**
+ * Controlla un trasferimento prima di inviarlo
+ * @param {object} transfer
+ * @param {string|null} transfer.fromLocationId - null = non ubicato
+ * @param {string|null} transfer.toLocationId - null = non ubicato
+ * @param {Array<{product_id: string, quantity: number}>} transfer.lines
+ * @returns {string|null} Messaggio di errore o null
+ */
+export function validateTransfer({ fromLocationId, toLocationId, lines }) {
+  if ((fromLocationId || null) === (toLocationId || null)) {
+    return 'Origine e destinazione coincidono'
+  }
+  if (!lines || lines.length === 0) {
+    return 'Aggiungi almeno un articolo'
+  }
+  for (const line of lines) {
+    const quantity = Number(line.quantity)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return `Quantità non valida per ${line.sku || line.product_id}`
+    }
+    if (line.available !== undefined && quantity > line.available) {
+      return `${line.sku || line.product_id}: disponibili ${line.available}`
+    }
+  }
+  return null
+}
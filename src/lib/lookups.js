@@ -0,0 +1,31 @@
+// Tabelle di lookup dei prodotti (colori, linee, taglie, composizioni, modelli)
+// Rispecchia l'elenco della funzione SQL merge_lookup_value().
+
+export const LOOKUP_TABLES = {
+  colors: { label: 'Colori', singular: 'Colore', foreignKey: 'color_id' },
+  lines: { label: 'Linee', singular: 'Linea', foreignKey: 'line_id' },
+  sizes: { label: 'Taglie', singular: 'Taglia', foreignKey: 'size_id', hasDescription: true },
+  compositions: { label: 'Composizioni', singular: 'Composizione', foreignKey: 'composition_id' },
+  models: { label: 'Modelli', singular: 'Modello', foreignKey: 'model_id' }
+}
+
+/**
+ * Configurazione di una tabella di lookup
+ * @param {string} table - Nome della tabella
+ * @returns {object} Voce di LOOKUP_TABLES
+ * @throws {Error} Se la tabella non è una tabella di lookup
+ */
+export function getLookupTable(table) {
+  const config = LOOKUP_TABLES[table]
+  if (!config) {
+    throw new Error(`Tabella di lookup non valida: ${table}`)
+  }
+  return config
+}
+
+/**
+ * Nome normalizzato per il confronto tra duplicati ("Blu  Navy " = "blu navy")
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeLookupName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
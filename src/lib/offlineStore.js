@@ -0,0 +1,88 @@
+// Archivio locale IndexedDB per il funzionamento offline
+// - cache: ultime risposte delle letture (prodotti e tabelle di lookup)
+// - queue: scritture eseguite offline, in ordine di inserimento
+// - conflicts: scritture rifiutate durante la sincronizzazione
+
+const DB_NAME = 'blu-area-warehouse'
+const DB_VERSION = 1
+
+export const STORES = {
+  cache: 'cache',
+  queue: 'queue',
+  conflicts: 'conflicts'
+}
+
+let dbPromise = null
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Indica se IndexedDB è disponibile (non lo è in SSR e in alcune modalità private)
+ */
+export const isOfflineStoreAvailable = () => typeof indexedDB !== 'undefined'
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const database = request.result
+        if (!database.objectStoreNames.contains(STORES.cache)) {
+          database.createObjectStore(STORES.cache)
+        }
+        if (!database.objectStoreNames.contains(STORES.queue)) {
+          database.createObjectStore(STORES.queue, { keyPath: 'id', autoIncrement: true })
+        }
+        if (!database.objectStoreNames.contains(STORES.conflicts)) {
+          database.createObjectStore(STORES.conflicts, { keyPath: 'id', autoIncrement: true })
+        }
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+async function withStore(storeName, mode, callback) {
+  const database = await openDatabase()
+  const transaction = database.transaction(storeName, mode)
+  const result = await promisify(callback(transaction.objectStore(storeName)))
+  return result
+}
+
+export const offlineStore = {
+  get(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key))
+  },
+
+  getAll(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll())
+  },
+
+  /**
+   * Salva un valore; per gli store con keyPath la chiave non va indicata
+   * @returns {Promise<IDBValidKey>} Chiave del record
+   */
+  put(storeName, value, key) {
+    return withStore(storeName, 'readwrite', store => (
+      key === undefined ? store.put(value) : store.put(value, key)
+    ))
+  },
+
+  delete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key))
+  },
+
+  clear(storeName) {
+    return withStore(storeName, 'readwrite', store => store.clear())
+  }
+}
@@ -0,0 +1,479 @@
+// Livello offline-first sopra l'oggetto db
+// Le letture vengono salvate in cache e restituite dalla cache quando la rete
+// non è disponibile; le scritture offline finiscono in una coda che viene
+// rieseguita in ordine al ritorno della connessione. Le modifiche in conflitto
+// con quelle fatte da altri nel frattempo non vengono mai sovrascritte:
+// restano in attesa di una decisione dell'utente.
+
+import { offlineStore, STORES, isOfflineStoreAvailable } from './offlineStore'
+import { movementDelta, parseStockQuantity } from './stockMovements'
+import { PRODUCT_CONFLICT } from './productMerge'
+
+// Letture da mettere in cache
+const CACHED_READS = [
+  'getProducts',
+  'getProduct',
+  'getColors',
+  'getLines',
+  'getSizes',
+  'getCompositions',
+  'getModels'
+]
+
+// Scritture accodabili offline
+const QUEUED_WRITES = ['createProduct', 'updateProduct', 'registerStockMovement']
+
+// Campi che la modifica offline non salva: giacenza e venduto cambiano con i movimenti
+const NON_EDITABLE_FIELDS = ['quantity_stock', 'quantity_sold', 'image_url']
+
+const TEMP_ID_PREFIX = 'offline-'
+
+const listeners = new Set()
+
+let baseDb = null
+let syncing = false
+let state = {
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  conflicts: []
+}
+
+const setState = (changes) => {
+  state = { ...state, ...changes }
+  listeners.forEach(listener => listener(state))
+}
+
+/**
+ * Stato corrente della sincronizzazione
+ * @returns {{online: boolean, syncing: boolean, pending: number, conflicts: object[]}}
+ */
+export const getSyncState = () => state
+
+/**
+ * Registra un listener sui cambiamenti di stato
+ * @returns {function} Funzione per annullare la registrazione
+ */
+export function subscribeSyncState(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX)
+
+const createTempId = () => `${TEMP_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+
+// UUID v4 anche fuori dai contesti sicuri (crypto.randomUUID richiede HTTPS)
+const createUuid = () => (
+  globalThis.crypto.randomUUID
+    ? globalThis.crypto.randomUUID()
+    : '10000000-1000-4000-8000-100000000000'.replace(/[018]/g, digit =>
+      (digit ^ (globalThis.crypto.getRandomValues(new Uint8Array(1))[0] & 15) >> (digit / 4)).toString(16))
+)
+
+/**
+ * Riconosce gli errori dovuti all'assenza di rete (non quelli restituiti dal database)
+ */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true
+  return /failed to fetch|networkerror|load failed|fetch failed|network request failed/i
+    .test(error?.message || String(error || ''))
+}
+
+const cacheKey = (method, args) => `${method}:${JSON.stringify(args)}`
+
+async function refreshCounters() {
+  const [queue, conflicts] = await Promise.all([
+    offlineStore.getAll(STORES.queue),
+    offlineStore.getAll(STORES.conflicts)
+  ])
+  setState({ pending: queue.length, conflicts })
+}
+
+// Cerca l'ultima versione nota di un prodotto nella cache
+async function findCachedProduct(id) {
+  const single = await offlineStore.get(STORES.cache, cacheKey('getProduct', [id]))
+  if (single?.data) return single.data
+
+  const entries = await offlineStore.getAll(STORES.cache)
+  for (const entry of entries) {
+    if (Array.isArray(entry.data)) {
+      const product = entry.data.find(item => item.id === id)
+      if (product) return product
+    }
+  }
+
+  // Prodotto creato offline e non ancora sincronizzato
+  const queue = await offlineStore.getAll(STORES.queue)
+  const created = queue.find(op => op.method === 'createProduct' && op.tempId === id)
+  return created ? created.optimistic : null
+}
+
+async function cacheProduct(product) {
+  await offlineStore.put(STORES.cache, { data: product, cachedAt: Date.now() }, cacheKey('getProduct', [product.id]))
+}
+
+async function readWithCache(method, args) {
+  const key = cacheKey(method, args)
+  const offlineOnly = method === 'getProduct' && isTempId(args[0])
+
+  if (state.online && !offlineOnly) {
+    const result = await baseDb[method](...args)
+    if (!result.error) {
+      // Errori di scrittura della cache non devono bloccare la lettura
+      offlineStore.put(STORES.cache, { ...result, cachedAt: Date.now() }, key)
+        .catch(error => console.warn('⚠️ Cache offline non aggiornata:', error))
+      return result
+    }
+    if (!isNetworkError(result.error)) return result
+    setState({ online: false })
+  }
+
+  const cached = await offlineStore.get(STORES.cache, key)
+
+  if (method === 'getProduct') {
+    const product = cached?.data ?? await findCachedProduct(args[0])
+    return product
+      ? { data: product, error: null, fromCache: true }
+      : { data: null, error: { message: 'Prodotto non disponibile offline' } }
+  }
+
+  if (!cached) {
+    return { data: [], count: 0, error: { message: 'Dati non disponibili offline' } }
+  }
+
+  const { cachedAt, ...result } = cached
+  let data = result.data
+
+  // I prodotti creati offline compaiono in testa alla prima pagina
+  if (method === 'getProducts' && (!args[1]?.page || args[1].page === 1)) {
+    const queue = await offlineStore.getAll(STORES.queue)
+    const created = queue.filter(op => op.method === 'createProduct').map(op => op.optimistic)
+    data = [...created, ...(data || [])]
+  }
+
+  return { ...result, data, fromCache: true, cachedAt }
+}
+
+async function enqueue(operation) {
+  await offlineStore.put(STORES.queue, { ...operation, queuedAt: new Date().toISOString() })
+  await refreshCounters()
+}
+
+// Scritture offline: accoda l'operazione e restituisce un risultato ottimistico
+const offlineWrites = {
+  async createProduct(product) {
+    const now = new Date().toISOString()
+    const tempId = createTempId()
+    const optimistic = { ...product, id: tempId, created_at: now, updated_at: now, _offline: true }
+    // ID definitivo scelto subito: se la risposta della creazione va persa,
+    // alla ripetizione il prodotto viene ritrovato invece di essere duplicato
+    const productId = createUuid()
+
+    await enqueue({ method: 'createProduct', args: [{ ...product, id: productId }], tempId, productId, optimistic })
+    await cacheProduct(optimistic)
+    return { data: optimistic, error: null, queued: true }
+  },
+
+  async updateProduct(id, updates, options = {}) {
+    const cached = await findCachedProduct(id)
+    if (!cached) {
+      return { data: null, error: { message: 'Prodotto non disponibile offline' } }
+    }
+
+    const fields = { ...updates }
+    NON_EDITABLE_FIELDS.forEach(field => delete fields[field])
+
+    const { quantity: targetStock, error: stockError } = parseStockQuantity(updates.quantity_stock)
+    if (stockError) {
+      return { data: null, error: { message: stockError } }
+    }
+
+    // Base della modifica: serve per riconoscere i conflitti alla sincronizzazione
+    const changed = Object.keys(fields).filter(field => fields[field] !== cached[field])
+    const base = {
+      updated_at: options.expectedUpdatedAt ?? cached.updated_at,
+      values: Object.fromEntries(changed.map(field => [field, cached[field] ?? null]))
+    }
+
+    if (changed.length > 0) {
+      await enqueue({
+        method: 'updateProduct',
+        args: [id, Object.fromEntries(changed.map(field => [field, fields[field]])), options],
+        base
+      })
+    }
+
+    let optimistic = { ...cached, ...fields, updated_at: new Date().toISOString() }
+
+    // Una nuova giacenza diventa una rettifica, come online
+    if (targetStock !== null) {
+      const delta = targetStock - (cached.quantity_stock || 0)
+      if (delta !== 0) {
+        const { data: movement } = await offlineWrites.registerStockMovement(id, {
+          type: 'rettifica',
+          quantity: delta,
+          reason: 'Modifica giacenza da scheda prodotto'
+        })
+        optimistic = { ...optimistic, quantity_stock: movement.quantity_after }
+      }
+    }
+
+    await cacheProduct(optimistic)
+    return { data: optimistic, error: null, queued: true }
+  },
+
+  async registerStockMovement(productId, movement) {
+    const cached = await findCachedProduct(productId)
+    const before = cached?.quantity_stock || 0
+    const quantity = parseInt(movement.quantity, 10)
+    const delta = movementDelta(movement.type, quantity)
+    // Ripetuto a ogni tentativo: il database registra il movimento una volta sola
+    const clientId = movement.clientId || createUuid()
+
+    await enqueue({ method: 'registerStockMovement', args: [productId, { ...movement, quantity, clientId }] })
+
+    if (cached) {
+      await cacheProduct({ ...cached, quantity_stock: before + delta })
+    }
+
+    return {
+      data: {
+        id: createTempId(),
+        product_id: productId,
+        movement_type: movement.type,
+        quantity: delta,
+        quantity_before: before,
+        quantity_after: before + delta,
+        reason: movement.reason ?? null,
+        operator: movement.operator ?? null,
+        created_at: new Date().toISOString(),
+        _offline: true
+      },
+      error: null,
+      queued: true
+    }
+  }
+}
+
+async function writeWithQueue(method, args) {
+  // Stesso client_id online e in coda: se la risposta va persa il movimento non si ripete
+  if (method === 'registerStockMovement' && !args[1]?.clientId) {
+    args = [args[0], { ...args[1], clientId: createUuid() }, ...args.slice(2)]
+  }
+
+  // Operazioni su prodotti non ancora sincronizzati vanno sempre in coda
+  const targetsTempId = method !== 'createProduct' && isTempId(args[0])
+
+  if (state.online && !targetsTempId) {
+    const result = await baseDb[method](...args)
+    if (!result.error || !isNetworkError(result.error)) return result
+    setState({ online: false })
+  }
+
+  return offlineWrites[method](...args)
+}
+
+// Valori confrontabili (i numeri possono arrivare come stringhe dai form)
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '')
+
+// Esegue una singola operazione della coda
+async function replayOperation(operation) {
+  const { method } = operation
+  let { args } = operation
+
+  if (method === 'createProduct' && operation.productId) {
+    // Creato da un tentativo precedente di cui non è arrivata la risposta
+    const { data: existing, error } = await baseDb.getProduct(operation.productId)
+    if (error && isNetworkError(error)) return { error }
+    if (existing) return { data: existing, error: null }
+  }
+
+  if (method === 'registerStockMovement' && args[1].clientId) {
+    // Registrato da un tentativo precedente di cui non è arrivata la risposta
+    const { data: existing, error } = await baseDb.findStockMovementByClientId(args[1].clientId)
+    if (error && isNetworkError(error)) return { error }
+    if (existing) return { data: existing, error: null }
+  }
+
+  if (method === 'updateProduct') {
+    const [id, updates, options = {}] = args
+    const { data: server, error } = await baseDb.getProduct(id)
+    if (error) {
+      // Solo la rete assente ferma la coda; il resto (prodotto eliminato, permessi) è un conflitto
+      return isNetworkError(error)
+        ? { error }
+        : { conflict: { fields: [], server: null, message: error.message } }
+    }
+
+    // Campi cambiati sul server dopo la modifica offline e diversi dal valore locale
+    const conflictingFields = server.updated_at === operation.base.updated_at
+      ? []
+      : Object.keys(updates).filter(field =>
+        !sameValue(server[field], operation.base.values[field]) &&
+        !sameValue(server[field], updates[field])
+      )
+
+    if (conflictingFields.length > 0) {
+      return { conflict: { fields: conflictingFields, server } }
+    }
+
+    // Scrittura condizionata alla versione appena controllata: una modifica
+    // arrivata sul server nel frattempo diventa un conflitto, non viene sovrascritta
+    args = [id, updates, { ...options, expectedUpdatedAt: server.updated_at }]
+  }
+
+  const result = await baseDb[method](...args)
+  if (result.error?.code === PRODUCT_CONFLICT) {
+    const server = result.error.current
+    return {
+      conflict: {
+        fields: Object.keys(args[1]).filter(field => !sameValue(server?.[field], args[1][field])),
+        server
+      }
+    }
+  }
+  if (result.error && !isNetworkError(result.error)) {
+    return { conflict: { fields: [], server: null, message: result.error.message } }
+  }
+  return result
+}
+
+// Sostituisce l'ID temporaneo con quello reale nelle operazioni successive
+async function remapTempId(tempId, realId) {
+  const queue = await offlineStore.getAll(STORES.queue)
+  await Promise.all(queue
+    .filter(op => op.args[0] === tempId)
+    .map(op => offlineStore.put(STORES.queue, { ...op, args: [realId, ...op.args.slice(1)] })))
+  await offlineStore.delete(STORES.cache, cacheKey('getProduct', [tempId]))
+}
+
+/**
+ * Riesegue in ordine le operazioni accodate offline
+ * @returns {Promise<{synced: number, conflicts: number}>}
+ */
+export async function syncQueue() {
+  if (!baseDb || syncing || !isOfflineStoreAvailable()) return { synced: 0, conflicts: 0 }
+
+  syncing = true
+  setState({ syncing: true })
+  let synced = 0
+  let conflicts = 0
+
+  try {
+    const queue = await offlineStore.getAll(STORES.queue)
+
+    for (const queued of queue) {
+      // Rilegge l'operazione: un remap precedente può averla aggiornata
+      const operation = await offlineStore.get(STORES.queue, queued.id)
+      if (!operation) continue
+
+      // Dipende da un prodotto la cui creazione è finita tra i conflitti
+      if (operation.method !== 'createProduct' && isTempId(operation.args[0])) {
+        await offlineStore.put(STORES.conflicts, {
+          operation,
+          fields: [],
+          server: null,
+          message: 'Il prodotto creato offline non è stato sincronizzato',
+          detectedAt: new Date().toISOString()
+        })
+        await offlineStore.delete(STORES.queue, operation.id)
+        conflicts++
+        continue
+      }
+
+      const result = await replayOperation(operation)
+
+      if (result.error && isNetworkError(result.error)) {
+        // Rete di nuovo assente: riprova più tardi mantenendo l'ordine
+        setState({ online: false })
+        break
+      }
+
+      // Ogni altro errore è un conflitto: l'operazione esce dalla coda e non la blocca
+      const conflict = result.conflict || (result.error && { fields: [], server: null, message: result.error.message })
+      if (conflict) {
+        await offlineStore.put(STORES.conflicts, {
+          operation,
+          ...conflict,
+          detectedAt: new Date().toISOString()
+        })
+        conflicts++
+      } else {
+        if (operation.method === 'createProduct') {
+          await remapTempId(operation.tempId, result.data.id)
+        }
+        synced++
+      }
+
+      await offlineStore.delete(STORES.queue, operation.id)
+    }
+  } catch (error) {
+    console.error('❌ Errore sincronizzazione coda offline:', error)
+  } finally {
+    syncing = false
+    setState({ syncing: false })
+    await refreshCounters()
+  }
+
+  if (synced > 0 || conflicts > 0) {
+    console.log(`🔄 Sincronizzazione: ${synced} operazioni applicate, ${conflicts} conflitti`)
+  }
+
+  return { synced, conflicts }
+}
+
+/**
+ * Risolve un conflitto di sincronizzazione
+ * @param {number} conflictId - ID del conflitto
+ * @param {'local'|'server'} choice - 'local' applica comunque la modifica, 'server' la scarta
+ */
+export async function resolveConflict(conflictId, choice) {
+  const conflict = await offlineStore.get(STORES.conflicts, conflictId)
+  if (!conflict) return { data: null, error: { message: 'Conflitto non trovato' } }
+
+  let result = { data: null, error: null }
+  if (choice === 'local') {
+    const { method, args } = conflict.operation
+    // Scelta esplicita dell'utente: la modifica locale si applica sulla versione attuale
+    result = method === 'updateProduct'
+      ? await baseDb.updateProduct(args[0], args[1], { ...args[2], expectedUpdatedAt: null })
+      : await baseDb[method](...args)
+    if (result.error) return result
+  }
+
+  await offlineStore.delete(STORES.conflicts, conflictId)
+  await refreshCounters()
+  return result
+}
+
+/**
+ * Avvolge l'oggetto db con cache offline e coda di sincronizzazione.
+ * I metodi non gestiti vengono esposti senza modifiche.
+ * @param {object} db - Oggetto con i metodi di accesso ai dati
+ * @returns {object} Oggetto con la stessa interfaccia
+ */
+export function withOfflineSupport(db) {
+  if (!isOfflineStoreAvailable()) return db
+
+  baseDb = db
+
+  window.addEventListener('online', () => {
+    setState({ online: true })
+    syncQueue()
+  })
+  window.addEventListener('offline', () => setState({ online: false }))
+
+  refreshCounters()
+    .then(() => state.online && syncQueue())
+    .catch(error => console.warn('⚠️ Archivio offline non disponibile:', error))
+
+  const wrapped = { ...db }
+  CACHED_READS.forEach(method => {
+    wrapped[method] = (...args) => readWithCache(method, args)
+  })
+  QUEUED_WRITES.forEach(method => {
+    wrapped[method] = (...args) => writeWithQueue(method, args)
+  })
+  return wrapped
+}
@@ -0,0 +1,77 @@
+// Conflitti di salvataggio del form prodotto: unione campo per campo
+// tra la versione letta all'apertura, quella del form e quella salvata da altri.
+
+// error.code di db.updateProduct quando il prodotto è cambiato dopo la lettura
+export const PRODUCT_CONFLICT = 'PRODUCT_CONFLICT'
+
+export const MERGE_FIELD_LABELS = {
+  sku: 'SKU',
+  article: 'Articolo',
+  description: 'Descrizione',
+  model_id: 'Modello',
+  line_id: 'Linea',
+  size_id: 'Taglia',
+  color_id: 'Colore',
+  composition_id: 'Composizione',
+  quantity_stock: 'Giacenza',
+  min_stock: 'Scorta minima',
+  initial_price: 'Prezzo di costo',
+  wholesale_price: 'Prezzo ingrosso',
+  selling_price: 'Prezzo vendita',
+  notes: 'Note'
+}
+
+// I form inviano numeri come stringhe e '' al posto di null
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '')
+
+/**
+ * Campi da rivedere prima di salvare di nuovo
+ * @param {object} base - Prodotto letto all'apertura del form
+ * @param {object} local - Valori del form
+ * @param {object} server - Prodotto attuale (error.current di updateProduct)
+ * @returns {Array<{field: string, base: *, local: *, server: *, conflict: boolean}>}
+ *   Campi cambiati nel form o sul server; conflict = cambiati in entrambi con valori diversi
+ */
+export function findMergeFields(base, local, server) {
+  const localChanged = field => !sameValue(local[field], base[field])
+  const serverChanged = field => !sameValue(server[field], base[field])
+
+  return Object.keys(local)
+    .filter(field => field !== 'updated_at' && (server[field] === null || typeof server[field] !== 'object'))
+    .filter(field => localChanged(field) || serverChanged(field))
+    .map(field => ({
+      field,
+      base: base[field] ?? null,
+      local: local[field] ?? null,
+      server: server[field] ?? null,
+      conflict: localChanged(field) && serverChanged(field) && !sameValue(local[field], server[field])
+    }))
+}
+
+/**
+ * Scelta proposta per ogni campo: la modifica di chi l'ha fatta,
+ * nessuna per i campi in conflitto (decide l'operatore)
+ * @param {Array} fields - Risultato di findMergeFields
+ * @returns {object} Campo -> 'local' | 'server' | null
+ */
+export function defaultMergeChoices(fields) {
+  return Object.fromEntries(fields.map(item => [
+    item.field,
+    item.conflict ? null : (sameValue(item.local, item.base) ? 'server' : 'local')
+  ]))
+}
+
+/**
+ * Valori del form dopo l'unione
+ * @param {object} local - Valori del form
+ * @param {object} server - Prodotto attuale
+ * @param {object} choices - Campo -> 'local' | 'server'
+ * @returns {object} Nuovi valori del form (con updated_at del server, per il prossimo salvataggio)
+ */
+export function mergeProductValues(local, server, choices) {
+  const merged = { ...local, updated_at: server.updated_at }
+  Object.entries(choices).forEach(([field, choice]) => {
+    if (choice === 'server') merged[field] = server[field] ?? ''
+  })
+  return merged
+}
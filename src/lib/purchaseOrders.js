@@ -0,0 +1,80 @@
+// Ordini di acquisto ai fornitori: stati, residui da ricevere e totali
+// Import con estensione: il modulo è usato anche dall'API Node (receive_purchase_order in rpcFunctions).
+
+export const ORDER_STATUSES = {
+  aperto: 'Aperto',
+  parziale: 'Ricevuto in parte',
+  ricevuto: 'Ricevuto',
+  annullato: 'Annullato'
+}
+
+// Stati in cui l'ordine attende ancora merce
+export const OPEN_ORDER_STATUSES = ['aperto', 'parziale']
+
+/**
+ * Pezzi ancora da ricevere su una riga
+ * @param {{quantity_ordered: number, quantity_received: number}} line
+ * @returns {number}
+ */
+export const lineRemaining = (line) => Math.max((line.quantity_ordered || 0) - (line.quantity_received || 0), 0)
+
+/**
+ * Stato dell'ordine dopo un ricevimento
+ * @param {Array} lines - Righe dell'ordine con quantity_received aggiornato
+ * @returns {'aperto'|'parziale'|'ricevuto'}
+ */
+export function orderStatusAfterReceipt(lines) {
+  if (lines.every(line => lineRemaining(line) === 0)) return 'ricevuto'
+  if (lines.some(line => (line.quantity_received || 0) > 0)) return 'parziale'
+  return 'aperto'
+}
+
+/**
+ * Totali di un ordine
+ * @param {Array<{quantity_ordered: number, quantity_received: number, unit_cost: number}>} lines
+ * @returns {{pieces: number, received: number, remaining: number, total: number}}
+ */
+export function orderTotals(lines) {
+  return lines.reduce((totals, line) => ({
+    pieces: totals.pieces + (line.quantity_ordered || 0),
+    received: totals.received + (line.quantity_received || 0),
+    remaining: totals.remaining + lineRemaining(line),
+    total: Math.round((totals.total + (line.quantity_ordered || 0) * (Number(line.unit_cost) || 0)) * 100) / 100
+  }), { pieces: 0, received: 0, remaining: 0, total: 0 })
+}
+
+/**
+ * Ordine aperto con data di consegna prevista già passata
+ * @param {{status: string, expected_date: string|null}} order
+ * @param {Date} [today]
+ * @returns {boolean}
+ */
+export function isOrderLate(order, today = new Date()) {
+  if (!OPEN_ORDER_STATUSES.includes(order.status) || !order.expected_date) return false
+  const todayIso = today.toISOString().slice(0, 10)
+  return order.expected_date < todayIso
+}
+
+/**
+ * Controlla le righe di un nuovo ordine
+ * @param {Array<{product_id: string, quantity_ordered: number, unit_cost: number}>} lines
+ * @returns {string|null} Messaggio di errore o null
+ */
+export function validateOrderLines(lines) {
+  if (!lines || lines.length === 0) {
+    return 'Aggiungi almeno un articolo'
+  }
+  const seen = new Set()
+  for (const line of lines) {
+    if (!line.product_id) return 'Articolo mancante'
+    if (seen.has(line.product_id)) return `Articolo ${line.sku || line.product_id} presente più volte`
+    seen.add(line.product_id)
+    if (!Number.isInteger(Number(line.quantity_ordered)) || Number(line.quantity_ordered) < 1) {
+      return `Quantità non valida per ${line.sku || line.product_id}`
+    }
+    if (line.unit_cost !== null && line.unit_cost !== '' && line.unit_cost !== undefined && !(Number(line.unit_cost) >= 0)) {
+      return `Costo non valido per ${line.sku || line.product_id}`
+    }
+  }
+  return null
+}
@@ -0,0 +1,538 @@
+// Generatore di codici QR (modalità byte, versioni 1-10, correzione errori M) e
+// decodifica della matrice letta dalla fotocamera (tutti i livelli, versioni 1-10).
+// Sufficiente per SKU e URL brevi delle etichette; nessuna dipendenza esterna.
+// Riferimento: ISO/IEC 18004, struttura come la libreria QR Code generator di Nayuki.
+// Import con estensione: il modulo è usato anche dall'API Node.
+
+const MAX_VERSION = 10
+
+// Livelli di correzione: bit nelle informazioni di formato, codeword di correzione per blocco
+// e numero di blocchi per versione (indice 0 = versione 1). Le etichette usano M.
+const ECC_LEVELS = {
+  L: { formatBits: 1, codewordsPerBlock: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18], blocks: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4] },
+  M: { formatBits: 0, codewordsPerBlock: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26], blocks: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5] },
+  Q: { formatBits: 3, codewordsPerBlock: [13, 22, 18, 26, 18, 24, 18, 22, 20, 24], blocks: [1, 1, 2, 2, 4, 4, 6, 6, 8, 8] },
+  H: { formatBits: 2, codewordsPerBlock: [17, 28, 22, 16, 22, 28, 26, 26, 24, 28], blocks: [1, 1, 2, 4, 4, 4, 5, 6, 8, 8] }
+}
+const ENCODE_LEVEL = 'M'
+
+// Moduli disponibili per i dati (esclusi pattern di posizione, allineamento, formato e versione)
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2
+    result -= (25 * alignCount - 10) * alignCount - 55
+    if (version >= 7) result -= 36
+  }
+  return result
+}
+
+const dataCodewords = (version, level = ENCODE_LEVEL) => Math.floor(rawDataModules(version) / 8) -
+  ECC_LEVELS[level].codewordsPerBlock[version - 1] * ECC_LEVELS[level].blocks[version - 1]
+
+// Suddivisione in blocchi: i primi shortBlockCount blocchi hanno un codeword di dati in meno
+function blockLayout(version, level) {
+  const blockCount = ECC_LEVELS[level].blocks[version - 1]
+  const rawCodewords = Math.floor(rawDataModules(version) / 8)
+  return {
+    blockCount,
+    eccLength: ECC_LEVELS[level].codewordsPerBlock[version - 1],
+    shortBlockCount: blockCount - rawCodewords % blockCount,
+    shortBlockLength: Math.floor(rawCodewords / blockCount)
+  }
+}
+
+// Aritmetica nel campo GF(256) con polinomio 0x11D
+function gfMultiply(x, y) {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < result.length) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+/**
+ * Codeword di correzione Reed-Solomon di un blocco di dati
+ * @param {number[]} data - Codeword di dati
+ * @param {number} degree - Numero di codeword di correzione
+ * @returns {number[]}
+ */
+export function reedSolomonRemainder(data, degree) {
+  const divisor = reedSolomonDivisor(degree)
+  const result = new Array(degree).fill(0)
+  for (const byte of data) {
+    const factor = byte ^ result.shift()
+    result.push(0)
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor)
+    })
+  }
+  return result
+}
+
+// Dati, terminatore e riempimento fino alla capacità della versione
+function encodeData(bytes, version) {
+  const bits = []
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+  }
+
+  append(0b0100, 4) // modalità byte
+  append(bytes.length, version <= 9 ? 8 : 16)
+  bytes.forEach(byte => append(byte, 8))
+
+  const capacity = dataCodewords(version) * 8
+  append(0, Math.min(4, capacity - bits.length))
+  append(0, (8 - bits.length % 8) % 8)
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8)
+
+  const codewords = []
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+  return codewords
+}
+
+// Divide in blocchi, aggiunge la correzione e alterna i codeword dei blocchi
+function addEccAndInterleave(data, version) {
+  const { blockCount, eccLength, shortBlockCount, shortBlockLength } = blockLayout(version, ENCODE_LEVEL)
+
+  const blocks = []
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1)
+    const block = data.slice(offset, offset + length)
+    offset += length
+    const ecc = reedSolomonRemainder(block, eccLength)
+    // Segnaposto per allineare i blocchi corti a quelli lunghi
+    if (i < shortBlockCount) block.push(0)
+    blocks.push(block.concat(ecc))
+  }
+
+  const result = []
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) result.push(block[i])
+    })
+  }
+  return result
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return []
+  const count = Math.floor(version / 7) + 2
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2
+  const result = [6]
+  for (let i = 0, position = version * 4 + 10; i < count - 1; i++, position -= step) {
+    result.splice(1, 0, position)
+  }
+  return result
+}
+
+// Resto BCH per informazioni di formato (10 bit) e versione (12 bit)
+function bchBits(value, generator, degree) {
+  let remainder = value
+  for (let i = 0; i < degree; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> (degree - 1)) * generator)
+  }
+  return (value << degree) | remainder
+}
+
+/**
+ * Bit delle informazioni di formato per una maschera
+ * @param {number} mask - Maschera (0-7)
+ * @param {string} [level] - Livello di correzione (default M)
+ * @returns {number} 15 bit
+ */
+export const formatBits = (mask, level = ENCODE_LEVEL) => bchBits((ECC_LEVELS[level].formatBits << 3) | mask, 0x537, 10) ^ 0x5412
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+]
+
+function createMatrix(version) {
+  const size = version * 4 + 17
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false))
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false))
+  const set = (x, y, dark) => {
+    modules[y][x] = dark
+    isFunction[y][x] = true
+  }
+
+  // Pattern di temporizzazione
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0)
+    set(i, 6, i % 2 === 0)
+  }
+
+  // Pattern di posizione con separatori
+  const drawFinder = (cx, cy) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx
+        const y = cy + dy
+        if (x < 0 || x >= size || y < 0 || y >= size) continue
+        const distance = Math.max(Math.abs(dx), Math.abs(dy))
+        set(x, y, distance !== 2 && distance !== 4)
+      }
+    }
+  }
+  drawFinder(3, 3)
+  drawFinder(size - 4, 3)
+  drawFinder(3, size - 4)
+
+  // Pattern di allineamento (non sopra i pattern di posizione)
+  const positions = alignmentPositions(version)
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === positions.length - 1) || (i === positions.length - 1 && j === 0)
+    if (overlapsFinder) return
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+      }
+    }
+  }))
+
+  // Informazioni di versione (dalla 7)
+  if (version >= 7) {
+    const bits = bchBits(version, 0x1F25, 12)
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1
+      const a = size - 11 + i % 3
+      const b = Math.floor(i / 3)
+      set(a, b, dark)
+      set(b, a, dark)
+    }
+  }
+
+  return { size, modules, isFunction, set }
+}
+
+// Posizioni [x, y] dei 15 bit di formato: copia attorno al pattern in alto a sinistra
+// e copia divisa tra i pattern in alto a destra e in basso a sinistra
+function formatPositions(size) {
+  const first = []
+  const second = []
+  for (let i = 0; i < 15; i++) {
+    if (i <= 5) first.push([8, i])
+    else if (i <= 7) first.push([8, i + 1])
+    else if (i === 8) first.push([7, 8])
+    else first.push([14 - i, 8])
+    second.push(i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i])
+  }
+  return [first, second]
+}
+
+function drawFormatBits(matrix, mask) {
+  const { size, set } = matrix
+  const bits = formatBits(mask)
+  formatPositions(size).forEach(positions => positions.forEach(([x, y], i) => set(x, y, ((bits >>> i) & 1) === 1)))
+  // Modulo sempre scuro
+  set(8, size - 8, true)
+}
+
+// Moduli dei dati nell'ordine di posizionamento: zig-zag a colonne di due moduli, dal basso a destra
+function dataPositions({ size, isFunction }) {
+  const positions = []
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j
+        const upward = ((right + 1) & 2) === 0
+        const y = upward ? size - 1 - vertical : vertical
+        if (!isFunction[y][x]) positions.push([x, y])
+      }
+    }
+  }
+  return positions
+}
+
+function drawCodewords(matrix, codewords) {
+  dataPositions(matrix).slice(0, codewords.length * 8).forEach(([x, y], bitIndex) => {
+    matrix.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1
+  })
+}
+
+function applyMask(matrix, mask) {
+  const { size, modules, isFunction } = matrix
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x]
+    }
+  }
+}
+
+// Penalità della norma (regole 1-4): si sceglie la maschera con il punteggio più basso
+function penaltyScore({ size, modules }) {
+  let score = 0
+  const finderLike = (line, i) => [1, 0, 1, 1, 1, 0, 1].every((value, k) => line[i + k] === (value === 1)) &&
+    ([-4, -3, -2, -1].every(k => line[i + k] === undefined || !line[i + k]) ||
+      [7, 8, 9, 10].every(k => line[i + k] === undefined || !line[i + k]))
+
+  const lines = []
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i])
+    lines.push(modules.map(row => row[i]))
+  }
+
+  for (const line of lines) {
+    let runLength = 1
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++
+      } else {
+        if (runLength >= 5) score += runLength - 2
+        runLength = 1
+      }
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (finderLike(line, i)) score += 40
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x]
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0)
+  const total = size * size
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+
+  return score
+}
+
+/**
+ * Codice QR di un testo
+ * @param {string} text - Contenuto (UTF-8)
+ * @returns {{size: number, modules: boolean[][]}} Matrice di moduli (true = scuro), senza margine
+ * @throws {Error} Se il testo non entra nella versione massima
+ */
+export function encodeQr(text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)))
+
+  let version = 1
+  // 4 bit di modalità + lunghezza + dati
+  while (version <= MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+    version++
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`Testo troppo lungo per il codice QR (${bytes.length} byte)`)
+  }
+
+  const codewords = addEccAndInterleave(encodeData(bytes, version), version)
+
+  let best = null
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = createMatrix(version)
+    drawFormatBits(matrix, mask)
+    drawCodewords(matrix, codewords)
+    applyMask(matrix, mask)
+    const score = penaltyScore(matrix)
+    if (!best || score < best.score) best = { score, matrix }
+  }
+
+  return { size: best.matrix.size, modules: best.matrix.modules }
+}
+
+// --- Decodifica ---
+
+// Esponenziali e logaritmi in GF(256) per la correzione degli errori
+const GF_EXP = new Array(510)
+const GF_LOG = new Array(256)
+for (let i = 0, x = 1; i < 255; i++, x = gfMultiply(x, 0x02)) {
+  GF_EXP[i] = x
+  GF_EXP[i + 255] = x
+  GF_LOG[x] = i
+}
+
+const gfPower = (exponent) => GF_EXP[((exponent % 255) + 255) % 255]
+const gfDivide = (a, b) => (a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255])
+// Polinomio con coefficienti dal grado 0
+const evaluatePolynomial = (coefficients, x) => coefficients.reduceRight((result, c) => gfMultiply(result, x) ^ c, 0)
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:'
+
+// Livello e maschera: la combinazione valida più vicina a una delle due copie (fino a 3 bit errati)
+function readFormat(modules) {
+  let best = null
+  for (const positions of formatPositions(modules.length)) {
+    const value = positions.reduce((bits, [x, y], i) => bits | ((modules[y][x] ? 1 : 0) << i), 0)
+    for (const level of Object.keys(ECC_LEVELS)) {
+      for (let mask = 0; mask < MASKS.length; mask++) {
+        let diff = value ^ formatBits(mask, level)
+        let distance = 0
+        for (; diff; diff &= diff - 1) distance++
+        if (!best || distance < best.distance) best = { level, mask, distance }
+      }
+    }
+  }
+  if (best.distance > 3) {
+    throw new Error('Informazioni di formato del codice QR illeggibili')
+  }
+  return best
+}
+
+// Reed-Solomon: sindromi, Berlekamp-Massey, ricerca di Chien e algoritmo di Forney
+function correctErrors(codewords, eccLength) {
+  const n = codewords.length
+  const syndromesOf = (values) => Array.from({ length: eccLength }, (_, j) => (
+    values.reduce((result, c) => gfMultiply(result, GF_EXP[j]) ^ c, 0)
+  ))
+
+  const syndromes = syndromesOf(codewords)
+  if (syndromes.every(value => value === 0)) return codewords
+
+  let locator = [1]
+  let previous = [1]
+  let errors = 0
+  let shift = 1
+  let previousDiscrepancy = 1
+  for (let step = 0; step < eccLength; step++) {
+    let discrepancy = syndromes[step]
+    for (let i = 1; i <= errors; i++) discrepancy ^= gfMultiply(locator[i] || 0, syndromes[step - i])
+    if (discrepancy === 0) {
+      shift++
+      continue
+    }
+
+    const factor = gfDivide(discrepancy, previousDiscrepancy)
+    const next = Array.from({ length: Math.max(locator.length, previous.length + shift) }, (_, i) => locator[i] || 0)
+    previous.forEach((c, i) => { next[i + shift] ^= gfMultiply(factor, c) })
+    if (2 * errors <= step) {
+      previous = locator
+      errors = step + 1 - errors
+      previousDiscrepancy = discrepancy
+      shift = 1
+    } else {
+      shift++
+    }
+    locator = next
+  }
+
+  const positions = []
+  for (let k = 0; k < n; k++) {
+    if (evaluatePolynomial(locator, gfPower(k + 1 - n)) === 0) positions.push(k)
+  }
+  if (2 * errors > eccLength || positions.length !== errors) {
+    throw new Error('Troppi errori nel codice QR')
+  }
+
+  const evaluator = new Array(eccLength).fill(0)
+  syndromes.forEach((syndrome, i) => locator.forEach((c, j) => {
+    if (i + j < eccLength) evaluator[i + j] ^= gfMultiply(syndrome, c)
+  }))
+  const derivative = locator.map((c, i) => (i % 2 === 1 ? c : 0)).slice(1)
+
+  const corrected = codewords.slice()
+  for (const k of positions) {
+    const inverse = gfPower(k + 1 - n)
+    corrected[k] ^= gfMultiply(gfPower(n - 1 - k), gfDivide(evaluatePolynomial(evaluator, inverse), evaluatePolynomial(derivative, inverse)))
+  }
+  if (syndromesOf(corrected).some(value => value !== 0)) {
+    throw new Error('Troppi errori nel codice QR')
+  }
+  return corrected
+}
+
+// Segmenti numerici, alfanumerici e byte (UTF-8) fino al terminatore
+function parseSegments(data, version) {
+  let bitIndex = 0
+  const read = (length) => {
+    let value = 0
+    for (let i = 0; i < length; i++, bitIndex++) {
+      value = (value << 1) | ((data[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1)
+    }
+    return value
+  }
+  const small = version <= 9
+
+  const bytes = []
+  const pushText = (text) => bytes.push(...Array.from(text, char => char.charCodeAt(0)))
+  while (data.length * 8 - bitIndex >= 4) {
+    const mode = read(4)
+    if (mode === 0) break
+
+    if (mode === 0b0001) {
+      let count = read(small ? 10 : 12)
+      for (; count >= 3; count -= 3) pushText(String(read(10)).padStart(3, '0'))
+      if (count === 2) pushText(String(read(7)).padStart(2, '0'))
+      if (count === 1) pushText(String(read(4)))
+    } else if (mode === 0b0010) {
+      let count = read(small ? 9 : 11)
+      for (; count >= 2; count -= 2) {
+        const value = read(11)
+        pushText(ALPHANUMERIC_CHARSET[Math.floor(value / 45)] + ALPHANUMERIC_CHARSET[value % 45])
+      }
+      if (count === 1) pushText(ALPHANUMERIC_CHARSET[read(6)])
+    } else if (mode === 0b0100) {
+      const count = read(small ? 8 : 16)
+      for (let i = 0; i < count; i++) bytes.push(read(8))
+    } else if (mode === 0b0111) {
+      // ECI: si assume UTF-8 comunque
+      read(8)
+    } else {
+      throw new Error(`Modalità del codice QR non supportata (${mode})`)
+    }
+  }
+
+  return new TextDecoder().decode(Uint8Array.from(bytes))
+}
+
+/**
+ * Testo di un codice QR dalla matrice dei moduli letti (ad es. dalla fotocamera)
+ * @param {boolean[][]} modules - Matrice (true = scuro), senza margine
+ * @returns {string}
+ * @throws {Error} Se la matrice non è un codice QR leggibile
+ */
+export function decodeQrModules(modules) {
+  const size = modules.length
+  const version = (size - 17) / 4
+  if (!Number.isInteger(version) || version < 1 || version > MAX_VERSION) {
+    throw new Error(`Dimensione del codice QR non supportata (${size} moduli)`)
+  }
+
+  const { level, mask } = readFormat(modules)
+  const matrix = createMatrix(version)
+  drawFormatBits(matrix, mask)
+  const bits = dataPositions(matrix).map(([x, y]) => modules[y][x] !== MASKS[mask](x, y))
+
+  const { blockCount, eccLength, shortBlockCount, shortBlockLength } = blockLayout(version, level)
+  const blocks = Array.from({ length: blockCount }, () => [])
+  let bitIndex = 0
+  for (let i = 0; i <= shortBlockLength; i++) {
+    blocks.forEach((block, j) => {
+      // I blocchi corti non hanno l'ultimo codeword di dati
+      if (i === shortBlockLength - eccLength && j < shortBlockCount) return
+      block.push(bits.slice(bitIndex, bitIndex + 8).reduce((byte, bit) => (byte << 1) | (bit ? 1 : 0), 0))
+      bitIndex += 8
+    })
+  }
+
+  const data = blocks.flatMap(block => correctErrors(block, eccLength).slice(0, block.length - eccLength))
+  return parseSegments(data, version)
+}
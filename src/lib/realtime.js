@@ -0,0 +1,95 @@
+// Aggiornamenti in tempo reale e presenza degli operatori (Supabase Realtime)
+// Con i backend memory e rest non c'è un canale condiviso: le funzioni
+// restituiscono un unsubscribe vuoto e l'interfaccia resta quella di prima.
+
+import { supabase, backendName, getCurrentOperator } from './supabase'
+
+export const isRealtimeAvailable = backendName === 'supabase' && Boolean(supabase)
+
+// Identifica questa scheda nella presenza (lo stesso operatore può avere più schede aperte)
+const SESSION_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+
+// Attesa prima di notificare: le modifiche massive arrivano come tante righe
+const DEFAULT_DEBOUNCE_MS = 300
+
+let channelCounter = 0
+
+/**
+ * Segue le modifiche (insert, update, delete) di una tabella
+ * @param {string} table - Tabella (deve essere nella publication supabase_realtime, vedi migrazione 008)
+ * @param {function(Array<{type: string, new: object, old: object}>): void} onChange
+ *   Riceve le modifiche arrivate nell'intervallo di debounce
+ * @param {object} [options]
+ * @param {string} [options.filter] - Filtro Realtime (es. 'product_id=eq.<id>')
+ * @param {number} [options.debounceMs] - Attesa per raggruppare le modifiche
+ * @returns {function(): void} Interrompe l'ascolto
+ */
+export function subscribeToTable(table, onChange, { filter = null, debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+  if (!isRealtimeAvailable) return () => {}
+
+  let pending = []
+  let timer = null
+
+  const channel = supabase
+    .channel(`realtime:${table}:${filter || '*'}:${++channelCounter}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table, ...(filter ? { filter } : {}) },
+      (payload) => {
+        pending.push({ type: payload.eventType, new: payload.new, old: payload.old })
+        clearTimeout(timer)
+        timer = setTimeout(() => {
+          const changes = pending
+          pending = []
+          onChange(changes)
+        }, debounceMs)
+      }
+    )
+    .subscribe((status) => {
+      if (status === 'CHANNEL_ERROR') {
+        console.warn(`⚠️ Aggiornamenti in tempo reale non disponibili per ${table}`)
+      }
+    })
+
+  return () => {
+    clearTimeout(timer)
+    supabase.removeChannel(channel)
+  }
+}
+
+/**
+ * Segnala agli altri operatori che il prodotto è aperto in modifica
+ * e riceve l'elenco di chi altro lo sta modificando
+ * @param {string} productId - Prodotto aperto nel form
+ * @param {function(Array<{operator: string, since: string}>): void} onChange - Altri operatori presenti (esclusa questa scheda)
+ * @returns {function(): void} Esce dalla presenza (da chiamare alla chiusura del form)
+ */
+export function joinProductEditing(productId, onChange) {
+  if (!isRealtimeAvailable || !productId) return () => {}
+
+  const channel = supabase.channel(`editing:product:${productId}`, {
+    config: { presence: { key: SESSION_ID } }
+  })
+
+  channel
+    .on('presence', { event: 'sync' }, () => {
+      const others = Object.entries(channel.presenceState())
+        .filter(([key]) => key !== SESSION_ID)
+        .map(([, entries]) => entries[0])
+        .filter(Boolean)
+        .map(({ operator, since }) => ({ operator, since }))
+      onChange(others)
+    })
+    .subscribe(async (status) => {
+      if (status !== 'SUBSCRIBED') return
+      const operator = await getCurrentOperator()
+      await channel.track({ operator: operator || 'Operatore sconosciuto', since: new Date().toISOString() })
+    })
+
+  return () => {
+    channel.untrack()
+    supabase.removeChannel(channel)
+  }
+}
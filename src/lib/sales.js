@@ -0,0 +1,72 @@
+// Vendite al banco: metodi di pagamento, sconti e totali dello scontrino
+// Import con estensione: il modulo è usato anche dall'API Node (register_sale in rpcFunctions).
+
+export const PAYMENT_METHODS = {
+  contanti: 'Contanti',
+  carta: 'Carta',
+  bancomat: 'Bancomat',
+  bonifico: 'Bonifico'
+}
+
+export const DISCOUNT_TYPES = {
+  percent: '%',
+  amount: '€'
+}
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+/**
+ * Totali di una vendita
+ * @param {Array<{quantity: number, unit_price: number}>} lines - Righe (prezzo unitario già comprensivo di IVA)
+ * @param {{type: string, value: number}|null} discount - Sconto sul totale, in percentuale o in euro
+ * @returns {{subtotal: number, discountAmount: number, total: number}}
+ */
+export function computeSaleTotals(lines, discount = null) {
+  const subtotal = round2(lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unit_price) || 0), 0))
+
+  let discountAmount = 0
+  const value = Number(discount?.value) || 0
+  if (value > 0) {
+    discountAmount = discount.type === 'percent' ? round2(subtotal * Math.min(value, 100) / 100) : round2(value)
+  }
+  discountAmount = Math.min(discountAmount, subtotal)
+
+  return { subtotal, discountAmount, total: round2(subtotal - discountAmount) }
+}
+
+/**
+ * Controlla una vendita prima della conferma
+ * @param {object} sale
+ * @param {Array<{product_id: string, sku: string, quantity: number, unit_price: number, available?: number}>} sale.lines
+ * @param {{type: string, value: number}|null} sale.discount
+ * @param {string} sale.paymentMethod - Chiave di PAYMENT_METHODS
+ * @returns {string|null} Messaggio di errore o null se valida
+ */
+export function validateSale({ lines, discount, paymentMethod }) {
+  if (!lines || lines.length === 0) {
+    return 'Aggiungi almeno un articolo'
+  }
+  if (!PAYMENT_METHODS[paymentMethod]) {
+    return 'Metodo di pagamento non valido'
+  }
+  for (const line of lines) {
+    if (!Number.isInteger(Number(line.quantity)) || Number(line.quantity) < 1) {
+      return `Quantità non valida per ${line.sku}`
+    }
+    if (!(Number(line.unit_price) >= 0)) {
+      return `Prezzo non valido per ${line.sku}`
+    }
+    if (line.available !== undefined && Number(line.quantity) > line.available) {
+      return `Giacenza insufficiente per ${line.sku}: disponibili ${line.available}`
+    }
+  }
+  if (discount && discount.value !== '' && discount.value !== null && discount.value !== undefined) {
+    if (!DISCOUNT_TYPES[discount.type] || !(Number(discount.value) >= 0)) {
+      return 'Sconto non valido'
+    }
+    if (discount.type === 'percent' && Number(discount.value) > 100) {
+      return 'Lo sconto non può superare il 100%'
+    }
+  }
+  return null
+}
@@ -0,0 +1,64 @@
+// Backup salvati dal server Express (/api/backup)
+// Disponibili solo con il server in esecuzione (npm run dev:api)
+
+import { apiHeaders } from './apiAuth'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || (process.env.NODE_ENV === 'production'
+  ? '' // URL relativo per Vercel
+  : 'http://localhost:3001') // Server Express locale per sviluppo
+
+async function request(options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/backup`, { ...options, headers: await apiHeaders(options.headers) })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { data: null, error: result.error || { message: `Errore API (${response.status})` } }
+    }
+    return result
+  } catch (error) {
+    console.warn('⚠️ API backup non raggiungibile:', error.message)
+    return { data: null, error: { message: 'Server dei backup non raggiungibile' } }
+  }
+}
+
+/**
+ * Backup salvati sul server, dal più recente
+ * @returns {Promise<{data: Array<{file: string, size: number, created_at: string}>|null, error: object|null}>}
+ */
+export const listServerBackups = () => request()
+
+/**
+ * Crea subito un backup sul server
+ * @param {boolean} includePhotos - Include i file delle foto
+ * @returns {Promise<{data: {file: string, manifest: object}|null, error: object|null}>}
+ */
+export const runServerBackup = (includePhotos = false) => request({
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify({ action: 'run', includePhotos })
+})
+
+/**
+ * Scarica un backup del server (con le credenziali: un semplice link non le invia)
+ * @param {string} file - Nome del file
+ * @returns {Promise<{data: Blob|null, error: object|null}>}
+ */
+export async function downloadServerBackup(file) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/backup?file=${encodeURIComponent(file)}`, {
+      headers: await apiHeaders()
+    })
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}))
+      return { data: null, error: result.error || { message: `Errore API (${response.status})` } }
+    }
+    return { data: await response.blob(), error: null }
+  } catch (error) {
+    console.warn('⚠️ API backup non raggiungibile:', error.message)
+    return { data: null, error: { message: 'Server dei backup non raggiungibile' } }
+  }
+}
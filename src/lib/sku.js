@@ -0,0 +1,96 @@
+// Formato SKU configurabile (default: XXXX-ARTICOLO)
+
+export const SKU_PATTERN_SETTING_KEY = 'sku_pattern'
+
+export const SKU_SEGMENTS = {
+  counter: 'Progressivo',
+  article: 'Articolo',
+  line: 'Linea'
+}
+
+export const DEFAULT_SKU_PATTERN = {
+  prefix: '',
+  padding: 4,
+  separator: '-',
+  segments: ['counter', 'article'],
+  lineLength: 3
+}
+
+/**
+ * Normalizza un testo per l'uso in uno SKU: maiuscolo, senza accenti,
+ * solo lettere e numeri
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeSkuToken(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+}
+
+/**
+ * Completa un pattern parziale con i valori di default
+ * @param {object} pattern
+ * @returns {object}
+ */
+export function resolveSkuPattern(pattern) {
+  return { ...DEFAULT_SKU_PATTERN, ...(pattern || {}) }
+}
+
+/**
+ * Verifica la validità di un pattern SKU
+ * @param {object} pattern
+ * @returns {string|null} Messaggio di errore oppure null se valido
+ */
+export function validateSkuPattern(pattern) {
+  const resolved = resolveSkuPattern(pattern)
+  const padding = Number(resolved.padding)
+
+  if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+    return 'Il riempimento del progressivo deve essere tra 1 e 10 cifre'
+  }
+  if (!Array.isArray(resolved.segments) || !resolved.segments.includes('counter')) {
+    return 'Il pattern deve contenere il progressivo'
+  }
+  if (resolved.segments.some(segment => !SKU_SEGMENTS[segment])) {
+    return 'Il pattern contiene un elemento non valido'
+  }
+  if (new Set(resolved.segments).size !== resolved.segments.length) {
+    return 'Ogni elemento del pattern può comparire una sola volta'
+  }
+  if (/[\s%,]/.test(resolved.prefix) || /[\s%,]/.test(resolved.separator)) {
+    return 'Prefisso e separatore non possono contenere spazi, virgole o %'
+  }
+  return null
+}
+
+/**
+ * Compone uno SKU a partire dal valore del contatore
+ * @param {number} counter - Valore riservato da sku_counter
+ * @param {object} values - Valori dei segmenti
+ * @param {string} [values.article] - Articolo
+ * @param {string} [values.lineName] - Nome della linea
+ * @param {object} [pattern] - Pattern SKU (vedi DEFAULT_SKU_PATTERN)
+ * @returns {string}
+ */
+export function formatSku(counter, { article = '', lineName = '' } = {}, pattern = DEFAULT_SKU_PATTERN) {
+  const resolved = resolveSkuPattern(pattern)
+
+  const parts = resolved.segments.map(segment => {
+    switch (segment) {
+      case 'counter':
+        return `${resolved.prefix}${String(counter).padStart(Number(resolved.padding), '0')}`
+      case 'article':
+        return normalizeSkuToken(article)
+      case 'line':
+        return normalizeSkuToken(lineName).slice(0, Number(resolved.lineLength) || undefined)
+      default:
+        return ''
+    }
+  })
+
+  // I segmenti vuoti non lasciano separatori doppi
+  return parts.filter(Boolean).join(resolved.separator)
+}
@@ -0,0 +1,145 @@
+// Statistiche di magazzino: dati dei grafici della pagina /stats e loro esportazione CSV
+
+import { addDays, addMonths, differenceInCalendarDays, format, startOfDay, startOfMonth } from 'date-fns'
+import { it } from 'date-fns/locale'
+
+// Raggruppamenti della giacenza: chiave -> colonna FK e relazione con il nome
+export const STOCK_GROUPS = {
+  line: { label: 'Linea', key: 'line_id', relation: 'lines' },
+  color: { label: 'Colore', key: 'color_id', relation: 'colors' },
+  size: { label: 'Taglia', key: 'size_id', relation: 'sizes' }
+}
+
+export const TOP_SELLERS_LIMIT = 10
+
+// Fino a due mesi gli inserimenti si contano per giorno, oltre per mese
+const DAILY_MAX_DAYS = 62
+
+/**
+ * Pezzi in giacenza per linea, colore o taglia
+ * @param {object[]} products - Prodotti con quantity_stock, FK e relazioni con il nome
+ * @param {string} group - Chiave di STOCK_GROUPS
+ * @returns {Array<{id: string|null, name: string, quantity: number, products: number}>} Dal gruppo con più pezzi
+ */
+export function stockByGroup(products, group) {
+  const { key, relation } = STOCK_GROUPS[group]
+  const groups = new Map()
+
+  for (const product of products) {
+    const quantity = product.quantity_stock || 0
+    // Come nella valorizzazione: giacenze negative o nulle non contano
+    if (quantity <= 0) continue
+
+    const id = product[key] ?? null
+    if (!groups.has(id)) {
+      groups.set(id, { id, name: product[relation]?.name || 'Non assegnato', quantity: 0, products: 0 })
+    }
+    const row = groups.get(id)
+    row.quantity += quantity
+    row.products += 1
+  }
+
+  return Array.from(groups.values()).sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name))
+}
+
+/**
+ * Pezzi venduti per prodotto da movimenti di vendita e reso (al netto dei resi)
+ * @param {Array<{product_id: string, quantity: number}>} movements - quantity con segno, come in stock_movements
+ * @returns {Map<string, number>}
+ */
+export function soldByProduct(movements) {
+  const sold = new Map()
+  for (const movement of movements) {
+    sold.set(movement.product_id, (sold.get(movement.product_id) || 0) - movement.quantity)
+  }
+  return sold
+}
+
+/**
+ * Articoli più venduti
+ * @param {object[]} products
+ * @param {Map<string, number>|null} [sold] - Venduti nel periodo (soldByProduct), altrimenti quantity_sold
+ * @param {number} [limit]
+ * @returns {Array<{id: string, sku: string, name: string, quantity_sold: number}>}
+ */
+export function topSellers(products, sold = null, limit = TOP_SELLERS_LIMIT) {
+  return products
+    .map(product => ({
+      id: product.id,
+      sku: product.sku,
+      name: [product.sku, product.description || product.article].filter(Boolean).join(' '),
+      quantity_sold: sold ? sold.get(product.id) || 0 : product.quantity_sold || 0
+    }))
+    .filter(row => row.quantity_sold > 0)
+    .sort((a, b) => b.quantity_sold - a.quantity_sold || String(a.sku).localeCompare(String(b.sku)))
+    .slice(0, limit)
+}
+
+/**
+ * Prodotti inseriti nel tempo, per giorno o per mese, con i periodi vuoti
+ * @param {object[]} products - Prodotti con created_at (quelli fuori dall'intervallo non contano)
+ * @param {object} [range]
+ * @param {string} [range.from] - Data iniziale (yyyy-MM-dd), altrimenti il primo inserimento
+ * @param {string} [range.to] - Data finale (yyyy-MM-dd), altrimenti oggi
+ * @returns {{granularity: string, rows: Array<{period: string, label: string, count: number, total: number}>}}
+ *   total: inseriti dall'inizio dell'intervallo
+ */
+export function productsAddedOverTime(products, { from = null, to = null } = {}) {
+  const rangeStart = from ? new Date(`${from}T00:00:00`) : null
+  // Fine giornata della data scelta
+  const rangeEnd = to ? new Date(`${to}T23:59:59.999`) : null
+  const dates = products
+    .filter(product => product.created_at)
+    .map(product => new Date(product.created_at))
+    .filter(date => (!rangeStart || date >= rangeStart) && (!rangeEnd || date <= rangeEnd))
+  if (dates.length === 0 && !from) {
+    return { granularity: 'month', rows: [] }
+  }
+
+  const start = startOfDay(rangeStart || new Date(Math.min(...dates)))
+  const end = startOfDay(to ? new Date(`${to}T00:00:00`) : new Date())
+  const granularity = differenceInCalendarDays(end, start) <= DAILY_MAX_DAYS ? 'day' : 'month'
+
+  const periodKey = (date) => format(date, granularity === 'day' ? 'yyyy-MM-dd' : 'yyyy-MM')
+  const counts = new Map()
+  for (const date of dates) {
+    counts.set(periodKey(date), (counts.get(periodKey(date)) || 0) + 1)
+  }
+
+  const rows = []
+  let total = 0
+  const next = granularity === 'day' ? (date) => addDays(date, 1) : (date) => addMonths(date, 1)
+  for (let date = granularity === 'day' ? start : startOfMonth(start); date <= end; date = next(date)) {
+    const period = periodKey(date)
+    const count = counts.get(period) || 0
+    total += count
+    rows.push({
+      period,
+      label: format(date, granularity === 'day' ? 'dd/MM' : 'MMM yyyy', { locale: it }),
+      count,
+      total
+    })
+  }
+
+  return { granularity, rows }
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  // Separatore ';' e decimali con la virgola, come li apre Excel in italiano
+  const text = typeof value === 'number' ? String(value).replace('.', ',') : String(value)
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Testo CSV dei dati di un grafico
+ * @param {object[]} rows
+ * @param {Array<{key: string, label: string}>} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  return [
+    columns.map(column => csvValue(column.label)).join(';'),
+    ...rows.map(row => columns.map(column => csvValue(row[column.key])).join(';'))
+  ].join('\r\n')
+}
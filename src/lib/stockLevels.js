@@ -0,0 +1,42 @@
+// Regola unica per le scorte minime
+// Soglia del prodotto -> soglia della linea -> default globale.
+// Rispecchia le funzioni SQL effective_min_stock() e is_low_stock().
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 10
+export const LOW_STOCK_SETTING_KEY = 'low_stock_threshold'
+
+const toThreshold = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? null : parsed
+}
+
+/**
+ * Soglia di scorta minima effettiva di un prodotto
+ * @param {object} product - Prodotto (min_stock, effective_min_stock)
+ * @param {object|null} line - Linea del prodotto (min_stock)
+ * @param {number} globalDefault - Default globale da Impostazioni
+ * @returns {number}
+ */
+export function effectiveMinStock(product, line = null, globalDefault = DEFAULT_LOW_STOCK_THRESHOLD) {
+  // Valore già calcolato dal database
+  const computed = toThreshold(product?.effective_min_stock)
+  if (computed !== null) return computed
+
+  return toThreshold(product?.min_stock)
+    ?? toThreshold(line?.min_stock ?? product?.lines?.min_stock)
+    ?? toThreshold(globalDefault)
+    ?? DEFAULT_LOW_STOCK_THRESHOLD
+}
+
+/**
+ * Indica se un prodotto è sotto scorta
+ * @param {object} product - Prodotto
+ * @param {object|null} line - Linea del prodotto
+ * @param {number} globalDefault - Default globale da Impostazioni
+ * @returns {boolean}
+ */
+export function isLowStock(product, line = null, globalDefault = DEFAULT_LOW_STOCK_THRESHOLD) {
+  if (typeof product?.is_low_stock === 'boolean') return product.is_low_stock
+  return (product?.quantity_stock || 0) < effectiveMinStock(product, line, globalDefault)
+}
@@ -0,0 +1,58 @@
+// Tipi di movimento di magazzino e utility condivise
+
+export const MOVEMENT_TYPES = {
+  carico: { label: 'Carico', sign: 1, signed: false },
+  vendita: { label: 'Vendita', sign: -1, signed: false },
+  reso: { label: 'Reso', sign: 1, signed: false },
+  rettifica: { label: 'Rettifica', sign: null, signed: true },
+  trasferimento: { label: 'Trasferimento', sign: null, signed: true }
+}
+
+/**
+ * Verifica che un movimento sia valido prima di inviarlo al database
+ * @param {string} type - Tipo movimento (vedi MOVEMENT_TYPES)
+ * @param {number} quantity - Quantità (con segno solo per rettifica/trasferimento)
+ * @returns {string|null} Messaggio di errore oppure null se valido
+ */
+export function validateMovement(type, quantity) {
+  const movementType = MOVEMENT_TYPES[type]
+  if (!movementType) {
+    return `Tipo movimento non valido: ${type}`
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    return 'La quantità deve essere un numero intero diverso da zero'
+  }
+  if (!movementType.signed && quantity < 0) {
+    return `La quantità di un movimento "${movementType.label}" deve essere positiva`
+  }
+  return null
+}
+
+/**
+ * Variazione di giacenza prodotta da un movimento
+ * @param {string} type - Tipo movimento
+ * @param {number} quantity - Quantità indicata dall'operatore
+ * @returns {number} Variazione con segno di quantity_stock
+ */
+export function movementDelta(type, quantity) {
+  const movementType = MOVEMENT_TYPES[type]
+  if (!movementType) return 0
+  return movementType.signed ? quantity : movementType.sign * Math.abs(quantity)
+}
+
+/**
+ * Giacenza indicata in un form (creazione o modifica del prodotto)
+ * @param {string|number|null|undefined} value - Valore del campo
+ * @returns {{quantity: number|null, error: string|null}} quantity null se il campo è vuoto
+ */
+export function parseStockQuantity(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { quantity: null, error: null }
+  }
+
+  const text = String(value).trim()
+  if (!/^\d+$/.test(text)) {
+    return { quantity: null, error: `Giacenza non valida: "${text}" (serve un numero intero non negativo)` }
+  }
+  return { quantity: Number(text), error: null }
+}
@@ -1,249 +1,2297 @@
-import { createClient } from '@supabase/supabase-js'
+import { parseStockQuantity, validateMovement } from './stockMovements'
+import { DEFAULT_LOW_STOCK_THRESHOLD, LOW_STOCK_SETTING_KEY } from './stockLevels'
+import { computeValuation, stockAsOf } from './valuation'
+import { withOfflineSupport } from './offlineSync'
+import { SKU_PATTERN_SETTING_KEY, DEFAULT_SKU_PATTERN, resolveSkuPattern, validateSkuPattern, formatSku } from './sku'
+import { LABEL_LAYOUT_SETTING_KEY, DEFAULT_LABEL_LAYOUT, resolveLabelLayout, validateLabelLayout } from './labels'
+import { THERMAL_LABEL_SETTING_KEY, DEFAULT_THERMAL_LABEL, resolveThermalLabel } from './zpl'
+import { skusForCode } from './barcodes'
+import { dataClient, backendName, isBackendConfigured, supabase } from './backends'
+import { deleteProductPhotoSecure, uploadProductPhotoSecure } from './uploadClient'
+import { LOOKUP_TABLES, getLookupTable, normalizeLookupName } from './lookups'
+import { BULK_EDITABLE_FIELDS } from './bulkEdit'
+import { PRODUCT_CONFLICT } from './productMerge'
+import { validateSale } from './sales'
+import { OPEN_ORDER_STATUSES, validateOrderLines } from './purchaseOrders'
+import { sortByPickOrder, unlocatedQuantity, validateTransfer } from './locations'
+import { validateCountQuantity } from './inventoryCounts'
+import { createBackup as createBackupArchive, readBackup, restoreBackup as restoreBackupArchive } from './backup'
+import { DEFAULT_TRASH_RETENTION_DAYS, TRASH_RETENTION_SETTING_KEY, purgeExpiredProducts, purgeTrashedProduct } from './trash'
 
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+// Il client Supabase resta esportato per l'autenticazione
+export { supabase, backendName }
 
-// Controlla se Supabase è configurato correttamente
-const isSupabaseConfigured = supabaseUrl && 
-  supabaseAnonKey && 
-  !supabaseUrl.includes('placeholder') && 
-  !supabaseAnonKey.includes('placeholder')
+// Backend dati attivo (Supabase, memoria o REST): stessa interfaccia from()/rpc()
+const client = dataClient
 
-if (!isSupabaseConfigured) {
-  console.warn('⚠️ Supabase non configurato. Configura le variabili d\'ambiente in .env')
+export const isConfigured = isBackendConfigured
+
+// Giorni di permanenza nel cestino prima dell'eliminazione definitiva
+export { DEFAULT_TRASH_RETENTION_DAYS }
+
+// Foto incluse nei backup: URL pubblico del bucket e tipi per il ripristino
+const PHOTO_BUCKET_URL = `${import.meta.env.VITE_SUPABASE_URL}/storage/v1/object/public/product-photos`
+const PHOTO_MIME_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' }
+
+// SKU riservabili con una sola chiamata a reserve_sku_block
+const MAX_SKU_BLOCK = 1000
+
+// Paginazione prodotti
+export const DEFAULT_PAGE_SIZE = 25
+export const MAX_PAGE_SIZE = 200
+
+// Colonne ammesse per l'ordinamento lato server
+export const PRODUCT_SORT_COLUMNS = [
+  'created_at',
+  'updated_at',
+  'sku',
+  'article',
+  'description',
+  'quantity_stock',
+  'quantity_sold',
+  'initial_price',
+  'wholesale_price',
+  'selling_price'
+]
+
+// Colonne dei prodotti per il report di inventario (prezzi e giacenze per ubicazione)
+const INVENTORY_PRODUCT_COLUMNS = 'id, sku, article, description, line_id, initial_price, selling_price, quantity_stock, sizes(name), colors(name), location_stock(location_id, quantity)'
+
+/**
+ * Identificativo dell'operatore corrente (email dell'utente autenticato)
+ * @returns {Promise<string|null>}
+ */
+export async function getCurrentOperator() {
+  // Solo Supabase gestisce l'autenticazione
+  if (!supabase) return null
+  try {
+    const { data } = await supabase.auth.getUser()
+    return data?.user?.email ?? data?.user?.id ?? null
+  } catch (error) {
+    console.warn('⚠️ Impossibile leggere l\'utente corrente:', error)
+    return null
+  }
+}
+
+// Supabase restituisce al massimo 1000 righe per richiesta
+const FETCH_BATCH_SIZE = 1000
+
+/**
+ * Legge tutte le righe di una query a blocchi con range()
+ * @param {function(): object} buildQuery - Crea la query (senza range)
+ * @returns {Promise<{data: object[], error: object|null}>}
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = []
+  for (let from = 0; ; from += FETCH_BATCH_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_BATCH_SIZE - 1)
+    if (error) return { data: rows, error }
+    rows.push(...(data || []))
+    if (!data || data.length < FETCH_BATCH_SIZE) break
+  }
+  return { data: rows, error: null }
+}
+
+// Filtro per ubicazione o magazzino risolto dal database con la relazione location_stock!inner:
+// nessun elenco di ID nella richiesta (con molti prodotti supererebbe la lunghezza dell'URL).
+// L'alias at_location lascia intatte le giacenze per ubicazione mostrate in location_stock.
+function withLocationFilter(columns, filters) {
+  if (filters.location_id) {
+    return `${columns}, at_location:location_stock!inner(location_id)`
+  }
+  if (filters.warehouse_id) {
+    return `${columns}, at_location:location_stock!inner(locations!inner(warehouse_id))`
+  }
+  return columns
+}
+
+// Filtri dell'elenco prodotti, condivisi da getProducts ed esportazione
+// (la select deve passare da withLocationFilter)
+function applyProductFilters(query, filters) {
+  if (filters.search) {
+    query = query.or(`sku.ilike.%${filters.search}%,article.ilike.%${filters.search}%,description.ilike.%${filters.search}%`)
+  }
+  if (filters.line_id) {
+    query = query.eq('line_id', filters.line_id)
+  }
+  if (filters.color_id) {
+    query = query.eq('color_id', filters.color_id)
+  }
+  if (filters.size_id) {
+    query = query.eq('size_id', filters.size_id)
+  }
+  if (filters.composition_id) {
+    query = query.eq('composition_id', filters.composition_id)
+  }
+  if (filters.model_id) {
+    query = query.eq('model_id', filters.model_id)
+  }
+  // Soglia per prodotto -> linea -> default globale (colonna calcolata is_low_stock)
+  if (filters.low_stock) {
+    query = query.eq('is_low_stock', true)
+  }
+  // Selezione esplicita (es. etichette dei prodotti scelti nell'elenco)
+  if (filters.ids) {
+    query = query.in('id', filters.ids)
+  }
+  // SKU esatti (es. codice letto con la fotocamera)
+  if (filters.skus) {
+    query = query.in('sku', filters.skus)
+  }
+  if (filters.location_id) {
+    query = query.eq('at_location.location_id', filters.location_id)
+  } else if (filters.warehouse_id) {
+    query = query.eq('at_location.locations.warehouse_id', filters.warehouse_id)
+  }
+  return query
+}
+
+// Nomi già presenti in una tabella di lookup, senza distinguere maiuscole e spazi
+async function findLookupDuplicate(table, name, excludeId = null) {
+  const { data, error } = await client.from(table).select('id, name')
+  if (error) return { data: null, error }
+
+  const normalized = normalizeLookupName(name)
+  const duplicate = data.find(value => value.id !== excludeId && normalizeLookupName(value.name) === normalized)
+  return { data: duplicate || null, error: null }
+}
+
+// Errore di aggiornamento rifiutato perché il prodotto è cambiato dopo la lettura
+function productConflictError(current) {
+  return {
+    code: PRODUCT_CONFLICT,
+    message: 'Il prodotto è stato modificato da un altro operatore',
+    current
+  }
 }
 
-export const supabase = isSupabaseConfigured 
-  ? createClient(supabaseUrl, supabaseAnonKey)
-  : null
+// Trasferimenti e inventari che fanno riferimento alle ubicazioni (es. "3 trasferimenti"):
+// lo storico blocca l'eliminazione, meglio spiegarlo che restituire l'errore di chiave esterna
+async function locationHistoryUses(locationIds) {
+  if (locationIds.length === 0) return { data: null, error: null }
+
+  const counts = await Promise.all([
+    client.from('stock_transfers').select('id', { count: 'exact', head: true }).in('from_location_id', locationIds),
+    client.from('stock_transfers').select('id', { count: 'exact', head: true }).in('to_location_id', locationIds),
+    client.from('inventory_counts').select('id', { count: 'exact', head: true }).in('location_id', locationIds)
+  ])
+
+  const failed = counts.find(result => result.error)
+  if (failed) return { data: null, error: failed.error }
+
+  const transfers = counts[0].count + counts[1].count
+  const inventories = counts[2].count
+  if (transfers === 0 && inventories === 0) return { data: null, error: null }
+
+  const uses = [
+    transfers > 0 && `${transfers} trasferimenti`,
+    inventories > 0 && `${inventories} inventari`
+  ].filter(Boolean).join(' e ')
+  return { data: uses, error: null }
+}
+
+// Foto di un prodotto eliminato definitivamente: l'API rimuove record e file dallo storage
+async function removePurgedPhotos(photos) {
+  for (const photo of photos) {
+    const { error } = await deleteProductPhotoSecure(photo.id)
+    if (error) throw new Error(error.message)
+  }
+}
+
+// Prodotti eliminati definitivamente che alla data erano ancora in magazzino,
+// con i nomi di linea, modello e composizione come nella query dei prodotti
+async function purgedProductsDeletedAfter(asOfIso) {
+  const { data: purged, error } = await fetchAllRows(() => client
+    .from('purged_products')
+    .select('product')
+    .gt('deleted_at', asOfIso)
+    .order('id'))
+
+  if (error) return { data: null, error }
+  if (purged.length === 0) return { data: [], error: null }
+
+  const names = {}
+  for (const table of ['lines', 'models', 'compositions']) {
+    const { data, error: lookupError } = await client.from(table).select('id, name')
+    if (lookupError) return { data: null, error: lookupError }
+    names[table] = new Map(data.map(row => [row.id, { name: row.name }]))
+  }
+
+  return {
+    data: purged.map(({ product }) => ({
+      ...product,
+      lines: names.lines.get(product.line_id) || null,
+      models: names.models.get(product.model_id) || null,
+      compositions: names.compositions.get(product.composition_id) || null
+    })),
+    error: null
+  }
+}
+
+// Campo numerico facoltativo dei form: vuoto diventa null
+const optionalNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value))
+
+// Funzioni helper per il database
+const baseDb = {
+  // Prodotti
+  /**
+   * Carica i prodotti con filtri, ordinamento e paginazione lato server
+   * @param {object} filters - Filtri (search, line_id, color_id, size_id, composition_id, model_id, low_stock,
+   *   warehouse_id, location_id, ids, skus)
+   * @param {object} options - Paginazione e ordinamento
+   * @param {number} [options.page] - Pagina (da 1). Se assente vengono restituiti tutti i prodotti
+   * @param {number} [options.pageSize] - Prodotti per pagina (default DEFAULT_PAGE_SIZE, max MAX_PAGE_SIZE)
+   * @param {string} [options.sortBy] - Colonna di ordinamento (vedi PRODUCT_SORT_COLUMNS)
+   * @param {string} [options.sortDir] - 'asc' o 'desc'
+   * @returns {Promise<{data: object[], count: number|null, page: number|null, pageSize: number|null, error: object|null}>}
+   */
+  async getProducts(filters = {}, options = {}) {
+    if (!isConfigured) {
+      console.warn('⚠️ Database non configurato')
+      return { data: [], count: 0, page: null, pageSize: null, error: { message: 'Database non configurato' } }
+    }
+    
+    console.log('🔍 Caricamento prodotti con filtri:', filters, options)
+
+    const sortBy = PRODUCT_SORT_COLUMNS.includes(options.sortBy) ? options.sortBy : 'created_at'
+    const ascending = options.sortDir === 'asc'
+
+    let query = client
+      .from('products')
+      .select(withLocationFilter(`
+        *,
+        effective_min_stock,
+        is_low_stock,
+        colors(name),
+        lines(name),
+        sizes(name, description),
+        compositions(name),
+        models(name),
+        location_stock(location_id, quantity, locations(code, warehouses(name, sort_order)))
+      `, filters), { count: 'exact' })
+      // I prodotti nel cestino sono esclusi
+      .is('deleted_at', null)
+      .order(sortBy, { ascending })
+      // Ordinamento secondario stabile per evitare duplicati tra pagine
+      .order('id', { ascending: true })
+
+    query = applyProductFilters(query, filters)
+
+    // Paginazione con query a intervallo (range è inclusivo)
+    let page = null
+    let pageSize = null
+    if (options.page) {
+      page = Math.max(1, parseInt(options.page, 10) || 1)
+      pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE))
+      const from = (page - 1) * pageSize
+      query = query.range(from, from + pageSize - 1)
+    }
+
+    const result = await query
+    console.log('📊 Risultato query prodotti:', result)
+    
+    if (result.error) {
+      console.error('❌ Errore nel caricamento prodotti:', result.error)
+    } else {
+      console.log(`✅ Caricati ${result.data?.length || 0} prodotti di ${result.count ?? '?'}`)
+    }
+    
+    return {
+      data: result.data,
+      count: result.count,
+      page,
+      pageSize,
+      error: result.error
+    }
+  },
+
+  /**
+   * Tutti i prodotti che rispettano i filtri dell'elenco, con le foto, per l'esportazione
+   * @param {object} filters - Stessi filtri di getProducts
+   * @param {object} [options] - Ordinamento (sortBy, sortDir) come in getProducts
+   */
+  async getProductsForExport(filters = {}, options = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    const sortBy = PRODUCT_SORT_COLUMNS.includes(options.sortBy) ? options.sortBy : 'created_at'
+    const ascending = options.sortDir === 'asc'
+
+    return fetchAllRows(() => applyProductFilters(client
+      .from('products')
+      .select(withLocationFilter(`
+        *,
+        effective_min_stock,
+        is_low_stock,
+        colors(name),
+        lines(name),
+        sizes(name, description),
+        compositions(name),
+        models(name),
+        product_photos(file_path, is_primary, deleted_at)
+      `, filters))
+      .is('deleted_at', null)
+      .order(sortBy, { ascending })
+      .order('id', { ascending: true }), filters))
+  },
+
+  async getProduct(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+    
+    return client
+      .from('products')
+      .select(`
+        *,
+        effective_min_stock,
+        is_low_stock,
+        colors(name),
+        lines(name),
+        sizes(name, description),
+        compositions(name),
+        models(name)
+      `)
+      .eq('id', id)
+      .single()
+  },
+
+  /**
+   * Prodotto a partire dal codice letto da un'etichetta (vedi skusForCode)
+   * @param {string} code - Testo del codice a barre o QR
+   * @returns {Promise<{data: object|null, error: object|null}>} Prodotto come in getProducts, null se nessuno corrisponde
+   */
+  async findProductByCode(code) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const skus = skusForCode(code)
+    if (skus.length === 0) {
+      return { data: null, error: null }
+    }
+
+    const { data, error } = await db.getProducts({ skus })
+    if (error) {
+      return { data: null, error }
+    }
+    // Il testo esatto ha la precedenza sullo SKU senza cifra di controllo
+    return { data: skus.map(sku => data.find(product => product.sku === sku)).find(Boolean) || null, error: null }
+  },
+
+  async createProduct(product) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+    
+    // Rimuovi temporaneamente image_url se la colonna non esiste nel database
+    // La giacenza iniziale viene registrata come movimento di carico
+    const { quantity_stock, ...productData } = product
+    delete productData.image_url
+
+    const { quantity: initialStock, error: stockError } = parseStockQuantity(quantity_stock)
+    if (stockError) {
+      return { data: null, error: { message: stockError } }
+    }
+    
+    // Log per debug
+    console.log('Creazione prodotto senza image_url:', productData)
+    
+    // Prodotto e carico iniziale nella stessa transazione (create_product)
+    const result = await client.rpc('create_product', {
+      p_product: productData,
+      p_initial_stock: initialStock || 0,
+      p_operator: await getCurrentOperator()
+    })
+
+    // Violazione dell'indice univoco sullo SKU
+    if (result.error?.code === '23505') {
+      return { data: null, error: { ...result.error, message: `SKU ${productData.sku} già esistente` } }
+    }
+
+    // Cronologia (creazione e carico iniziale) scritta dai trigger del database
+    return result
+  },
+
+  /**
+   * Applica una modifica massiva in un'unica transazione: se un prodotto
+   * non può essere aggiornato, nessun prodotto viene modificato.
+   * I prodotti cambiati da un altro operatore dopo l'anteprima sono saltati.
+   * @param {Array<{id: string, updates: object, updatedAt?: string}>} rows - Righe dell'anteprima da salvare
+   *   (updatedAt: updated_at letto dall'anteprima)
+   * @param {string} [note] - Descrizione dell'operazione per la cronologia
+   * @returns {Promise<{data: {updated: number, stale: string[]}, error: object|null}>}
+   *   Prodotti aggiornati e ID di quelli saltati perché modificati nel frattempo
+   */
+  async bulkUpdateProducts(rows, note = null) {
+    if (!isConfigured) {
+      return { data: { updated: 0, stale: [] }, error: { message: 'Database non configurato' } }
+    }
+    if (rows.length === 0) {
+      return { data: { updated: 0, stale: [] }, error: null }
+    }
+
+    const invalid = rows.flatMap(row => Object.keys(row.updates)).find(field => !BULK_EDITABLE_FIELDS.includes(field))
+    if (invalid) {
+      return { data: { updated: 0, stale: [] }, error: { message: `Campo non modificabile in blocco: ${invalid}` } }
+    }
+
+    // La nota finisce nella cronologia scritta dai trigger
+    const { data, error } = await client.rpc('bulk_update_products', {
+      p_updates: rows.map(row => ({
+        id: row.id,
+        values: row.updates,
+        ...(row.updatedAt ? { updated_at: row.updatedAt } : {})
+      })),
+      p_note: note
+    })
+
+    if (error) {
+      console.error('❌ Errore modifica massiva:', error)
+      return { data: { updated: 0, stale: [] }, error }
+    }
+
+    console.log(`✅ Modifica massiva: ${data.updated} prodotti aggiornati, ${data.stale.length} saltati perché modificati`)
+    return { data, error: null }
+  },
+
+  // Importazione da Excel
+  /**
+   * Prodotti esistenti (anche nel cestino) per un elenco di SKU
+   * @param {string[]} skus
+   * @returns {Promise<{data: object, error: object|null}>} SKU -> { id, sku, deleted_at }
+   */
+  async getProductsBySkus(skus) {
+    if (!isConfigured) {
+      return { data: {}, error: { message: 'Database non configurato' } }
+    }
+
+    const bySku = {}
+    const unique = Array.from(new Set(skus.filter(Boolean)))
+    for (let start = 0; start < unique.length; start += MAX_PAGE_SIZE) {
+      const { data, error } = await client
+        .from('products')
+        .select('id, sku, deleted_at')
+        .in('sku', unique.slice(start, start + MAX_PAGE_SIZE))
+
+      if (error) {
+        return { data: {}, error }
+      }
+      data.forEach(product => { bySku[product.sku] = product })
+    }
+
+    return { data: bySku, error: null }
+  },
+
+  /**
+   * Esegue un piano di importazione (vedi buildImportPlan in excelImport.js):
+   * crea i valori di lookup mancanti, poi crea o aggiorna ogni prodotto per SKU.
+   * Le righe con errori di validazione vengono saltate.
+   * @param {object} plan - Piano di importazione
+   * @returns {Promise<{data: {created: number, updated: number, failed: object[]}, error: object|null}>}
+   */
+  async importProducts(plan) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    // Valori di lookup da creare: nome normalizzato -> ID
+    const createdLookups = {}
+    const lookupErrors = {}
+    for (const [table, names] of Object.entries(plan.missingLookups)) {
+      createdLookups[table] = {}
+      for (const name of names) {
+        const { data, error } = await db.createLookupValue(table, { name })
+        if (error) {
+          lookupErrors[`${table}:${normalizeLookupName(name)}`] = error.message
+        } else {
+          createdLookups[table][normalizeLookupName(name)] = data.id
+          console.log(`➕ ${getLookupTable(table).singular} "${name}" creato durante l'importazione`)
+        }
+      }
+    }
+
+    const failed = plan.rows
+      .filter(row => row.action === 'error')
+      .map(row => ({ line: row.line, sku: row.sku, message: row.errors.join('; ') }))
+
+    const pending = []
+    for (const row of plan.rows.filter(item => item.action !== 'error')) {
+      const values = { ...row.values }
+      const errors = []
+
+      Object.entries(row.lookupNames).forEach(([field, name]) => {
+        const table = Object.keys(LOOKUP_TABLES).find(key => LOOKUP_TABLES[key].foreignKey === field)
+        const id = createdLookups[table]?.[normalizeLookupName(name)]
+        if (id) values[field] = id
+        else errors.push(lookupErrors[`${table}:${normalizeLookupName(name)}`] || `Valore "${name}" non creato`)
+      })
+
+      if (errors.length > 0) {
+        failed.push({ line: row.line, sku: row.sku, message: errors.join('; ') })
+      } else {
+        pending.push({ row, values })
+      }
+    }
+
+    // SKU generati per i nuovi prodotti che non lo indicano
+    const withoutSku = pending.filter(({ row }) => row.action === 'create' && !row.sku)
+    if (withoutSku.length > 0) {
+      const { data: lines } = await db.getLines()
+      const lineNames = Object.fromEntries((lines || []).map(line => [line.id, line.name]))
+      const { data: skus, error: skuError } = await db.generateSkus(
+        withoutSku.map(({ values }) => ({ article: values.article, lineName: lineNames[values.line_id] ?? null })),
+        'Importazione Excel'
+      )
+
+      if (skuError) {
+        return { data: null, error: skuError }
+      }
+      withoutSku.forEach((item, index) => { item.values.sku = skus[index] })
+    }
+
+    let created = 0
+    let updated = 0
+    for (const { row, values } of pending) {
+      // Lo SKU identifica il prodotto da aggiornare e non cambia
+      const updates = { ...values }
+      delete updates.sku
+      const { error } = row.action === 'update'
+        ? await db.updateProduct(row.productId, updates)
+        : await db.createProduct(values)
+
+      if (error) {
+        failed.push({ line: row.line, sku: values.sku, message: error.message })
+      } else if (row.action === 'update') {
+        updated++
+      } else {
+        created++
+      }
+    }
+
+    failed.sort((a, b) => a.line - b.line)
+    console.log(`📥 Importazione completata: ${created} creati, ${updated} aggiornati, ${failed.length} errori`)
+    return { data: { created, updated, failed }, error: null }
+  },
+
+  // Varianti taglia × colore
+  /**
+   * Varianti esistenti di un modello: prodotti con stesso modello e articolo
+   * @param {object} params
+   * @param {string} params.modelId - ID del modello
+   * @param {string} params.article - Articolo
+   */
+  async getVariants({ modelId, article }) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    return client
+      .from('products')
+      .select(`
+        id,
+        sku,
+        size_id,
+        color_id,
+        quantity_stock,
+        updated_at,
+        sizes(name),
+        colors(name)
+      `)
+      .eq('model_id', modelId)
+      .eq('article', article)
+      .is('deleted_at', null)
+      .order('sku')
+  },
+
+  /**
+   * Crea una variante per ogni combinazione taglia × colore, con SKU propri
+   * e dati comuni (prezzi, linea, composizione...)
+   * @param {object} base - Campi comuni a tutte le varianti (model_id e article obbligatori)
+   * @param {Array<{size_id: string, color_id: string, quantity_stock: number}>} combinations - Varianti da creare
+   * @returns {Promise<{data: object[], error: object|null}>} Varianti create, nello stesso ordine
+   */
+  async createVariants(base, combinations) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+    if (!base.model_id || !base.article) {
+      return { data: [], error: { message: 'Modello e articolo sono obbligatori' } }
+    }
+    if (combinations.length === 0) {
+      return { data: [], error: null }
+    }
+
+    let lineName = null
+    if (base.line_id) {
+      const { data: line } = await client.from('lines').select('name').eq('id', base.line_id).maybeSingle()
+      lineName = line?.name ?? null
+    }
+
+    // Un blocco di SKU per tutta la matrice
+    const { data: skus, error: skuError } = await db.generateSkus(
+      combinations.map(() => ({ article: base.article, lineName })),
+      `Varianti ${base.article}`
+    )
+    if (skuError) {
+      return { data: [], error: skuError }
+    }
+
+    const created = []
+    for (const [index, combination] of combinations.entries()) {
+      const { data, error } = await db.createProduct({
+        ...base,
+        sku: skus[index],
+        size_id: combination.size_id,
+        color_id: combination.color_id,
+        quantity_stock: combination.quantity_stock
+      })
+
+      if (error) {
+        console.error(`❌ Errore creazione variante ${skus[index]}:`, error)
+        return {
+          data: created,
+          error: { ...error, message: `${created.length} varianti create, errore su ${skus[index]}: ${error.message}` }
+        }
+      }
+      created.push(data)
+    }
+
+    console.log(`✅ Create ${created.length} varianti di ${base.article}`)
+    return { data: created, error: null }
+  },
+
+  /**
+   * Aggiorna un prodotto
+   * @param {string} id - ID del prodotto
+   * @param {object} updates - Campi da aggiornare (quantity_stock diventa una rettifica)
+   * @param {object} [options]
+   * @param {string} [options.expectedUpdatedAt] - updated_at letto con il form: se il prodotto
+   *   è cambiato nel frattempo l'aggiornamento viene rifiutato con error.code = PRODUCT_CONFLICT
+   *   e i valori attuali in error.current
+   * @returns {Promise<{data: object|null, error: object|null}>}
+   */
+  async updateProduct(id, updates, { expectedUpdatedAt = null } = {}) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+    
+    // Rimuovi temporaneamente image_url se la colonna non esiste nel database
+    // Giacenza e venduto non vengono sovrascritti: cambiano solo tramite movimenti
+    const { quantity_stock, quantity_sold, ...updateData } = updates
+    delete updateData.image_url
+    delete updateData.updated_at
+
+    if (quantity_sold !== undefined) {
+      console.warn('⚠️ quantity_sold ignorato: il venduto si aggiorna con movimenti di vendita/reso')
+    }
+
+    const { quantity: targetStock, error: stockError } = parseStockQuantity(quantity_stock)
+    if (stockError) {
+      return { data: null, error: { message: stockError } }
+    }
+
+    // Campi e giacenza nella stessa transazione (update_product): se la rettifica
+    // fallisce non resta salvata solo metà della scheda
+    const { data, error } = await client.rpc('update_product', {
+      p_product_id: id,
+      p_values: updateData,
+      p_quantity: targetStock,
+      p_reason: 'Modifica giacenza da scheda prodotto',
+      p_operator: await getCurrentOperator(),
+      p_expected_updated_at: expectedUpdatedAt
+    })
+
+    // Un altro salvataggio è arrivato dopo la lettura del form
+    if (error?.code === '40001') {
+      const { data: latest } = await client.from('products').select('*').eq('id', id).single()
+      return { data: null, error: productConflictError(latest) }
+    }
+
+    return { data, error }
+  },
+
+  /**
+   * Sposta un prodotto e le sue foto nel cestino
+   * @param {string} id - ID del prodotto
+   */
+  async deleteProduct(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const deletedAt = new Date().toISOString()
+    const deletedBy = await getCurrentOperator()
+
+    const result = await client
+      .from('products')
+      .update({ deleted_at: deletedAt, deleted_by: deletedBy })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle()
+
+    if (result.error || !result.data) {
+      return result
+    }
+
+    // Stesso timestamp del prodotto: il ripristino riporta solo queste foto
+    const { error: photosError } = await client
+      .from('product_photos')
+      .update({ deleted_at: deletedAt })
+      .eq('product_id', id)
+      .is('deleted_at', null)
+
+    if (photosError) {
+      console.error('❌ Errore spostamento foto nel cestino:', photosError)
+    }
+
+    return result
+  },
+
+  // Cestino
+  async getTrashedProducts({ page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    if (!isConfigured) {
+      return { data: [], count: 0, error: { message: 'Database non configurato' } }
+    }
+
+    const from = (page - 1) * pageSize
+    return client
+      .from('products')
+      .select(`
+        *,
+        lines(name),
+        colors(name),
+        sizes(name),
+        product_photos(id)
+      `, { count: 'exact' })
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .range(from, from + pageSize - 1)
+  },
+
+  /**
+   * Riporta un prodotto dal cestino insieme alle foto eliminate con lui
+   * @param {string} id - ID del prodotto
+   */
+  async restoreProduct(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { data: product, error } = await client
+      .from('products')
+      .select('id, deleted_at')
+      .eq('id', id)
+      .single()
+
+    if (error) {
+      return { data: null, error }
+    }
+    if (!product.deleted_at) {
+      return { data: null, error: { message: 'Il prodotto non è nel cestino' } }
+    }
+
+    // Prima le foto: se non tornano il prodotto resta nel cestino con le sue foto
+    const { error: photosError } = await client
+      .from('product_photos')
+      .update({ deleted_at: null })
+      .eq('product_id', id)
+      .eq('deleted_at', product.deleted_at)
+
+    if (photosError) {
+      console.error('❌ Errore ripristino foto dal cestino:', photosError)
+      return { data: null, error: photosError }
+    }
+
+    return client
+      .from('products')
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', id)
+      .select()
+      .single()
+  },
+
+  /**
+   * Elimina definitivamente un prodotto del cestino e le sue foto (anche i file)
+   * @param {string} id - ID del prodotto
+   */
+  async purgeProduct(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+    return purgeTrashedProduct(client, id, { removePhotos: removePurgedPhotos })
+  },
+
+  async getTrashRetentionDays() {
+    return db.getSetting(TRASH_RETENTION_SETTING_KEY, DEFAULT_TRASH_RETENTION_DAYS)
+  },
+
+  async updateTrashRetentionDays(days) {
+    const value = parseInt(days, 10)
+    if (Number.isNaN(value) || value < 1) {
+      return { data: null, error: { message: 'La permanenza nel cestino deve essere di almeno un giorno' } }
+    }
+    return db.updateSetting(TRASH_RETENTION_SETTING_KEY, value)
+  },
+
+  /**
+   * Elimina definitivamente i prodotti rimasti nel cestino oltre il periodo configurato
+   * (lo fa anche il job pianificato del server, vedi api/_lib/trashJobs.js)
+   * @returns {Promise<{data: number, error: object|null}>} Numero di prodotti eliminati
+   */
+  async purgeExpiredTrash() {
+    if (!isConfigured) {
+      return { data: 0, error: { message: 'Database non configurato' } }
+    }
+    return purgeExpiredProducts(client, { removePhotos: removePurgedPhotos })
+  },
+
+  // Cronologia modifiche (scritta dai trigger del database, vedi 015_audit_triggers.sql)
+  /**
+   * Cronologia di un prodotto e delle sue foto, dalla voce più recente
+   * @param {string} productId - ID del prodotto
+   * @param {object} [options]
+   * @param {string} [options.operator] - Solo le modifiche di questo utente
+   * @param {string} [options.entity] - 'product' o 'photo'
+   * @param {number} [options.limit] - Numero massimo di voci
+   */
+  async getAuditLog(productId, { operator = null, entity = null, limit = 500 } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    let query = client
+      .from('product_audit_log')
+      .select('*')
+      .eq('product_id', productId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (operator) {
+      query = query.eq('operator', operator)
+    }
+    if (entity) {
+      query = query.eq('entity', entity)
+    }
+
+    return query
+  },
+
+  // SKU
+  async getSkuPattern() {
+    const { data, error } = await db.getSetting(SKU_PATTERN_SETTING_KEY, DEFAULT_SKU_PATTERN)
+    return { data: resolveSkuPattern(data), error }
+  },
+
+  async updateSkuPattern(pattern) {
+    const validationError = validateSkuPattern(pattern)
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
+    }
+    return db.updateSetting(SKU_PATTERN_SETTING_KEY, resolveSkuPattern(pattern))
+  },
+
+  // Etichette
+  async getLabelLayout() {
+    const { data, error } = await db.getSetting(LABEL_LAYOUT_SETTING_KEY, DEFAULT_LABEL_LAYOUT)
+    return { data: resolveLabelLayout(data), error }
+  },
+
+  async updateLabelLayout(layout) {
+    const validationError = validateLabelLayout(layout)
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
+    }
+    return db.updateSetting(LABEL_LAYOUT_SETTING_KEY, resolveLabelLayout(layout))
+  },
+
+  // Etichette per la stampante termica (ZPL)
+  async getThermalLabelSettings() {
+    const { data, error } = await db.getSetting(THERMAL_LABEL_SETTING_KEY, DEFAULT_THERMAL_LABEL)
+    return { data: resolveThermalLabel(data), error }
+  },
+
+  async updateThermalLabelSettings(settings) {
+    return db.updateSetting(THERMAL_LABEL_SETTING_KEY, resolveThermalLabel(settings))
+  },
+
+  /**
+   * Verifica che uno SKU non sia già usato da un altro prodotto
+   * @param {string} sku - SKU da verificare
+   * @param {string|null} excludeId - ID del prodotto in modifica
+   * @returns {Promise<{data: boolean, error: object|null}>} true se disponibile
+   */
+  async isSkuAvailable(sku, excludeId = null) {
+    if (!isConfigured) {
+      return { data: false, error: { message: 'Database non configurato' } }
+    }
+
+    let query = client
+      .from('products')
+      .select('id', { count: 'exact', head: true })
+      .eq('sku', sku)
+
+    if (excludeId) {
+      query = query.neq('id', excludeId)
+    }
+
+    const { count, error } = await query
+    return { data: !error && count === 0, error }
+  },
+
+  /**
+   * Riserva in modo atomico un blocco di valori consecutivi del contatore SKU
+   * @param {number} count - Quanti valori riservare
+   * @param {string} [note] - Nota sulla prenotazione (es. lotto di importazione)
+   * @returns {Promise<{data: {first_value: number, last_value: number}|null, error: object|null}>}
+   */
+  async reserveSkuBlock(count = 1, note = null) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { data, error } = await client.rpc('reserve_sku_block', {
+      p_count: count,
+      p_reserved_by: await getCurrentOperator(),
+      p_note: note
+    })
+
+    if (error) {
+      console.error('❌ Errore prenotazione SKU:', error)
+    }
+
+    return { data, error }
+  },
+
+  /**
+   * Genera gli SKU per un lotto di nuovi prodotti con il pattern configurato
+   * @param {object[]} items - Valori dei segmenti per ogni prodotto ({ article, lineName })
+   * @param {string} [note] - Nota sulla prenotazione
+   * @returns {Promise<{data: string[], error: object|null}>} SKU nello stesso ordine di items
+   */
+  async generateSkus(items, note = null) {
+    if (!items || items.length === 0) {
+      return { data: [], error: null }
+    }
+
+    const { data: pattern } = await db.getSkuPattern()
+
+    // Blocchi di al massimo MAX_SKU_BLOCK valori, il limite di reserve_sku_block
+    const skus = []
+    for (let start = 0; start < items.length; start += MAX_SKU_BLOCK) {
+      const chunk = items.slice(start, start + MAX_SKU_BLOCK)
+      const { data: block, error } = await db.reserveSkuBlock(chunk.length, note)
+      if (error) {
+        return { data: [], error }
+      }
+      chunk.forEach((item, index) => skus.push(formatSku(block.first_value + index, item, pattern)))
+    }
+
+    // Il contatore garantisce valori nuovi, ma SKU inseriti a mano possono coincidere
+    const { data: existing, error: existingError } = await db.getProductsBySkus(skus)
+
+    if (existingError) {
+      return { data: [], error: existingError }
+    }
+    if (Object.keys(existing).length > 0) {
+      return {
+        data: [],
+        error: { message: `SKU già esistenti: ${Object.keys(existing).join(', ')}` }
+      }
+    }
+
+    return { data: skus, error: null }
+  },
+
+  /**
+   * Genera il prossimo SKU con il pattern configurato
+   * @param {object} values - Valori dei segmenti ({ article, lineName })
+   * @returns {Promise<{data: string|null, error: object|null}>}
+   */
+  async generateSku(values = {}) {
+    const { data, error } = await db.generateSkus([values])
+    return { data: data[0] ?? null, error }
+  },
+
+  // Movimenti di magazzino
+  /**
+   * Registra un movimento e aggiorna la giacenza del prodotto in modo atomico
+   * @param {string} productId - ID del prodotto
+   * @param {object} movement - Movimento da registrare
+   * @param {string} movement.type - carico, vendita, reso, rettifica o trasferimento
+   * @param {number} movement.quantity - Quantità (con segno per rettifica/trasferimento)
+   * @param {string} [movement.reason] - Causale
+   * @param {string} [movement.operator] - Operatore (default: utente autenticato)
+   * @param {string} [movement.locationId] - Ubicazione in cui entra o da cui esce la merce
+   * @param {string} [movement.clientId] - UUID scelto dal client: ripetendo la chiamata il movimento non si duplica
+   * @returns {Promise<{data: object|null, error: object|null}>} Movimento registrato
+   */
+  async registerStockMovement(productId, { type, quantity, reason = null, operator = null, locationId = null, clientId = null }) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const qty = parseInt(quantity, 10)
+    const validationError = validateMovement(type, qty)
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
+    }
+
+    const { data, error } = await client.rpc('apply_stock_movement', {
+      p_product_id: productId,
+      p_movement_type: type,
+      p_quantity: qty,
+      p_reason: reason,
+      p_operator: operator ?? await getCurrentOperator(),
+      // Senza ubicazione le uscite scalano prima la merce non ubicata, poi in ordine di prelievo
+      ...(locationId ? { p_location_id: locationId } : {}),
+      ...(clientId ? { p_client_id: clientId } : {})
+    })
+
+    if (error) {
+      console.error('❌ Errore registrazione movimento:', error)
+    }
+
+    return { data, error }
+  },
+
+  /**
+   * Movimento registrato con un client_id (vedi registerStockMovement)
+   * @param {string} clientId
+   * @returns {Promise<{data: object|null, error: object|null}>} null se non ancora registrato
+   */
+  async findStockMovementByClientId(clientId) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    return client
+      .from('stock_movements')
+      .select('*')
+      .eq('client_id', clientId)
+      .maybeSingle()
+  },
+
+  /**
+   * Storico movimenti di un prodotto, dal più recente
+   * @param {string} productId - ID del prodotto
+   * @param {object} options - Filtri opzionali
+   * @param {string} [options.type] - Solo movimenti di questo tipo
+   * @param {number} [options.limit] - Numero massimo di movimenti
+   */
+  async getStockMovements(productId, { type = null, limit = 100 } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    let query = client
+      .from('stock_movements')
+      .select('*')
+      .eq('product_id', productId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (type) {
+      query = query.eq('movement_type', type)
+    }
+
+    return query
+  },
+
+  // Vendite
+  /**
+   * Registra una vendita: documento, righe e movimenti di vendita in un'unica transazione
+   * @param {object} sale
+   * @param {Array<{product_id: string, sku: string, quantity: number, unit_price: number}>} sale.lines
+   * @param {{type: string, value: number}|null} [sale.discount] - Sconto sul totale (vedi DISCOUNT_TYPES)
+   * @param {string} sale.paymentMethod - Chiave di PAYMENT_METHODS
+   * @param {string} [sale.notes]
+   * @returns {Promise<{data: object|null, error: object|null}>} Vendita con le righe (per lo scontrino)
+   */
+  async registerSale({ lines, discount = null, paymentMethod, notes = null }) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const validationError = validateSale({ lines, discount, paymentMethod })
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
+    }
+
+    const operator = await getCurrentOperator()
+    const { data: sale, error } = await client.rpc('register_sale', {
+      p_lines: lines.map(line => ({
+        product_id: line.product_id,
+        quantity: parseInt(line.quantity, 10),
+        unit_price: Number(line.unit_price)
+      })),
+      p_payment_method: paymentMethod,
+      p_discount_type: discount?.value ? discount.type : null,
+      p_discount_value: discount?.value ? Number(discount.value) : null,
+      p_notes: notes || null,
+      p_operator: operator
+    })
+
+    if (error) {
+      console.error('❌ Errore registrazione vendita:', error)
+      return { data: null, error }
+    }
+
+    console.log(`🧾 Vendita n. ${sale.number} registrata: ${sale.total} €`)
+    return db.getSale(sale.id)
+  },
+
+  /**
+   * Vendita con le sue righe
+   * @param {string} id - ID della vendita
+   */
+  async getSale(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    return client
+      .from('sales')
+      .select('*, sale_lines(*)')
+      .eq('id', id)
+      .single()
+  },
+
+  /**
+   * Elenco vendite, dalla più recente
+   * @param {object} [options]
+   * @param {number} [options.page] - Pagina (da 1)
+   * @param {number} [options.pageSize] - Vendite per pagina
+   * @returns {Promise<{data: object[], count: number|null, error: object|null}>}
+   */
+  async getSales({ page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    if (!isConfigured) {
+      return { data: [], count: 0, error: { message: 'Database non configurato' } }
+    }
+
+    const from = (page - 1) * pageSize
+    return client
+      .from('sales')
+      .select('*, sale_lines(*)', { count: 'exact' })
+      .order('number', { ascending: false })
+      .range(from, from + pageSize - 1)
+  },
+
+  // Fornitori
+  async getSuppliers() {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    return client
+      .from('suppliers')
+      .select('*')
+      .order('name')
+  },
+
+  /**
+   * Crea o aggiorna un fornitore (nome obbligatorio e univoco)
+   * @param {object} values - name, vat_number, email, phone, address, notes
+   * @param {string} [id] - Fornitore da aggiornare
+   */
+  async saveSupplier(values, id = null) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const name = String(values.name ?? '').trim()
+    if (!name) {
+      return { data: null, error: { message: 'Il nome è obbligatorio' } }
+    }
+
+    const { data: duplicate, error: duplicateError } = await findLookupDuplicate('suppliers', name, id)
+    if (duplicateError) return { data: null, error: duplicateError }
+    if (duplicate) {
+      return { data: null, error: { message: `Fornitore "${duplicate.name}" già esistente` } }
+    }
+
+    const query = id
+      ? client.from('suppliers').update({ ...values, name }).eq('id', id)
+      : client.from('suppliers').insert([{ ...values, name }])
+    return query.select().single()
+  },
+
+  async deleteSupplier(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { count, error } = await client
+      .from('purchase_orders')
+      .select('id', { count: 'exact', head: true })
+      .eq('supplier_id', id)
+
+    if (error) {
+      return { data: null, error }
+    }
+    if (count > 0) {
+      return { data: null, error: { message: `Fornitore presente in ${count} ordini: non può essere eliminato` } }
+    }
+
+    return client
+      .from('suppliers')
+      .delete()
+      .eq('id', id)
+  },
+
+  // Ordini di acquisto
+  /**
+   * Elenco ordini, dal più recente
+   * @param {object} [filters]
+   * @param {string} [filters.status] - Stato (vedi ORDER_STATUSES) o 'open' per aperti e parziali
+   * @param {string} [filters.supplierId]
+   * @returns {Promise<{data: object[], error: object|null}>} Ordini con fornitore e righe
+   */
+  async getPurchaseOrders({ status = null, supplierId = null } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    let query = client
+      .from('purchase_orders')
+      .select(`
+        *,
+        suppliers(name),
+        purchase_order_lines(id, product_id, quantity_ordered, quantity_received, unit_cost)
+      `)
+      .order('number', { ascending: false })
+
+    if (status === 'open') {
+      query = query.in('status', OPEN_ORDER_STATUSES)
+    } else if (status) {
+      query = query.eq('status', status)
+    }
+    if (supplierId) {
+      query = query.eq('supplier_id', supplierId)
+    }
+
+    return query
+  },
+
+  /**
+   * Ordine con fornitore, righe (con i prodotti) e ricevimenti
+   * @param {string} id
+   */
+  async getPurchaseOrder(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    return client
+      .from('purchase_orders')
+      .select(`
+        *,
+        suppliers(*),
+        purchase_order_lines(*, products(id, sku, article, description, initial_price, selling_price, quantity_stock, sizes(name), colors(name))),
+        purchase_receipts(*)
+      `)
+      .eq('id', id)
+      .single()
+  },
+
+  /**
+   * Crea un ordine di acquisto con le sue righe
+   * @param {object} order
+   * @param {string} order.supplierId
+   * @param {string} [order.expectedDate] - Consegna prevista (YYYY-MM-DD)
+   * @param {string} [order.notes]
+   * @param {Array<{product_id: string, quantity_ordered: number, unit_cost: number}>} order.lines
+   */
+  async createPurchaseOrder({ supplierId, expectedDate = null, notes = null, lines }) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    if (!supplierId) {
+      return { data: null, error: { message: 'Seleziona un fornitore' } }
+    }
+    const validationError = validateOrderLines(lines)
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
+    }
+
+    const { data, error } = await client.rpc('create_purchase_order', {
+      p_supplier_id: supplierId,
+      p_lines: lines.map(line => ({
+        product_id: line.product_id,
+        quantity_ordered: parseInt(line.quantity_ordered, 10),
+        unit_cost: optionalNumber(line.unit_cost)
+      })),
+      p_expected_date: expectedDate || null,
+      p_notes: notes || null,
+      p_operator: await getCurrentOperator()
+    })
+
+    if (error) {
+      console.error('❌ Errore creazione ordine:', error)
+    } else {
+      console.log(`📦 Ordine fornitore n. ${data.number} creato`)
+    }
+    return { data, error }
+  },
+
+  async cancelPurchaseOrder(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    // Solo ordini senza merce ricevuta
+    return client
+      .from('purchase_orders')
+      .update({ status: 'annullato' })
+      .eq('id', id)
+      .eq('status', 'aperto')
+      .select()
+      .maybeSingle()
+  },
+
+  /**
+   * Registra una consegna (anche parziale): carica la giacenza e aggiorna il prezzo di costo
+   * @param {string} orderId
+   * @param {Array<{line_id: number, quantity: number, unit_cost: number}>} lines - Pezzi arrivati e costo reale
+   * @param {string} [note] - Es. numero del documento di trasporto
+   * @returns {Promise<{data: object|null, error: object|null}>} Ordine con il nuovo stato
+   */
+  async receivePurchaseOrder(orderId, lines, note = null) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const received = lines.filter(line => (parseInt(line.quantity, 10) || 0) > 0)
+    if (received.length === 0) {
+      return { data: null, error: { message: 'Indica almeno un articolo ricevuto' } }
+    }
+
+    const { data, error } = await client.rpc('receive_purchase_order', {
+      p_order_id: orderId,
+      p_lines: received.map(line => ({
+        line_id: line.line_id,
+        quantity: parseInt(line.quantity, 10),
+        unit_cost: optionalNumber(line.unit_cost)
+      })),
+      p_note: note || null,
+      p_operator: await getCurrentOperator()
+    })
+
+    if (error) {
+      console.error('❌ Errore ricevimento ordine:', error)
+      return { data: null, error }
+    }
+
+    console.log(`📥 Ordine fornitore n. ${data.number}: ricevuti ${received.length} articoli, stato ${data.status}`)
+    return { data, error: null }
+  },
+
+  // Magazzini e ubicazioni
+  /**
+   * Magazzini in ordine di prelievo, con le loro ubicazioni
+   */
+  async getWarehouses() {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    const { data, error } = await client
+      .from('warehouses')
+      .select('*, locations(*)')
+      .order('sort_order')
+      .order('name')
+
+    if (error) {
+      return { data: [], error }
+    }
+    return {
+      data: data.map(warehouse => ({
+        ...warehouse,
+        locations: [...warehouse.locations].sort((a, b) => a.code.localeCompare(b.code))
+      })),
+      error: null
+    }
+  },
+
+  /**
+   * Crea o aggiorna un magazzino
+   * @param {object} values - name, address, sort_order (ordine di prelievo)
+   * @param {string} [id] - Magazzino da aggiornare
+   */
+  async saveWarehouse(values, id = null) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const name = String(values.name ?? '').trim()
+    if (!name) {
+      return { data: null, error: { message: 'Il nome è obbligatorio' } }
+    }
+
+    const { data: duplicate, error: duplicateError } = await findLookupDuplicate('warehouses', name, id)
+    if (duplicateError) return { data: null, error: duplicateError }
+    if (duplicate) {
+      return { data: null, error: { message: `Magazzino "${duplicate.name}" già esistente` } }
+    }
+
+    const row = { ...values, name, sort_order: parseInt(values.sort_order, 10) || 0 }
+    const query = id
+      ? client.from('warehouses').update(row).eq('id', id)
+      : client.from('warehouses').insert([row])
+    return query.select().single()
+  },
+
+  async deleteWarehouse(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { data: locations, error } = await client
+      .from('locations')
+      .select('id, location_stock(quantity)')
+      .eq('warehouse_id', id)
+
+    if (error) {
+      return { data: null, error }
+    }
+    if (locations.some(location => location.location_stock.length > 0)) {
+      return { data: null, error: { message: 'Il magazzino contiene merce: trasferiscila prima di eliminarlo' } }
+    }
+
+    const { data: uses, error: usesError } = await locationHistoryUses(locations.map(location => location.id))
+    if (usesError) {
+      return { data: null, error: usesError }
+    }
+    if (uses) {
+      return { data: null, error: { message: `Le ubicazioni del magazzino compaiono in ${uses}: lo storico va conservato, il magazzino non può essere eliminato` } }
+    }
+
+    // Le ubicazioni vuote vengono eliminate con il magazzino
+    if (locations.length > 0) {
+      const { error: locationsError } = await client
+        .from('locations')
+        .delete()
+        .eq('warehouse_id', id)
+      if (locationsError) return { data: null, error: locationsError }
+    }
+
+    return client
+      .from('warehouses')
+      .delete()
+      .eq('id', id)
+  },
+
+  /**
+   * Crea o aggiorna un'ubicazione (codice univoco nel magazzino)
+   * @param {object} values - warehouse_id, code, description
+   * @param {string} [id] - Ubicazione da aggiornare
+   */
+  async saveLocation(values, id = null) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
 
-export const isConfigured = isSupabaseConfigured
+    const code = String(values.code ?? '').trim().toUpperCase()
+    if (!values.warehouse_id || !code) {
+      return { data: null, error: { message: 'Magazzino e codice sono obbligatori' } }
+    }
 
-// Funzioni helper per il database
-export const db = {
-  // Prodotti
-  async getProducts(filters = {}) {
-    if (!isSupabaseConfigured) {
-      console.warn('⚠️ Supabase non configurato')
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    const { data: existing, error: existingError } = await client
+      .from('locations')
+      .select('id, code')
+      .eq('warehouse_id', values.warehouse_id)
+    if (existingError) return { data: null, error: existingError }
+    if (existing.some(location => location.id !== id && location.code.trim().toUpperCase() === code)) {
+      return { data: null, error: { message: `Ubicazione ${code} già presente nel magazzino` } }
     }
-    
-    console.log('🔍 Caricamento prodotti con filtri:', filters)
-    
-    let query = supabase
-      .from('products')
-      .select(`
-        *,
-        colors(name),
-        lines(name),
-        sizes(name, description),
-        compositions(name),
-        models(name)
-      `)
-      .order('created_at', { ascending: false })
 
-    // Applica filtri se presenti
-    if (filters.search) {
-      query = query.or(`sku.ilike.%${filters.search}%,article.ilike.%${filters.search}%,description.ilike.%${filters.search}%`)
+    const row = { warehouse_id: values.warehouse_id, code, description: values.description || null }
+    const query = id
+      ? client.from('locations').update(row).eq('id', id)
+      : client.from('locations').insert([row])
+    return query.select().single()
+  },
+
+  async deleteLocation(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { count, error } = await client
+      .from('location_stock')
+      .select('id', { count: 'exact', head: true })
+      .eq('location_id', id)
+
+    if (error) {
+      return { data: null, error }
+    }
+    if (count > 0) {
+      return { data: null, error: { message: `L'ubicazione contiene ${count} articoli: trasferiscili prima di eliminarla` } }
+    }
+
+    const { data: uses, error: usesError } = await locationHistoryUses([id])
+    if (usesError) {
+      return { data: null, error: usesError }
     }
-    if (filters.line_id) {
-      query = query.eq('line_id', filters.line_id)
+    if (uses) {
+      return { data: null, error: { message: `L'ubicazione compare in ${uses}: lo storico va conservato, non può essere eliminata` } }
     }
-    if (filters.color_id) {
-      query = query.eq('color_id', filters.color_id)
+
+    return client
+      .from('locations')
+      .delete()
+      .eq('id', id)
+  },
+
+  /**
+   * Giacenza di un prodotto per ubicazione, in ordine di prelievo
+   * @param {string} productId - ID del prodotto
+   * @returns {Promise<{data: {total: number, unlocated: number, locations: object[]}|null, error: object|null}>}
+   *   locations: { location_id, quantity, locations: { code, description, warehouses } }
+   */
+  async getLocationStock(productId) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
     }
-    if (filters.size_id) {
-      query = query.eq('size_id', filters.size_id)
+
+    const [{ data: product, error: productError }, { data: rows, error }] = await Promise.all([
+      client.from('products').select('quantity_stock').eq('id', productId).single(),
+      client
+        .from('location_stock')
+        .select('location_id, quantity, locations(id, code, description, warehouses(name, sort_order))')
+        .eq('product_id', productId)
+    ])
+
+    if (productError || error) {
+      return { data: null, error: productError || error }
     }
-    if (filters.composition_id) {
-      query = query.eq('composition_id', filters.composition_id)
+
+    const ordered = sortByPickOrder(rows.map(row => row.locations))
+      .map(location => rows.find(row => row.location_id === location.id))
+    return {
+      data: {
+        total: product.quantity_stock || 0,
+        unlocated: unlocatedQuantity(product.quantity_stock, rows),
+        locations: ordered
+      },
+      error: null
     }
-    if (filters.model_id) {
-      query = query.eq('model_id', filters.model_id)
+  },
+
+  /**
+   * Sposta merce tra ubicazioni (anche da e verso "non ubicato"): la giacenza totale non cambia
+   * @param {object} transfer
+   * @param {string|null} transfer.fromLocationId - null = merce non ubicata
+   * @param {string|null} transfer.toLocationId - null = merce non ubicata
+   * @param {Array<{product_id: string, quantity: number}>} transfer.lines
+   * @param {string} [transfer.notes]
+   * @returns {Promise<{data: object|null, error: object|null}>} Documento di trasferimento
+   */
+  async transferStock({ fromLocationId = null, toLocationId = null, lines, notes = null }) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
     }
-    if (filters.low_stock) {
-      query = query.lt('quantity_stock', 10)
+
+    const validationError = validateTransfer({ fromLocationId, toLocationId, lines })
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
     }
 
-    const result = await query
-    console.log('📊 Risultato query prodotti:', result)
-    
-    if (result.error) {
-      console.error('❌ Errore nel caricamento prodotti:', result.error)
+    const { data, error } = await client.rpc('transfer_stock', {
+      p_from_location_id: fromLocationId || null,
+      p_to_location_id: toLocationId || null,
+      p_lines: lines.map(line => ({ product_id: line.product_id, quantity: parseInt(line.quantity, 10) })),
+      p_notes: notes || null,
+      p_operator: await getCurrentOperator()
+    })
+
+    if (error) {
+      console.error('❌ Errore trasferimento:', error)
     } else {
-      console.log(`✅ Caricati ${result.data?.length || 0} prodotti`)
+      console.log(`🔀 Trasferimento n. ${data.number}: ${lines.length} articoli`)
     }
-    
-    return result
+    return { data, error }
   },
 
-  async getProduct(id) {
-    if (!isSupabaseConfigured) {
-      return { data: null, error: { message: 'Supabase non configurato' } }
+  /**
+   * Ultimi trasferimenti con ubicazioni e righe
+   * @param {object} [options]
+   * @param {number} [options.limit]
+   */
+  async getStockTransfers({ limit = 50 } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    
-    return supabase
-      .from('products')
+
+    return client
+      .from('stock_transfers')
       .select(`
         *,
-        colors(name),
+        from_location:locations!from_location_id(code, warehouses(name)),
+        to_location:locations!to_location_id(code, warehouses(name)),
+        stock_transfer_lines(quantity, sku, description, products(sku, article, sizes(name), colors(name)))
+      `)
+      .order('number', { ascending: false })
+      .limit(limit)
+  },
+
+  // Inventario
+  /**
+   * Sessioni di conta, le più recenti prima
+   * @param {object} [options]
+   * @param {string} [options.status] - Stato (vedi COUNT_STATUSES), tutte se omesso
+   * @param {number} [options.limit]
+   */
+  async getInventoryCounts({ status = null, limit = 50 } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    let query = client
+      .from('inventory_counts')
+      .select(`
+        *,
+        locations(code, warehouses(name)),
         lines(name),
-        sizes(name, description),
-        compositions(name),
-        models(name)
+        inventory_count_lines(counted_quantity)
+      `)
+      .order('number', { ascending: false })
+      .limit(limit)
+
+    if (status) {
+      query = query.eq('status', status)
+    }
+    return query
+  },
+
+  /**
+   * Sessione di conta con le righe contate; i prodotti hanno prezzi e giacenze per ubicazione
+   * per il report delle differenze
+   * @param {string} id
+   */
+  async getInventoryCount(id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    return client
+      .from('inventory_counts')
+      .select(`
+        *,
+        locations(code, warehouses(name)),
+        lines(name),
+        inventory_count_lines(*, products(${INVENTORY_PRODUCT_COLUMNS}))
       `)
       .eq('id', id)
       .single()
   },
 
-  async createProduct(product) {
-    if (!isSupabaseConfigured) {
-      return { data: null, error: { message: 'Supabase non configurato' } }
+  /**
+   * Prodotti nell'ambito di una conta (ubicazione e/o linea), per elencare i non contati
+   * @param {{location_id: string|null, line_id: string|null}} count
+   */
+  async getInventoryScopeProducts(count) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    
-    // Rimuovi temporaneamente image_url se la colonna non esiste nel database
-    const { image_url, ...productData } = product
-    
-    // Log per debug
-    console.log('Creazione prodotto senza image_url:', productData)
-    
-    return supabase
+
+    const filters = { location_id: count.location_id, line_id: count.line_id }
+    return fetchAllRows(() => applyProductFilters(client
       .from('products')
-      .insert([productData])
-      .select()
-      .single()
+      .select(withLocationFilter(INVENTORY_PRODUCT_COLUMNS, filters))
+      .is('deleted_at', null)
+      .order('sku', { ascending: true })
+      .order('id', { ascending: true }), filters))
   },
 
-  async updateProduct(id, updates) {
-    if (!isSupabaseConfigured) {
-      return { data: null, error: { message: 'Supabase non configurato' } }
+  /**
+   * Apre una sessione di conta
+   * @param {object} count
+   * @param {string|null} [count.locationId] - null = tutte le ubicazioni
+   * @param {string|null} [count.lineId] - null = tutte le linee
+   * @param {string} [count.notes]
+   */
+  async openInventoryCount({ locationId = null, lineId = null, notes = null } = {}) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
     }
-    
-    // Rimuovi temporaneamente image_url se la colonna non esiste nel database
-    const { image_url, ...updateData } = updates
-    
-    // Log per debug
-    console.log('Aggiornamento prodotto senza image_url:', updateData)
-    
-    return supabase
-      .from('products')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single()
+
+    const { data, error } = await client.rpc('open_inventory_count', {
+      p_location_id: locationId || null,
+      p_line_id: lineId || null,
+      p_notes: notes || null,
+      p_operator: await getCurrentOperator()
+    })
+
+    if (error) {
+      console.error('❌ Errore apertura inventario:', error)
+    } else {
+      console.log(`📋 Inventario n. ${data.number} aperto`)
+    }
+    return { data, error }
   },
 
-  async deleteProduct(id) {
-    if (!isSupabaseConfigured) {
-      return { data: null, error: { message: 'Supabase non configurato' } }
+  /**
+   * Registra una quantità contata. Con 'add' più operatori possono contare
+   * lo stesso articolo insieme: le quantità si sommano sul database.
+   * @param {string} countId
+   * @param {string} productId
+   * @param {number} quantity - Pezzi da sommare (negativi per correggere) o totale con 'set'
+   * @param {string} [mode] - 'add' o 'set'
+   * @returns {Promise<{data: object|null, error: object|null}>} Riga di conta aggiornata
+   */
+  async recordInventoryCount(countId, productId, quantity, mode = 'add') {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
     }
-    return supabase
-      .from('products')
-      .delete()
-      .eq('id', id)
+
+    const validationError = validateCountQuantity(quantity, mode)
+    if (validationError) {
+      return { data: null, error: { message: validationError } }
+    }
+
+    const { data, error } = await client.rpc('record_inventory_count', {
+      p_count_id: countId,
+      p_product_id: productId,
+      p_quantity: quantity,
+      p_mode: mode,
+      p_operator: await getCurrentOperator()
+    })
+
+    if (error) {
+      console.error('❌ Errore registrazione conta:', error)
+    }
+    return { data, error }
+  },
+
+  /**
+   * Approva la conta: le differenze diventano movimenti di rettifica
+   * @param {string} countId
+   * @param {object} [options]
+   * @param {boolean} [options.zeroUncounted] - Azzera i prodotti dell'ambito non contati
+   */
+  async approveInventoryCount(countId, { zeroUncounted = false } = {}) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { data, error } = await client.rpc('approve_inventory_count', {
+      p_count_id: countId,
+      p_zero_uncounted: zeroUncounted,
+      p_operator: await getCurrentOperator()
+    })
+
+    if (error) {
+      console.error('❌ Errore approvazione inventario:', error)
+    } else {
+      console.log(`✅ Inventario n. ${data.number} approvato`)
+    }
+    return { data, error }
+  },
+
+  /**
+   * Annulla una conta aperta senza toccare le giacenze
+   * @param {string} countId
+   */
+  async cancelInventoryCount(countId) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { data, error } = await client
+      .from('inventory_counts')
+      .update({
+        status: 'annullato',
+        closed_at: new Date().toISOString(),
+        closed_by: await getCurrentOperator()
+      })
+      .eq('id', countId)
+      .eq('status', 'aperto')
+      .select()
+      .maybeSingle()
+
+    if (!error && !data) {
+      return { data: null, error: { message: 'La conta non è più aperta' } }
+    }
+    return { data, error }
   },
 
   // Lookup tables
   async getColors() {
-    if (!isSupabaseConfigured) {
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    return supabase
+    return client
       .from('colors')
       .select('*')
+      .order('sort_order')
       .order('name')
   },
 
   async getLines() {
-    if (!isSupabaseConfigured) {
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    return supabase
+    return client
       .from('lines')
       .select('*')
+      .order('sort_order')
       .order('name')
   },
 
+  async updateLine(id, updates) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+    return client
+      .from('lines')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single()
+  },
+
   async getSizes() {
-    if (!isSupabaseConfigured) {
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    return supabase
+    return client
       .from('sizes')
       .select('*')
+      .order('sort_order')
       .order('name')
   },
 
   async getCompositions() {
-    if (!isSupabaseConfigured) {
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    return supabase
+    return client
       .from('compositions')
       .select('*')
+      .order('sort_order')
       .order('name')
   },
 
   async getModels() {
-    if (!isSupabaseConfigured) {
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
-    return supabase
+    return client
       .from('models')
       .select('*')
+      .order('sort_order')
       .order('name')
   },
 
+  /**
+   * Valori di una tabella di lookup con il numero di prodotti che li usano
+   * (compresi quelli nel cestino, che ne bloccano comunque l'eliminazione)
+   * @param {string} table - colors, lines, sizes, compositions o models
+   * @returns {Promise<{data: Array<object>, error: object|null}>} Valori con usage_count
+   */
+  async getLookupValues(table) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    // Solo le tabelle di lookup note; i conteggi arrivano già raggruppati
+    // dal database (lookup_usage_counts), senza scaricare i prodotti
+    getLookupTable(table)
+    const [{ data: values, error }, { data: counts, error: countsError }] = await Promise.all([
+      client.from(table).select('*').order('sort_order').order('name'),
+      client.rpc('lookup_usage_counts', { p_table: table })
+    ])
+
+    if (error || countsError) {
+      return { data: [], error: error || countsError }
+    }
+
+    const usage = Object.fromEntries(counts.map(row => [row.id, row.usage_count]))
+
+    return {
+      data: values.map(value => ({ ...value, usage_count: usage[value.id] || 0 })),
+      error: null
+    }
+  },
+
+  async createLookupValue(table, values) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { singular } = getLookupTable(table)
+    const name = String(values.name ?? '').trim()
+    if (!name) {
+      return { data: null, error: { message: 'Il nome è obbligatorio' } }
+    }
+
+    const { data: duplicate, error: duplicateError } = await findLookupDuplicate(table, name)
+    if (duplicateError) return { data: null, error: duplicateError }
+    if (duplicate) {
+      return { data: null, error: { message: `${singular} "${duplicate.name}" già esistente` } }
+    }
+
+    // In coda all'ordinamento attuale
+    const { data: last } = await client
+      .from(table)
+      .select('sort_order')
+      .order('sort_order', { ascending: false, nullsFirst: false })
+      .limit(1)
+      .maybeSingle()
+
+    return client
+      .from(table)
+      .insert([{ ...values, name, sort_order: (last?.sort_order || 0) + 1 }])
+      .select()
+      .single()
+  },
+
+  async updateLookupValue(table, id, updates) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { singular } = getLookupTable(table)
+    const values = { ...updates }
+    if ('name' in values) {
+      values.name = String(values.name ?? '').trim()
+      if (!values.name) {
+        return { data: null, error: { message: 'Il nome è obbligatorio' } }
+      }
+
+      const { data: duplicate, error: duplicateError } = await findLookupDuplicate(table, values.name, id)
+      if (duplicateError) return { data: null, error: duplicateError }
+      if (duplicate) {
+        return { data: null, error: { message: `${singular} "${duplicate.name}" già esistente: usa "Unisci" per accorparli` } }
+      }
+    }
+
+    return client
+      .from(table)
+      .update(values)
+      .eq('id', id)
+      .select()
+      .single()
+  },
+
+  /**
+   * Salva l'ordine dei valori di una tabella di lookup
+   * @param {string} table - Tabella di lookup
+   * @param {Array<string>} orderedIds - ID nell'ordine desiderato
+   */
+  async reorderLookupValues(table, orderedIds) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    getLookupTable(table)
+    const results = await Promise.all(orderedIds.map((id, index) => client
+      .from(table)
+      .update({ sort_order: index + 1 })
+      .eq('id', id)))
+
+    const failed = results.find(result => result.error)
+    return { data: null, error: failed ? failed.error : null }
+  },
+
+  async deleteLookupValue(table, id) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { foreignKey } = getLookupTable(table)
+    const { count, error } = await client
+      .from('products')
+      .select('id', { count: 'exact', head: true })
+      .eq(foreignKey, id)
+
+    if (error) {
+      return { data: null, error }
+    }
+    if (count > 0) {
+      return {
+        data: null,
+        error: { message: `Valore usato da ${count} prodotti (anche nel cestino): usa "Unisci" per spostarli su un altro valore` }
+      }
+    }
+
+    return client
+      .from(table)
+      .delete()
+      .eq('id', id)
+  },
+
+  /**
+   * Unisce un valore duplicato in quello che resta: tutti i prodotti passano
+   * al valore di destinazione e il duplicato viene eliminato, in un'unica transazione
+   * @param {string} table - Tabella di lookup
+   * @param {string} sourceId - Valore da eliminare
+   * @param {string} targetId - Valore che resta
+   * @returns {Promise<{data: number, error: object|null}>} Numero di prodotti riassegnati
+   */
+  async mergeLookupValues(table, sourceId, targetId) {
+    if (!isConfigured) {
+      return { data: 0, error: { message: 'Database non configurato' } }
+    }
+    if (sourceId === targetId) {
+      return { data: 0, error: { message: 'Scegli un valore diverso in cui unire' } }
+    }
+
+    const { singular } = getLookupTable(table)
+    const [{ data: source }, { data: target }] = await Promise.all([
+      client.from(table).select('id, name').eq('id', sourceId).maybeSingle(),
+      client.from(table).select('id, name').eq('id', targetId).maybeSingle()
+    ])
+    if (!source || !target) {
+      return { data: 0, error: { message: `${singular} non trovato` } }
+    }
+
+    const { data: reassigned, error } = await client.rpc('merge_lookup_value', {
+      p_table: table,
+      p_source_id: sourceId,
+      p_target_id: targetId
+    })
+
+    if (error) {
+      console.error('❌ Errore unione valori:', error)
+      return { data: 0, error }
+    }
+
+    console.log(`🔀 ${singular} "${source.name}" unito in "${target.name}": ${reassigned} prodotti riassegnati`)
+    return { data: reassigned, error: null }
+  },
+
+  // Impostazioni applicative (tabella app_settings)
+  async getSetting(key, defaultValue = null) {
+    if (!isConfigured) {
+      return { data: defaultValue, error: { message: 'Database non configurato' } }
+    }
+
+    const { data, error } = await client
+      .from('app_settings')
+      .select('value')
+      .eq('key', key)
+      .maybeSingle()
+
+    return { data: data ? data.value : defaultValue, error }
+  },
+
+  async updateSetting(key, value) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+    return client
+      .from('app_settings')
+      .upsert({ key, value, updated_at: new Date().toISOString() })
+      .select()
+      .single()
+  },
+
+  async getLowStockThreshold() {
+    return db.getSetting(LOW_STOCK_SETTING_KEY, DEFAULT_LOW_STOCK_THRESHOLD)
+  },
+
+  async updateLowStockThreshold(threshold) {
+    const value = parseInt(threshold, 10)
+    if (Number.isNaN(value) || value < 0) {
+      return { data: null, error: { message: 'La soglia deve essere un numero intero non negativo' } }
+    }
+    return db.updateSetting(LOW_STOCK_SETTING_KEY, value)
+  },
+
   // Funzioni per gestione foto
   async getProductPhotos(productId) {
-    if (!isSupabaseConfigured) {
-      return { data: [], error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
     }
     
-    return supabase
+    return client
       .from('product_photos')
       .select('*')
       .eq('product_id', productId)
+      .is('deleted_at', null)
       .order('is_primary', { ascending: false })
       .order('created_at', { ascending: true })
   },
 
   async deleteProductPhoto(photoId) {
-    if (!isSupabaseConfigured) {
-      return { data: null, error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
     }
-    
-    return supabase
+
+    return client
       .from('product_photos')
       .delete()
       .eq('id', photoId)
   },
 
   async setPrimaryPhoto(photoId, productId) {
-    if (!isSupabaseConfigured) {
-      return { data: null, error: { message: 'Supabase non configurato' } }
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
     }
     
     // Prima rimuovi il flag primary da tutte le foto del prodotto
-    await supabase
+    await client
       .from('product_photos')
       .update({ is_primary: false })
       .eq('product_id', productId)
     
     // Poi imposta la foto selezionata come primary
-    return supabase
+    return client
       .from('product_photos')
       .update({ is_primary: true })
       .eq('id', photoId)
   },
 
+  /**
+   * Valore del magazzino a costo, ingrosso e dettaglio con dettaglio per linea, modello e composizione
+   * @param {object} options
+   * @param {string|Date} [options.asOf] - Data di riferimento (default: oggi). Le giacenze vengono
+   *   ricostruite dai movimenti successivi; i prezzi sono quelli attuali
+   * @returns {Promise<{data: object|null, error: object|null}>}
+   */
+  async getInventoryValuation({ asOf = null } = {}) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    const { data: allProducts, error: productsError } = await fetchAllRows(() => client
+      .from('products')
+      .select(`
+        id,
+        quantity_stock,
+        initial_price,
+        wholesale_price,
+        selling_price,
+        line_id,
+        model_id,
+        composition_id,
+        created_at,
+        deleted_at,
+        lines(name),
+        models(name),
+        compositions(name)
+      `)
+      .order('id'))
+
+    if (productsError) {
+      return { data: null, error: productsError }
+    }
+
+    // Esclude il cestino; alla data passata contano i prodotti eliminati dopo quella data
+    const asOfIso = asOf ? new Date(asOf).toISOString() : null
+    const products = allProducts.filter(p => !p.deleted_at || (asOfIso && p.deleted_at > asOfIso))
+
+    let stockByProduct = null
+    if (asOf) {
+      // Anche quelli poi eliminati definitivamente (giacenza all'eliminazione in purged_products)
+      const { data: purged, error: purgedError } = await purgedProductsDeletedAfter(asOfIso)
+      if (purgedError) {
+        return { data: null, error: purgedError }
+      }
+      products.push(...purged)
+
+      const { data: laterMovements, error: movementsError } = await fetchAllRows(() => client
+        .from('stock_movements')
+        .select('product_id, quantity')
+        .gt('created_at', asOfIso)
+        .order('id'))
+
+      if (movementsError) {
+        return { data: null, error: movementsError }
+      }
+
+      stockByProduct = stockAsOf(products, laterMovements, asOfIso)
+    }
+
+    return {
+      data: {
+        asOf: asOf ? new Date(asOf).toISOString() : new Date().toISOString(),
+        ...computeValuation(products, stockByProduct)
+      },
+      error: null
+    }
+  },
+
+  /**
+   * Prodotti per la pagina Statistiche, con nomi di linea, colore e taglia
+   * @param {object} [filters]
+   * @param {string} [filters.lineId]
+   * @returns {Promise<{data: object[], error: object|null}>}
+   */
+  async getProductStats({ lineId = null } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    return fetchAllRows(() => {
+      let query = client
+        .from('products')
+        .select(`
+          id,
+          sku,
+          article,
+          description,
+          quantity_stock,
+          quantity_sold,
+          initial_price,
+          wholesale_price,
+          selling_price,
+          line_id,
+          color_id,
+          size_id,
+          created_at,
+          lines(name),
+          colors(name),
+          sizes(name)
+        `)
+        .is('deleted_at', null)
+        .order('id')
+
+      if (lineId) query = query.eq('line_id', lineId)
+      return query
+    })
+  },
+
+  /**
+   * Movimenti di vendita e reso di un periodo (vendite da cassa e registrate a mano)
+   * @param {object} [range]
+   * @param {string} [range.from] - Dal giorno (yyyy-MM-dd)
+   * @param {string} [range.to] - Fino al giorno compreso (yyyy-MM-dd)
+   * @returns {Promise<{data: Array<{product_id: string, quantity: number}>, error: object|null}>}
+   *   quantity: variazione di giacenza (negativa per le vendite)
+   */
+  async getSalesMovements({ from = null, to = null } = {}) {
+    if (!isConfigured) {
+      return { data: [], error: { message: 'Database non configurato' } }
+    }
+
+    return fetchAllRows(() => {
+      let query = client
+        .from('stock_movements')
+        .select('product_id, quantity')
+        .in('movement_type', ['vendita', 'reso'])
+        .order('id')
+
+      if (from) query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString())
+      // Fine giornata della data scelta
+      if (to) query = query.lte('created_at', new Date(`${to}T23:59:59.999`).toISOString())
+      return query
+    })
+  },
+
   async getDashboardStats() {
-    if (!isSupabaseConfigured) {
+    if (!isConfigured) {
       return { 
         data: {
           totalProducts: 0,
           lowStockProducts: 0,
           totalValue: 0,
+          valuation: { cost: 0, wholesale: 0, retail: 0 },
           recentProducts: []
         }, 
         error: null 
@@ -252,20 +2300,25 @@ export const db = {
     
     try {
       // Statistiche base
-      const { data: products, error: productsError } = await supabase
+      const { data: products, error: productsError } = await fetchAllRows(() => client
         .from('products')
-        .select('quantity_stock, price')
+        .select('id, quantity_stock, initial_price, wholesale_price, selling_price, is_low_stock')
+        .is('deleted_at', null)
+        .order('id'))
       
       if (productsError) throw productsError
       
       const totalProducts = products.length
-      const lowStockProducts = products.filter(p => p.quantity_stock < 10).length
-      const totalValue = products.reduce((sum, p) => sum + (p.price * p.quantity_stock), 0)
+      const lowStockProducts = products.filter(p => p.is_low_stock).length
+      const { totals } = computeValuation(products)
+      // Valore di magazzino al costo d'acquisto
+      const totalValue = totals.cost
       
       // Prodotti recenti
-      const { data: recentProducts, error: recentError } = await supabase
+      const { data: recentProducts, error: recentError } = await client
         .from('products')
         .select('id, sku, article, created_at')
+        .is('deleted_at', null)
         .order('created_at', { ascending: false })
         .limit(5)
       
@@ -276,6 +2329,11 @@ export const db = {
           totalProducts,
           lowStockProducts,
           totalValue,
+          valuation: {
+            cost: totals.cost,
+            wholesale: totals.wholesale,
+            retail: totals.retail
+          },
           recentProducts
         },
         error: null
@@ -283,9 +2341,78 @@ export const db = {
     } catch (error) {
       return { data: null, error }
     }
+  },
+
+  // Backup e ripristino
+  /**
+   * Crea l'archivio di backup completo (vedi lib/backup.js)
+   * @param {object} [options]
+   * @param {boolean} [options.includePhotos] - Include i file delle foto
+   * @returns {Promise<{data: {archive: Uint8Array, manifest: object}|null, error: object|null}>}
+   */
+  async createBackup({ includePhotos = false } = {}) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    try {
+      const data = await createBackupArchive(client, { includePhotos, photoBaseUrl: PHOTO_BUCKET_URL, backend: backendName })
+      return { data, error: null }
+    } catch (error) {
+      console.error('❌ Errore creazione backup:', error)
+      return { data: null, error: { message: error.message } }
+    }
+  },
+
+  /**
+   * Legge e valida un file di backup, senza scrivere nulla
+   * @param {File} file - Archivio .zip creato da createBackup
+   * @returns {Promise<{data: object|null, error: object|null}>} Risultato di readBackup (errors, warnings, manifest...)
+   */
+  async readBackupFile(file) {
+    try {
+      return { data: readBackup(await file.arrayBuffer()), error: null }
+    } catch (error) {
+      return { data: null, error: { message: `File non leggibile: ${error.message}` } }
+    }
+  },
+
+  /**
+   * Ripristina un backup validato con readBackupFile
+   * @param {object} backup - Risultato di readBackupFile
+   * @param {object} [options]
+   * @param {boolean} [options.overwriteExisting] - Sovrascrive prodotti e impostazioni già presenti
+   * @returns {Promise<{data: object|null, error: object|null}>} Report del ripristino
+   */
+  async restoreBackup(backup, { overwriteExisting = false } = {}) {
+    if (!isConfigured) {
+      return { data: null, error: { message: 'Database non configurato' } }
+    }
+
+    // Le foto passano dall'API di upload, che salva file e riga in product_photos
+    const uploadPhoto = async ({ photo, product, file }) => {
+      const extension = file.name.split('.').pop().toLowerCase()
+      const photoFile = new File([file.data], file.name, { type: PHOTO_MIME_TYPES[extension] || 'image/jpeg' })
+      return uploadProductPhotoSecure(photoFile, product.id, product.sku, Boolean(photo.is_primary))
+    }
+
+    try {
+      const data = await restoreBackupArchive(client, backup, {
+        overwriteExisting,
+        uploadPhoto: backendName === 'supabase' ? uploadPhoto : null
+      })
+      return { data, error: null }
+    } catch (error) {
+      console.error('❌ Errore ripristino backup:', error)
+      return { data: null, error: { message: error.message } }
+    }
   }
 }
 
+// Cache locale e coda offline per letture e scritture principali
+// (non serve per il backend in memoria, che non usa la rete)
+export const db = isConfigured && backendName !== 'memory' ? withOfflineSupport(baseDb) : baseDb
+
 // Export delle funzioni principali
 export const getProductPhotos = db.getProductPhotos
 export const deleteProductPhoto = db.deleteProductPhoto
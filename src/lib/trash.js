@@ -0,0 +1,139 @@
+// Cestino: eliminazione definitiva dei prodotti, dall'app (src/lib/supabase.js)
+// e dal job pianificato del server (api/_lib/trashJobs.js).
+// Import con estensione: il modulo è usato anche dal server Node.
+
+import { OPEN_ORDER_STATUSES, lineRemaining } from './purchaseOrders.js'
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+export const TRASH_RETENTION_SETTING_KEY = 'trash_retention_days'
+
+/**
+ * Data oltre la quale i prodotti del cestino sono scaduti
+ * @param {number} days - Giorni di permanenza nel cestino
+ * @param {Date} [now]
+ * @returns {string} ISO
+ */
+export function trashCutoff(days, now = new Date()) {
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString()
+}
+
+/**
+ * Elimina definitivamente un prodotto del cestino.
+ * Prima i controlli, poi il record (i trigger conservano storico e movimenti,
+ * vedi 016 e 017), solo alla fine i file delle foto: se l'eliminazione
+ * fallisce le foto restano intatte.
+ * @param {object} client - Client con l'interfaccia di supabase-js
+ * @param {string} id - ID del prodotto
+ * @param {object} options
+ * @param {function(object[]): Promise<void>} options.removePhotos - Elimina foto e file (riceve id e file_path)
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+export async function purgeTrashedProduct(client, id, { removePhotos }) {
+  const { data: product, error } = await client
+    .from('products')
+    .select('id, sku, deleted_at')
+    .eq('id', id)
+    .single()
+
+  if (error) {
+    return { data: null, error }
+  }
+  if (!product.deleted_at) {
+    return { data: null, error: { message: 'Solo i prodotti nel cestino possono essere eliminati definitivamente' } }
+  }
+
+  // Stesso controllo del trigger check_product_open_orders, con un messaggio leggibile
+  const { data: lines, error: linesError } = await client
+    .from('purchase_order_lines')
+    .select('quantity_ordered, quantity_received, purchase_orders(number, status)')
+    .eq('product_id', id)
+
+  if (linesError) {
+    return { data: null, error: linesError }
+  }
+
+  const openLine = (lines || []).find(line => (
+    OPEN_ORDER_STATUSES.includes(line.purchase_orders?.status) && lineRemaining(line) > 0
+  ))
+  if (openLine) {
+    return {
+      data: null,
+      error: { message: `Il prodotto ${product.sku} è nell'ordine fornitore n. ${openLine.purchase_orders.number}, ancora in attesa di merce: ricevi o annulla l'ordine prima di eliminarlo` }
+    }
+  }
+
+  const { data: photos, error: photosError } = await client
+    .from('product_photos')
+    .select('id, file_path')
+    .eq('product_id', id)
+
+  if (photosError) {
+    return { data: null, error: photosError }
+  }
+
+  const { error: deleteError } = await client
+    .from('products')
+    .delete()
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+
+  if (deleteError) {
+    return { data: null, error: deleteError }
+  }
+
+  // Il prodotto è eliminato: una foto non rimossa resta senza prodotto, come le foto temporanee
+  if (photos?.length) {
+    try {
+      await removePhotos(photos)
+    } catch (photoError) {
+      console.warn(`⚠️ Foto del prodotto ${product.sku} non eliminate:`, photoError.message)
+    }
+  }
+
+  return { data: product, error: null }
+}
+
+/**
+ * Elimina definitivamente i prodotti rimasti nel cestino oltre il periodo configurato
+ * @param {object} client - Client con l'interfaccia di supabase-js
+ * @param {object} options
+ * @param {function(object[]): Promise<void>} options.removePhotos - Vedi purgeTrashedProduct
+ * @returns {Promise<{data: number, error: object|null}>} Numero di prodotti eliminati
+ */
+export async function purgeExpiredProducts(client, { removePhotos }) {
+  const { data: setting, error: settingError } = await client
+    .from('app_settings')
+    .select('value')
+    .eq('key', TRASH_RETENTION_SETTING_KEY)
+    .maybeSingle()
+
+  if (settingError) {
+    return { data: 0, error: settingError }
+  }
+
+  const days = parseInt(setting?.value, 10) || DEFAULT_TRASH_RETENTION_DAYS
+  const { data: expired, error } = await client
+    .from('products')
+    .select('id')
+    .lt('deleted_at', trashCutoff(days))
+
+  if (error) {
+    return { data: 0, error }
+  }
+
+  let purged = 0
+  for (const product of expired) {
+    const { error: purgeError } = await purgeTrashedProduct(client, product.id, { removePhotos })
+    if (purgeError) {
+      console.error(`❌ Errore eliminazione definitiva prodotto ${product.id}:`, purgeError)
+    } else {
+      purged++
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️ Eliminati definitivamente ${purged} prodotti scaduti dal cestino`)
+  }
+
+  return { data: purged, error: null }
+}
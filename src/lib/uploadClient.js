@@ -163,8 +163,11 @@ export async function setPrimaryPhotoSecure(photoId, productId) {
 
 /**
  * Elimina una foto prodotto
+ * @param {string|object} photo - ID della foto oppure la foto
  */
-export async function deleteProductPhotoSecure(photoId) {
+export async function deleteProductPhotoSecure(photo) {
+  const photoId = photo && typeof photo === 'object' ? photo.id : photo
+
   try {
     const response = await fetch(`${API_BASE_URL}/api/photo-actions`, {
       method: 'POST',
@@ -0,0 +1,101 @@
+// Valorizzazione del magazzino a costo, ingrosso e dettaglio
+
+export const PRICE_BASES = {
+  cost: { label: 'Costo', column: 'initial_price' },
+  wholesale: { label: 'Ingrosso', column: 'wholesale_price' },
+  retail: { label: 'Dettaglio', column: 'selling_price' }
+}
+
+// Raggruppamenti disponibili: chiave -> colonna FK e relazione con il nome
+export const VALUATION_GROUPS = {
+  line: { label: 'Linea', key: 'line_id', relation: 'lines' },
+  model: { label: 'Modello', key: 'model_id', relation: 'models' },
+  composition: { label: 'Composizione', key: 'composition_id', relation: 'compositions' }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const emptyTotals = () => ({ quantity: 0, products: 0, cost: 0, wholesale: 0, retail: 0 })
+
+const addProduct = (totals, product, quantity) => {
+  totals.quantity += quantity
+  totals.products += 1
+  for (const [basis, { column }] of Object.entries(PRICE_BASES)) {
+    totals[basis] += (parseFloat(product[column]) || 0) * quantity
+  }
+}
+
+const roundTotals = (totals) => ({
+  ...totals,
+  cost: round2(totals.cost),
+  wholesale: round2(totals.wholesale),
+  retail: round2(totals.retail)
+})
+
+/**
+ * Calcola il valore del magazzino
+ * @param {object[]} products - Prodotti con prezzi, FK e relazioni lines/models/compositions
+ * @param {object} [stockByProduct] - Giacenze da usare al posto di quantity_stock (id -> quantità)
+ * @returns {{totals: object, byLine: object[], byModel: object[], byComposition: object[]}}
+ */
+export function computeValuation(products, stockByProduct = null) {
+  const totals = emptyTotals()
+  const groups = Object.fromEntries(Object.keys(VALUATION_GROUPS).map(group => [group, new Map()]))
+
+  for (const product of products) {
+    const quantity = stockByProduct
+      ? (stockByProduct[product.id] ?? 0)
+      : (product.quantity_stock || 0)
+
+    // Giacenze negative o nulle non hanno valore
+    if (quantity <= 0) continue
+
+    addProduct(totals, product, quantity)
+
+    for (const [group, { key, relation }] of Object.entries(VALUATION_GROUPS)) {
+      const id = product[key] ?? null
+      if (!groups[group].has(id)) {
+        groups[group].set(id, { id, name: product[relation]?.name || 'Non assegnato', ...emptyTotals() })
+      }
+      addProduct(groups[group].get(id), product, quantity)
+    }
+  }
+
+  const sortedGroup = (group) => Array.from(groups[group].values())
+    .map(roundTotals)
+    .sort((a, b) => b.cost - a.cost)
+
+  return {
+    totals: roundTotals(totals),
+    byLine: sortedGroup('line'),
+    byModel: sortedGroup('model'),
+    byComposition: sortedGroup('composition')
+  }
+}
+
+/**
+ * Ricostruisce le giacenze a una data passata partendo da quelle attuali
+ * e stornando i movimenti registrati dopo quella data
+ * @param {object[]} products - Prodotti con quantity_stock e created_at
+ * @param {object[]} laterMovements - Movimenti successivi alla data (product_id, quantity)
+ * @param {Date|string} asOf - Data di riferimento
+ * @returns {object} Mappa id prodotto -> giacenza alla data
+ */
+export function stockAsOf(products, laterMovements, asOf) {
+  const asOfTime = new Date(asOf).getTime()
+  const stock = {}
+
+  for (const product of products) {
+    // Prodotti creati dopo la data non esistevano ancora
+    if (product.created_at && new Date(product.created_at).getTime() > asOfTime) continue
+    stock[product.id] = product.quantity_stock || 0
+  }
+
+  for (const movement of laterMovements) {
+    if (movement.product_id in stock) {
+      stock[movement.product_id] -= movement.quantity
+    }
+  }
+
+  return stock
+}
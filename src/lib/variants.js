@@ -0,0 +1,44 @@
+// Matrice varianti taglia × colore di un modello
+// Una variante è un prodotto con stesso modello e articolo, identificata da taglia e colore.
+
+export const variantKey = (sizeId, colorId) => `${sizeId ?? ''}|${colorId ?? ''}`
+
+/**
+ * Celle della matrice per le taglie e i colori selezionati
+ * @param {string[]} sizeIds - Taglie selezionate, nell'ordine delle colonne
+ * @param {string[]} colorIds - Colori selezionati, nell'ordine delle righe
+ * @param {object[]} existing - Varianti già presenti (prodotti con size_id e color_id)
+ * @returns {Map<string, {sizeId: string, colorId: string, product: object|null}>} Chiave variantKey -> cella
+ */
+export function buildVariantMatrix(sizeIds, colorIds, existing = []) {
+  const byKey = new Map(existing.map(product => [variantKey(product.size_id, product.color_id), product]))
+  const matrix = new Map()
+
+  for (const colorId of colorIds) {
+    for (const sizeId of sizeIds) {
+      const key = variantKey(sizeId, colorId)
+      matrix.set(key, { sizeId, colorId, product: byKey.get(key) || null })
+    }
+  }
+  return matrix
+}
+
+/**
+ * Totali per riga (colore), colonna (taglia) e complessivo di una griglia di quantità
+ * @param {Map} matrix - Risultato di buildVariantMatrix
+ * @param {object} quantities - Chiave variantKey -> quantità
+ * @returns {{bySize: object, byColor: object, total: number}}
+ */
+export function variantTotals(matrix, quantities) {
+  const bySize = {}
+  const byColor = {}
+  let total = 0
+
+  for (const [key, { sizeId, colorId }] of matrix) {
+    const quantity = parseInt(quantities[key], 10) || 0
+    bySize[sizeId] = (bySize[sizeId] || 0) + quantity
+    byColor[colorId] = (byColor[colorId] || 0) + quantity
+    total += quantity
+  }
+  return { bySize, byColor, total }
+}
@@ -0,0 +1,164 @@
+// Archivi ZIP senza compressione (metodo "store"), per browser e Node.
+// Le foto sono già JPEG/PNG compressi: comprimerle di nuovo non riduce il peso.
+// Legge solo archivi "store", come quelli prodotti da createZip().
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Data e ora in formato MS-DOS
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Crea un archivio ZIP
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries - File da inserire (le stringhe vengono salvate in UTF-8)
+ * @param {Date} [modified] - Data di modifica dei file
+ * @returns {Uint8Array}
+ */
+export function createZip(entries, modified = new Date()) {
+  const { time, date } = dosDateTime(modified)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = textEncoder.encode(entry.name)
+    const data = typeof entry.data === 'string' ? textEncoder.encode(entry.data) : entry.data
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true) // nomi in UTF-8
+    local.setUint16(8, 0, true) // store
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    localParts.push(new Uint8Array(local.buffer), name, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+    centralParts.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, entries.length, true)
+  end.setUint16(10, entries.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  for (const part of parts) {
+    result.set(part, position)
+    position += part.length
+  }
+  return result
+}
+
+/**
+ * Legge un archivio ZIP creato da createZip()
+ * @param {Uint8Array|ArrayBuffer} input - Contenuto dell'archivio
+ * @returns {Map<string, Uint8Array>} Nome file -> contenuto
+ * @throws {Error} Se il file non è uno ZIP valido o usa la compressione
+ */
+export function readZip(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  // Fine della directory centrale (eventuale commento in coda)
+  let endOffset = -1
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Archivio ZIP non valido')
+  }
+
+  const count = view.getUint16(endOffset + 10, true)
+  let pointer = view.getUint32(endOffset + 16, true)
+  const files = new Map()
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) {
+      throw new Error('Archivio ZIP danneggiato')
+    }
+
+    const method = view.getUint16(pointer + 10, true)
+    const crc = view.getUint32(pointer + 16, true)
+    const size = view.getUint32(pointer + 20, true)
+    const nameLength = view.getUint16(pointer + 28, true)
+    const extraLength = view.getUint16(pointer + 30, true)
+    const commentLength = view.getUint16(pointer + 32, true)
+    const localOffset = view.getUint32(pointer + 42, true)
+    const name = textDecoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength))
+
+    if (method !== 0) {
+      throw new Error(`File compresso non supportato nell'archivio: ${name}`)
+    }
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const data = bytes.slice(dataStart, dataStart + size)
+    if (crc32(data) !== crc) {
+      throw new Error(`File danneggiato nell'archivio: ${name}`)
+    }
+
+    files.set(name, data)
+    pointer += 46 + nameLength + extraLength + commentLength
+  }
+
+  return files
+}
+
+/**
+ * Contenuto di un file dell'archivio come testo UTF-8
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+export const zipEntryText = (data) => textDecoder.decode(data)
@@ -0,0 +1,144 @@
+// Etichette per stampanti termiche compatibili Zebra (linguaggio ZPL II).
+// I codici a barre li disegna la stampante (^BC Code 128, ^BE EAN-13, ^BQ QR):
+// qui si calcolano solo posizione e dimensioni.
+// Import con estensione: il modulo è usato anche dall'API Node.
+
+import { BARCODE_FORMATS, encodeCode128, normalizeEan13 } from './barcodes.js'
+import { LABEL_FIELDS, labelTexts } from './labels.js'
+import { encodeQr } from './qrcode.js'
+
+export const THERMAL_LABEL_SETTING_KEY = 'thermal_label'
+
+export const ZPL_TEMPLATES = [
+  { id: '50x30', name: '50 × 30 mm', widthMm: 50, heightMm: 30 },
+  { id: '60x40', name: '60 × 40 mm', widthMm: 60, heightMm: 40 },
+  { id: '100x50', name: '100 × 50 mm', widthMm: 100, heightMm: 50 }
+]
+
+// Risoluzione della testina: punti per millimetro
+export const PRINTER_RESOLUTIONS = {
+  203: 8,
+  300: 12
+}
+
+export const DEFAULT_THERMAL_LABEL = {
+  template: '50x30',
+  dpi: 203,
+  format: 'code128'
+}
+
+const MARGIN_MM = 2
+// Modulo più stretto e più largo dei codici lineari, in punti
+const MIN_MODULE_DOTS = 1
+const MAX_MODULE_DOTS = 4
+
+/**
+ * Completa le impostazioni salvate con i valori di default
+ * @param {object} [settings]
+ * @returns {{template: string, dpi: number, format: string}}
+ */
+export function resolveThermalLabel(settings) {
+  const resolved = { ...DEFAULT_THERMAL_LABEL, ...(settings || {}) }
+  if (!ZPL_TEMPLATES.some(template => template.id === resolved.template)) resolved.template = DEFAULT_THERMAL_LABEL.template
+  if (!PRINTER_RESOLUTIONS[resolved.dpi]) resolved.dpi = DEFAULT_THERMAL_LABEL.dpi
+  if (!BARCODE_FORMATS[resolved.format]) resolved.format = DEFAULT_THERMAL_LABEL.format
+  resolved.dpi = Number(resolved.dpi)
+  return resolved
+}
+
+// Testo di un campo ^FD: ^ e ~ sono comandi, quindi si scrivono in esadecimale con ^FH
+const escapeText = (text) => String(text).replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`)
+const fieldData = (text) => `^FH^FD${escapeText(text)}^FS`
+
+// Testo su una riga, tagliato alla larghezza del blocco
+const textField = (x, y, width, height, text, align = 'L') => (
+  `^FO${x},${y}^A0N,${height},${height}^FB${width},1,0,${align}${fieldData(text)}`
+)
+
+// Codice a barre disegnato dalla stampante; ripiega sul Code 128 se lo SKU non è un EAN-13
+function barcodeFields(sku, format, { x, y, width, height, dots }) {
+  if (format === 'qr') {
+    const { size } = encodeQr(sku)
+    const magnification = Math.max(1, Math.min(10, Math.floor(height / size)))
+    const textX = x + size * magnification + dots * MARGIN_MM
+    return [
+      // ^BQ aggiunge un margine superiore di circa 10 punti, ^FD vuole "livello + modalità," prima dei dati
+      `^FO${x},${y - 10}^BQN,2,${magnification}${fieldData(`MA,${sku}`)}`,
+      textField(textX, y + Math.floor(height / 2) - dots * 2, Math.max(0, x + width - textX), dots * 3, sku)
+    ]
+  }
+
+  // Spazio sotto le barre per la riga leggibile stampata dalla stampante
+  const barHeight = Math.max(dots * 4, height - dots * 3)
+  const ean = format === 'ean13' ? normalizeEan13(sku) : null
+  if (ean) {
+    // ^BE vuole le prime 12 cifre e calcola da sé quella di controllo
+    const moduleDots = Math.max(MIN_MODULE_DOTS, Math.min(MAX_MODULE_DOTS, Math.floor(width / 113)))
+    const left = x + Math.max(0, Math.floor((width - 113 * moduleDots) / 2))
+    return [`^FO${left},${y}^BY${moduleDots}^BEN,${barHeight},Y,N^FD${ean.slice(0, 12)}^FS`]
+  }
+
+  const modules = encodeCode128(sku).length
+  const moduleDots = Math.max(MIN_MODULE_DOTS, Math.min(MAX_MODULE_DOTS, Math.floor(width / modules)))
+  const left = x + Math.max(0, Math.floor((width - modules * moduleDots) / 2))
+  return [`^FO${left},${y}^BY${moduleDots}^BCN,${barHeight},Y,N,N,A${fieldData(sku)}`]
+}
+
+/**
+ * Etichetta ZPL di un prodotto: articolo, taglia/colore, prezzo e codice dello SKU
+ * @param {object} product - Prodotto con sku, article/description, selling_price, sizes, colors
+ * @param {object} settings - Impostazioni risolte (resolveThermalLabel)
+ * @param {number} [copies] - Copie da stampare (^PQ)
+ * @returns {string}
+ * @throws {Error} Se lo SKU non è codificabile
+ */
+export function buildZplLabel(product, settings, copies = 1) {
+  const template = ZPL_TEMPLATES.find(value => value.id === settings.template)
+  const dots = PRINTER_RESOLUTIONS[settings.dpi]
+  const width = Math.round(template.widthMm * dots)
+  const height = Math.round(template.heightMm * dots)
+  const margin = MARGIN_MM * dots
+  const inner = width - 2 * margin
+  const texts = labelTexts(product, Object.keys(LABEL_FIELDS))
+
+  const titleHeight = Math.round(3.5 * dots)
+  const rowHeight = Math.round(3 * dots)
+  const priceHeight = Math.round(4.5 * dots)
+  const rowY = margin + titleHeight + dots
+  const barcodeY = rowY + priceHeight + dots
+
+  const fields = []
+  if (texts.article) fields.push(textField(margin, margin, inner, titleHeight, texts.article))
+  if (texts.variant) fields.push(textField(margin, rowY + priceHeight - rowHeight, Math.floor(inner / 2), rowHeight, texts.variant))
+  if (texts.price) fields.push(textField(margin + Math.floor(inner / 2), rowY, Math.ceil(inner / 2), priceHeight, texts.price, 'R'))
+  fields.push(...barcodeFields(String(product.sku), settings.format, {
+    x: margin,
+    y: barcodeY,
+    width: inner,
+    height: height - margin - barcodeY,
+    dots
+  }))
+
+  return [
+    '^XA',
+    // Testi in UTF-8 (accenti, simbolo dell'euro)
+    '^CI28',
+    `^PW${width}`,
+    `^LL${height}`,
+    '^LH0,0',
+    ...fields,
+    `^PQ${Math.max(1, parseInt(copies, 10) || 1)}`,
+    '^XZ'
+  ].join('\n')
+}
+
+/**
+ * Un lavoro di stampa con le etichette di più prodotti
+ * @param {Array<{product: object, copies: number}>} items - Prodotti con numero di copie (0 = saltato)
+ * @param {object} settings - Impostazioni risolte (resolveThermalLabel)
+ * @returns {string}
+ */
+export const buildZplJob = (items, settings) => items
+  .filter(item => (parseInt(item.copies, 10) || 0) > 0)
+  .map(item => buildZplLabel(item.product, settings, item.copies))
+  .join('\n')
@@ -0,0 +1,344 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  ArrowUpTrayIcon,
+  CircleStackIcon,
+  ExclamationTriangleIcon,
+  ServerStackIcon
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { LOOKUP_TABLES } from '../lib/lookups'
+import { downloadServerBackup, listServerBackups, runServerBackup } from '../lib/serverBackups'
+import { downloadBlob } from '../lib/chartExport'
+
+const TABLE_LABELS = {
+  ...Object.fromEntries(Object.entries(LOOKUP_TABLES).map(([table, { label }]) => [table, label])),
+  products: 'Prodotti',
+  product_photos: 'Foto',
+  stock_movements: 'Movimenti',
+  product_audit_log: 'Cronologia',
+  sales: 'Vendite',
+  sale_lines: 'Righe vendita',
+  suppliers: 'Fornitori',
+  purchase_orders: 'Ordini fornitore',
+  purchase_order_lines: 'Righe ordine',
+  purchase_receipts: 'Ricevimenti',
+  warehouses: 'Magazzini',
+  locations: 'Ubicazioni',
+  location_stock: 'Giacenze per ubicazione',
+  stock_transfers: 'Trasferimenti',
+  stock_transfer_lines: 'Righe trasferimento',
+  inventory_counts: 'Inventari',
+  inventory_count_lines: 'Righe inventario',
+  sku_counter: 'Contatore SKU',
+  sku_reservations: 'Prenotazioni SKU',
+  app_settings: 'Impostazioni'
+}
+
+const formatDate = (value) => format(new Date(value), 'dd/MM/yyyy HH:mm', { locale: it })
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${Math.ceil(bytes / 1024)} KB`)
+
+// Conteggi del report di ripristino, senza le tabelle a zero
+const reportEntries = (counts) => Object.entries(counts).filter(([, value]) => value > 0)
+
+/**
+ * 💾 Backup - Pagina "Backup" (/backup)
+ *
+ * Funzionalità:
+ * - Backup completo con un clic (tabelle + foto opzionali) in un archivio .zip versionato
+ * - Ripristino con validazione dell'archivio e rimappatura degli ID
+ * - Elenco dei backup pianificati salvati dal server Express
+ */
+const Backup = () => {
+  const [includePhotos, setIncludePhotos] = useState(false)
+  const [creating, setCreating] = useState(false)
+  const [backup, setBackup] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [overwriteExisting, setOverwriteExisting] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [report, setReport] = useState(null)
+  const [serverBackups, setServerBackups] = useState(null)
+  const [serverError, setServerError] = useState(null)
+  const [runningServer, setRunningServer] = useState(false)
+
+  const loadServerBackups = async () => {
+    const { data, error } = await listServerBackups()
+    setServerBackups(data)
+    setServerError(error?.message || null)
+  }
+
+  useEffect(() => {
+    loadServerBackups()
+  }, [])
+
+  const handleCreate = async () => {
+    setCreating(true)
+    const { data, error } = await db.createBackup({ includePhotos })
+    setCreating(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nella creazione del backup')
+      return
+    }
+
+    const url = URL.createObjectURL(new Blob([data.archive], { type: 'application/zip' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `backup_magazzino_${format(new Date(data.manifest.created_at), 'yyyy-MM-dd_HHmm')}.zip`
+    link.click()
+    URL.revokeObjectURL(url)
+
+    const missing = data.manifest.photos.missing.length
+    toast.success(`Backup creato: ${data.manifest.tables.products} prodotti`)
+    if (missing > 0) {
+      toast.error(`${missing} foto non scaricate: il backup contiene solo i loro dati`)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setReport(null)
+    const { data, error } = await db.readBackupFile(file)
+    if (error) {
+      toast.error(error.message)
+      return
+    }
+    setFileName(file.name)
+    setBackup(data)
+  }
+
+  const handleRestore = async () => {
+    const message = overwriteExisting
+      ? 'I prodotti e le impostazioni già presenti verranno sovrascritti con quelli del backup. Continuare?'
+      : 'I dati del backup verranno aggiunti a quelli presenti. Continuare?'
+    if (!window.confirm(message)) return
+
+    setRestoring(true)
+    const { data, error } = await db.restoreBackup(backup, { overwriteExisting })
+    setRestoring(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore durante il ripristino')
+      return
+    }
+    toast.success('Ripristino completato')
+    setReport(data)
+    setBackup(null)
+  }
+
+  const handleServerBackup = async () => {
+    setRunningServer(true)
+    const { data, error } = await runServerBackup(includePhotos)
+    setRunningServer(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nel backup sul server')
+      return
+    }
+    toast.success(`Backup ${data.file} salvato sul server`)
+    loadServerBackups()
+  }
+
+  const handleServerDownload = async (file) => {
+    const { data, error } = await downloadServerBackup(file)
+    if (error) {
+      toast.error(error.message || 'Errore nel download del backup')
+      return
+    }
+    downloadBlob(data, file)
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <CircleStackIcon className="h-7 w-7 mr-2" />
+        Backup
+      </h1>
+
+      <div className="card space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Crea backup</h3>
+        <p className="text-sm text-gray-500">
+          Prodotti, colori, linee, taglie, composizioni, modelli, movimenti, cronologia, vendite, ordini fornitore,
+          magazzini e ubicazioni, contatore SKU, impostazioni e dati delle foto in un unico archivio .zip.
+        </p>
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={includePhotos}
+            onChange={(e) => setIncludePhotos(e.target.checked)}
+            className="mr-2"
+          />
+          Includi i file delle foto (archivio più pesante)
+        </label>
+        <div>
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={creating}
+            className="btn-primary inline-flex items-center disabled:opacity-50"
+          >
+            {creating ? (
+              <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            )}
+            Scarica backup
+          </button>
+        </div>
+      </div>
+
+      <div className="card space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Ripristina</h3>
+        <p className="text-sm text-gray-500">
+          Funziona su un database vuoto o già in uso: colori, linee e gli altri valori si abbinano per nome,
+          i prodotti per SKU. Foto, movimenti e cronologia vengono ripristinati solo per i prodotti non presenti.
+        </p>
+
+        <label className="btn-secondary inline-flex items-center cursor-pointer">
+          <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+          Scegli file di backup
+          <input type="file" accept=".zip" className="hidden" onChange={handleFile} />
+        </label>
+
+        {backup && (
+          <div className="space-y-3 border-t border-gray-100 pt-4">
+            <p className="text-sm text-gray-700">
+              <span className="font-medium">{fileName}</span>
+              {backup.manifest?.created_at && ` · creato il ${formatDate(backup.manifest.created_at)}`}
+              {backup.manifest?.photos?.included && ` · ${backup.manifest.photos.count} foto`}
+            </p>
+
+            {backup.errors.length > 0 && (
+              <div className="rounded-lg bg-red-50 p-3 text-sm text-red-700">
+                <p className="font-medium flex items-center">
+                  <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                  Il backup non può essere ripristinato
+                </p>
+                <ul className="mt-1 list-disc list-inside">
+                  {backup.errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {backup.warnings.length > 0 && (
+              <ul className="rounded-lg bg-yellow-50 p-3 text-sm text-yellow-800 list-disc list-inside">
+                {backup.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+
+            {backup.errors.length === 0 && (
+              <>
+                <ul className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+                  {Object.entries(backup.tables).map(([table, rows]) => (
+                    <li key={table} className="rounded bg-gray-50 px-3 py-2">
+                      <span className="text-gray-500">{TABLE_LABELS[table]}:</span> {rows.length}
+                    </li>
+                  ))}
+                </ul>
+
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={overwriteExisting}
+                    onChange={(e) => setOverwriteExisting(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Sovrascrivi prodotti e impostazioni già presenti
+                </label>
+
+                <div>
+                  <button
+                    type="button"
+                    onClick={handleRestore}
+                    disabled={restoring}
+                    className="btn-primary inline-flex items-center disabled:opacity-50"
+                  >
+                    {restoring && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+                    Ripristina backup
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {report && (
+          <div className="space-y-2 border-t border-gray-100 pt-4 text-sm">
+            {[['inserted', 'Aggiunti'], ['updated', 'Aggiornati'], ['skipped', 'Già presenti']].map(([kind, label]) => (
+              reportEntries(report[kind]).length > 0 && (
+                <p key={kind}>
+                  <span className="font-medium text-gray-700">{label}:</span>{' '}
+                  {reportEntries(report[kind]).map(([table, value]) => `${TABLE_LABELS[table]} ${value}`).join(', ')}
+                </p>
+              )
+            ))}
+            {report.warnings.length > 0 && (
+              <ul className="text-yellow-800 list-disc list-inside">
+                {report.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <ServerStackIcon className="h-5 w-5 mr-2" />
+            Backup pianificati sul server
+          </h3>
+          <button
+            type="button"
+            onClick={handleServerBackup}
+            disabled={runningServer || Boolean(serverError)}
+            className="btn-secondary inline-flex items-center disabled:opacity-50"
+          >
+            {runningServer && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+            Esegui ora
+          </button>
+        </div>
+
+        {serverError ? (
+          <p className="text-sm text-gray-500">
+            {serverError}. I backup pianificati richiedono il server Express con BACKUP_INTERVAL_HOURS impostato.
+          </p>
+        ) : serverBackups === null ? (
+          <p className="text-sm text-gray-500">Caricamento...</p>
+        ) : serverBackups.length === 0 ? (
+          <p className="text-sm text-gray-500">Nessun backup salvato sul server.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {serverBackups.map(item => (
+              <li key={item.file} className="flex items-center justify-between py-2">
+                <span>
+                  {formatDate(item.created_at)}
+                  <span className="text-gray-500 ml-2">{formatSize(item.size)}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleServerDownload(item.file)}
+                  className="text-blu-primary hover:text-blu-dark inline-flex items-center"
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                  Scarica
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Backup
@@ -0,0 +1,182 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { ArrowDownTrayIcon, ArrowPathIcon, DocumentArrowDownIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { LOOKUP_TABLES } from '../lib/lookups'
+import { DEFAULT_EXPORT_COLUMNS, EXPORT_COLUMNS, buildExportWorkbook, downloadWorkbook } from '../lib/excelExport'
+
+// Filtri di db.getProducts letti e scritti nella query string (/export?line_id=...&low_stock=1)
+const FILTER_KEYS = ['search', 'line_id', 'color_id', 'size_id', 'composition_id', 'model_id', 'low_stock']
+
+const LOOKUP_FILTERS = Object.entries(LOOKUP_TABLES).map(([table, { singular, foreignKey }]) => ({ table, singular, foreignKey }))
+
+/**
+ * 📤 ExportProducts - Pagina "Esporta Excel" (/export)
+ *
+ * Esporta i prodotti che rispettano i filtri dell'elenco: l'elenco prodotti
+ * apre questa pagina con i propri filtri nella query string.
+ */
+const ExportProducts = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [lookups, setLookups] = useState({})
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS)
+  const [count, setCount] = useState(null)
+  const [exporting, setExporting] = useState(false)
+
+  // Stesso oggetto finché la query string non cambia
+  const filters = useMemo(() => Object.fromEntries(
+    FILTER_KEYS.filter(key => searchParams.get(key)).map(key => [key, searchParams.get(key)])
+  ), [searchParams])
+
+  useEffect(() => {
+    const load = async () => {
+      const [colors, lines, sizes, compositions, models] = await Promise.all([
+        db.getColors(),
+        db.getLines(),
+        db.getSizes(),
+        db.getCompositions(),
+        db.getModels()
+      ])
+      setLookups({
+        colors: colors.data || [],
+        lines: lines.data || [],
+        sizes: sizes.data || [],
+        compositions: compositions.data || [],
+        models: models.data || []
+      })
+    }
+
+    load()
+  }, [])
+
+  // Numero di prodotti che verranno esportati
+  useEffect(() => {
+    const loadCount = async () => {
+      setCount(null)
+      const { count: total } = await db.getProducts(filters, { page: 1, pageSize: 1 })
+      setCount(total ?? 0)
+    }
+
+    loadCount()
+  }, [filters])
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams)
+    if (value) next.set(key, value)
+    else next.delete(key)
+    setSearchParams(next, { replace: true })
+  }
+
+  const toggleColumn = (key) => {
+    // Mantiene l'ordine di EXPORT_COLUMNS
+    const selected = columns.includes(key) ? columns.filter(column => column !== key) : [...columns, key]
+    setColumns(Object.keys(EXPORT_COLUMNS).filter(column => selected.includes(column)))
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    const { data, error } = await db.getProductsForExport(filters)
+    if (error) {
+      console.error('Errore esportazione:', error)
+      toast.error("Errore nel caricamento dei prodotti da esportare")
+      setExporting(false)
+      return
+    }
+
+    downloadWorkbook(buildExportWorkbook(data, columns), `prodotti_${format(new Date(), 'yyyy-MM-dd_HHmm')}.xlsx`)
+    toast.success(`${data.length} prodotti esportati`)
+    setExporting(false)
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <DocumentArrowDownIcon className="h-7 w-7 mr-2" />
+        Esporta Excel
+      </h1>
+
+      <div className="card space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Filtri</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ricerca</label>
+            <input
+              type="text"
+              value={filters.search || ''}
+              onChange={(e) => setFilter('search', e.target.value)}
+              placeholder="SKU, articolo, descrizione"
+              className="input-field"
+            />
+          </div>
+          {LOOKUP_FILTERS.map(({ table, singular, foreignKey }) => (
+            <div key={table}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{singular}</label>
+              <select
+                value={filters[foreignKey] || ''}
+                onChange={(e) => setFilter(foreignKey, e.target.value)}
+                className="input-field"
+              >
+                <option value="">Tutti</option>
+                {(lookups[table] || []).map(value => (
+                  <option key={value.id} value={value.id}>{value.name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <label className="inline-flex items-center text-sm text-gray-700 self-end pb-2">
+            <input
+              type="checkbox"
+              checked={Boolean(filters.low_stock)}
+              onChange={(e) => setFilter('low_stock', e.target.checked ? '1' : '')}
+              className="mr-2"
+            />
+            Solo sotto scorta
+          </label>
+        </div>
+      </div>
+
+      <div className="card space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Colonne</h3>
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-2">
+          {Object.entries(EXPORT_COLUMNS).map(([key, { label }]) => (
+            <label key={key} className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={columns.includes(key)}
+                onChange={() => toggleColumn(key)}
+                className="mr-2"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <p className="text-sm text-gray-500">
+          Il file contiene anche i fogli "Riepilogo linee" e "Sotto scorta".
+        </p>
+      </div>
+
+      <div className="flex items-center justify-end space-x-4">
+        <span className="text-sm text-gray-500">
+          {count === null ? 'Conteggio in corso...' : `${count} prodotti da esportare`}
+        </span>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={exporting || columns.length === 0 || count === 0}
+          className="btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          {exporting ? (
+            <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+          )}
+          Esporta
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ExportProducts
@@ -0,0 +1,323 @@
+import { useState } from 'react'
+import {
+  ArrowPathIcon,
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  DocumentArrowUpIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { LOOKUP_TABLES } from '../lib/lookups'
+import {
+  IMPORT_ACTIONS,
+  IMPORT_FIELDS,
+  buildImportPlan,
+  guessColumnMapping,
+  readSpreadsheet
+} from '../lib/excelImport'
+
+const STEPS = ['Carica file', 'Colonne', 'Simulazione', 'Risultato']
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blu-light text-blu-dark',
+  error: 'bg-red-100 text-red-700'
+}
+
+/**
+ * 📥 ImportWizard - Pagina "Importa Excel" (/import)
+ *
+ * Passi:
+ * 1. Caricamento .xlsx/.xls/.csv
+ * 2. Associazione colonne -> campi prodotto
+ * 3. Simulazione: lookup risolti, prezzi e quantità validati, report senza scritture
+ * 4. Importazione: nuovi prodotti creati, esistenti aggiornati per SKU
+ */
+const ImportWizard = () => {
+  const [step, setStep] = useState(0)
+  const [fileName, setFileName] = useState('')
+  const [sheet, setSheet] = useState({ headers: [], rows: [] })
+  const [mapping, setMapping] = useState({})
+  const [createMissingLookups, setCreateMissingLookups] = useState(false)
+  const [plan, setPlan] = useState(null)
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setBusy(true)
+    try {
+      const data = await readSpreadsheet(file)
+      if (data.rows.length === 0) {
+        toast.error('Il file non contiene righe da importare')
+      } else {
+        setFileName(file.name)
+        setSheet(data)
+        setMapping(guessColumnMapping(data.headers))
+        setStep(1)
+      }
+    } catch (error) {
+      console.error('Errore lettura file:', error)
+      toast.error(`File non leggibile: ${error.message}`)
+    }
+    setBusy(false)
+  }
+
+  const handleSimulate = async () => {
+    setBusy(true)
+    const skuHeader = mapping.sku
+    const skus = skuHeader ? sheet.rows.map(row => String(row[skuHeader] ?? '').trim()) : []
+
+    const [existing, ...lookupResults] = await Promise.all([
+      db.getProductsBySkus(skus),
+      db.getColors(),
+      db.getLines(),
+      db.getSizes(),
+      db.getCompositions(),
+      db.getModels()
+    ])
+
+    const failedLookup = lookupResults.find(lookup => lookup.error)
+    if (existing.error || failedLookup) {
+      toast.error('Errore nel caricamento dei dati esistenti')
+      setBusy(false)
+      return
+    }
+
+    const [colors, lines, sizes, compositions, models] = lookupResults.map(lookup => lookup.data)
+    setPlan(buildImportPlan(sheet.rows, mapping, {
+      lookups: { colors, lines, sizes, compositions, models },
+      existingBySku: existing.data,
+      createMissingLookups
+    }))
+    setStep(2)
+    setBusy(false)
+  }
+
+  const handleImport = async () => {
+    setBusy(true)
+    const { data, error } = await db.importProducts(plan)
+    setBusy(false)
+
+    if (error) {
+      toast.error(error.message || "Errore durante l'importazione")
+      return
+    }
+    toast.success(`${data.created} prodotti creati, ${data.updated} aggiornati`)
+    setResult(data)
+    setStep(3)
+  }
+
+  const handleRestart = () => {
+    setStep(0)
+    setFileName('')
+    setSheet({ headers: [], rows: [] })
+    setMapping({})
+    setPlan(null)
+    setResult(null)
+  }
+
+  const missingLookupCount = plan
+    ? Object.values(plan.missingLookups).reduce((sum, names) => sum + names.length, 0)
+    : 0
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <DocumentArrowUpIcon className="h-7 w-7 mr-2" />
+          Importa Excel
+        </h1>
+        <ol className="mt-3 flex flex-wrap gap-2 text-sm">
+          {STEPS.map((label, index) => (
+            <li
+              key={label}
+              className={`rounded-full px-3 py-1 ${index === step
+                ? 'bg-blu-primary text-white'
+                : index < step ? 'bg-blu-light text-blu-dark' : 'bg-gray-100 text-gray-500'}`}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {step === 0 && (
+        <div className="card text-center py-10">
+          <label className="btn-primary inline-flex items-center cursor-pointer">
+            {busy ? (
+              <ArrowPathIcon className="h-5 w-5 mr-2 animate-spin" />
+            ) : (
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+            )}
+            Scegli file .xlsx o .csv
+            <input
+              type="file"
+              accept=".xlsx,.xls,.csv"
+              className="hidden"
+              onChange={handleFile}
+              disabled={busy}
+            />
+          </label>
+          <p className="text-sm text-gray-500 mt-3">
+            La prima riga deve contenere le intestazioni delle colonne.
+          </p>
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="card space-y-4">
+          <p className="text-sm text-gray-500">
+            {fileName}: {sheet.rows.length} righe. I prodotti con uno SKU già presente vengono aggiornati, gli altri creati
+            (senza SKU ne viene generato uno).
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {Object.entries(IMPORT_FIELDS).map(([field, { label }]) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={(e) => setMapping({ ...mapping, [field]: e.target.value || undefined })}
+                  className="input-field"
+                >
+                  <option value="">— non importare —</option>
+                  {sheet.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={createMissingLookups}
+              onChange={(e) => setCreateMissingLookups(e.target.checked)}
+              className="mr-2"
+            />
+            Crea colori, linee, taglie, composizioni e modelli non ancora presenti
+          </label>
+
+          <div className="flex justify-between">
+            <button type="button" onClick={handleRestart} className="btn-secondary">
+              Indietro
+            </button>
+            <button
+              type="button"
+              onClick={handleSimulate}
+              disabled={busy || Object.values(mapping).filter(Boolean).length === 0}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {busy && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+              Simula importazione
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 2 && plan && (
+        <div className="card space-y-4">
+          <div className="grid grid-cols-3 gap-3 text-center">
+            {Object.entries(IMPORT_ACTIONS).map(([action, label]) => (
+              <div key={action} className={`rounded-lg p-3 ${ACTION_STYLES[action]}`}>
+                <div className="text-2xl font-bold">{plan.summary[action]}</div>
+                <div className="text-sm">{label}</div>
+              </div>
+            ))}
+          </div>
+
+          {missingLookupCount > 0 && (
+            <div className="text-sm text-gray-700">
+              <p className="font-medium">Valori da creare:</p>
+              <ul className="mt-1 list-disc list-inside text-gray-500">
+                {Object.entries(plan.missingLookups).map(([table, names]) => (
+                  <li key={table}>{LOOKUP_TABLES[table].label}: {names.join(', ')}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="max-h-[50vh] overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2 px-3">Riga</th>
+                  <th className="py-2 px-3">SKU</th>
+                  <th className="py-2 px-3">Articolo</th>
+                  <th className="py-2 px-3">Esito</th>
+                  <th className="py-2 px-3">Dettagli</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.rows.map(row => (
+                  <tr key={row.line} className="border-t border-gray-100">
+                    <td className="py-1 px-3 text-gray-500">{row.line}</td>
+                    <td className="py-1 px-3 font-mono">{row.sku || <span className="text-gray-400">da generare</span>}</td>
+                    <td className="py-1 px-3">{row.values.article || '—'}</td>
+                    <td className="py-1 px-3">
+                      <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${ACTION_STYLES[row.action]}`}>
+                        {IMPORT_ACTIONS[row.action]}
+                      </span>
+                    </td>
+                    <td className="py-1 px-3 text-red-600">{row.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button type="button" onClick={() => setStep(1)} className="btn-secondary">
+              Modifica colonne
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={busy || plan.summary.create + plan.summary.update === 0}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {busy && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+              Importa {plan.summary.create + plan.summary.update} prodotti
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 3 && result && (
+        <div className="card space-y-4">
+          <div className="flex items-center text-green-700">
+            <CheckCircleIcon className="h-6 w-6 mr-2" />
+            {result.created} prodotti creati, {result.updated} aggiornati
+          </div>
+
+          {result.failed.length > 0 && (
+            <div>
+              <div className="flex items-center text-red-600 text-sm font-medium">
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                {result.failed.length} righe non importate
+              </div>
+              <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                {result.failed.map(item => (
+                  <li key={`${item.line}-${item.sku}`}>
+                    Riga {item.line}{item.sku && ` (${item.sku})`}: {item.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <button type="button" onClick={handleRestart} className="btn-primary">
+            Nuova importazione
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportWizard
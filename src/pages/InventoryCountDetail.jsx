@@ -0,0 +1,412 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { ArrowLeftIcon, ArrowPathIcon, CheckIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { Link, useParams } from 'react-router-dom'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { isRealtimeAvailable, subscribeToTable } from '../lib/realtime'
+import { buildVarianceReport, countScopeLabel } from '../lib/inventoryCounts'
+import CountStatusBadge from '../components/CountStatusBadge'
+import ScanProductButton from '../components/ScanProductButton'
+
+const formatEuro = (value) => `€ ${Number(value || 0).toFixed(2)}`
+const formatDateTime = (value) => (value ? format(new Date(value), 'dd/MM/yyyy HH:mm', { locale: it }) : '-')
+const formatSigned = (value) => (value > 0 ? `+${value}` : String(value))
+
+const varianceClass = (value) => (value > 0 ? 'text-green-700' : value < 0 ? 'text-red-600' : 'text-gray-500')
+
+const productDescription = (product) => [product?.description || product?.article, product?.sizes?.name, product?.colors?.name]
+  .filter(Boolean).join(' · ')
+
+/**
+ * 📋 InventoryCountDetail - Sessione di conta (/inventory/:id)
+ *
+ * Funzionalità:
+ * - Conta scansionando le etichette (un pezzo per lettura) o scrivendo codice e quantità
+ * - Più operatori contano insieme: le quantità si sommano sul database e le righe
+ *   degli altri arrivano in tempo reale (con Supabase; altrimenti pulsante Aggiorna)
+ * - Report delle differenze tra giacenza attesa e contata, con l'impatto sul valore
+ *   a prezzo di costo e di vendita; le quantità contate si correggono dalla tabella
+ * - Approvazione: le differenze diventano movimenti di rettifica
+ */
+const InventoryCountDetail = () => {
+  const { id } = useParams()
+  const [count, setCount] = useState(null)
+  const [scopeProducts, setScopeProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [code, setCode] = useState('')
+  const [quantity, setQuantity] = useState(1)
+  const [drafts, setDrafts] = useState({})
+  const [onlyDifferences, setOnlyDifferences] = useState(false)
+  const [zeroUncounted, setZeroUncounted] = useState(false)
+  const [approving, setApproving] = useState(false)
+  const codeInputRef = useRef(null)
+
+  // withScope: rilegge anche i prodotti dell'ambito (non serve a ogni conta degli altri operatori)
+  const loadCount = useCallback(async (withScope = true) => {
+    const { data, error } = await db.getInventoryCount(id)
+    if (error) {
+      console.error('Errore caricamento inventario:', error)
+      toast.error('Inventario non trovato')
+      setLoading(false)
+      return
+    }
+    setCount(data)
+
+    if (withScope && data.status === 'aperto') {
+      const { data: products, error: scopeError } = await db.getInventoryScopeProducts(data)
+      if (scopeError) {
+        console.error('Errore caricamento articoli da contare:', scopeError)
+      }
+      setScopeProducts(products || [])
+    }
+    setLoading(false)
+  }, [id])
+
+  useEffect(() => {
+    loadCount()
+  }, [loadCount])
+
+  // 📡 Righe contate dagli altri operatori
+  useEffect(() => subscribeToTable('inventory_count_lines', () => loadCount(false), {
+    filter: `count_id=eq.${id}`
+  }), [id, loadCount])
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Caricamento...</p>
+  }
+  if (!count) {
+    return (
+      <Link to="/inventory" className="text-blu-primary hover:text-blu-dark inline-flex items-center">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Inventario
+      </Link>
+    )
+  }
+
+  const isOpen = count.status === 'aperto'
+  const report = buildVarianceReport(count, scopeProducts, { zeroUncounted })
+  const rows = onlyDifferences ? report.rows.filter(row => row.variance !== 0) : report.rows
+  const adjustments = report.rows.filter(row => row.variance !== null && row.variance !== 0).length
+
+  // Aggiorna subito la riga contata, senza aspettare il tempo reale
+  const record = async (product, value, mode) => {
+    const { data, error } = await db.recordInventoryCount(count.id, product.id, value, mode)
+    if (error) {
+      toast.error(error.message || 'Errore nella registrazione della conta')
+      return null
+    }
+    setCount(prev => {
+      const lines = prev.inventory_count_lines || []
+      const existing = lines.find(line => line.product_id === product.id)
+      const line = { ...data, products: existing?.products || product }
+      return {
+        ...prev,
+        inventory_count_lines: existing
+          ? lines.map(item => (item.product_id === product.id ? line : item))
+          : [...lines, line]
+      }
+    })
+    return data
+  }
+
+  const handleScan = async (product) => {
+    const line = await record(product, 1, 'add')
+    if (line) {
+      toast.success(`${product.sku}: ${line.counted_quantity} contati`, { id: 'inventory-scan' })
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const text = code.trim()
+    if (!text) return
+
+    const { data: product, error } = await db.findProductByCode(text)
+    if (error) {
+      toast.error(error.message || 'Errore nella ricerca del prodotto')
+      return
+    }
+    if (!product) {
+      toast.error(`Nessun articolo con codice ${text}`)
+      return
+    }
+
+    const line = await record(product, parseInt(quantity, 10), 'add')
+    if (line) {
+      toast.success(`${product.sku}: ${line.counted_quantity} contati`, { id: 'inventory-scan' })
+      setCode('')
+      setQuantity(1)
+      codeInputRef.current?.focus()
+    }
+  }
+
+  // Quantità corretta a mano nella tabella: sostituisce il totale contato
+  const handleSetCounted = async ({ product, counted }) => {
+    const draft = drafts[product.id]
+    if (draft === undefined) return
+
+    setDrafts(prev => {
+      const next = { ...prev }
+      delete next[product.id]
+      return next
+    })
+    if (draft === '' || Number(draft) === counted) return
+    await record(product, Number(draft), 'set')
+  }
+
+  const handleApprove = async () => {
+    const message = adjustments > 0
+      ? `Approvare l'inventario n. ${count.number}? Verranno registrate ${adjustments} rettifiche di giacenza.`
+      : `Approvare l'inventario n. ${count.number}? Non ci sono differenze da rettificare.`
+    if (!window.confirm(message)) return
+
+    setApproving(true)
+    const { error } = await db.approveInventoryCount(count.id, { zeroUncounted })
+    setApproving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nell\'approvazione dell\'inventario')
+      return
+    }
+    toast.success('Inventario approvato, giacenze rettificate')
+    loadCount()
+  }
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Annullare l'inventario n. ${count.number}? Le quantità contate non verranno registrate.`)) return
+
+    const { error } = await db.cancelInventoryCount(count.id)
+    if (error) {
+      toast.error(error.message || 'Errore nell\'annullamento dell\'inventario')
+      return
+    }
+    toast.success('Inventario annullato')
+    loadCount()
+  }
+
+  return (
+    <div className="space-y-6">
+      <Link to="/inventory" className="text-sm text-blu-primary hover:text-blu-dark inline-flex items-center">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Inventario
+      </Link>
+
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          Inventario n. {count.number}
+          <span className="ml-3"><CountStatusBadge status={count.status} /></span>
+        </h1>
+        {isOpen && (
+          <button type="button" onClick={handleCancel} className="btn-secondary text-red-600">
+            Annulla conta
+          </button>
+        )}
+      </div>
+
+      <div className="card grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <div className="text-gray-500">Ambito</div>
+          <div className="font-medium">{countScopeLabel(count)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Aperto il</div>
+          <div>{formatDateTime(count.created_at)}</div>
+          {count.operator && <div className="text-gray-500">{count.operator}</div>}
+        </div>
+        <div>
+          <div className="text-gray-500">Giacenza confrontata</div>
+          <div>{count.location_id ? 'Dell\'ubicazione' : 'Totale dell\'articolo'}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">{isOpen ? 'Stato' : 'Chiuso il'}</div>
+          {isOpen ? (
+            <div>In corso</div>
+          ) : (
+            <>
+              <div>{formatDateTime(count.closed_at)}</div>
+              {count.closed_by && <div className="text-gray-500">{count.closed_by}</div>}
+            </>
+          )}
+        </div>
+        {count.notes && (
+          <div className="col-span-2 sm:col-span-4 text-gray-700">{count.notes}</div>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="card space-y-3">
+          <form onSubmit={handleAdd} className="flex flex-wrap gap-2">
+            <input
+              ref={codeInputRef}
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Codice o SKU"
+              className="input-field flex-1 min-w-[10rem] font-mono"
+              autoFocus
+            />
+            <input
+              type="number"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              className="input-field w-20 text-right"
+              title="Pezzi da aggiungere (negativi per togliere)"
+            />
+            <button type="submit" className="btn-primary inline-flex items-center">
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Aggiungi
+            </button>
+            <ScanProductButton onProduct={handleScan} />
+          </form>
+          <div className="flex items-center justify-between text-sm text-gray-500">
+            <span>
+              Ogni lettura aggiunge un pezzo. Per correggere scrivi una quantità negativa o modifica il contato nella tabella.
+            </span>
+            {!isRealtimeAvailable && (
+              <button
+                type="button"
+                onClick={() => loadCount(false)}
+                className="text-blu-primary hover:text-blu-dark inline-flex items-center"
+                title="Rilegge le quantità contate dagli altri operatori"
+              >
+                <ArrowPathIcon className="h-4 w-4 mr-1" />
+                Aggiorna
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="card grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <div className="text-gray-500">Pezzi attesi / contati</div>
+          <div className="font-medium">{report.totals.expected} / {report.totals.counted}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Eccedenze / ammanchi</div>
+          <div className="font-medium">
+            <span className="text-green-700">+{report.totals.surplus}</span>
+            {' / '}
+            <span className="text-red-600">-{report.totals.shortage}</span>
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500">Impatto a costo</div>
+          <div className={`font-medium ${varianceClass(report.totals.cost)}`}>{formatEuro(report.totals.cost)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Impatto a prezzo di vendita</div>
+          <div className={`font-medium ${varianceClass(report.totals.retail)}`}>{formatEuro(report.totals.retail)}</div>
+        </div>
+        <div className="col-span-2 sm:col-span-4 text-gray-500">
+          {report.totals.products} articoli · {report.totals.matching} senza differenze
+          {report.totals.uncounted > 0 && ` · ${report.totals.uncounted} con giacenza ma non contati`}
+        </div>
+      </div>
+
+      <div className="card space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 className="text-lg font-medium text-gray-900">Differenze</h3>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(e) => setOnlyDifferences(e.target.checked)}
+              className="mr-2"
+            />
+            Solo articoli con differenze
+          </label>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {report.rows.length === 0 ? 'Nessun articolo contato.' : 'Nessuna differenza.'}
+          </p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">Articolo</th>
+                <th className="py-2 text-right">Attesi</th>
+                <th className="py-2 text-right">Contati</th>
+                <th className="py-2 text-right">Differenza</th>
+                <th className="py-2 text-right">A costo</th>
+                <th className="py-2 text-right">A vendita</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.product.id} className="border-t border-gray-100">
+                  <td className="py-2">
+                    <div className="font-mono">{row.product.sku}</div>
+                    <div className="text-gray-500">
+                      {productDescription(row.product)}
+                      {row.product.purged && ' (eliminato)'}
+                    </div>
+                  </td>
+                  <td className="py-2 text-right">{row.expected}</td>
+                  <td className="py-2 text-right">
+                    {isOpen && !row.product.purged ? (
+                      <input
+                        type="number"
+                        min="0"
+                        value={drafts[row.product.id] ?? row.counted ?? ''}
+                        placeholder="-"
+                        onChange={(e) => setDrafts({ ...drafts, [row.product.id]: e.target.value })}
+                        onBlur={() => handleSetCounted(row)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                        className="input-field w-20 text-right"
+                      />
+                    ) : row.counted}
+                  </td>
+                  {row.variance === null ? (
+                    <td colSpan={3} className="py-2 text-right text-gray-400">Non contato</td>
+                  ) : (
+                    <>
+                      <td className={`py-2 text-right font-medium ${varianceClass(row.variance)}`}>
+                        {formatSigned(row.variance)}
+                      </td>
+                      <td className={`py-2 text-right ${varianceClass(row.cost)}`}>{formatEuro(row.cost)}</td>
+                      <td className={`py-2 text-right ${varianceClass(row.retail)}`}>{formatEuro(row.retail)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {isOpen && (
+          <div className="flex flex-wrap items-center justify-between gap-3 border-t border-gray-100 pt-4">
+            <label className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={zeroUncounted}
+                onChange={(e) => setZeroUncounted(e.target.checked)}
+                className="mr-2"
+              />
+              Azzera gli articoli non contati
+            </label>
+            <button
+              type="button"
+              onClick={handleApprove}
+              disabled={approving || report.rows.length === 0}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {approving ? (
+                <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <CheckIcon className="h-4 w-4 mr-2" />
+              )}
+              Approva e rettifica giacenze
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default InventoryCountDetail
@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react'
+import { ArrowPathIcon, ClipboardDocumentCheckIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { Link, useNavigate } from 'react-router-dom'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { flattenLocations, locationLabel } from '../lib/locations'
+import { COUNT_STATUSES, countScopeLabel } from '../lib/inventoryCounts'
+import CountStatusBadge from '../components/CountStatusBadge'
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'dd/MM/yyyy HH:mm', { locale: it }) : '-')
+
+/**
+ * 📋 InventoryCounts - Pagina "Inventario" (/inventory)
+ *
+ * Funzionalità:
+ * - Elenco delle sessioni di conta filtrabile per stato
+ * - Nuova conta per un'ubicazione e/o una linea (nessuna delle due = tutto il magazzino)
+ * - La conta, il report delle differenze e l'approvazione si fanno dal dettaglio (/inventory/:id)
+ */
+const InventoryCounts = () => {
+  const navigate = useNavigate()
+  const [counts, setCounts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statusFilter, setStatusFilter] = useState('aperto')
+  const [locations, setLocations] = useState([])
+  const [lines, setLines] = useState([])
+  const [creating, setCreating] = useState(false)
+  const [locationId, setLocationId] = useState('')
+  const [lineId, setLineId] = useState('')
+  const [notes, setNotes] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    db.getWarehouses().then(({ data }) => setLocations(flattenLocations(data || [])))
+    db.getLines().then(({ data }) => setLines(data || []))
+  }, [])
+
+  useEffect(() => {
+    const loadCounts = async () => {
+      setLoading(true)
+      const { data, error } = await db.getInventoryCounts({ status: statusFilter || null })
+      if (error) {
+        console.error('Errore caricamento inventari:', error)
+        toast.error('Errore nel caricamento degli inventari')
+      } else {
+        setCounts(data || [])
+      }
+      setLoading(false)
+    }
+    loadCounts()
+  }, [statusFilter])
+
+  const resetForm = () => {
+    setCreating(false)
+    setLocationId('')
+    setLineId('')
+    setNotes('')
+  }
+
+  const handleCreate = async () => {
+    setSaving(true)
+    const { data, error } = await db.openInventoryCount({ locationId, lineId, notes })
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nell\'apertura dell\'inventario')
+      return
+    }
+    toast.success(`Inventario n. ${data.number} aperto`)
+    resetForm()
+    navigate(`/inventory/${data.id}`)
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ClipboardDocumentCheckIcon className="h-7 w-7 mr-2" />
+          Inventario
+        </h1>
+        {!creating && (
+          <button type="button" onClick={() => setCreating(true)} className="btn-primary inline-flex items-center">
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Nuova conta
+          </button>
+        )}
+      </div>
+
+      {creating && (
+        <div className="card space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">Nuova conta</h3>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ubicazione</label>
+              <select value={locationId} onChange={(e) => setLocationId(e.target.value)} className="input-field">
+                <option value="">Tutte le ubicazioni</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>{locationLabel(location)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Linea</label>
+              <select value={lineId} onChange={(e) => setLineId(e.target.value)} className="input-field">
+                <option value="">Tutte le linee</option>
+                {lines.map(line => (
+                  <option key={line.id} value={line.id}>{line.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+              <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} className="input-field" />
+            </div>
+          </div>
+
+          <p className="text-sm text-gray-500">
+            Con un'ubicazione si confronta la giacenza di quell'ubicazione, altrimenti la giacenza totale degli articoli.
+          </p>
+
+          <div className="space-x-2">
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={saving}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+              Apri conta
+            </button>
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Annulla
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card space-y-4">
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input-field w-auto">
+          <option value="">Tutti gli stati</option>
+          {Object.entries(COUNT_STATUSES).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Caricamento...</p>
+        ) : counts.length === 0 ? (
+          <p className="text-sm text-gray-500">Nessuna conta.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">N.</th>
+                <th className="py-2">Ambito</th>
+                <th className="py-2">Aperta il</th>
+                <th className="py-2 text-right">Articoli</th>
+                <th className="py-2 text-right">Pezzi contati</th>
+                <th className="py-2">Stato</th>
+              </tr>
+            </thead>
+            <tbody>
+              {counts.map(count => {
+                const countLines = count.inventory_count_lines || []
+                return (
+                  <tr
+                    key={count.id}
+                    onClick={() => navigate(`/inventory/${count.id}`)}
+                    className="border-t border-gray-100 cursor-pointer hover:bg-gray-50"
+                  >
+                    <td className="py-2 font-medium">{count.number}</td>
+                    <td className="py-2">
+                      {countScopeLabel(count)}
+                      {count.notes && <span className="ml-2 text-gray-500">{count.notes}</span>}
+                    </td>
+                    <td className="py-2">
+                      {formatDateTime(count.created_at)}
+                      {count.operator && <span className="text-gray-500"> · {count.operator}</span>}
+                    </td>
+                    <td className="py-2 text-right">{countLines.length}</td>
+                    <td className="py-2 text-right">
+                      {countLines.reduce((sum, line) => sum + (line.counted_quantity || 0), 0)}
+                    </td>
+                    <td className="py-2">
+                      <CountStatusBadge status={count.status} />
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {locations.length === 0 && (
+        <p className="text-sm text-gray-500">
+          Per contare un solo scaffale crea prima le ubicazioni dalla pagina <Link to="/warehouses" className="underline">Magazzini</Link>.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default InventoryCounts
@@ -0,0 +1,431 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowPathIcon,
+  MagnifyingGlassIcon,
+  PrinterIcon,
+  TagIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { useSearchParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { BARCODE_FORMATS } from '../lib/barcodes'
+import {
+  DEFAULT_LABEL_LAYOUT,
+  LABEL_FIELDS,
+  LABEL_SHEET_PRESETS,
+  buildLabelSheets,
+  labelBarcode,
+  labelSize,
+  resolveLabelLayout,
+  validateLabelLayout
+} from '../lib/labels'
+import { DEFAULT_THERMAL_LABEL, PRINTER_RESOLUTIONS, ZPL_TEMPLATES } from '../lib/zpl'
+import { getLabelPrinterStatus } from '../lib/labelPrinter'
+import LabelSheets from '../components/LabelSheets'
+import PrintLabelButton from '../components/PrintLabelButton'
+
+const SEARCH_LIMIT = 8
+
+const GRID_FIELDS = [
+  { key: 'columns', label: 'Colonne', step: 1 },
+  { key: 'rows', label: 'Righe', step: 1 },
+  { key: 'marginTop', label: 'Margine sup. (mm)', step: 0.1 },
+  { key: 'marginLeft', label: 'Margine sin. (mm)', step: 0.1 },
+  { key: 'gapX', label: 'Spazio orizz. (mm)', step: 0.1 },
+  { key: 'gapY', label: 'Spazio vert. (mm)', step: 0.1 }
+]
+
+const variantText = (product) => [product.sizes?.name, product.colors?.name].filter(Boolean).join(' · ')
+
+// Lo SKU non entra nel formato scelto e verrà stampato in Code 128
+const usesFallback = (product, format) => {
+  try {
+    return labelBarcode(product, format).fallback
+  } catch {
+    return true
+  }
+}
+
+/**
+ * 🏷️ Labels - Pagina "Etichette" (/labels)
+ *
+ * Funzionalità:
+ * - Etichette con SKU, articolo, taglia, colore e prezzo di vendita, con codice Code 128, EAN-13 o QR
+ * - Prodotti passati da elenco prodotti o varianti (?ids=id1,id2) o cercati qui
+ * - Fogli A4 con griglia configurabile (formati predefiniti, margini, spaziature) salvata come predefinita
+ * - Partenza da una posizione successiva per riusare fogli già in parte utilizzati
+ * - Stampa sulla stampante termica (ZPL) con modello, risoluzione e codice salvati
+ */
+const Labels = () => {
+  const [searchParams] = useSearchParams()
+  const [layout, setLayout] = useState(DEFAULT_LABEL_LAYOUT)
+  const [items, setItems] = useState([])
+  const [skip, setSkip] = useState(0)
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [thermal, setThermal] = useState(DEFAULT_THERMAL_LABEL)
+  const [printer, setPrinter] = useState(null)
+
+  useEffect(() => {
+    db.getLabelLayout().then(({ data }) => setLayout(data))
+    db.getThermalLabelSettings().then(({ data }) => setThermal(data))
+    getLabelPrinterStatus().then(({ data }) => setPrinter(data))
+  }, [])
+
+  // Prodotti selezionati altrove
+  useEffect(() => {
+    const ids = (searchParams.get('ids') || '').split(',').filter(Boolean)
+    if (ids.length === 0) return
+
+    const loadProducts = async () => {
+      const { data, error } = await db.getProducts({ ids }, { sortBy: 'sku', sortDir: 'asc' })
+      if (error) {
+        toast.error('Errore nel caricamento dei prodotti')
+        return
+      }
+      setItems((data || []).map(product => ({ product, copies: 1 })))
+    }
+    loadProducts()
+  }, [searchParams])
+
+  useEffect(() => {
+    const search = query.trim()
+    if (!search) {
+      setResults([])
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      const { data } = await db.getProducts({ search }, { page: 1, pageSize: SEARCH_LIMIT, sortBy: 'sku', sortDir: 'asc' })
+      setResults(data || [])
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  const addProduct = (product) => {
+    if (items.some(item => item.product.id === product.id)) {
+      toast.error(`${product.sku} è già nell'elenco`)
+      return
+    }
+    setItems([...items, { product, copies: 1 }])
+    setQuery('')
+    setResults([])
+  }
+
+  const updateCopies = (productId, copies) => {
+    setItems(items.map(item => (item.product.id === productId ? { ...item, copies } : item)))
+  }
+
+  const updateLayout = (changes) => setLayout({ ...layout, ...changes })
+
+  const toggleField = (field) => updateLayout({
+    fields: layout.fields.includes(field)
+      ? layout.fields.filter(value => value !== field)
+      : Object.keys(LABEL_FIELDS).filter(value => value === field || layout.fields.includes(value))
+  })
+
+  const handlePreset = (presetId) => {
+    const preset = LABEL_SHEET_PRESETS.find(value => value.id === presetId)
+    if (!preset) return
+    updateLayout(Object.fromEntries(GRID_FIELDS.map(({ key }) => [key, preset[key]])))
+  }
+
+  const handleSaveLayout = async () => {
+    setSaving(true)
+    const { error } = await db.updateLabelLayout(layout)
+    setSaving(false)
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio del formato')
+      return
+    }
+    toast.success('Formato etichette salvato')
+  }
+
+  // Il pulsante di stampa termica legge il modello salvato: si salva a ogni modifica
+  const updateThermal = async (changes) => {
+    const next = { ...thermal, ...changes }
+    setThermal(next)
+    const { error } = await db.updateThermalLabelSettings(next)
+    if (error) toast.error(error.message || 'Errore nel salvataggio del modello')
+  }
+
+  const validationError = validateLabelLayout(layout)
+  const resolved = resolveLabelLayout(layout)
+  const sheets = validationError ? [] : buildLabelSheets(items, resolved, Number(skip) || 0)
+  const { width, height } = labelSize(resolved)
+  const fallbackCount = layout.format === 'code128'
+    ? 0
+    : items.filter(item => usesFallback(item.product, layout.format)).length
+  const currentPreset = LABEL_SHEET_PRESETS.find(preset => (
+    GRID_FIELDS.every(({ key }) => Number(preset[key]) === Number(layout[key]))
+  ))
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <TagIcon className="h-7 w-7 mr-2" />
+          Etichette
+        </h1>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          disabled={sheets.length === 0}
+          className="btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          <PrinterIcon className="h-4 w-4 mr-2" />
+          Stampa {sheets.length > 0 && `(${sheets.length} ${sheets.length === 1 ? 'foglio' : 'fogli'})`}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">Prodotti</h3>
+
+          <div className="relative">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Aggiungi articolo per SKU o nome"
+              className="input-field pl-10"
+            />
+          </div>
+
+          {results.length > 0 && (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {results.map(product => (
+                <li key={product.id}>
+                  <button
+                    type="button"
+                    onClick={() => addProduct(product)}
+                    className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50"
+                  >
+                    <span className="font-mono">{product.sku}</span>
+                    <span className="ml-2 text-gray-700">{product.description || product.article}</span>
+                    <span className="ml-2 text-gray-400">{variantText(product)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {items.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Nessun prodotto: cercali qui sopra o selezionali dall'elenco prodotti o dalle varianti.
+            </p>
+          ) : (
+            <>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Articolo</th>
+                    <th className="py-2 text-right">Giacenza</th>
+                    <th className="py-2 text-right">Copie</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map(({ product, copies }) => (
+                    <tr key={product.id} className="border-t border-gray-100">
+                      <td className="py-2">
+                        <div className="font-mono">{product.sku}</div>
+                        <div className="text-gray-500">
+                          {[product.description || product.article, variantText(product)].filter(Boolean).join(' · ')}
+                        </div>
+                      </td>
+                      <td className="py-2 text-right">{product.quantity_stock || 0}</td>
+                      <td className="py-2 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          value={copies}
+                          onChange={(e) => updateCopies(product.id, e.target.value)}
+                          className="input-field w-20 text-right"
+                        />
+                      </td>
+                      <td className="py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setItems(items.filter(item => item.product.id !== product.id))}
+                          className="p-1 text-red-600 hover:bg-red-50 rounded"
+                          title="Rimuovi"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setItems(items.map(item => ({ ...item, copies: Math.max(0, item.product.quantity_stock || 0) })))}
+                  className="btn-secondary text-sm"
+                >
+                  Una per pezzo in giacenza
+                </button>
+                <button type="button" onClick={() => setItems([])} className="btn-secondary text-sm">
+                  Svuota
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="card space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">Formato</h3>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Foglio A4</label>
+              <select
+                value={currentPreset?.id || ''}
+                onChange={(e) => handlePreset(e.target.value)}
+                className="input-field"
+              >
+                <option value="">Personalizzato</option>
+                {LABEL_SHEET_PRESETS.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Codice</label>
+              <select
+                value={layout.format}
+                onChange={(e) => updateLayout({ format: e.target.value })}
+                className="input-field"
+              >
+                {Object.entries(BARCODE_FORMATS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            {GRID_FIELDS.map(({ key, label, step }) => (
+              <div key={key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={step}
+                  value={layout[key]}
+                  onChange={(e) => updateLayout({ [key]: e.target.value })}
+                  className="input-field"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Campi stampati</span>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {Object.entries(LABEL_FIELDS).map(([field, label]) => (
+                <label key={field} className="inline-flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={layout.fields.includes(field)}
+                    onChange={() => toggleField(field)}
+                    className="mr-2 rounded text-blu-primary focus:ring-blu-primary"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Etichette già usate sul primo foglio</label>
+              <input
+                type="number"
+                min="0"
+                max={resolved.columns * resolved.rows - 1}
+                value={skip}
+                onChange={(e) => setSkip(e.target.value)}
+                className="input-field"
+              />
+            </div>
+            <button
+              type="button"
+              onClick={handleSaveLayout}
+              disabled={saving || Boolean(validationError)}
+              className="btn-secondary inline-flex items-center justify-center disabled:opacity-50"
+            >
+              {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+              Salva come predefinito
+            </button>
+          </div>
+
+          {validationError ? (
+            <p className="text-sm text-red-600">{validationError}</p>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Etichetta {width.toFixed(1).replace('.', ',')} × {height.toFixed(1).replace('.', ',')} mm,
+              {' '}{resolved.columns * resolved.rows} per foglio. Stampa al 100% (senza adattamento alla pagina).
+            </p>
+          )}
+          {fallbackCount > 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+              {fallbackCount === 1 ? '1 prodotto ha' : `${fallbackCount} prodotti hanno`} uno SKU non codificabile
+              in {BARCODE_FORMATS[layout.format]}: verrà stampato in Code 128.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Stampante termica (ZPL)</h3>
+          <PrintLabelButton items={items} label="Stampa su stampante termica" />
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Modello</label>
+            <select value={thermal.template} onChange={(e) => updateThermal({ template: e.target.value })} className="input-field">
+              {ZPL_TEMPLATES.map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Risoluzione</label>
+            <select value={thermal.dpi} onChange={(e) => updateThermal({ dpi: Number(e.target.value) })} className="input-field">
+              {Object.keys(PRINTER_RESOLUTIONS).map(dpi => (
+                <option key={dpi} value={dpi}>{dpi} dpi</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Codice</label>
+            <select value={thermal.format} onChange={(e) => updateThermal({ format: e.target.value })} className="input-field">
+              {Object.entries(BARCODE_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="text-sm text-gray-500">
+          {printer?.configured
+            ? `Stampante ${printer.host}:${printer.port}. Sempre stampati: articolo, taglia e colore, prezzo e codice dello SKU.`
+            : 'Nessuna stampante configurata: imposta LABEL_PRINTER_HOST sul server Express.'}
+        </p>
+      </div>
+
+      {sheets.length > 0 && (
+        <div className="overflow-x-auto">
+          <LabelSheets sheets={sheets} layout={resolved} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Labels
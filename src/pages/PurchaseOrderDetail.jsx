@@ -0,0 +1,298 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ArrowLeftIcon, ArrowPathIcon, InboxArrowDownIcon, TagIcon } from '@heroicons/react/24/outline'
+import { Link, useParams } from 'react-router-dom'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { OPEN_ORDER_STATUSES, isOrderLate, lineRemaining, orderTotals } from '../lib/purchaseOrders'
+import OrderStatusBadge from '../components/OrderStatusBadge'
+import PrintLabelButton from '../components/PrintLabelButton'
+
+const formatEuro = (value) => `€ ${Number(value || 0).toFixed(2)}`
+const formatDay = (value) => (value ? format(new Date(value), 'dd/MM/yyyy', { locale: it }) : '-')
+
+// Quantità da ricevere proposte: tutto il residuo, al costo dell'ordine
+const receiptDraft = (order) => Object.fromEntries(order.purchase_order_lines.map(line => [
+  line.id,
+  { quantity: lineRemaining(line), unit_cost: line.unit_cost ?? '' }
+]))
+
+/**
+ * 📥 PurchaseOrderDetail - Dettaglio ordine fornitore (/purchase-orders/:id)
+ *
+ * Funzionalità:
+ * - Righe con ordinato, ricevuto e residuo per variante
+ * - Ricevimento merce anche parziale: carica la giacenza e aggiorna il prezzo
+ *   di costo del prodotto con il costo reale indicato
+ * - Storico delle consegne e annullamento degli ordini senza merce ricevuta
+ * - Etichette della merce appena ricevuta (stampante termica o fogli A4)
+ */
+const PurchaseOrderDetail = () => {
+  const { id } = useParams()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [draft, setDraft] = useState({})
+  const [note, setNote] = useState('')
+  const [receiving, setReceiving] = useState(false)
+  const [receivedLabels, setReceivedLabels] = useState([])
+
+  const loadOrder = useCallback(async () => {
+    const { data, error } = await db.getPurchaseOrder(id)
+    if (error) {
+      console.error('Errore caricamento ordine:', error)
+      toast.error('Ordine non trovato')
+    } else {
+      setOrder(data)
+      setDraft(receiptDraft(data))
+    }
+    setLoading(false)
+  }, [id])
+
+  useEffect(() => {
+    loadOrder()
+  }, [loadOrder])
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Caricamento...</p>
+  }
+  if (!order) {
+    return (
+      <Link to="/purchase-orders" className="text-blu-primary hover:text-blu-dark inline-flex items-center">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Ordini fornitore
+      </Link>
+    )
+  }
+
+  const lines = order.purchase_order_lines
+  const totals = orderTotals(lines)
+  const canReceive = OPEN_ORDER_STATUSES.includes(order.status)
+  const receivedPieces = Object.values(draft).reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 0), 0)
+  const receipts = [...(order.purchase_receipts || [])].sort((a, b) => b.created_at.localeCompare(a.created_at))
+
+  const updateDraft = (lineId, changes) => {
+    setDraft({ ...draft, [lineId]: { ...draft[lineId], ...changes } })
+  }
+
+  const handleReceive = async () => {
+    const overLine = lines.find(line => (parseInt(draft[line.id]?.quantity, 10) || 0) > lineRemaining(line))
+    if (overLine) {
+      toast.error(`${overLine.products?.sku}: residuo ${lineRemaining(overLine)} pezzi`)
+      return
+    }
+
+    setReceiving(true)
+    const { data, error } = await db.receivePurchaseOrder(
+      order.id,
+      lines.map(line => ({ line_id: line.id, ...draft[line.id] })),
+      note
+    )
+    setReceiving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nel ricevimento della merce')
+      return
+    }
+    toast.success(data.status === 'ricevuto' ? 'Ordine ricevuto completamente' : 'Consegna parziale registrata')
+    // Un'etichetta per ogni pezzo arrivato
+    setReceivedLabels(lines
+      .filter(line => (parseInt(draft[line.id]?.quantity, 10) || 0) > 0)
+      .map(line => ({ product: line.products, copies: parseInt(draft[line.id].quantity, 10) })))
+    setNote('')
+    loadOrder()
+  }
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Annullare l'ordine n. ${order.number}?`)) return
+
+    const { data, error } = await db.cancelPurchaseOrder(order.id)
+    if (error || !data) {
+      toast.error(error?.message || 'Solo gli ordini senza merce ricevuta possono essere annullati')
+      return
+    }
+    toast.success('Ordine annullato')
+    loadOrder()
+  }
+
+  return (
+    <div className="space-y-6">
+      <Link to="/purchase-orders" className="text-sm text-blu-primary hover:text-blu-dark inline-flex items-center">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Ordini fornitore
+      </Link>
+
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          Ordine n. {order.number}
+          <span className="ml-3"><OrderStatusBadge status={order.status} /></span>
+        </h1>
+        {order.status === 'aperto' && (
+          <button type="button" onClick={handleCancel} className="btn-secondary text-red-600">
+            Annulla ordine
+          </button>
+        )}
+      </div>
+
+      <div className="card grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <div className="text-gray-500">Fornitore</div>
+          <div className="font-medium">{order.suppliers?.name}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Data ordine</div>
+          <div>{formatDay(order.order_date)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Consegna prevista</div>
+          <div className={isOrderLate(order) ? 'text-red-600 font-medium' : ''}>{formatDay(order.expected_date)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Totale</div>
+          <div className="font-medium">{formatEuro(totals.total)}</div>
+        </div>
+        {order.notes && (
+          <div className="col-span-2 sm:col-span-4 text-gray-700">{order.notes}</div>
+        )}
+      </div>
+
+      <div className="card space-y-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2">Articolo</th>
+              <th className="py-2 text-right">Ordinati</th>
+              <th className="py-2 text-right">Ricevuti</th>
+              <th className="py-2 text-right">Residuo</th>
+              {canReceive ? (
+                <>
+                  <th className="py-2 text-right">Arrivati</th>
+                  <th className="py-2 text-right">Costo reale</th>
+                </>
+              ) : (
+                <th className="py-2 text-right">Costo</th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(line => (
+              <tr key={line.id} className="border-t border-gray-100">
+                <td className="py-2">
+                  <div className="font-mono">{line.products?.sku ?? line.sku}</div>
+                  <div className="text-gray-500">
+                    {line.products
+                      ? [line.products.description || line.products.article, line.products.sizes?.name, line.products.colors?.name]
+                        .filter(Boolean).join(' · ')
+                      : `${line.description || ''} (eliminato)`}
+                  </div>
+                </td>
+                <td className="py-2 text-right">{line.quantity_ordered}</td>
+                <td className="py-2 text-right">{line.quantity_received}</td>
+                <td className="py-2 text-right font-medium">{lineRemaining(line)}</td>
+                {canReceive ? (
+                  <>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max={lineRemaining(line)}
+                        value={draft[line.id]?.quantity ?? 0}
+                        onChange={(e) => updateDraft(line.id, { quantity: e.target.value })}
+                        disabled={lineRemaining(line) === 0}
+                        className="input-field w-20 text-right disabled:bg-gray-50"
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={draft[line.id]?.unit_cost ?? ''}
+                        onChange={(e) => updateDraft(line.id, { unit_cost: e.target.value })}
+                        disabled={lineRemaining(line) === 0}
+                        className="input-field w-24 text-right disabled:bg-gray-50"
+                      />
+                    </td>
+                  </>
+                ) : (
+                  <td className="py-2 text-right">{line.unit_cost === null ? '-' : formatEuro(line.unit_cost)}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {canReceive && (
+          <div className="flex flex-wrap items-end gap-3 border-t border-gray-100 pt-4">
+            <div className="flex-1 min-w-[12rem]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Documento di trasporto / note</label>
+              <input type="text" value={note} onChange={(e) => setNote(e.target.value)} className="input-field" />
+            </div>
+            <button
+              type="button"
+              onClick={handleReceive}
+              disabled={receiving || receivedPieces === 0}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {receiving ? (
+                <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <InboxArrowDownIcon className="h-4 w-4 mr-2" />
+              )}
+              Ricevi {receivedPieces} pezzi
+            </button>
+          </div>
+        )}
+      </div>
+
+      {receivedLabels.length > 0 && (
+        <div className="card flex flex-wrap items-center justify-between gap-3 bg-blu-light">
+          <span className="text-sm font-medium text-gray-900 flex items-center">
+            <TagIcon className="h-5 w-5 mr-2" />
+            Etichette per la merce ricevuta
+          </span>
+          <div className="flex flex-wrap gap-2">
+            <PrintLabelButton
+              items={receivedLabels}
+              label={`Stampa etichetta (${receivedLabels.reduce((sum, item) => sum + item.copies, 0)})`}
+              className="btn-primary"
+            />
+            <Link
+              to={`/labels?ids=${receivedLabels.map(item => item.product.id).join(',')}`}
+              className="btn-secondary"
+            >
+              Fogli A4
+            </Link>
+            <button type="button" onClick={() => setReceivedLabels([])} className="btn-secondary">
+              Chiudi
+            </button>
+          </div>
+        </div>
+      )}
+
+      {receipts.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-medium text-gray-900 mb-3">Consegne</h3>
+          <ul className="divide-y divide-gray-100 text-sm">
+            {receipts.map(receipt => (
+              <li key={receipt.id} className="flex items-center justify-between py-2">
+                <span>
+                  <span className="font-mono">{receipt.sku ?? lines.find(line => line.id === receipt.line_id)?.products?.sku}</span>
+                  <span className="ml-2">{receipt.quantity} pz</span>
+                  {receipt.unit_cost !== null && <span className="ml-2 text-gray-500">a {formatEuro(receipt.unit_cost)}</span>}
+                  {receipt.note && <span className="ml-2 text-gray-500">· {receipt.note}</span>}
+                </span>
+                <span className="text-gray-500">
+                  {format(new Date(receipt.created_at), 'dd/MM/yyyy HH:mm', { locale: it })}
+                  {receipt.operator && ` · ${receipt.operator}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PurchaseOrderDetail
@@ -0,0 +1,364 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowPathIcon,
+  MagnifyingGlassIcon,
+  PlusIcon,
+  TrashIcon,
+  TruckIcon
+} from '@heroicons/react/24/outline'
+import { Link, useNavigate } from 'react-router-dom'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { ORDER_STATUSES, isOrderLate, orderTotals, validateOrderLines } from '../lib/purchaseOrders'
+import OrderStatusBadge from '../components/OrderStatusBadge'
+
+const SEARCH_LIMIT = 8
+
+const formatEuro = (value) => `€ ${Number(value || 0).toFixed(2)}`
+const formatDay = (value) => (value ? format(new Date(value), 'dd/MM/yyyy', { locale: it }) : '-')
+
+const STATUS_FILTERS = { open: 'In attesa di merce', ...ORDER_STATUSES }
+
+/**
+ * 🚚 PurchaseOrders - Pagina "Ordini fornitore" (/purchase-orders)
+ *
+ * Funzionalità:
+ * - Elenco ordini filtrabile per stato e fornitore, in rosso quelli in ritardo
+ * - Nuovo ordine: fornitore, consegna prevista e righe per variante con quantità e costo
+ *   (il costo proposto è il prezzo di costo attuale del prodotto)
+ * - Il ricevimento della merce si fa dal dettaglio dell'ordine (/purchase-orders/:id)
+ */
+const PurchaseOrders = () => {
+  const navigate = useNavigate()
+  const [orders, setOrders] = useState([])
+  const [suppliers, setSuppliers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [supplierFilter, setSupplierFilter] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [supplierId, setSupplierId] = useState('')
+  const [expectedDate, setExpectedDate] = useState('')
+  const [notes, setNotes] = useState('')
+  const [lines, setLines] = useState([])
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    db.getSuppliers().then(({ data }) => setSuppliers(data || []))
+  }, [])
+
+  useEffect(() => {
+    const loadOrders = async () => {
+      setLoading(true)
+      const { data, error } = await db.getPurchaseOrders({
+        status: statusFilter || null,
+        supplierId: supplierFilter || null
+      })
+      if (error) {
+        console.error('Errore caricamento ordini:', error)
+        toast.error('Errore nel caricamento degli ordini')
+      } else {
+        setOrders(data || [])
+      }
+      setLoading(false)
+    }
+    loadOrders()
+  }, [statusFilter, supplierFilter])
+
+  // Ricerca varianti mentre si scrive
+  useEffect(() => {
+    const search = query.trim()
+    if (!search) {
+      setResults([])
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      const { data } = await db.getProducts({ search }, { page: 1, pageSize: SEARCH_LIMIT, sortBy: 'sku', sortDir: 'asc' })
+      setResults(data || [])
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  const addProduct = (product) => {
+    if (lines.some(line => line.product_id === product.id)) {
+      toast.error(`${product.sku} è già nell'ordine`)
+      return
+    }
+    setLines([...lines, {
+      product_id: product.id,
+      sku: product.sku,
+      description: [product.description || product.article, product.sizes?.name, product.colors?.name].filter(Boolean).join(' · '),
+      quantity_ordered: 1,
+      unit_cost: product.initial_price ?? ''
+    }])
+    setQuery('')
+    setResults([])
+  }
+
+  const updateLine = (productId, changes) => {
+    setLines(lines.map(line => (line.product_id === productId ? { ...line, ...changes } : line)))
+  }
+
+  const resetForm = () => {
+    setCreating(false)
+    setSupplierId('')
+    setExpectedDate('')
+    setNotes('')
+    setLines([])
+    setQuery('')
+  }
+
+  const validationError = !supplierId ? 'Seleziona un fornitore' : validateOrderLines(lines)
+  const newOrderTotals = orderTotals(lines.map(line => ({ ...line, quantity_ordered: parseInt(line.quantity_ordered, 10) || 0 })))
+
+  const handleCreate = async () => {
+    setSaving(true)
+    const { data, error } = await db.createPurchaseOrder({ supplierId, expectedDate, notes, lines })
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nella creazione dell\'ordine')
+      return
+    }
+    toast.success(`Ordine n. ${data.number} creato`)
+    resetForm()
+    navigate(`/purchase-orders/${data.id}`)
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <TruckIcon className="h-7 w-7 mr-2" />
+          Ordini fornitore
+        </h1>
+        <div className="space-x-2">
+          <Link to="/suppliers" className="btn-secondary">Fornitori</Link>
+          {!creating && (
+            <button type="button" onClick={() => setCreating(true)} className="btn-primary inline-flex items-center">
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Nuovo ordine
+            </button>
+          )}
+        </div>
+      </div>
+
+      {creating && (
+        <div className="card space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">Nuovo ordine</h3>
+
+          {suppliers.length === 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+              Nessun fornitore registrato: aggiungilo prima dalla pagina <Link to="/suppliers" className="underline">Fornitori</Link>.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Fornitore *</label>
+              <select value={supplierId} onChange={(e) => setSupplierId(e.target.value)} className="input-field">
+                <option value="">Seleziona...</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Consegna prevista</label>
+              <input type="date" value={expectedDate} onChange={(e) => setExpectedDate(e.target.value)} className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+              <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} className="input-field" />
+            </div>
+          </div>
+
+          <div className="relative">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Aggiungi articolo per SKU o nome"
+              className="input-field pl-10"
+            />
+          </div>
+
+          {results.length > 0 && (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {results.map(product => (
+                <li key={product.id}>
+                  <button
+                    type="button"
+                    onClick={() => addProduct(product)}
+                    className="w-full flex items-center justify-between px-3 py-2 text-left text-sm hover:bg-gray-50"
+                  >
+                    <span>
+                      <span className="font-mono">{product.sku}</span>
+                      <span className="ml-2 text-gray-700">{product.description || product.article}</span>
+                      <span className="ml-2 text-gray-400">
+                        {[product.sizes?.name, product.colors?.name].filter(Boolean).join(' · ')}
+                      </span>
+                    </span>
+                    <span className="text-gray-500">costo {formatEuro(product.initial_price)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {lines.length > 0 && (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2">Articolo</th>
+                  <th className="py-2 text-right">Quantità</th>
+                  <th className="py-2 text-right">Costo unitario</th>
+                  <th className="py-2 text-right">Totale</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map(line => (
+                  <tr key={line.product_id} className="border-t border-gray-100">
+                    <td className="py-2">
+                      <div className="font-mono">{line.sku}</div>
+                      <div className="text-gray-500">{line.description}</div>
+                    </td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="1"
+                        value={line.quantity_ordered}
+                        onChange={(e) => updateLine(line.product_id, { quantity_ordered: e.target.value })}
+                        className="input-field w-20 text-right"
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.unit_cost}
+                        onChange={(e) => updateLine(line.product_id, { unit_cost: e.target.value })}
+                        className="input-field w-24 text-right"
+                      />
+                    </td>
+                    <td className="py-2 text-right font-medium">
+                      {formatEuro((parseInt(line.quantity_ordered, 10) || 0) * (Number(line.unit_cost) || 0))}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setLines(lines.filter(item => item.product_id !== line.product_id))}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                        title="Rimuovi"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="border-t border-gray-200 font-medium">
+                  <td className="py-2">Totale</td>
+                  <td className="py-2 text-right">{newOrderTotals.pieces} pz</td>
+                  <td />
+                  <td className="py-2 text-right">{formatEuro(newOrderTotals.total)}</td>
+                  <td />
+                </tr>
+              </tfoot>
+            </table>
+          )}
+
+          {lines.length > 0 && validationError && (
+            <p className="text-sm text-red-600">{validationError}</p>
+          )}
+
+          <div className="space-x-2">
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={saving || Boolean(validationError)}
+              className="btn-primary inline-flex items-center disabled:opacity-50"
+            >
+              {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+              Crea ordine
+            </button>
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Annulla
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card space-y-4">
+        <div className="flex flex-wrap gap-3">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input-field w-auto">
+            <option value="">Tutti gli stati</option>
+            {Object.entries(STATUS_FILTERS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+          <select value={supplierFilter} onChange={(e) => setSupplierFilter(e.target.value)} className="input-field w-auto">
+            <option value="">Tutti i fornitori</option>
+            {suppliers.map(supplier => (
+              <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Caricamento...</p>
+        ) : orders.length === 0 ? (
+          <p className="text-sm text-gray-500">Nessun ordine.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">N.</th>
+                <th className="py-2">Fornitore</th>
+                <th className="py-2">Data</th>
+                <th className="py-2">Consegna prevista</th>
+                <th className="py-2 text-right">Ricevuti</th>
+                <th className="py-2 text-right">Totale</th>
+                <th className="py-2">Stato</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map(order => {
+                const totals = orderTotals(order.purchase_order_lines || [])
+                return (
+                  <tr
+                    key={order.id}
+                    onClick={() => navigate(`/purchase-orders/${order.id}`)}
+                    className="border-t border-gray-100 cursor-pointer hover:bg-gray-50"
+                  >
+                    <td className="py-2 font-medium">{order.number}</td>
+                    <td className="py-2">{order.suppliers?.name}</td>
+                    <td className="py-2">{formatDay(order.order_date)}</td>
+                    <td className={`py-2 ${isOrderLate(order) ? 'text-red-600 font-medium' : ''}`}>
+                      {formatDay(order.expected_date)}
+                    </td>
+                    <td className="py-2 text-right">{totals.received}/{totals.pieces}</td>
+                    <td className="py-2 text-right">{formatEuro(totals.total)}</td>
+                    <td className="py-2">
+                      <OrderStatusBadge status={order.status} />
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PurchaseOrders
@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  ArrowPathIcon,
+  ArrowUturnLeftIcon,
+  CheckIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { format, addDays } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db, DEFAULT_PAGE_SIZE, DEFAULT_TRASH_RETENTION_DAYS } from '../lib/supabase'
+import { subscribeToTable } from '../lib/realtime'
+
+/**
+ * 🗑️ RecycleBin - Pagina "Cestino" (/trash)
+ *
+ * Funzionalità:
+ * - Elenco prodotti eliminati con data, utente e scadenza
+ * - Ripristino del prodotto con le sue foto
+ * - Eliminazione definitiva (anche dei file foto)
+ * - Pulizia automatica dei prodotti oltre il periodo di permanenza
+ */
+const RecycleBin = () => {
+  const [products, setProducts] = useState([])
+  const [count, setCount] = useState(0)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS)
+  const [savedRetentionDays, setSavedRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS)
+  const [expiredPurged, setExpiredPurged] = useState(false)
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true)
+    const { data, count: total, error } = await db.getTrashedProducts({ page })
+    if (error) {
+      console.error('Errore caricamento cestino:', error)
+      toast.error('Errore nel caricamento del cestino')
+    } else {
+      setProducts(data || [])
+      setCount(total || 0)
+    }
+    setLoading(false)
+  }, [page])
+
+  // All'apertura elimina i prodotti scaduti prima di mostrare il cestino
+  useEffect(() => {
+    const init = async () => {
+      const { data: days } = await db.getTrashRetentionDays()
+      setRetentionDays(days)
+      setSavedRetentionDays(days)
+
+      const { data: purged } = await db.purgeExpiredTrash()
+      if (purged > 0) {
+        toast.success(`${purged} prodotti scaduti eliminati definitivamente`)
+      }
+      setExpiredPurged(true)
+    }
+
+    init()
+  }, [])
+
+  useEffect(() => {
+    if (expiredPurged) loadTrash()
+  }, [expiredPurged, loadTrash])
+
+  // Prodotti eliminati o ripristinati da altri operatori
+  useEffect(() => {
+    if (!expiredPurged) return
+    return subscribeToTable('products', () => loadTrash())
+  }, [expiredPurged, loadTrash])
+
+  const handleRestore = async (product) => {
+    setBusyId(product.id)
+    const { error } = await db.restoreProduct(product.id)
+    if (error) {
+      toast.error(error.message || 'Errore nel ripristino del prodotto')
+    } else {
+      toast.success(`Prodotto ${product.sku} ripristinato`)
+      await loadTrash()
+    }
+    setBusyId(null)
+  }
+
+  const handlePurge = async (product) => {
+    if (!window.confirm(`Eliminare definitivamente il prodotto ${product.sku} e le sue foto? L'operazione non può essere annullata.`)) {
+      return
+    }
+
+    setBusyId(product.id)
+    const { error } = await db.purgeProduct(product.id)
+    if (error) {
+      toast.error(error.message || "Errore nell'eliminazione definitiva")
+    } else {
+      toast.success(`Prodotto ${product.sku} eliminato definitivamente`)
+      await loadTrash()
+    }
+    setBusyId(null)
+  }
+
+  const handleSaveRetention = async () => {
+    const { data, error } = await db.updateTrashRetentionDays(retentionDays)
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio')
+      return
+    }
+    setSavedRetentionDays(data.value)
+    toast.success('Permanenza nel cestino aggiornata')
+  }
+
+  const totalPages = Math.max(1, Math.ceil(count / DEFAULT_PAGE_SIZE))
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <TrashIcon className="h-7 w-7 mr-2" />
+            Cestino
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            I prodotti eliminati restano qui per {savedRetentionDays} giorni, poi vengono eliminati definitivamente.
+          </p>
+        </div>
+
+        <div className="flex items-end space-x-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Giorni di permanenza
+            </label>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={retentionDays}
+              onChange={(e) => setRetentionDays(e.target.value)}
+              className="input-field w-28"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={handleSaveRetention}
+            disabled={String(retentionDays) === String(savedRetentionDays)}
+            className="btn-primary inline-flex items-center disabled:opacity-50"
+          >
+            <CheckIcon className="h-4 w-4 mr-2" />
+            Salva
+          </button>
+        </div>
+      </div>
+
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <div className="text-center py-6">
+            <ArrowPathIcon className="h-6 w-6 animate-spin mx-auto text-gray-400" />
+          </div>
+        ) : products.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">Il cestino è vuoto</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-4">SKU</th>
+                <th className="py-2 pr-4">Articolo</th>
+                <th className="py-2 pr-4">Linea</th>
+                <th className="py-2 pr-4">Foto</th>
+                <th className="py-2 pr-4">Eliminato</th>
+                <th className="py-2 pr-4">Scadenza</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {products.map(product => (
+                <tr key={product.id}>
+                  <td className="py-2 pr-4 font-mono">{product.sku}</td>
+                  <td className="py-2 pr-4">{product.article}</td>
+                  <td className="py-2 pr-4">{product.lines?.name || '—'}</td>
+                  <td className="py-2 pr-4">{product.product_photos?.length || 0}</td>
+                  <td className="py-2 pr-4 text-gray-500">
+                    {format(new Date(product.deleted_at), 'dd/MM/yyyy HH:mm', { locale: it })}
+                    {product.deleted_by && <div className="text-xs">{product.deleted_by}</div>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-500">
+                    {format(addDays(new Date(product.deleted_at), savedRetentionDays), 'dd/MM/yyyy', { locale: it })}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(product)}
+                      disabled={busyId === product.id}
+                      className="btn-secondary text-sm inline-flex items-center mr-2 disabled:opacity-50"
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                      Ripristina
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handlePurge(product)}
+                      disabled={busyId === product.id}
+                      className="text-sm inline-flex items-center px-3 py-2 rounded-md text-red-600 hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <TrashIcon className="h-4 w-4 mr-1" />
+                      Elimina
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>{count} prodotti nel cestino</span>
+          <div className="space-x-2">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page === 1}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Precedente
+            </button>
+            <span>Pagina {page} di {totalPages}</span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page === totalPages}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              Successiva
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecycleBin
@@ -0,0 +1,448 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  ArrowPathIcon,
+  BanknotesIcon,
+  MagnifyingGlassIcon,
+  MapPinIcon,
+  MinusIcon,
+  PlusIcon,
+  PrinterIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { DISCOUNT_TYPES, PAYMENT_METHODS, computeSaleTotals, validateSale } from '../lib/sales'
+import { locationLabel, pickLocation } from '../lib/locations'
+import SaleReceipt from '../components/SaleReceipt'
+import ScanProductButton from '../components/ScanProductButton'
+
+const SEARCH_LIMIT = 8
+const RECENT_SALES = 10
+
+const formatEuro = (value) => `€ ${Number(value || 0).toFixed(2)}`
+
+const EMPTY_DISCOUNT = { type: 'percent', value: '' }
+
+/**
+ * 🛒 Sales - Pagina "Vendite" (/sales)
+ *
+ * Funzionalità:
+ * - Articoli aggiunti cercando per SKU/articolo o con il lettore di codici
+ *   (il lettore scrive lo SKU e preme Invio) o con la fotocamera
+ * - Sconto sul totale in percentuale o in euro, metodo di pagamento
+ * - Conferma: scala la giacenza, aumenta il venduto e salva la vendita con le righe
+ * - Scontrino stampabile, anche per le vendite precedenti
+ */
+const Sales = () => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [cart, setCart] = useState([])
+  const [discount, setDiscount] = useState(EMPTY_DISCOUNT)
+  const [paymentMethod, setPaymentMethod] = useState('contanti')
+  const [notes, setNotes] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [receipt, setReceipt] = useState(null)
+  const [recentSales, setRecentSales] = useState([])
+  const searchRef = useRef(null)
+
+  const loadRecentSales = async () => {
+    const { data, error } = await db.getSales({ page: 1, pageSize: RECENT_SALES })
+    if (error) {
+      console.error('Errore caricamento vendite:', error)
+      return
+    }
+    setRecentSales(data || [])
+  }
+
+  useEffect(() => {
+    loadRecentSales()
+    searchRef.current?.focus()
+  }, [])
+
+  // Ricerca mentre si scrive
+  useEffect(() => {
+    const search = query.trim()
+    if (!search) {
+      setResults([])
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      const { data } = await db.getProducts({ search }, { page: 1, pageSize: SEARCH_LIMIT, sortBy: 'sku', sortDir: 'asc' })
+      setResults(data || [])
+      setSearching(false)
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  const addProduct = (product) => {
+    const available = product.quantity_stock || 0
+    const existing = cart.find(line => line.product_id === product.id)
+
+    if ((existing?.quantity || 0) >= available) {
+      toast.error(`${product.sku}: giacenza insufficiente (${available} disponibili)`)
+      return
+    }
+
+    if (existing) {
+      setCart(cart.map(line => (line.product_id === product.id ? { ...line, quantity: line.quantity + 1 } : line)))
+    } else {
+      setCart([...cart, {
+        product_id: product.id,
+        sku: product.sku,
+        description: product.description || product.article,
+        unit_price: product.selling_price ?? 0,
+        quantity: 1,
+        available
+      }])
+    }
+    setQuery('')
+    setResults([])
+    searchRef.current?.focus()
+  }
+
+  // Invio: SKU esatto (lettore di codici) oppure unico risultato della ricerca
+  const handleSearchKeyDown = async (e) => {
+    if (e.key !== 'Enter') return
+    e.preventDefault()
+
+    const sku = query.trim()
+    if (!sku) return
+
+    const { data } = await db.getProducts({ search: sku }, { page: 1, pageSize: SEARCH_LIMIT })
+    const exact = (data || []).find(product => product.sku.toLowerCase() === sku.toLowerCase())
+    const product = exact || (data?.length === 1 ? data[0] : null)
+
+    if (product) {
+      addProduct(product)
+    } else {
+      toast.error(`Nessun articolo con SKU ${sku}`)
+    }
+  }
+
+  const updateLine = (productId, changes) => {
+    setCart(cart.map(line => (line.product_id === productId ? { ...line, ...changes } : line)))
+  }
+
+  const removeLine = (productId) => {
+    setCart(cart.filter(line => line.product_id !== productId))
+  }
+
+  const totals = computeSaleTotals(cart, discount)
+  const validationError = validateSale({ lines: cart, discount, paymentMethod })
+
+  const handleConfirm = async () => {
+    setSaving(true)
+    const { data, error } = await db.registerSale({ lines: cart, discount, paymentMethod, notes })
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nella registrazione della vendita')
+      return
+    }
+
+    toast.success(`Vendita n. ${data.number} registrata`)
+    setReceipt(data)
+    setCart([])
+    setDiscount(EMPTY_DISCOUNT)
+    setNotes('')
+    loadRecentSales()
+  }
+
+  const handleNewSale = () => {
+    setReceipt(null)
+    setPaymentMethod('contanti')
+    setTimeout(() => searchRef.current?.focus(), 0)
+  }
+
+  if (receipt) {
+    return (
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900">Scontrino</h1>
+          <div className="space-x-2">
+            <button type="button" onClick={() => window.print()} className="btn-secondary inline-flex items-center">
+              <PrinterIcon className="h-4 w-4 mr-2" />
+              Stampa
+            </button>
+            <button type="button" onClick={handleNewSale} className="btn-primary">
+              Nuova vendita
+            </button>
+          </div>
+        </div>
+        <div className="card">
+          <SaleReceipt sale={receipt} />
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <BanknotesIcon className="h-7 w-7 mr-2" />
+        Vendite
+      </h1>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <div className="card space-y-3">
+            <div className="flex gap-2">
+              <div className="relative flex-1">
+                <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  ref={searchRef}
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  onKeyDown={handleSearchKeyDown}
+                  placeholder="SKU, articolo o lettura codice a barre"
+                  className="input-field pl-10"
+                />
+                {searching && (
+                  <ArrowPathIcon className="h-4 w-4 animate-spin text-gray-400 absolute right-3 top-1/2 -translate-y-1/2" />
+                )}
+              </div>
+              <ScanProductButton onProduct={addProduct} />
+            </div>
+
+            {results.length > 0 && (
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {results.map(product => (
+                  <li key={product.id}>
+                    <button
+                      type="button"
+                      onClick={() => addProduct(product)}
+                      disabled={!product.quantity_stock}
+                      className="w-full flex items-center justify-between px-3 py-2 text-left text-sm hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <span>
+                        <span className="font-mono">{product.sku}</span>
+                        <span className="ml-2 text-gray-700">{product.description || product.article}</span>
+                        <span className="ml-2 text-gray-400">
+                          {[product.sizes?.name, product.colors?.name].filter(Boolean).join(' · ')}
+                        </span>
+                        {pickLocation(product) && (
+                          <span className="ml-2 inline-flex items-center text-blu-primary">
+                            <MapPinIcon className="h-4 w-4 mr-0.5" />
+                            {locationLabel(pickLocation(product))}
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-right">
+                        <span className="font-medium">{formatEuro(product.selling_price)}</span>
+                        <span className="ml-3 text-gray-500">{product.quantity_stock || 0} disp.</span>
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="card">
+            {cart.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-6">Nessun articolo nella vendita</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Articolo</th>
+                    <th className="py-2 text-center">Quantità</th>
+                    <th className="py-2 text-right">Prezzo</th>
+                    <th className="py-2 text-right">Totale</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {cart.map(line => (
+                    <tr key={line.product_id} className="border-t border-gray-100">
+                      <td className="py-2">
+                        <div className="font-mono">{line.sku}</div>
+                        <div className="text-gray-500">{line.description}</div>
+                      </td>
+                      <td className="py-2">
+                        <div className="flex items-center justify-center space-x-1">
+                          <button
+                            type="button"
+                            onClick={() => updateLine(line.product_id, { quantity: Math.max(1, line.quantity - 1) })}
+                            className="p-1 rounded hover:bg-gray-100"
+                          >
+                            <MinusIcon className="h-4 w-4" />
+                          </button>
+                          <span className="w-8 text-center">{line.quantity}</span>
+                          <button
+                            type="button"
+                            onClick={() => updateLine(line.product_id, { quantity: Math.min(line.available, line.quantity + 1) })}
+                            disabled={line.quantity >= line.available}
+                            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                          >
+                            <PlusIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                      <td className="py-2 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={line.unit_price}
+                          onChange={(e) => updateLine(line.product_id, { unit_price: e.target.value })}
+                          className="input-field w-24 text-right"
+                        />
+                      </td>
+                      <td className="py-2 text-right font-medium">
+                        {formatEuro(line.quantity * (Number(line.unit_price) || 0))}
+                      </td>
+                      <td className="py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => removeLine(line.product_id)}
+                          className="p-1 text-red-600 hover:bg-red-50 rounded"
+                          title="Rimuovi"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        <div className="card space-y-4 self-start">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sconto</label>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={discount.value}
+                onChange={(e) => setDiscount({ ...discount, value: e.target.value })}
+                className="input-field"
+              />
+              <select
+                value={discount.type}
+                onChange={(e) => setDiscount({ ...discount, type: e.target.value })}
+                className="input-field w-20"
+              >
+                {Object.entries(DISCOUNT_TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Pagamento</label>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(PAYMENT_METHODS).map(([method, label]) => (
+                <button
+                  key={method}
+                  type="button"
+                  onClick={() => setPaymentMethod(method)}
+                  className={`rounded-lg border px-3 py-2 text-sm ${paymentMethod === method
+                    ? 'border-blu-primary bg-blu-light text-blu-dark font-medium'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="input-field"
+            />
+          </div>
+
+          <div className="border-t border-gray-100 pt-4 space-y-1 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-500">Subtotale</span>
+              <span>{formatEuro(totals.subtotal)}</span>
+            </div>
+            {totals.discountAmount > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-500">Sconto</span>
+                <span>-{formatEuro(totals.discountAmount)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-lg font-bold">
+              <span>Totale</span>
+              <span>{formatEuro(totals.total)}</span>
+            </div>
+          </div>
+
+          {cart.length > 0 && validationError && (
+            <p className="text-sm text-red-600">{validationError}</p>
+          )}
+
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={saving || Boolean(validationError)}
+            className="btn-primary w-full inline-flex items-center justify-center disabled:opacity-50"
+          >
+            {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+            Conferma vendita
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-medium text-gray-900 mb-3">Ultime vendite</h3>
+        {recentSales.length === 0 ? (
+          <p className="text-sm text-gray-500">Nessuna vendita registrata.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">N.</th>
+                <th className="py-2">Data</th>
+                <th className="py-2">Articoli</th>
+                <th className="py-2">Pagamento</th>
+                <th className="py-2 text-right">Totale</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {recentSales.map(sale => (
+                <tr key={sale.id} className="border-t border-gray-100">
+                  <td className="py-2 font-medium">{sale.number}</td>
+                  <td className="py-2">{format(new Date(sale.created_at), 'dd/MM/yyyy HH:mm', { locale: it })}</td>
+                  <td className="py-2">{(sale.sale_lines || []).reduce((sum, line) => sum + line.quantity, 0)}</td>
+                  <td className="py-2">{PAYMENT_METHODS[sale.payment_method] || sale.payment_method}</td>
+                  <td className="py-2 text-right font-medium">{formatEuro(sale.total)}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => setReceipt(sale)}
+                      className="text-blu-primary hover:text-blu-dark inline-flex items-center"
+                    >
+                      <PrinterIcon className="h-4 w-4 mr-1" />
+                      Scontrino
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Sales
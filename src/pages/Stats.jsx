@@ -0,0 +1,254 @@
+import { useState, useEffect, useMemo } from 'react'
+import { ChartBarIcon } from '@heroicons/react/24/outline'
+import { Bar, BarChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { PRICE_BASES, computeValuation } from '../lib/valuation'
+import { STOCK_GROUPS, productsAddedOverTime, soldByProduct, stockByGroup, topSellers } from '../lib/stats'
+import ChartCard from '../components/ChartCard'
+
+const CHART_HEIGHT = 300
+const BAR_COLOR = '#1e40af' // blu-primary
+const GRID_COLOR = '#e5e7eb'
+
+const formatCurrency = (value) => new Intl.NumberFormat('it-IT', {
+  style: 'currency',
+  currency: 'EUR'
+}).format(value || 0)
+
+const formatNumber = (value) => new Intl.NumberFormat('it-IT').format(value || 0)
+
+/**
+ * 📈 Stats - Pagina "Statistiche" (/stats)
+ *
+ * Funzionalità:
+ * - Giacenza per linea, colore o taglia e valore di magazzino per linea
+ * - Articoli più venduti e prodotti inseriti nel tempo
+ * - Filtri per linea e per periodo: le date valgono per i venduti (movimenti di vendita
+ *   e reso) e per i prodotti inseriti; giacenze e valori sono sempre quelli attuali
+ * - Ogni grafico si scarica come immagine PNG o come dati CSV
+ */
+const Stats = () => {
+  const [lines, setLines] = useState([])
+  const [lineId, setLineId] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [products, setProducts] = useState([])
+  // Venduti nel periodo per prodotto; null senza date (vale quantity_sold)
+  const [sold, setSold] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [stockGroup, setStockGroup] = useState('line')
+  const [priceBasis, setPriceBasis] = useState('cost')
+
+  const rangeError = from && to && from > to ? 'La data iniziale è successiva a quella finale' : null
+
+  useEffect(() => {
+    db.getLines().then(({ data }) => setLines(data || []))
+  }, [])
+
+  useEffect(() => {
+    if (rangeError) return
+
+    const loadProducts = async () => {
+      setLoading(true)
+      const hasRange = Boolean(from || to)
+      const [{ data, error }, { data: movements, error: movementsError }] = await Promise.all([
+        db.getProductStats({ lineId: lineId || null }),
+        hasRange ? db.getSalesMovements({ from: from || null, to: to || null }) : { data: null, error: null }
+      ])
+      if (error || movementsError) {
+        console.error('Errore caricamento statistiche:', error || movementsError)
+        toast.error('Errore nel caricamento delle statistiche')
+      } else {
+        setProducts(data || [])
+        setSold(hasRange ? soldByProduct(movements || []) : null)
+      }
+      setLoading(false)
+    }
+    loadProducts()
+  }, [lineId, from, to, rangeError])
+
+  const stockRows = useMemo(() => stockByGroup(products, stockGroup), [products, stockGroup])
+  const valuation = useMemo(() => computeValuation(products), [products])
+  const sellers = useMemo(() => topSellers(products, sold), [products, sold])
+  const added = useMemo(() => productsAddedOverTime(products, { from, to }), [products, from, to])
+
+  const totalSold = products.reduce((sum, product) => sum + (sold ? sold.get(product.id) || 0 : product.quantity_sold || 0), 0)
+  const valueRows = valuation.byLine.map(row => ({ ...row, value: row[priceBasis] }))
+  // Suffisso dei file esportati: filtri e data di esportazione
+  const fileSuffix = [
+    lines.find(line => line.id === lineId)?.name,
+    from && `dal_${from}`,
+    to && `al_${to}`,
+    format(new Date(), 'yyyy-MM-dd')
+  ].filter(Boolean).join('_').replace(/\s+/g, '-')
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <ChartBarIcon className="h-7 w-7 mr-2" />
+        Statistiche
+      </h1>
+
+      <div className="card space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Linea</label>
+            <select value={lineId} onChange={(e) => setLineId(e.target.value)} className="input-field">
+              <option value="">Tutte le linee</option>
+              {lines.map(line => (
+                <option key={line.id} value={line.id}>{line.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Dal</label>
+            <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className="input-field" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Fino al</label>
+            <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className="input-field" />
+          </div>
+        </div>
+        {rangeError ? (
+          <p className="text-sm text-red-600">{rangeError}</p>
+        ) : (
+          <p className="text-sm text-gray-500">
+            Le date valgono per gli articoli venduti e i prodotti inseriti; giacenze e valori sono quelli attuali.
+          </p>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Caricamento...</p>
+      ) : (
+        <>
+          <div className="card grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+            <div>
+              <div className="text-gray-500">Articoli</div>
+              <div className="text-xl font-semibold">{formatNumber(products.length)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Pezzi in giacenza</div>
+              <div className="text-xl font-semibold">{formatNumber(valuation.totals.quantity)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">{sold ? 'Pezzi venduti nel periodo' : 'Pezzi venduti'}</div>
+              <div className="text-xl font-semibold">{formatNumber(totalSold)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Valore a {PRICE_BASES[priceBasis].label.toLowerCase()}</div>
+              <div className="text-xl font-semibold">{formatCurrency(valuation.totals[priceBasis])}</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            <ChartCard
+              title={`Giacenza per ${STOCK_GROUPS[stockGroup].label.toLowerCase()}`}
+              fileName={`giacenza_${stockGroup}_${fileSuffix}`}
+              rows={stockRows}
+              columns={[
+                { key: 'name', label: STOCK_GROUPS[stockGroup].label },
+                { key: 'quantity', label: 'Pezzi' },
+                { key: 'products', label: 'Articoli' }
+              ]}
+              actions={(
+                <select value={stockGroup} onChange={(e) => setStockGroup(e.target.value)} className="input-field w-auto">
+                  {Object.entries(STOCK_GROUPS).map(([group, { label }]) => (
+                    <option key={group} value={group}>{label}</option>
+                  ))}
+                </select>
+              )}
+            >
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <BarChart data={stockRows} margin={{ top: 8, right: 16, bottom: 8, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID_COLOR} />
+                  <XAxis dataKey="name" tick={{ fontSize: 12 }} interval={0} angle={-30} textAnchor="end" height={60} />
+                  <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                  <Tooltip formatter={(value) => [formatNumber(value), 'Pezzi']} />
+                  <Bar dataKey="quantity" fill={BAR_COLOR} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard
+              title={`Valore per linea (${PRICE_BASES[priceBasis].label.toLowerCase()})`}
+              fileName={`valore_linee_${priceBasis}_${fileSuffix}`}
+              rows={valueRows}
+              columns={[
+                { key: 'name', label: 'Linea' },
+                { key: 'quantity', label: 'Pezzi' },
+                ...Object.entries(PRICE_BASES).map(([basis, { label }]) => ({ key: basis, label: `Valore ${label.toLowerCase()}` }))
+              ]}
+              actions={(
+                <select value={priceBasis} onChange={(e) => setPriceBasis(e.target.value)} className="input-field w-auto">
+                  {Object.entries(PRICE_BASES).map(([basis, { label }]) => (
+                    <option key={basis} value={basis}>{label}</option>
+                  ))}
+                </select>
+              )}
+            >
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <BarChart data={valueRows} margin={{ top: 8, right: 16, bottom: 8, left: 16 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID_COLOR} />
+                  <XAxis dataKey="name" tick={{ fontSize: 12 }} interval={0} angle={-30} textAnchor="end" height={60} />
+                  <YAxis tick={{ fontSize: 12 }} tickFormatter={(value) => `€ ${formatNumber(value)}`} />
+                  <Tooltip formatter={(value) => [formatCurrency(value), 'Valore']} />
+                  <Bar dataKey="value" fill={BAR_COLOR} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard
+              title={sold ? 'Articoli più venduti nel periodo' : 'Articoli più venduti'}
+              fileName={`piu_venduti_${fileSuffix}`}
+              rows={sellers}
+              columns={[
+                { key: 'sku', label: 'SKU' },
+                { key: 'name', label: 'Articolo' },
+                { key: 'quantity_sold', label: 'Venduti' }
+              ]}
+            >
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <BarChart data={sellers} layout="vertical" margin={{ top: 8, right: 16, bottom: 8, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID_COLOR} />
+                  <XAxis type="number" allowDecimals={false} tick={{ fontSize: 12 }} />
+                  <YAxis type="category" dataKey="sku" width={90} tick={{ fontSize: 12 }} />
+                  <Tooltip
+                    formatter={(value) => [formatNumber(value), 'Venduti']}
+                    labelFormatter={(sku, payload) => payload?.[0]?.payload.name || sku}
+                  />
+                  <Bar dataKey="quantity_sold" fill={BAR_COLOR} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard
+              title={`Prodotti inseriti per ${added.granularity === 'day' ? 'giorno' : 'mese'}`}
+              fileName={`prodotti_inseriti_${fileSuffix}`}
+              rows={added.rows}
+              columns={[
+                { key: 'period', label: added.granularity === 'day' ? 'Giorno' : 'Mese' },
+                { key: 'count', label: 'Inseriti' },
+                { key: 'total', label: 'Totale progressivo' }
+              ]}
+            >
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <BarChart data={added.rows} margin={{ top: 8, right: 16, bottom: 8, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID_COLOR} />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} minTickGap={8} />
+                  <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                  <Tooltip formatter={(value) => [formatNumber(value), 'Inseriti']} />
+                  <Bar dataKey="count" fill={BAR_COLOR} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Stats
@@ -0,0 +1,296 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowPathIcon,
+  ArrowsRightLeftIcon,
+  MagnifyingGlassIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import { format } from 'date-fns'
+import { it } from 'date-fns/locale'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { UNLOCATED_LABEL, flattenLocations, locationLabel, unlocatedQuantity, validateTransfer } from '../lib/locations'
+import ScanProductButton from '../components/ScanProductButton'
+
+const SEARCH_LIMIT = 8
+const RECENT_TRANSFERS = 20
+
+// Pezzi del prodotto disponibili nell'ubicazione di origine ('' = non ubicato)
+const availableAt = (product, fromLocationId) => (fromLocationId
+  ? product.location_stock?.find(row => row.location_id === fromLocationId)?.quantity || 0
+  : unlocatedQuantity(product.quantity_stock, product.location_stock || []))
+
+/**
+ * 🔀 StockTransfers - Pagina "Trasferimenti" (/transfers)
+ *
+ * Funzionalità:
+ * - Sposta articoli tra ubicazioni e magazzini, anche da e verso la merce non ubicata
+ * - Articoli aggiunti cercando per SKU/nome o scansionando l'etichetta con la fotocamera
+ *   (es. sistemare a scaffale la merce appena ricevuta)
+ * - La giacenza totale non cambia: il documento registra cosa è stato spostato e da chi
+ * - Elenco degli ultimi trasferimenti
+ */
+const StockTransfers = () => {
+  const [locations, setLocations] = useState([])
+  const [fromLocationId, setFromLocationId] = useState('')
+  const [toLocationId, setToLocationId] = useState('')
+  const [notes, setNotes] = useState('')
+  const [lines, setLines] = useState([])
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [transfers, setTransfers] = useState([])
+
+  const loadTransfers = async () => {
+    const { data, error } = await db.getStockTransfers({ limit: RECENT_TRANSFERS })
+    if (error) {
+      console.error('Errore caricamento trasferimenti:', error)
+      return
+    }
+    setTransfers(data || [])
+  }
+
+  useEffect(() => {
+    db.getWarehouses().then(({ data }) => setLocations(flattenLocations(data || [])))
+    loadTransfers()
+  }, [])
+
+  // Ricerca tra gli articoli presenti nell'origine
+  useEffect(() => {
+    const search = query.trim()
+    if (!search) {
+      setResults([])
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      const filters = fromLocationId ? { search, location_id: fromLocationId } : { search }
+      const { data } = await db.getProducts(filters, { page: 1, pageSize: SEARCH_LIMIT, sortBy: 'sku', sortDir: 'asc' })
+      setResults(data || [])
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [query, fromLocationId])
+
+  const handleFromChange = (value) => {
+    setFromLocationId(value)
+    // Le disponibilità dipendono dall'origine
+    setLines([])
+  }
+
+  const addProduct = (product) => {
+    const available = availableAt(product, fromLocationId)
+    if (available <= 0) {
+      toast.error(`${product.sku}: nessun pezzo in ${fromLocationId ? 'questa ubicazione' : UNLOCATED_LABEL.toLowerCase()}`)
+      return
+    }
+    if (lines.some(line => line.product_id === product.id)) {
+      toast.error(`${product.sku} è già nel trasferimento`)
+      return
+    }
+    setLines([...lines, {
+      product_id: product.id,
+      sku: product.sku,
+      description: [product.description || product.article, product.sizes?.name, product.colors?.name].filter(Boolean).join(' · '),
+      quantity: available,
+      available
+    }])
+    setQuery('')
+    setResults([])
+  }
+
+  const validationError = validateTransfer({ fromLocationId, toLocationId, lines })
+
+  const handleConfirm = async () => {
+    setSaving(true)
+    const { data, error } = await db.transferStock({
+      fromLocationId: fromLocationId || null,
+      toLocationId: toLocationId || null,
+      lines,
+      notes
+    })
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nel trasferimento')
+      return
+    }
+    toast.success(`Trasferimento n. ${data.number} registrato`)
+    setLines([])
+    setNotes('')
+    loadTransfers()
+  }
+
+  const locationSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="input-field">
+      <option value="">{UNLOCATED_LABEL}</option>
+      {locations.map(location => (
+        <option key={location.id} value={location.id}>{locationLabel(location)}</option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ArrowsRightLeftIcon className="h-7 w-7 mr-2" />
+          Trasferimenti
+        </h1>
+        <Link to="/warehouses" className="btn-secondary">Magazzini</Link>
+      </div>
+
+      {locations.length === 0 && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">
+          Nessuna ubicazione: creale prima dalla pagina <Link to="/warehouses" className="underline">Magazzini</Link>.
+        </p>
+      )}
+
+      <div className="card space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Da</label>
+            {locationSelect(fromLocationId, handleFromChange)}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">A</label>
+            {locationSelect(toLocationId, setToLocationId)}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+            <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} className="input-field" />
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Aggiungi articolo per SKU o nome"
+              className="input-field pl-10"
+            />
+          </div>
+          <ScanProductButton onProduct={addProduct} />
+        </div>
+
+        {results.length > 0 && (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {results.map(product => (
+              <li key={product.id}>
+                <button
+                  type="button"
+                  onClick={() => addProduct(product)}
+                  className="w-full flex items-center justify-between px-3 py-2 text-left text-sm hover:bg-gray-50"
+                >
+                  <span>
+                    <span className="font-mono">{product.sku}</span>
+                    <span className="ml-2 text-gray-700">{product.description || product.article}</span>
+                    <span className="ml-2 text-gray-400">
+                      {[product.sizes?.name, product.colors?.name].filter(Boolean).join(' · ')}
+                    </span>
+                  </span>
+                  <span className="text-gray-500">{availableAt(product, fromLocationId)} disp.</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {lines.length > 0 && (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">Articolo</th>
+                <th className="py-2 text-right">Disponibili</th>
+                <th className="py-2 text-right">Da spostare</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map(line => (
+                <tr key={line.product_id} className="border-t border-gray-100">
+                  <td className="py-2">
+                    <div className="font-mono">{line.sku}</div>
+                    <div className="text-gray-500">{line.description}</div>
+                  </td>
+                  <td className="py-2 text-right">{line.available}</td>
+                  <td className="py-2 text-right">
+                    <input
+                      type="number"
+                      min="1"
+                      max={line.available}
+                      value={line.quantity}
+                      onChange={(e) => setLines(lines.map(item => (
+                        item.product_id === line.product_id ? { ...item, quantity: e.target.value } : item
+                      )))}
+                      className="input-field w-20 text-right"
+                    />
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => setLines(lines.filter(item => item.product_id !== line.product_id))}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      title="Rimuovi"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {lines.length > 0 && validationError && (
+          <p className="text-sm text-red-600">{validationError}</p>
+        )}
+
+        <button
+          type="button"
+          onClick={handleConfirm}
+          disabled={saving || Boolean(validationError)}
+          className="btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+          Conferma trasferimento
+        </button>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-medium text-gray-900 mb-3">Ultimi trasferimenti</h3>
+        {transfers.length === 0 ? (
+          <p className="text-sm text-gray-500">Nessun trasferimento registrato.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {transfers.map(transfer => (
+              <li key={transfer.id} className="py-2">
+                <div className="flex items-center justify-between">
+                  <span>
+                    <span className="font-medium">n. {transfer.number}</span>
+                    <span className="ml-2">
+                      {locationLabel(transfer.from_location)} → {locationLabel(transfer.to_location)}
+                    </span>
+                  </span>
+                  <span className="text-gray-500">
+                    {format(new Date(transfer.created_at), 'dd/MM/yyyy HH:mm', { locale: it })}
+                    {transfer.operator && ` · ${transfer.operator}`}
+                  </span>
+                </div>
+                <div className="text-gray-500">
+                  {transfer.stock_transfer_lines.map(line => `${line.products?.sku ?? `${line.sku} (eliminato)`} × ${line.quantity}`).join(', ')}
+                  {transfer.notes && ` · ${transfer.notes}`}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StockTransfers
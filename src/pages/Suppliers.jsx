@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowPathIcon,
+  BuildingStorefrontIcon,
+  PencilIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+
+const EMPTY_SUPPLIER = { name: '', vat_number: '', email: '', phone: '', address: '', notes: '' }
+
+const FIELDS = [
+  { key: 'name', label: 'Ragione sociale *' },
+  { key: 'vat_number', label: 'Partita IVA' },
+  { key: 'email', label: 'Email', type: 'email' },
+  { key: 'phone', label: 'Telefono', type: 'tel' },
+  { key: 'address', label: 'Indirizzo' },
+  { key: 'notes', label: 'Note' }
+]
+
+/**
+ * 🏭 Suppliers - Pagina "Fornitori" (/suppliers)
+ *
+ * Anagrafica dei fornitori usati negli ordini di acquisto.
+ * Un fornitore con ordini non può essere eliminato.
+ */
+const Suppliers = () => {
+  const [suppliers, setSuppliers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY_SUPPLIER)
+  const [editingId, setEditingId] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const loadSuppliers = async () => {
+    const { data, error } = await db.getSuppliers()
+    if (error) {
+      console.error('Errore caricamento fornitori:', error)
+      toast.error('Errore nel caricamento dei fornitori')
+    } else {
+      setSuppliers(data || [])
+    }
+    setLoading(false)
+  }
+
+  useEffect(() => {
+    loadSuppliers()
+  }, [])
+
+  const resetForm = () => {
+    setForm(EMPTY_SUPPLIER)
+    setEditingId(null)
+  }
+
+  const handleEdit = (supplier) => {
+    setEditingId(supplier.id)
+    setForm(Object.fromEntries(FIELDS.map(({ key }) => [key, supplier[key] || ''])))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    const { error } = await db.saveSupplier(form, editingId)
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio del fornitore')
+      return
+    }
+    toast.success(editingId ? 'Fornitore aggiornato' : 'Fornitore aggiunto')
+    resetForm()
+    loadSuppliers()
+  }
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Eliminare il fornitore "${supplier.name}"?`)) return
+
+    const { error } = await db.deleteSupplier(supplier.id)
+    if (error) {
+      toast.error(error.message || 'Errore nell\'eliminazione del fornitore')
+      return
+    }
+    toast.success('Fornitore eliminato')
+    if (editingId === supplier.id) resetForm()
+    loadSuppliers()
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <BuildingStorefrontIcon className="h-7 w-7 mr-2" />
+        Fornitori
+      </h1>
+
+      <form onSubmit={handleSubmit} className="card space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">
+          {editingId ? 'Modifica fornitore' : 'Nuovo fornitore'}
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {FIELDS.map(({ key, label, type = 'text' }) => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+              <input
+                type={type}
+                value={form[key]}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                className="input-field"
+              />
+            </div>
+          ))}
+        </div>
+        <div className="space-x-2">
+          <button
+            type="submit"
+            disabled={saving || !form.name.trim()}
+            className="btn-primary inline-flex items-center disabled:opacity-50"
+          >
+            {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+            {editingId ? 'Salva modifiche' : 'Aggiungi fornitore'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Annulla
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="card">
+        {loading ? (
+          <p className="text-sm text-gray-500">Caricamento...</p>
+        ) : suppliers.length === 0 ? (
+          <p className="text-sm text-gray-500">Nessun fornitore registrato.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">Fornitore</th>
+                <th className="py-2">Partita IVA</th>
+                <th className="py-2">Contatti</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {suppliers.map(supplier => (
+                <tr key={supplier.id} className="border-t border-gray-100">
+                  <td className="py-2">
+                    <div className="font-medium text-gray-900">{supplier.name}</div>
+                    {supplier.address && <div className="text-gray-500">{supplier.address}</div>}
+                  </td>
+                  <td className="py-2">{supplier.vat_number || '-'}</td>
+                  <td className="py-2 text-gray-700">
+                    {[supplier.email, supplier.phone].filter(Boolean).join(' · ') || '-'}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(supplier)}
+                      className="p-1 text-blu-primary hover:bg-blu-light rounded"
+                      title="Modifica"
+                    >
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(supplier)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded ml-1"
+                      title="Elimina"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Suppliers
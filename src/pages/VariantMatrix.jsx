@@ -0,0 +1,401 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { ArrowPathIcon, CheckIcon, PhotoIcon, Squares2X2Icon, TagIcon } from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { uploadProductPhotoSecure } from '../lib/uploadClient'
+import { buildVariantMatrix, variantKey, variantTotals } from '../lib/variants'
+import { PRODUCT_CONFLICT } from '../lib/productMerge'
+
+const EMPTY_BASE = {
+  model_id: '',
+  article: '',
+  line_id: '',
+  composition_id: '',
+  description: '',
+  initial_price: '',
+  wholesale_price: '',
+  selling_price: ''
+}
+
+const toggle = (list, id) => (list.includes(id) ? list.filter(item => item !== id) : [...list, id])
+
+/**
+ * 🧩 VariantMatrix - Pagina "Varianti" (/products/variants)
+ *
+ * Funzionalità:
+ * - Scelta di modello e articolo, taglie e colori da spuntare
+ * - Generazione di tutte le varianti con SKU propri, prezzi e foto comuni
+ * - Giacenze di tutte le varianti in un'unica griglia (curva taglie)
+ */
+const VariantMatrix = () => {
+  const [lookups, setLookups] = useState({ models: [], lines: [], compositions: [], sizes: [], colors: [] })
+  const [base, setBase] = useState(EMPTY_BASE)
+  const [sizeIds, setSizeIds] = useState([])
+  const [colorIds, setColorIds] = useState([])
+  const [existing, setExisting] = useState([])
+  const [quantities, setQuantities] = useState({})
+  const [photos, setPhotos] = useState([])
+  const [loadingVariants, setLoadingVariants] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const load = async () => {
+      const [models, lines, compositions, sizes, colors] = await Promise.all([
+        db.getModels(),
+        db.getLines(),
+        db.getCompositions(),
+        db.getSizes(),
+        db.getColors()
+      ])
+      setLookups({
+        models: models.data || [],
+        lines: lines.data || [],
+        compositions: compositions.data || [],
+        sizes: sizes.data || [],
+        colors: colors.data || []
+      })
+    }
+
+    load()
+  }, [])
+
+  // Varianti già presenti per modello e articolo scelti
+  const loadVariants = useCallback(async (modelId, article) => {
+    if (!modelId || !article.trim()) {
+      setExisting([])
+      return
+    }
+
+    setLoadingVariants(true)
+    const { data, error } = await db.getVariants({ modelId, article: article.trim() })
+    if (error) {
+      toast.error('Errore nel caricamento delle varianti')
+    } else {
+      setExisting(data)
+      setSizeIds(ids => Array.from(new Set([...ids, ...data.map(variant => variant.size_id).filter(Boolean)])))
+      setColorIds(ids => Array.from(new Set([...ids, ...data.map(variant => variant.color_id).filter(Boolean)])))
+      setQuantities(Object.fromEntries(data.map(variant => [
+        variantKey(variant.size_id, variant.color_id),
+        String(variant.quantity_stock ?? 0)
+      ])))
+    }
+    setLoadingVariants(false)
+  }, [])
+
+  const reloadVariants = () => loadVariants(base.model_id, base.article)
+
+  // Al cambio di modello; l'articolo si rilegge all'uscita dal campo, non a ogni tasto
+  const articleRef = useRef(base.article)
+  articleRef.current = base.article
+
+  useEffect(() => {
+    loadVariants(base.model_id, articleRef.current)
+  }, [base.model_id, loadVariants])
+
+  // Righe e colonne nell'ordine delle tabelle di lookup
+  const orderedSizes = lookups.sizes.filter(size => sizeIds.includes(size.id))
+  const orderedColors = lookups.colors.filter(color => colorIds.includes(color.id))
+
+  const matrix = buildVariantMatrix(orderedSizes.map(size => size.id), orderedColors.map(color => color.id), existing)
+  const totals = variantTotals(matrix, quantities)
+
+  const newCells = Array.from(matrix.entries()).filter(([, cell]) => !cell.product)
+  const changedVariants = existing.filter(variant => {
+    const value = quantities[variantKey(variant.size_id, variant.color_id)]
+    return value !== undefined && value !== '' && parseInt(value, 10) !== (variant.quantity_stock ?? 0)
+  })
+
+  const handleGenerate = async () => {
+    if (!window.confirm(`Creare ${newCells.length} nuove varianti di ${base.article}?`)) return
+
+    setSaving(true)
+    const shared = Object.fromEntries(
+      Object.entries(base).filter(([, value]) => value !== '').map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+    )
+    const { data: created, error } = await db.createVariants(shared, newCells.map(([key, cell]) => ({
+      size_id: cell.sizeId,
+      color_id: cell.colorId,
+      quantity_stock: parseInt(quantities[key], 10) || 0
+    })))
+
+    if (error) {
+      toast.error(error.message || 'Errore nella creazione delle varianti')
+    } else {
+      toast.success(`${created.length} varianti create`)
+    }
+
+    // Le stesse foto per ogni variante creata
+    let photoErrors = 0
+    for (const product of created) {
+      for (const [index, file] of photos.entries()) {
+        const { error: photoError } = await uploadProductPhotoSecure(file, product.id, product.sku, index === 0)
+        if (photoError) photoErrors++
+      }
+    }
+    if (photoErrors > 0) {
+      toast.error(`${photoErrors} foto non caricate`)
+    }
+
+    setPhotos([])
+    await reloadVariants()
+    setSaving(false)
+  }
+
+  const handleSaveStock = async () => {
+    setSaving(true)
+    const results = []
+    for (const variant of changedVariants) {
+      // Rifiutato se la variante è cambiata dopo il caricamento della griglia
+      results.push(await db.updateProduct(variant.id, {
+        quantity_stock: quantities[variantKey(variant.size_id, variant.color_id)]
+      }, { expectedUpdatedAt: variant.updated_at }))
+    }
+
+    const conflicts = results.filter(result => result.error?.code === PRODUCT_CONFLICT)
+    const failed = results.filter(result => result.error && result.error.code !== PRODUCT_CONFLICT)
+    if (conflicts.length > 0) {
+      toast.error(`${conflicts.length} varianti modificate da altri nel frattempo: controlla le giacenze ricaricate`)
+    }
+    if (failed.length > 0) {
+      toast.error(`${failed.length} giacenze non aggiornate`)
+    } else if (conflicts.length === 0) {
+      toast.success('Giacenze aggiornate')
+    }
+    await reloadVariants()
+    setSaving(false)
+  }
+
+  const canGenerate = base.model_id && base.article.trim() && newCells.length > 0 && !saving
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <Squares2X2Icon className="h-7 w-7 mr-2" />
+        Varianti
+      </h1>
+
+      <div className="card grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Modello *</label>
+          <select
+            value={base.model_id}
+            onChange={(e) => setBase({ ...base, model_id: e.target.value })}
+            className="input-field"
+          >
+            <option value="">Seleziona...</option>
+            {lookups.models.map(model => (
+              <option key={model.id} value={model.id}>{model.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Articolo *</label>
+          <input
+            type="text"
+            value={base.article}
+            onChange={(e) => setBase({ ...base, article: e.target.value })}
+            onBlur={reloadVariants}
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Linea</label>
+          <select
+            value={base.line_id}
+            onChange={(e) => setBase({ ...base, line_id: e.target.value })}
+            className="input-field"
+          >
+            <option value="">—</option>
+            {lookups.lines.map(line => (
+              <option key={line.id} value={line.id}>{line.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Composizione</label>
+          <select
+            value={base.composition_id}
+            onChange={(e) => setBase({ ...base, composition_id: e.target.value })}
+            className="input-field"
+          >
+            <option value="">—</option>
+            {lookups.compositions.map(composition => (
+              <option key={composition.id} value={composition.id}>{composition.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2 lg:col-span-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Descrizione</label>
+          <input
+            type="text"
+            value={base.description}
+            onChange={(e) => setBase({ ...base, description: e.target.value })}
+            className="input-field"
+          />
+        </div>
+        {[
+          ['initial_price', 'Prezzo di costo'],
+          ['wholesale_price', 'Prezzo ingrosso'],
+          ['selling_price', 'Prezzo vendita']
+        ].map(([field, label]) => (
+          <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={base[field]}
+              onChange={(e) => setBase({ ...base, [field]: e.target.value })}
+              className="input-field"
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Foto comuni</label>
+          <label className="btn-secondary inline-flex items-center cursor-pointer text-sm">
+            <PhotoIcon className="h-4 w-4 mr-2" />
+            {photos.length > 0 ? `${photos.length} foto selezionate` : 'Scegli foto'}
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              className="hidden"
+              onChange={(e) => setPhotos(Array.from(e.target.files || []))}
+            />
+          </label>
+        </div>
+      </div>
+
+      <div className="card grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Taglie</h3>
+          <div className="flex flex-wrap gap-2">
+            {lookups.sizes.map(size => (
+              <label key={size.id} className="inline-flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={sizeIds.includes(size.id)}
+                  onChange={() => setSizeIds(toggle(sizeIds, size.id))}
+                  className="mr-1"
+                />
+                {size.name}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Colori</h3>
+          <div className="flex flex-wrap gap-2">
+            {lookups.colors.map(color => (
+              <label key={color.id} className="inline-flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={colorIds.includes(color.id)}
+                  onChange={() => setColorIds(toggle(colorIds, color.id))}
+                  className="mr-1"
+                />
+                {color.name}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="card overflow-x-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Giacenze</h3>
+          {loadingVariants && <ArrowPathIcon className="h-5 w-5 animate-spin text-gray-400" />}
+        </div>
+
+        {matrix.size === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">Seleziona almeno una taglia e un colore</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-4 text-left">Colore / Taglia</th>
+                {orderedSizes.map(size => (
+                  <th key={size.id} className="py-2 px-1 text-center">{size.name}</th>
+                ))}
+                <th className="py-2 pl-4 text-right">Totale</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orderedColors.map(color => (
+                <tr key={color.id} className="border-t border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-900">{color.name}</td>
+                  {orderedSizes.map(size => {
+                    const key = variantKey(size.id, color.id)
+                    const { product } = matrix.get(key)
+                    return (
+                      <td key={size.id} className="py-2 px-1 text-center">
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={quantities[key] ?? ''}
+                          onChange={(e) => setQuantities({ ...quantities, [key]: e.target.value })}
+                          placeholder="0"
+                          className={`input-field py-1 w-20 text-center ${product ? '' : 'border-dashed'}`}
+                          title={product ? product.sku : 'Nuova variante'}
+                        />
+                        <div className="text-[10px] text-gray-400 font-mono mt-0.5">
+                          {product ? product.sku : 'nuova'}
+                        </div>
+                      </td>
+                    )
+                  })}
+                  <td className="py-2 pl-4 text-right font-medium">{totals.byColor[color.id] || 0}</td>
+                </tr>
+              ))}
+              <tr className="border-t border-gray-200 font-medium">
+                <td className="py-2 pr-4">Totale</td>
+                {orderedSizes.map(size => (
+                  <td key={size.id} className="py-2 px-1 text-center">{totals.bySize[size.id] || 0}</td>
+                ))}
+                <td className="py-2 pl-4 text-right">{totals.total}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          {existing.length > 0 && (
+            <Link
+              to={`/labels?ids=${existing.map(variant => variant.id).join(',')}`}
+              className="btn-secondary inline-flex items-center"
+            >
+              <TagIcon className="h-4 w-4 mr-2" />
+              Stampa etichette ({existing.length})
+            </Link>
+          )}
+          <button
+            type="button"
+            onClick={handleSaveStock}
+            disabled={changedVariants.length === 0 || saving}
+            className="btn-secondary inline-flex items-center disabled:opacity-50"
+          >
+            <CheckIcon className="h-4 w-4 mr-2" />
+            Salva giacenze ({changedVariants.length})
+          </button>
+          <button
+            type="button"
+            onClick={handleGenerate}
+            disabled={!canGenerate}
+            className="btn-primary inline-flex items-center disabled:opacity-50"
+          >
+            {saving ? (
+              <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Squares2X2Icon className="h-4 w-4 mr-2" />
+            )}
+            Genera {newCells.length} varianti
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VariantMatrix
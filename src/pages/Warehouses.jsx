@@ -0,0 +1,323 @@
+import { useState, useEffect } from 'react'
+import {
+  ArrowPathIcon,
+  BuildingOfficeIcon,
+  MapPinIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { db } from '../lib/supabase'
+import { locationLabel } from '../lib/locations'
+
+const EMPTY_WAREHOUSE = { name: '', address: '', sort_order: 0 }
+const EMPTY_LOCATION = { code: '', description: '' }
+
+/**
+ * 🏢 Warehouses - Pagina "Magazzini" (/warehouses)
+ *
+ * Funzionalità:
+ * - Magazzini (negozio, retro, deposito...) con ordine di prelievo: vendite e rettifiche
+ *   senza ubicazione scalano prima dai magazzini con ordine più basso
+ * - Ubicazioni (scaffale/cella) per magazzino
+ * - Articoli presenti in un'ubicazione (filtro location_id di getProducts)
+ */
+const Warehouses = () => {
+  const [warehouses, setWarehouses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [warehouseForm, setWarehouseForm] = useState(EMPTY_WAREHOUSE)
+  const [editingWarehouseId, setEditingWarehouseId] = useState(null)
+  const [locationForms, setLocationForms] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [selectedLocation, setSelectedLocation] = useState(null)
+  const [locationProducts, setLocationProducts] = useState([])
+
+  const loadWarehouses = async () => {
+    const { data, error } = await db.getWarehouses()
+    if (error) {
+      console.error('Errore caricamento magazzini:', error)
+      toast.error('Errore nel caricamento dei magazzini')
+    } else {
+      setWarehouses(data)
+    }
+    setLoading(false)
+  }
+
+  useEffect(() => {
+    loadWarehouses()
+  }, [])
+
+  useEffect(() => {
+    if (!selectedLocation) return
+
+    const loadProducts = async () => {
+      const { data, error } = await db.getProducts({ location_id: selectedLocation.id }, { sortBy: 'sku', sortDir: 'asc' })
+      if (error) {
+        toast.error('Errore nel caricamento degli articoli')
+        return
+      }
+      setLocationProducts(data || [])
+    }
+    loadProducts()
+  }, [selectedLocation])
+
+  const resetWarehouseForm = () => {
+    setWarehouseForm(EMPTY_WAREHOUSE)
+    setEditingWarehouseId(null)
+  }
+
+  const handleSaveWarehouse = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    const { error } = await db.saveWarehouse(warehouseForm, editingWarehouseId)
+    setSaving(false)
+
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio del magazzino')
+      return
+    }
+    toast.success(editingWarehouseId ? 'Magazzino aggiornato' : 'Magazzino aggiunto')
+    resetWarehouseForm()
+    loadWarehouses()
+  }
+
+  const handleEditWarehouse = (warehouse) => {
+    setEditingWarehouseId(warehouse.id)
+    setWarehouseForm({ name: warehouse.name, address: warehouse.address || '', sort_order: warehouse.sort_order })
+  }
+
+  const handleDeleteWarehouse = async (warehouse) => {
+    if (!window.confirm(`Eliminare il magazzino "${warehouse.name}" e le sue ubicazioni?`)) return
+
+    const { error } = await db.deleteWarehouse(warehouse.id)
+    if (error) {
+      toast.error(error.message || 'Errore nell\'eliminazione del magazzino')
+      return
+    }
+    toast.success('Magazzino eliminato')
+    if (selectedLocation?.warehouse_id === warehouse.id) setSelectedLocation(null)
+    loadWarehouses()
+  }
+
+  const handleAddLocation = async (warehouseId) => {
+    const form = locationForms[warehouseId] || EMPTY_LOCATION
+    const { error } = await db.saveLocation({ ...form, warehouse_id: warehouseId })
+    if (error) {
+      toast.error(error.message || 'Errore nel salvataggio dell\'ubicazione')
+      return
+    }
+    setLocationForms({ ...locationForms, [warehouseId]: EMPTY_LOCATION })
+    loadWarehouses()
+  }
+
+  const handleDeleteLocation = async (location) => {
+    if (!window.confirm(`Eliminare l'ubicazione ${location.code}?`)) return
+
+    const { error } = await db.deleteLocation(location.id)
+    if (error) {
+      toast.error(error.message || 'Errore nell\'eliminazione dell\'ubicazione')
+      return
+    }
+    if (selectedLocation?.id === location.id) setSelectedLocation(null)
+    loadWarehouses()
+  }
+
+  const updateLocationForm = (warehouseId, changes) => {
+    setLocationForms({ ...locationForms, [warehouseId]: { ...(locationForms[warehouseId] || EMPTY_LOCATION), ...changes } })
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <BuildingOfficeIcon className="h-7 w-7 mr-2" />
+          Magazzini
+        </h1>
+        <Link to="/transfers" className="btn-secondary">Trasferimenti</Link>
+      </div>
+
+      <form onSubmit={handleSaveWarehouse} className="card space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">
+          {editingWarehouseId ? 'Modifica magazzino' : 'Nuovo magazzino'}
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Nome *</label>
+            <input
+              type="text"
+              value={warehouseForm.name}
+              onChange={(e) => setWarehouseForm({ ...warehouseForm, name: e.target.value })}
+              placeholder="es. Negozio, Retro, Deposito"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Indirizzo</label>
+            <input
+              type="text"
+              value={warehouseForm.address}
+              onChange={(e) => setWarehouseForm({ ...warehouseForm, address: e.target.value })}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ordine di prelievo</label>
+            <input
+              type="number"
+              value={warehouseForm.sort_order}
+              onChange={(e) => setWarehouseForm({ ...warehouseForm, sort_order: e.target.value })}
+              className="input-field"
+            />
+            <p className="mt-1 text-xs text-gray-500">Le uscite senza ubicazione scalano prima dai valori più bassi</p>
+          </div>
+        </div>
+        <div className="space-x-2">
+          <button
+            type="submit"
+            disabled={saving || !warehouseForm.name.trim()}
+            className="btn-primary inline-flex items-center disabled:opacity-50"
+          >
+            {saving && <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />}
+            {editingWarehouseId ? 'Salva modifiche' : 'Aggiungi magazzino'}
+          </button>
+          {editingWarehouseId && (
+            <button type="button" onClick={resetWarehouseForm} className="btn-secondary">
+              Annulla
+            </button>
+          )}
+        </div>
+      </form>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Caricamento...</p>
+      ) : warehouses.length === 0 ? (
+        <p className="text-sm text-gray-500">Nessun magazzino: tutta la merce è "non ubicata".</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {warehouses.map(warehouse => (
+            <div key={warehouse.id} className="card space-y-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{warehouse.name}</h3>
+                  <p className="text-xs text-gray-500">
+                    Prelievo {warehouse.sort_order}{warehouse.address && ` · ${warehouse.address}`}
+                  </p>
+                </div>
+                <div className="whitespace-nowrap">
+                  <button
+                    type="button"
+                    onClick={() => handleEditWarehouse(warehouse)}
+                    className="p-1 text-blu-primary hover:bg-blu-light rounded"
+                    title="Modifica"
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteWarehouse(warehouse)}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded ml-1"
+                    title="Elimina"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+
+              <ul className="divide-y divide-gray-100 text-sm">
+                {warehouse.locations.map(location => (
+                  <li key={location.id} className="flex items-center justify-between py-1.5">
+                    <button
+                      type="button"
+                      onClick={() => setSelectedLocation({ ...location, warehouses: warehouse })}
+                      className={`flex items-center text-left hover:text-blu-primary ${selectedLocation?.id === location.id ? 'text-blu-primary font-medium' : ''}`}
+                    >
+                      <MapPinIcon className="h-4 w-4 mr-1 text-gray-400" />
+                      <span className="font-mono">{location.code}</span>
+                      {location.description && <span className="ml-2 text-gray-500">{location.description}</span>}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteLocation(location)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      title="Elimina ubicazione"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={locationForms[warehouse.id]?.code || ''}
+                  onChange={(e) => updateLocationForm(warehouse.id, { code: e.target.value })}
+                  placeholder="Codice (es. A-01-3)"
+                  className="input-field w-36"
+                />
+                <input
+                  type="text"
+                  value={locationForms[warehouse.id]?.description || ''}
+                  onChange={(e) => updateLocationForm(warehouse.id, { description: e.target.value })}
+                  placeholder="Descrizione"
+                  className="input-field"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleAddLocation(warehouse.id)}
+                  disabled={!locationForms[warehouse.id]?.code?.trim()}
+                  className="btn-secondary inline-flex items-center disabled:opacity-50"
+                  title="Aggiungi ubicazione"
+                >
+                  <PlusIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedLocation && (
+        <div className="card">
+          <h3 className="text-lg font-medium text-gray-900 mb-3">
+            Articoli in {locationLabel(selectedLocation)}
+          </h3>
+          {locationProducts.length === 0 ? (
+            <p className="text-sm text-gray-500">Ubicazione vuota.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2">SKU</th>
+                  <th className="py-2">Articolo</th>
+                  <th className="py-2">Taglia / Colore</th>
+                  <th className="py-2 text-right">Qui</th>
+                  <th className="py-2 text-right">Totale</th>
+                </tr>
+              </thead>
+              <tbody>
+                {locationProducts.map(product => (
+                  <tr key={product.id} className="border-t border-gray-100">
+                    <td className="py-2 font-mono">{product.sku}</td>
+                    <td className="py-2">{product.description || product.article}</td>
+                    <td className="py-2 text-gray-500">
+                      {[product.sizes?.name, product.colors?.name].filter(Boolean).join(' · ')}
+                    </td>
+                    <td className="py-2 text-right font-medium">
+                      {product.location_stock?.find(row => row.location_id === selectedLocation.id)?.quantity ?? 0}
+                    </td>
+                    <td className="py-2 text-right">{product.quantity_stock || 0}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Warehouses